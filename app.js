@@ -1,19 +1,98 @@
 // public/app.js
 // Orchestrator for compositing trait SVGs without touching trait code.
-// - Z-order is enforced by the canonical LAYERS array (not checkbox order).
-// - Each trait SVG is embedded as a data: URL <image> to avoid ID collisions.
-// - Optional Service Worker keeps /traits_json fetches working under subpaths.
-// - NEW: Per-trait generate/save via postMessage from parent page.
+// - Z-order is enforced by traits/manifest.json (not checkbox order).
+// - The stage stacks trait SVGs as data: URL <image>s; Save SVG/PNG use the editable vector
+//   composite (utils/svgCompositor.js: inline <g id="layer-…"> groups, ids namespaced per layer).
+// - Service worker (sw.js via swClient.js): offline precache, /traits_json remap under
+//   subpaths, an "Update available" reload prompt and a Dev mode switch.
+// - Host pages drive it over a versioned postMessage protocol (utils/messageProtocol.js),
+//   with request ids, replies and an origin allowlist.
+// - Seeded: one master seed per composite, per-layer sub-seeds derived from it.
+// - Traits resolve to { svg, attributes }; attributes are shown and saved as phil.json.
+// - Per-layer options forms are generated from each trait's exported OPTIONS schema.
+// - Locked layers keep their cached SVG/seed/options across generates and reloads.
+// - Undo/redo history of stage snapshots, with a thumbnail timeline under the stage.
+// - Batch mode: N composites → optimized SVGs (+PNGs), per-item JSON and summary.csv in one ZIP.
+// - Batch duplicates: attribute fingerprint + perceptual hash per item; collisions are rejected or re-rolled.
+// - Worker generation: DOM-free layers run in generation.worker.js, in parallel; Cancel stops them.
+// - Outlines (utils/outlineLoader.js) are preloaded at startup and cached in memory and IndexedDB.
+// - Static/Animated switch: animated layers carry SMIL (utils/svgAnimation.js), kept by Save SVG.
+// - Rarity report: expected probability of every weighted choice (traits/rarity.js).
+// - Layer validation (utils/svgValidation.js): a layer that breaks the contract is left out
+//   and flagged under the stage with its reason and a Retry button.
+// - Trait failures: transient ones are retried by createPhil.js; a layer that still fails
+//   is left out (or swapped for a blank layer, see #fallbackToggle) and logged in
+//   `diagnostics`, which "Save diagnostics" downloads as JSON.
+// - Generation itself lives in createPhil.js (no DOM); this file is the UI around it.
 
 import { optimizeSVG } from './svgoClient.js';
+import { applyUpdate, getWorkerState, registerServiceWorker, setWorkerMode, swSupported } from './swClient.js';
+import {
+  BLANK_LAYER, cancelGeneration, composeVector, createDiagnostics, exportAnimation, exportPNG, exportReveal, generateComposite, generateLayer, getLayers, preloadOutlines,
+  rasterizeSVG,
+} from './createPhil.js';
+import { normalizeSeed, randomSeed } from './utils/seedUtils.js';
+import { batchItemSeed, svgToImageHref } from './utils/composeUtils.js';
+import { importTraitModule } from './utils/traitRegistry.js';
+import { coerceOptionValue } from './utils/optionUtils.js';
+import { createHistory } from './utils/historyStack.js';
+import { createZip } from './utils/zipWriter.js';
+import { clearBatch, getItems, loadJob, putItem, saveJob } from './utils/batchStore.js';
+import { rarityReport } from './utils/rarityUtils.js';
+import { attributeFingerprint, findDuplicate, perceptualHash, PHASH_RASTER } from './utils/dedupeUtils.js';
+import {
+  COMMANDS, ERROR_CODES, EVENTS, EXPORT_FORMATS, PROTOCOL, ProtocolError, SUPPORTED_VERSIONS, VERSION,
+  isProtocolMessage, makeError, makeEvent, makeResponse, parseOriginList,
+} from './utils/messageProtocol.js';
 
-const W = 420, H = 420;
 const logEl   = document.getElementById('log');
 const stage   = document.getElementById('stage');
 const form    = document.getElementById('layerForm');
 const genBtn  = document.getElementById('generateBtn');
 const saveBtn = document.getElementById('saveBtn');
 const clearBtn= document.getElementById('clearBtn');
+const rerollBtn = document.getElementById('rerollBtn');
+const seedInput = document.getElementById('seedInput');
+const seedLabel = document.getElementById('seedLabel');
+const saveJsonBtn = document.getElementById('saveJsonBtn');
+const attrPanel = document.getElementById('attrPanel');
+const optionsPanel = document.getElementById('optionsPanel');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const timeline = document.getElementById('timeline');
+const issuesPanel = document.getElementById('layerIssues');
+const batchCountInput = document.getElementById('batchCount');
+const batchPngInput = document.getElementById('batchPng');
+const batchDedupeInput = document.getElementById('batchDedupe');
+const batchThresholdInput = document.getElementById('batchThreshold');
+const batchStartBtn = document.getElementById('batchStartBtn');
+const batchPauseBtn = document.getElementById('batchPauseBtn');
+const batchCancelBtn = document.getElementById('batchCancelBtn');
+const batchProgress = document.getElementById('batchProgress');
+const batchStatus = document.getElementById('batchStatus');
+const animFormatInput = document.getElementById('animFormat');
+const animFramesInput = document.getElementById('animFrames');
+const animFpsInput = document.getElementById('animFps');
+const animSizeInput = document.getElementById('animSize');
+const animLoopInput = document.getElementById('animLoop');
+const animExportBtn = document.getElementById('animExportBtn');
+const animCancelBtn = document.getElementById('animCancelBtn');
+const animProgress = document.getElementById('animProgress');
+const animStatus = document.getElementById('animStatus');
+const revealDurationInput = document.getElementById('revealDuration');
+const revealStaggerInput = document.getElementById('revealStagger');
+const revealBtn = document.getElementById('revealBtn');
+const rarityPanel = document.getElementById('rarityPanel');
+const rarityBtn = document.getElementById('rarityBtn');
+const saveRarityBtn = document.getElementById('saveRarityBtn');
+const fallbackToggle = document.getElementById('fallbackToggle');
+const animatedToggle = document.getElementById('animatedToggle');
+const saveDiagnosticsBtn = document.getElementById('saveDiagnosticsBtn');
+const clearDiagnosticsBtn = document.getElementById('clearDiagnosticsBtn');
+const updateBanner = document.getElementById('updateBanner');
+const updateReloadBtn = document.getElementById('updateReloadBtn');
+const swDevToggle = document.getElementById('swDevToggle');
+const swStatus = document.getElementById('swStatus');
 
 // --- create (or find) a PNG export button programmatically ---
 let savePngBtn = document.getElementById('savePngBtn');
@@ -29,44 +108,200 @@ let savePngBtn = document.getElementById('savePngBtn');
   }
 })();
 
-// Register service worker (optional but recommended for subpath-safe JSON fetch)
-if ('serviceWorker' in navigator) {
-  navigator.serviceWorker.register('./sw.js', { scope: './', updateViaCache: 'none' })
-    .then(reg => reg.update?.())
-    .catch(() => {});
-}
-
-// Canonical z-order (top to bottom in the final composite)
-const LAYERS = [
-  { id:'bg',     name:'Background',
-    importer: () => import('./traits/bgTrait.js'),
-    importerCacheBusted: () => import(`./traits/bgTrait.js?v=${Date.now()}`) },
-  { id:'wings',  name:'Wings',
-    importer: () => import('./traits/wingsTrait.js'),
-    importerCacheBusted: () => import(`./traits/wingsTrait.js?v=${Date.now()}`) },
-  { id:'phil',   name:'Phil',
-    importer: () => import('./traits/philTrait.js'),
-    importerCacheBusted: () => import(`./traits/philTrait.js?v=${Date.now()}`) },
-  { id:'spikes', name:'Spikes',
-    importer: () => import('./traits/spikesTrait.js'),
-    importerCacheBusted: () => import(`./traits/spikesTrait.js?v=${Date.now()}`) },
-  { id:'eyes',   name:'Eyes',
-    importer: () => import('./traits/eyesTrait.js'),
-    importerCacheBusted: () => import(`./traits/eyesTrait.js?v=${Date.now()}`) },
-  { id:'nose',   name:'Nose',
-    importer: () => import('./traits/noseTrait.js'),
-    importerCacheBusted: () => import(`./traits/noseTrait.js?v=${Date.now()}`) },
-  { id:'teeth',  name:'Teeth',
-    importer: () => import('./traits/teethTrait.js'),
-    importerCacheBusted: () => import(`./traits/teethTrait.js?v=${Date.now()}`) },
-  { id:'top',    name:'Top',
-    importer: () => import('./traits/topTrait.js'),
-    importerCacheBusted: () => import(`./traits/topTrait.js?v=${Date.now()}`) },
-];
+// Outlines load once (utils/outlineLoader.js); a failed one is fetched again by its trait
+preloadOutlines().then(({ failed }) => {
+  for (const { name, error } of failed) console.warn(`Outline ${name} failed to preload:`, error);
+});
+
+// Service worker: offline copy, /traits_json remap under subpaths, updates (sw.js)
+registerServiceWorker({ onUpdate: () => { if (updateBanner) updateBanner.hidden = false; } })
+  .then(showWorkerState)
+  .catch(err => console.warn('Service worker registration failed:', err));
+
+// Canonical z-order (bottom to top in the final composite), from traits/manifest.json
+let LAYERS = [];
+try {
+  LAYERS = await getLayers();
+} catch (err) {
+  log(`✗ Trait manifest failed to load: ${err?.message || err}`);
+}
 
 function log(msg){ if (!logEl) return; logEl.textContent += (msg + "\n"); logEl.scrollTop = logEl.scrollHeight; }
 function clearLog(){ if (!logEl) return; logEl.textContent = ''; }
 
+// Build the layer checkboxes from the manifest, then tell the page which
+// layers exist so it can build its per-trait rows (see index.html).
+function buildLayerForm() {
+  if (!form) return;
+  form.innerHTML = '';
+  for (const layer of LAYERS) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = 'layer';
+    input.value = layer.id;
+    input.checked = layer.checked;
+
+    const lock = document.createElement('button');
+    lock.type = 'button';
+    lock.className = 'lock';
+    lock.dataset.lock = layer.id;
+    label.append(input, ` ${layer.name}`, lock);
+    form.appendChild(label);
+  }
+  updateLockButtons();
+}
+
+function announceLayers() {
+  const layers = LAYERS.map(({ id, name }) => ({ id, name }));
+  window.createPhilLayers = layers;
+  window.dispatchEvent(new CustomEvent('createphil:layers', { detail: layers }));
+}
+
+// --------------------------
+// Layer locks (persisted)
+// --------------------------
+// A lock keeps the layer's last SVG, seed, options and attributes. Composite
+// generates reuse it instead of re-rolling; the snapshot lives in localStorage
+// so locked layers come back after a reload.
+const LOCKS_KEY = 'createPhil:locks';
+const lockedLayers = loadLocks(); // id -> { seed, options, attributes, svg } (empty until generated)
+
+function loadLocks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCKS_KEY) || '{}');
+    return new Map(Object.entries(saved && typeof saved === 'object' ? saved : {}));
+  } catch (_) {
+    return new Map();
+  }
+}
+
+function persistLocks() {
+  try {
+    localStorage.setItem(LOCKS_KEY, JSON.stringify(Object.fromEntries(lockedLayers)));
+  } catch (e) {
+    console.warn('Could not persist layer locks:', e);
+  }
+}
+
+function isLocked(id) {
+  return lockedLayers.has(id);
+}
+
+function snapshotLayer(id) {
+  if (!lastTraitSVG[id]) return {};
+  return {
+    seed: lastLayerSeeds[id] ?? null,
+    options: lastLayerOptions[id] || {},
+    attributes: lastTraitAttributes[id] || {},
+    svg: lastTraitSVG[id],
+  };
+}
+
+function setLocked(id, locked) {
+  if (locked) lockedLayers.set(id, snapshotLayer(id));
+  else lockedLayers.delete(id);
+  persistLocks();
+  updateLockButtons();
+}
+
+// Put locked snapshots back into the per-trait caches (on startup)
+function restoreLockedLayers() {
+  for (const [id, snap] of lockedLayers) {
+    if (!getLayerMeta(id)) { lockedLayers.delete(id); continue; }
+    if (!snap?.svg) continue;
+    lastTraitSVG[id] = snap.svg;
+    lastTraitAttributes[id] = snap.attributes || {};
+    lastLayerOptions[id] = snap.options || {};
+    lastLayerSeeds[id] = snap.seed ?? null;
+  }
+}
+
+function updateLockButtons() {
+  if (!form) return;
+  for (const btn of form.querySelectorAll('[data-lock]')) {
+    const locked = isLocked(btn.dataset.lock);
+    const name = getLayerMeta(btn.dataset.lock)?.name || btn.dataset.lock;
+    btn.textContent = locked ? '🔒' : '🔓';
+    btn.setAttribute('aria-pressed', String(locked));
+    btn.title = locked ? `${name} is locked: kept on Generate` : `Lock ${name} to keep it on Generate`;
+  }
+}
+
+// --------------------------
+// Per-layer options form
+// --------------------------
+// One <details> per layer that exports an OPTIONS schema. Empty fields mean
+// "random" (selects) or "trait default" (numbers/booleans).
+async function buildOptionsForms() {
+  if (!optionsPanel) return;
+  optionsPanel.innerHTML = '';
+  for (const layer of LAYERS) {
+    let schema;
+    try {
+      schema = (await importTraitModule(layer)).OPTIONS;
+    } catch (err) {
+      log(`⚠️ ${layer.name}: options unavailable (${err?.message || err})`);
+      continue;
+    }
+    if (!schema || !Object.keys(schema).length) continue;
+    layerOptionSpecs[layer.id] = schema;
+
+    const section = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = layer.name;
+    section.appendChild(summary);
+
+    const grid = document.createElement('div');
+    grid.className = 'option-grid';
+    for (const [key, spec] of Object.entries(schema)) {
+      const label = document.createElement('label');
+      label.textContent = spec.label || key;
+      const control = createOptionControl(spec);
+      control.dataset.layer = layer.id;
+      control.dataset.option = key;
+      label.appendChild(control);
+      grid.appendChild(label);
+    }
+    section.appendChild(grid);
+    optionsPanel.appendChild(section);
+  }
+}
+
+function createOptionControl(spec) {
+  if (spec.type === 'number') {
+    const input = document.createElement('input');
+    input.type = 'number';
+    if (spec.min !== undefined) input.min = spec.min;
+    if (spec.max !== undefined) input.max = spec.max;
+    if (spec.step !== undefined) input.step = spec.step;
+    input.placeholder = spec.default !== undefined ? String(spec.default) : 'random';
+    return input;
+  }
+
+  const select = document.createElement('select');
+  const values = spec.type === 'boolean' ? [true, false] : (spec.values || []);
+  const unset = spec.type === 'boolean' ? `default (${spec.default ? 'on' : 'off'})` : 'random';
+  select.appendChild(new Option(unset, ''));
+  for (const v of values) {
+    const text = spec.type === 'boolean' ? (v ? 'on' : 'off') : String(v);
+    select.appendChild(new Option(text, String(v)));
+  }
+  return select;
+}
+
+// Pinned options for one layer, typed per its schema (unset fields omitted)
+function getLayerOptions(id) {
+  const options = {};
+  if (!optionsPanel) return options;
+  for (const el of optionsPanel.querySelectorAll('[data-option]')) {
+    if (el.dataset.layer !== id) continue;
+    const value = coerceOptionValue(layerOptionSpecs[id]?.[el.dataset.option], el.value);
+    if (value !== undefined) options[el.dataset.option] = value;
+  }
+  return options;
+}
+
 function getSelectedIdsSet() {
   if (!form) return new Set();
   return new Set(
@@ -75,18 +310,6 @@ function getSelectedIdsSet() {
   );
 }
 
-// Encode SVG to base64 UTF-8 data URL to prevent parser issues and ID collisions
-function svgToImageHref(svgString){
-  const encoded = btoa(unescape(encodeURIComponent(svgString)));
-  return `data:image/svg+xml;base64,${encoded}`;
-}
-
-function compose(hrefs) {
-  // The order of 'hrefs' is already canonical; just stack them in that order.
-  const images = hrefs.map(href => `<image href="${href}" x="0" y="0" width="${W}" height="${H}"/>`).join('');
-  return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">${images}</svg>`;
-}
-
 // --------------------------
 // State for exports/previews
 // --------------------------
@@ -97,119 +320,288 @@ let lastWasSingle = false;   // selection size at generation time
 // Per-trait cache: last generated inline SVG for each trait id
 const lastTraitSVG = Object.create(null);
 
+// Per-trait cache: attributes reported alongside each cached SVG
+const lastTraitAttributes = Object.create(null);
+
+// Per-trait cache: options each cached SVG was generated with
+const lastLayerOptions = Object.create(null);
+
+// Layer ids currently on the stage, in z-order (what phil.json describes)
+let lastLayerIds = [];
+
+// OPTIONS schema exported by each trait module, by layer id
+const layerOptionSpecs = Object.create(null);
+
+// Seeds: master seed of the last composite + the sub-seed each layer was built from
+let lastSeed = null;
+const lastLayerSeeds = Object.create(null);
+
+// Seed typed by the user (or passed in), else null => random
+function requestedSeed(seed) {
+  return normalizeSeed(seed ?? seedInput?.value);
+}
+
+function showSeed(text) {
+  if (seedLabel) seedLabel.textContent = text;
+}
+
 // Helper: find layer meta by id
 function getLayerMeta(id) {
   return LAYERS.find(l => l.id === id);
 }
 
-// Helper: dynamic import of a layer module (cache-busted in dev)
-async function importTrait(id) {
-  const meta = getLayerMeta(id);
-  if (!meta) throw new Error(`Unknown trait id "${id}"`);
-  return await (meta.importerCacheBusted ? meta.importerCacheBusted() : meta.importer());
-}
-
-// Safely post a single-trait SVG to the preview panel (works embedded or standalone)
+// Send a single-trait SVG to the preview panel (this page and/or the host)
 function postToParentPreview(trait, svg) {
-  const msg = { source: 'createPhil', kind: 'preview-layer', trait, svg };
-
-  try { window.postMessage(msg, '*'); } catch (e) {}
-  try { if (window.parent && window.parent !== window) window.parent.postMessage(msg, '*'); } catch (e) {}
-  try { if (window.top && window.top !== window && window.top !== window.parent) window.top.postMessage(msg, '*'); } catch (e) {}
-
+  const attributes = lastTraitAttributes[trait] || {};
+  emit('preview-layer', { trait, svg, attributes });
   log(`› Sent ${trait} to parent preview.`);
 }
 
 // --------------------------
 // Composite generation (UI)
 // --------------------------
-async function generate() {
+// Builds the given layers (z-ordered ids) for one master seed without touching
+// the stage or the per-trait caches (generateComposite() in createPhil.js).
+// `kept` holds layers to reuse as-is and `options` the pinned options per
+// layer; both default to the current UI (locks and options form), as does
+// `animated` (the Static/Animated switch). Failed
+// layers are logged and left out, or replaced (failurePolicy()). A cancelled
+// run rejects with an AbortError.
+async function renderLayers(masterSeed, ids, { kept = keptLayers(ids), options = layerOptionsFor(ids), animated = isAnimated(), group = 'stage' } = {}) {
+  const phil = await generateComposite({ seed: masterSeed, layers: ids, options, animated, kept, group, bust: true, ...failurePolicy() });
+  for (const { name, error, fallback } of phil.failed) log(`✗ ${name} failed: ${error}${fallback ? ' (blank layer used)' : ''}`);
+  return phil;
+}
+
+// Static/Animated switch (remembered). Animated layers are the same drawing
+// with SMIL added; layers kept by a lock stay as they were generated.
+const ANIMATED_KEY = 'createPhil:animated';
+
+function isAnimated() {
+  return !!animatedToggle?.checked;
+}
+
+// Redraws what is on the stage (same seed, same layers) in the new mode
+function onAnimatedToggle() {
+  try { localStorage.setItem(ANIMATED_KEY, isAnimated() ? '1' : '0'); } catch (_) { /* private mode */ }
+  if (lastSeed === null || !lastLayerIds.length) return;
+  if (lastWasSingle) generateOne(lastLayerIds[0], lastSeed).catch(() => {}); // logged by generateOne
+  else generate(lastSeed, { ids: lastLayerIds });
+}
+
+// Shared by every generation: failures go to the diagnostics log; with the
+// fallback toggle on, a failed layer becomes a blank one instead of a gap.
+function failurePolicy() {
+  return { diagnostics, fallback: fallbackToggle?.checked ? { '*': BLANK_LAYER } : null };
+}
+
+// Locked layers (with a cached result) among `ids`, as { id: snapshot }
+function keptLayers(ids) {
+  const kept = {};
+  for (const id of ids) if (isLocked(id) && lastTraitSVG[id]) kept[id] = snapshotLayer(id);
+  return kept;
+}
+
+function layerOptionsFor(ids) {
+  return Object.fromEntries(ids.map(id => [id, getLayerOptions(id)]));
+}
+
+// Bumped by every stage generation and by Cancel; a run whose number is no
+// longer current drops its results.
+let stageRun = 0;
+
+function showSpinner() {
+  if (stage) stage.innerHTML = '<div class="spinner"><span class="spin" aria-hidden="true"></span>Generating… <button type="button" data-cancel>Cancel</button></div>';
+}
+
+function cancelStageGeneration() {
+  stageRun++;
+  cancelGeneration('stage');
+  restoreShownStage();
+  if (genBtn) genBtn.disabled = false;
+  if (rerollBtn) rerollBtn.disabled = false;
+  log('Generation cancelled.');
+}
+
+// Back to what the stage showed before a run (blank before the first one),
+// Save buttons included
+function restoreShownStage() {
+  const entry = stageHistory.entries[stageHistory.index];
+  if (entry) restoreStage(entry);
+  else if (stage) stage.innerHTML = '';
+}
+
+// fresh: ignore the seed box (used by "Randomize unlocked"). `ids` and
+// `options` override the checked layers and (per layer) the options form.
+// Resolves to { seed, ids, failed } once the stage shows the result, or null
+// when nothing was generated (no layers, cancelled, superseded, or an error,
+// which is logged). Never rejects, so UI handlers can call it bare.
+async function generate(seed, params) {
+  try {
+    return await generateStage(seed, params);
+  } catch (err) {
+    log(`✗ Generation failed: ${err?.message || err}`);
+    console.error(err);
+    return null;
+  }
+}
+
+// generate() for callers that need the error (the embed API): rejects when
+// the run fails outright. Either way a current run leaves the stage showing
+// a composite (the new one, else the previous) and the buttons usable.
+async function generateStage(seed, { fresh = false, ids: only = null, options: overrides = null } = {}) {
+  const run = ++stageRun;
+  let shown = false;
   clearLog();
   if (genBtn) genBtn.disabled = true;
+  if (rerollBtn) rerollBtn.disabled = true;
   if (saveBtn) saveBtn.disabled = true;
   if (savePngBtn) savePngBtn.disabled = true;
-  if (stage) stage.innerHTML = '<div class="spinner">Generating…</div>';
-
-  // 1) selection as a set
-  const selected = getSelectedIdsSet();
-  if (selected.size === 0) {
-    log('No layers selected.');
-    if (stage) stage.innerHTML = '';
-    if (genBtn) genBtn.disabled = false;
-    return;
-  }
+  if (revealBtn) revealBtn.disabled = true;
+  if (animExportBtn) animExportBtn.disabled = true;
+  if (saveJsonBtn) saveJsonBtn.disabled = true;
+  showSpinner();
 
-  // 2) enforce canonical z-order (bg → wings → phil → spikes → eyes → nose → teeth → top)
-  const orderedIds = LAYERS.map(l => l.id).filter(id => selected.has(id));
+  try {
+    // 1) selection as a set
+    const selected = only ? new Set(only) : getSelectedIdsSet();
+    if (selected.size === 0) {
+      log('No layers selected.');
+      return null;
+    }
 
-  const hrefs = [];
-  const svgs  = [];
+    // 2) enforce canonical z-order (manifest z, bottom → top)
+    const orderedIds = LAYERS.map(l => l.id).filter(id => selected.has(id));
+    const masterSeed = (fresh ? null : requestedSeed(seed)) ?? String(randomSeed());
+    log(`Seed ${masterSeed}`);
 
-  for (const id of orderedIds) {
+    const options = layerOptionsFor(orderedIds);
+    for (const id in overrides || {}) options[id] = { ...options[id], ...overrides[id] };
+    let phil;
     try {
-      const mod = await importTrait(id);
-      if (typeof mod.generateTrait !== 'function') {
-        log(`⚠️ ${id}: generateTrait() not found. Skipped.`);
+      phil = await renderLayers(masterSeed, orderedIds, { options });
+    } catch (err) {
+      if (err?.name === 'AbortError') return null; // cancelStageGeneration() already restored the stage
+      throw err;
+    }
+    if (run !== stageRun) return null;
+    const { layers } = phil;
+    for (const layer of layers) {
+      const name = getLayerMeta(layer.id)?.name || layer.id;
+      if (layer.locked) {
+        log(`🔒 ${name} kept (seed ${layer.seed}).`);
         continue;
       }
-      const svg = await mod.generateTrait();
-      svgs.push(svg);
-      hrefs.push(svgToImageHref(svg));
-      lastTraitSVG[id] = svg; // cache per-trait result as well
-      log(`✓ ${getLayerMeta(id)?.name || id} generated.`);
-    } catch (err) {
-      log(`✗ ${getLayerMeta(id)?.name || id} failed: ${err?.message || err}`);
+      lastTraitSVG[layer.id] = layer.svg; // cache per-trait result as well
+      lastTraitAttributes[layer.id] = layer.attributes;
+      lastLayerOptions[layer.id] = layer.options;
+      lastLayerSeeds[layer.id] = layer.seed;
+      if (isLocked(layer.id)) setLocked(layer.id, true); // locked before it was ever generated: keep this one
+      if (!layer.fallback) log(`✓ ${name} generated (seed ${layer.seed}).`);
     }
-  }
-
-  if (!hrefs.length) {
-    if (stage) stage.innerHTML = '';
-    if (genBtn) genBtn.disabled = false;
-    return;
-  }
+    const ids = layers.map(l => l.id);
+    const failed = phil.failed.map(({ id, error, code, problems, fallback }) => ({ id, error, code, problems, fallback }));
+    clearLayerIssues();
+    for (const { id, error, fallback } of failed) {
+      flagLayer(id, error, () => generate(masterSeed, { ids: orderedIds, options: overrides }), { fallback });
+    }
+    if (!layers.length) return { seed: masterSeed, ids, failed };
 
-  lastSVG = compose(hrefs);
-  lastWasSingle  = (svgs.length === 1);
-  lastInlineSVG  = lastWasSingle ? svgs[0] : '';
+    lastSVG = phil.svg;
+    lastSeed = masterSeed;
+    lastLayerIds = ids;
+    showSeed(`seed ${masterSeed}`);
+    lastWasSingle  = (layers.length === 1);
+    lastInlineSVG  = lastWasSingle ? layers[0].svg : '';
 
-  if (stage) stage.innerHTML = lastSVG;
-  if (saveBtn) saveBtn.disabled = false;
-  if (savePngBtn) savePngBtn.disabled = false;
-  if (genBtn) genBtn.disabled = false;
+    if (stage) stage.innerHTML = lastSVG;
+    renderAttributes();
+    recordHistory(`Composite · seed ${masterSeed}`);
+    shown = true;
+    if (saveBtn) saveBtn.disabled = false;
+    if (savePngBtn) savePngBtn.disabled = false;
+    if (revealBtn) revealBtn.disabled = false;
+    if (animExportBtn) animExportBtn.disabled = !!animationExport;
+    if (saveJsonBtn) saveJsonBtn.disabled = false;
+    return { seed: masterSeed, ids, failed };
+  } finally {
+    if (run === stageRun) {
+      if (!shown) restoreShownStage();
+      if (genBtn) genBtn.disabled = false;
+      if (rerollBtn) rerollBtn.disabled = false;
+    }
+  }
 }
 
 // --------------------------
 // Per-trait generation (PM)
 // --------------------------
-async function generateOne(traitId) {
+// With a master seed the layer matches what the composite would draw for it;
+// without one the layer is re-rolled on its own fresh seed. Resolves to
+// { trait, seed, svg, attributes }, or null when locked or cancelled; a
+// failing trait is logged and rethrown.
+async function generateOne(traitId, seed, options) {
+  if (isLocked(traitId) && lastTraitSVG[traitId]) {
+    log(`🔒 ${getLayerMeta(traitId)?.name || traitId} is locked. Unlock it to re-roll.`);
+    return null;
+  }
+  const run = ++stageRun;
   try {
-    if (stage) stage.innerHTML = '<div class="spinner">Generating…</div>';
-    const mod = await importTrait(traitId);
-    if (typeof mod.generateTrait !== 'function') {
-      throw new Error('generateTrait() not found');
-    }
-    const svg = await mod.generateTrait();
+    showSpinner();
+    const masterSeed = requestedSeed(seed);
+    const layerOptions = { ...getLayerOptions(traitId), ...(options || {}) };
+    const { svg, attributes, layers: [{ seed: subSeed, options: usedOptions }], failed } = await generateLayer(traitId, {
+      seed: masterSeed, options: layerOptions, animated: isAnimated(), bust: true, ...failurePolicy(),
+    });
+    if (run !== stageRun) return null;
     lastTraitSVG[traitId] = svg;
+    lastTraitAttributes[traitId] = attributes;
+    lastLayerOptions[traitId] = usedOptions;
+    if (isLocked(traitId)) setLocked(traitId, true);
+    lastLayerSeeds[traitId] = subSeed;
+    lastLayerIds = [traitId];
+    lastSeed = masterSeed;
     lastInlineSVG = svg;
     lastWasSingle = true;
     lastSVG = svg; // for preview, show the single trait inline svg
     if (stage) stage.innerHTML = svg;
-    log(`✓ ${getLayerMeta(traitId)?.name || traitId} generated.`);
+    clearLayerIssues();
+    for (const { error } of failed) {
+      log(`✗ ${getLayerMeta(traitId)?.name || traitId} failed: ${error} (blank layer used)`);
+      flagLayer(traitId, error, () => generateOne(traitId, seed, options), { fallback: true });
+    }
+    renderAttributes();
+    showSeed(`${traitId} seed ${subSeed}`);
+    recordHistory(`${getLayerMeta(traitId)?.name || traitId} · seed ${subSeed}`);
+    if (!failed.length) log(`✓ ${getLayerMeta(traitId)?.name || traitId} generated (seed ${subSeed}).`);
+    return { trait: traitId, seed: subSeed, svg, attributes };
   } catch (err) {
+    if (err?.name === 'AbortError' || run !== stageRun) return null;
     if (stage) stage.innerHTML = '';
     log(`✗ ${getLayerMeta(traitId)?.name || traitId} failed: ${err?.message || err}`);
+    clearLayerIssues();
+    flagLayer(traitId, String(err?.message || err), () => generateOne(traitId, seed, options));
+    throw err;
   } finally {
-    if (saveBtn) saveBtn.disabled = false;
-    if (savePngBtn) savePngBtn.disabled = false;
+    if (run === stageRun) {
+      if (genBtn) genBtn.disabled = false;     // in case this run superseded a composite one
+      if (rerollBtn) rerollBtn.disabled = false;
+      if (saveBtn) saveBtn.disabled = false;
+      if (savePngBtn) savePngBtn.disabled = false;
+      if (revealBtn) revealBtn.disabled = false;
+      if (animExportBtn) animExportBtn.disabled = !!animationExport;
+      if (saveJsonBtn) saveJsonBtn.disabled = !lastLayerIds.length;
+    }
   }
 }
 
+// Resolves to the optimized SVG that was sent, or null when there was nothing to send
 async function saveOne(traitId) {
   try {
     // If user hasn't generated this trait yet in this session, generate now.
     if (!lastTraitSVG[traitId]) {
       await generateOne(traitId);
-      if (!lastTraitSVG[traitId]) return; // still failed
+      if (!lastTraitSVG[traitId]) return null; // locked or cancelled
     }
 
     let svg = lastTraitSVG[traitId];
@@ -221,8 +613,10 @@ async function saveOne(traitId) {
 
     // Send the single-trait SVG back to parent to be dropped into the preview box
     postToParentPreview(traitId, svg);
+    return svg;
   } catch (e) {
     log(`✗ Save ${traitId} failed: ${e?.message || e}`);
+    throw e;
   }
 }
 
@@ -231,37 +625,280 @@ async function saveOne(traitId) {
 // --------------------------
 async function save() {
   if (!lastSVG) return;
+  downloadOrForward('phil.svg', await exportSVG());
+}
 
-  // Prefer the inline single-trait SVG when only one layer was selected
-  const candidate = (lastWasSingle && lastInlineSVG) ? lastInlineSVG : lastSVG;
-
-  let finalSVG = candidate;
+// What Save SVG writes: the inline single-trait SVG when only one layer was
+// selected, else the vector composite; SVGO-optimized when possible.
+async function exportSVG() {
+  const candidate = await stageVectorSVG();
   try {
-    finalSVG = await optimizeSVG(candidate);   // SVGO in worker
+    return await optimizeSVG(candidate);   // SVGO in worker
   } catch (e) {
     console.warn('SVGO optimize failed; falling back to raw SVG:', e);
+    return candidate;
   }
+}
 
-  // Try direct download first (works when you open createPhil directly)
-  const ok = directDownload('phil.svg', finalSVG);
-  if (ok) return;
+// Editable composite of the stage: one <g id="layer-…"> per layer, ids
+// namespaced. Falls back to the <image> composite if a layer won't parse.
+async function stageVectorSVG() {
+  if (lastWasSingle && lastInlineSVG) return lastInlineSVG;
+  try {
+    return (await composeVector(lastLayerIds.map(id => ({ id, ...snapshotLayer(id) })))).svg;
+  } catch (e) {
+    console.warn('Vector compositing failed; saving the image composite:', e);
+    return lastSVG;
+  }
+}
+
+// --------------------------
+// Layer issues (under the stage)
+// --------------------------
+// Layers the last generation left out or replaced: id -> { reason, retry, fallback }
+const layerIssues = new Map();
+
+function flagLayer(id, reason, retry, { fallback = false } = {}) {
+  layerIssues.set(id, { reason, retry, fallback });
+  renderLayerIssues();
+}
+
+function clearLayerIssues() {
+  if (!layerIssues.size) return;
+  layerIssues.clear();
+  renderLayerIssues();
+}
+
+function renderLayerIssues() {
+  if (!issuesPanel) return;
+  issuesPanel.innerHTML = '';
+  for (const [id, { reason, fallback }] of layerIssues) {
+    const row = document.createElement('div');
+    row.className = 'issue';
+    const name = document.createElement('strong');
+    name.textContent = `⚠️ ${getLayerMeta(id)?.name || id} ${fallback ? 'replaced by a blank layer' : 'left out'}`;
+    const text = document.createElement('span');
+    text.textContent = reason;
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.dataset.retry = id;
+    retry.textContent = 'Retry';
+    row.append(name, text, retry);
+    issuesPanel.appendChild(row);
+  }
+}
+
+// --------------------------
+// Attributes (panel + phil.json)
+// --------------------------
+function buildMetadata() {
+  return {
+    seed: lastSeed,
+    layers: lastLayerIds.map(id => layerMetadata({ id, ...snapshotLayer(id) })),
+  };
+}
+
+function layerMetadata(layer) {
+  return {
+    id: layer.id,
+    name: getLayerMeta(layer.id)?.name || layer.id,
+    seed: layer.seed ?? null,
+    options: layer.options || {},
+    attributes: layer.attributes || {},
+  };
+}
 
-  // Fallback: send to parent page to download top-level
+async function saveMetadata() {
+  if (!lastLayerIds.length) return;
+  downloadOrForward('phil.json', JSON.stringify(await exportMetadata(), null, 2), 'application/json;charset=utf-8');
+}
+
+// phil.json contents: buildMetadata() plus fingerprint and pHash when the composite rasterizes
+async function exportMetadata() {
+  const metadata = buildMetadata();
   try {
-    if (window.top && window.top !== window) {
-      window.top.postMessage({
-        source: 'createPhil',
-        kind: 'download-svg',
-        filename: 'phil.svg',
-        mime: 'image/svg+xml;charset=utf-8',
-        data: finalSVG
-      }, '*');
-    }
+    Object.assign(metadata, await compositeHashes(lastSVG, metadata.layers));
   } catch (e) {
-    console.warn('postMessage to parent failed:', e);
+    console.warn('Could not hash the composite for phil.json:', e);
+  }
+  return metadata;
+}
+
+// Attribute fingerprint + perceptual hash of one composite (see utils/dedupeUtils.js)
+async function compositeHashes(svg, layers) {
+  const canvas = await rasterizeSVG(svg, PHASH_RASTER);
+  const { data } = canvas.getContext('2d').getImageData(0, 0, PHASH_RASTER, PHASH_RASTER);
+  return { fingerprint: attributeFingerprint(layers), phash: perceptualHash(data, PHASH_RASTER) };
+}
+
+// Flatten nested attribute objects into dotted keys for display
+function flattenAttributes(obj, prefix = '') {
+  const rows = [];
+  for (const [key, value] of Object.entries(obj || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) rows.push(...flattenAttributes(value, name));
+    else rows.push([name, Array.isArray(value) ? value.join(', ') : String(value)]);
+  }
+  return rows;
+}
+
+function renderAttributes() {
+  if (!attrPanel) return;
+  attrPanel.innerHTML = '';
+  for (const layer of buildMetadata().layers) {
+    const section = document.createElement('details');
+    section.open = true;
+    const summary = document.createElement('summary');
+    summary.textContent = layer.seed !== null ? `${layer.name} · seed ${layer.seed}` : layer.name;
+    section.appendChild(summary);
+
+    const dl = document.createElement('dl');
+    for (const [key, value] of flattenAttributes(layer.attributes)) {
+      const dt = document.createElement('dt');
+      dt.textContent = key;
+      const dd = document.createElement('dd');
+      for (const hex of value.match(/#[0-9a-f]{6,8}\b/gi) || []) {
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = hex;
+        dd.appendChild(swatch);
+      }
+      dd.appendChild(document.createTextNode(value));
+      dl.append(dt, dd);
+    }
+    section.appendChild(dl);
+    attrPanel.appendChild(section);
+  }
+}
+
+// --------------------------
+// Rarity report
+// --------------------------
+// Collects DRAWS (the weighted choices) from every trait module and reports
+// the expected probability of each value under traits/rarity.js.
+async function buildRarityReport() {
+  const draws = {};
+  for (const layer of LAYERS) {
+    try {
+      const mod = await importTraitModule(layer);
+      if (mod.DRAWS) draws[layer.id] = mod.DRAWS;
+    } catch (err) {
+      log(`⚠️ ${layer.name}: rarity unavailable (${err?.message || err})`);
+    }
+  }
+  return rarityReport(draws);
+}
+
+async function showRarityReport() {
+  if (!rarityPanel) return;
+  let report;
+  try {
+    report = await buildRarityReport();
+  } catch (err) {
+    log(`✗ Rarity report failed: ${err?.message || err}`);
+    return;
+  }
+  rarityPanel.innerHTML = '';
+  for (const [traitId, choices] of Object.entries(report.traits)) {
+    const section = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = getLayerMeta(traitId)?.name || traitId;
+    section.appendChild(summary);
+
+    const dl = document.createElement('dl');
+    for (const [key, values] of Object.entries(choices)) {
+      for (const { value, tier, probability } of values) {
+        const dt = document.createElement('dt');
+        dt.textContent = `${key} ${value}`;
+        const dd = document.createElement('dd');
+        dd.textContent = `${(probability * 100).toFixed(2)}% · ${tier}`;
+        dl.append(dt, dd);
+      }
+    }
+    section.appendChild(dl);
+    rarityPanel.appendChild(section);
+  }
+}
+
+async function saveRarityReport() {
+  try {
+    const report = await buildRarityReport();
+    downloadOrForward('rarity-report.json', JSON.stringify(report, null, 2), 'application/json;charset=utf-8');
+  } catch (err) {
+    log(`✗ Rarity report failed: ${err?.message || err}`);
+  }
+}
+
+// --------------------------
+// Offline (service worker)
+// --------------------------
+async function showWorkerState() {
+  if (!swStatus) return;
+  if (!swSupported) {
+    swStatus.textContent = 'Offline copy unavailable in this browser.';
+    return;
+  }
+  let state = null;
+  try {
+    await navigator.serviceWorker.ready;
+    state = await getWorkerState();
+  } catch (err) {
+    console.warn('Service worker state unavailable:', err);
+  }
+  if (!state) {
+    swStatus.textContent = 'Offline copy not installed yet.';
+    return;
+  }
+  swStatus.textContent = state.mode === 'dev'
+    ? `Dev mode: files come fresh from the network (worker ${state.version}).`
+    : `Works offline (version ${state.version}).`;
+  if (swDevToggle) {
+    swDevToggle.checked = state.mode === 'dev';
+    swDevToggle.disabled = false;
+  }
+}
+
+async function toggleDevMode() {
+  swDevToggle.disabled = true;
+  try {
+    await setWorkerMode(swDevToggle.checked ? 'dev' : 'prod');
+    location.reload(); // the page itself came through the old mode
+  } catch (err) {
+    log(`✗ Could not switch the service worker mode: ${err?.message || err}`);
+    showWorkerState();
   }
 }
 
+// --------------------------
+// Diagnostics (trait failures)
+// --------------------------
+const diagnostics = createDiagnostics();
+
+function updateDiagnosticsUI(count = diagnostics.size) {
+  if (saveDiagnosticsBtn) {
+    saveDiagnosticsBtn.textContent = `Save diagnostics (${count})`;
+    saveDiagnosticsBtn.disabled = !count;
+  }
+  if (clearDiagnosticsBtn) clearDiagnosticsBtn.disabled = !count;
+}
+diagnostics.subscribe(updateDiagnosticsUI);
+
+function saveDiagnostics() {
+  const report = diagnostics.report({ seed: lastSeed, layers: lastLayerIds });
+  const stamp = report.createdAt.replace(/[:.]/g, '-');
+  downloadOrForward(`createphil-diagnostics-${stamp}.json`, JSON.stringify(report, null, 2), 'application/json;charset=utf-8');
+}
+
+// Download in this window, else hand the file to the embedding page
+function downloadOrForward(filename, data, mime = 'image/svg+xml;charset=utf-8') {
+  // Try direct download first (works when you open createPhil directly)
+  const ok = directDownload(filename, data, mime);
+  if (ok) return;
+
+  // Fallback: hand the file to the host page to download top-level
+  if (window.parent !== window) emit('download', { filename, mime, data });
+}
+
 function directDownload(filename, dataStr, mime='image/svg+xml;charset=utf-8') {
   try {
     const blob = new Blob([dataStr], { type: mime });
@@ -285,48 +922,498 @@ async function savePNG(targetPx) {
   const DEFAULT_SIZE = 3300; // ~11" at 300dpi
   const size = Number.isFinite(targetPx) && targetPx > 0 ? Math.floor(targetPx) : DEFAULT_SIZE;
 
-  const svgStr = lastSVG;
-  const img = new Image();
-  img.decoding = 'async';
-  img.loading = 'eager';
-  img.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svgStr)));
-
-  await img.decode().catch(() => new Promise(res => { img.onload = res; }));
-
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-
-  const ctx = canvas.getContext('2d', { willReadFrequently: false });
-  ctx.imageSmoothingEnabled = true;
-  ctx.imageSmoothingQuality = 'high';
-  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-  const link = document.createElement('a');
-  link.download = 'phil.png';
-  link.href = canvas.toDataURL('image/png');
-  document.body.appendChild(link);
-  link.click();
-  link.remove();
+  try {
+    const { png } = await exportPNG(await stageVectorSVG(), { size });
+    directDownload('phil.png', png, 'image/png');
+  } catch (err) {
+    log(`✗ Save PNG failed: ${err?.message || err}`);
+  }
 }
 
 function clearStage(){
+  const hadStage = !!lastSVG;
   lastSVG = '';
   lastInlineSVG = '';
   lastWasSingle = false;
-  for (const k in lastTraitSVG) delete lastTraitSVG[k];
+  lastSeed = null;
+  lastLayerIds = [];
+  // locked layers keep their cached result
+  for (const cache of [lastTraitSVG, lastTraitAttributes, lastLayerOptions, lastLayerSeeds]) {
+    for (const k in cache) if (!isLocked(k)) delete cache[k];
+  }
+  showSeed('');
+  renderAttributes();
+  clearLayerIssues();
   if (stage) stage.innerHTML = '';
   if (saveBtn) saveBtn.disabled = true;
   if (savePngBtn) savePngBtn.disabled = true;
+  if (revealBtn) revealBtn.disabled = true;
+  if (animExportBtn) animExportBtn.disabled = true;
+  if (saveJsonBtn) saveJsonBtn.disabled = true;
   clearLog();
+  if (hadStage) recordHistory('Cleared');
+}
+
+// --------------------------
+// Animated export (GIF / APNG)
+// --------------------------
+// Frames are sampled from the stage's SMIL and encoded in the page
+// (exportAnimation() in createPhil.js). A still stage is redrawn animated for
+// the export only: same seed, layers and options; locked layers are kept as
+// they were generated, so they stay still.
+let animationExport = null; // AbortController of the running export
+
+async function exportStageAnimation() {
+  if (!lastSVG || animationExport || !lastLayerIds.length) return;
+  const controller = new AbortController();
+  animationExport = controller;
+  const format = animFormatInput?.value || 'gif';
+  const settings = {
+    format,
+    frames: Number(animFramesInput?.value || 48),
+    fps: Number(animFpsInput?.value || 24),
+    size: Number(animSizeInput?.value || 420),
+    loop: Number(animLoopInput?.value || 0),
+  };
+  updateAnimationUI({ stage: 'prepare', done: 0, total: 1 });
+  try {
+    const ids = [...lastLayerIds];
+    let layers = ids.map(id => ({ id, ...snapshotLayer(id) }));
+    if (!layers.some(l => l.svg?.includes('<animate'))) {
+      const options = Object.fromEntries(ids.map(id => [id, lastLayerOptions[id] || {}]));
+      ({ layers } = await renderLayers(lastSeed, ids, { options, animated: true, group: 'export' }));
+    }
+    controller.signal.throwIfAborted();
+    const { blob, frames, animations } = await exportAnimation({ svg: lastSVG, layers }, {
+      ...settings,
+      signal: controller.signal,
+      onProgress: updateAnimationUI,
+    });
+    const ext = format === 'apng' ? 'png' : 'gif';
+    directDownload(`phil-${lastSeed ?? 'stage'}.${ext}`, blob, blob.type);
+    log(`✓ Exported ${frames}-frame ${format.toUpperCase()} (${Math.round(blob.size / 1024)} KB)${animations ? '' : ' — nothing on the stage animates'}.`);
+  } catch (err) {
+    if (err?.name === 'AbortError') log('Animated export cancelled.');
+    else log(`✗ Animated export failed: ${err?.message || err}`);
+  } finally {
+    animationExport = null;
+    updateAnimationUI(null);
+  }
+}
+
+function cancelAnimationExport() {
+  if (!animationExport) return;
+  animationExport.abort();
+  cancelGeneration('export');
+}
+
+// progress: { stage: 'prepare' | 'render' | 'encode', done, total } while running, null when done
+function updateAnimationUI(progress) {
+  if (animProgress) {
+    // rendering is most of the work: frames fill the bar to 80%, encoding the rest
+    const share = !progress ? 0 : progress.stage === 'render' ? 0.8 * progress.done / progress.total
+      : progress.stage === 'encode' ? 0.8 + 0.2 * progress.done / progress.total : 0;
+    animProgress.max = 1;
+    animProgress.value = share;
+  }
+  if (animStatus) {
+    animStatus.textContent = !progress ? ''
+      : progress.stage === 'render' ? `Rendering frame ${progress.done}/${progress.total}`
+      : progress.stage === 'encode' ? `Encoding ${progress.done}/${progress.total}`
+      : 'Preparing animated layers…';
+  }
+  if (animExportBtn) animExportBtn.disabled = !!progress || !lastSVG;
+  if (animCancelBtn) animCancelBtn.disabled = !progress;
+}
+
+// --------------------------
+// Reveal SVG (draw-on)
+// --------------------------
+// The stage as one SVG that draws itself in, layer by layer (exportReveal()
+// in createPhil.js). Saved without SVGO, which could fold away the wrapper
+// groups the reveal animates.
+async function saveRevealSVG() {
+  if (!lastSVG || !lastLayerIds.length) return;
+  try {
+    const layers = lastLayerIds.map(id => ({ id, ...snapshotLayer(id) }));
+    const { reveal, seconds } = await exportReveal({ svg: lastSVG, layers }, {
+      duration: Number(revealDurationInput?.value || 1.6),
+      stagger: Number(revealStaggerInput?.value || 0.6),
+    });
+    downloadOrForward(`phil-${lastSeed ?? 'stage'}-reveal.svg`, reveal);
+    log(`✓ Saved reveal SVG (${seconds} s).`);
+  } catch (err) {
+    log(`✗ Reveal export failed: ${err?.message || err}`);
+  }
+}
+
+// --------------------------
+// Batch generation (ZIP)
+// --------------------------
+// Items are generated one at a time from the checked layers and stored in
+// IndexedDB as they finish; the ZIP is assembled at the end. Item i always
+// uses seed batchItemSeed(batchSeed, i) with the options and locked layers
+// captured at start, so a batch resumed after a reload makes the same Phils.
+// With duplicate checks on, an item that matches an earlier one (same
+// attributes, or pHash within `threshold` bits) is dropped ('reject') or
+// redrawn on seed batchItemSeed(batchSeed, i, attempt) ('reroll').
+const MAX_REROLLS = 20;
+let batchJob = null;        // { seed, count, ids, png, dedupe, threshold, options, kept, next, rejected, started }
+let batchRunning = false;
+let batchPauseRequested = false;
+let batchCancelRequested = false;
+
+async function startBatch() {
+  if (batchRunning) return;
+  const count = parseInt(batchCountInput?.value, 10);
+  if (!(count > 0)) { log('Batch: enter how many Phils to generate.'); return; }
+  const selected = getSelectedIdsSet();
+  const ids = LAYERS.map(l => l.id).filter(id => selected.has(id));
+  if (!ids.length) { log('Batch: no layers selected.'); return; }
+  if (batchJob && !confirm(`Discard the unfinished batch (${batchJob.next}/${batchJob.count})?`)) return;
+
+  const png = parseInt(batchPngInput?.value, 10);
+  const threshold = parseInt(batchThresholdInput?.value, 10);
+  batchJob = {
+    seed: requestedSeed() ?? String(randomSeed()),
+    count,
+    ids,
+    png: png > 0 ? png : 0,
+    dedupe: batchDedupeInput?.value || 'off',
+    threshold: threshold >= 0 ? threshold : 0,
+    options: layerOptionsFor(ids),
+    kept: keptLayers(ids),
+    next: 0,
+    rejected: [],
+    started: new Date().toISOString(),
+  };
+  try {
+    await clearBatch();
+    await saveJob(batchJob);
+  } catch (err) {
+    log(`⚠️ Batch progress can't be stored (${err?.message || err}); it won't survive a reload.`);
+  }
+  log(`Batch of ${count} started (batch seed ${batchJob.seed}).`);
+  runBatch();
+}
+
+async function runBatch() {
+  if (!batchJob || batchRunning) return;
+  batchRunning = true;
+  batchPauseRequested = false;
+  batchCancelRequested = false;
+  updateBatchUI();
+
+  const width = Math.max(4, String(batchJob.count).length);
+  try {
+    // accepted items so far (also the ones stored before a reload)
+    const seen = (await getItems()).map(({ name, metadata }) => ({ name, ...metadata }));
+    while (batchJob.next < batchJob.count && !batchPauseRequested && !batchCancelRequested) {
+      const index = batchJob.next + 1;
+      const name = `phil-${String(index).padStart(width, '0')}`;
+
+      let item = null;
+      for (let attempt = 0; !item; attempt++) {
+        const seed = batchItemSeed(batchJob.seed, index, attempt);
+        const candidate = await buildBatchItem(index, seed);
+        const duplicate = batchJob.dedupe === 'off' ? null : findDuplicate(candidate.metadata, seen, batchJob.threshold);
+        if (!duplicate) {
+          item = { ...candidate, name };
+          break;
+        }
+        const retry = batchJob.dedupe === 'reroll' && attempt + 1 < MAX_REROLLS;
+        batchJob.rejected.push({ index, name, seed, ...duplicate, action: retry ? 'rerolled' : 'dropped' });
+        log(`↺ ${name} (seed ${seed}) matches ${duplicate.match} by ${duplicate.reason} (distance ${duplicate.distance}); ${retry ? 're-rolling' : 'dropped'}.`);
+        if (!retry) break;
+      }
+
+      if (item) {
+        if (batchJob.png) {
+          item.png = (await exportPNG(item.svg, { size: batchJob.png })).png;
+        }
+        await putItem(item);
+        seen.push({ name, ...item.metadata });
+      }
+      batchJob.next = index;
+      await saveJob(batchJob);
+      updateBatchUI();
+    }
+
+    if (batchCancelRequested) {
+      await discardBatch();
+      log('Batch cancelled.');
+    } else if (batchJob.next < batchJob.count) {
+      log(`Batch paused at ${batchJob.next}/${batchJob.count}.`);
+    } else {
+      await finishBatch();
+    }
+  } catch (err) {
+    if (batchCancelRequested) {
+      await discardBatch();
+      log('Batch cancelled.');
+      return;
+    }
+    log(`✗ Batch stopped at ${batchJob?.next}/${batchJob?.count}: ${err?.message || err}. Resume to retry.`);
+  } finally {
+    batchRunning = false;
+    updateBatchUI();
+  }
+}
+
+// One composite for the batch: layers → optimized SVG → metadata with hashes
+async function buildBatchItem(index, seed) {
+  const { svg: composite, layers } = await renderLayers(seed, batchJob.ids, { kept: batchJob.kept, options: batchJob.options, group: 'batch' });
+  if (!layers.length) throw new Error(`item ${index} has no layers`);
+
+  let svg = composite;
+  try {
+    svg = await optimizeSVG(svg);
+  } catch (e) {
+    console.warn('SVGO optimize failed for batch item, keeping raw SVG:', e);
+  }
+  const metadata = { index, seed, batchSeed: batchJob.seed, layers: layers.map(layerMetadata) };
+  Object.assign(metadata, await compositeHashes(svg, metadata.layers));
+  return { index, svg, png: null, metadata };
+}
+
+async function finishBatch() {
+  const items = (await getItems()).sort((a, b) => a.index - b.index);
+  const zip = createZip();
+  for (const item of items) {
+    zip.add(`${item.name}.svg`, item.svg);
+    if (item.png) zip.add(`${item.name}.png`, new Uint8Array(await item.png.arrayBuffer()));
+    zip.add(`${item.name}.json`, JSON.stringify(item.metadata, null, 2));
+  }
+  zip.add('summary.csv', buildSummaryCSV(items));
+  if (batchJob.rejected.length) zip.add('duplicates.json', JSON.stringify(batchJob.rejected, null, 2));
+  downloadOrForward(`phil-batch-${batchJob.seed}.zip`, zip.toBlob(), 'application/zip');
+  const dropped = batchJob.rejected.filter(r => r.action === 'dropped').length;
+  log(`✓ Batch of ${items.length} done` + (batchJob.rejected.length ? ` (${batchJob.rejected.length} duplicates rejected, ${dropped} slots dropped).` : '.'));
+  await discardBatch();
+}
+
+async function discardBatch() {
+  batchJob = null;
+  try { await clearBatch(); } catch (_) {}
+  updateBatchUI();
+}
+
+// One row per item; one column per layer seed and per (flattened) layer attribute
+function buildSummaryCSV(items) {
+  const columns = [];
+  const seen = new Set();
+  const rows = items.map(item => {
+    const { seed, fingerprint, phash } = item.metadata;
+    const row = { file: `${item.name}.svg`, seed, fingerprint, phash, layers: item.metadata.layers.map(l => l.id).join(' ') };
+    for (const layer of item.metadata.layers) {
+      row[`${layer.id}.seed`] = layer.seed;
+      for (const [key, value] of flattenAttributes(layer.attributes, layer.id)) row[key] = value;
+    }
+    for (const key of Object.keys(row)) if (!seen.has(key)) { seen.add(key); columns.push(key); }
+    return row;
+  });
+  const cell = (v) => {
+    const str = v === undefined || v === null ? '' : String(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.map(cell).join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n') + '\n';
+}
+
+function updateBatchUI() {
+  const done = batchJob?.next ?? 0;
+  const total = batchJob?.count ?? 0;
+  if (batchProgress) {
+    batchProgress.max = total || 1;
+    batchProgress.value = done;
+  }
+  if (batchStatus) {
+    if (!batchJob) batchStatus.textContent = '';
+    else if (batchRunning) batchStatus.textContent = batchPauseRequested ? `Pausing… ${done}/${total}` : `Generating ${done}/${total}`;
+    else batchStatus.textContent = `Paused ${done}/${total} (batch seed ${batchJob.seed})`;
+  }
+  if (batchStartBtn) batchStartBtn.disabled = batchRunning;
+  if (batchPauseBtn) {
+    batchPauseBtn.disabled = !batchJob || batchPauseRequested || batchCancelRequested;
+    batchPauseBtn.textContent = batchRunning ? 'Pause' : 'Resume';
+  }
+  if (batchCancelBtn) batchCancelBtn.disabled = !batchJob || batchCancelRequested;
+}
+
+function toggleBatchPause() {
+  if (batchRunning) batchPauseRequested = true; // stops after the current item
+  else runBatch();
+  updateBatchUI();
+}
+
+function cancelBatch() {
+  if (batchRunning) {
+    batchCancelRequested = true;
+    cancelGeneration('batch'); // worker layers stop now, the rest after the current item
+  } else discardBatch().then(() => log('Batch cancelled.'));
+  updateBatchUI();
+}
+
+// Pick up a batch left unfinished by a reload (starts paused)
+async function restoreBatch() {
+  try {
+    batchJob = await loadJob();
+  } catch (_) {
+    batchJob = null;
+  }
+  if (batchJob) {
+    batchJob.dedupe ??= 'off';  // jobs stored before duplicate checks existed
+    batchJob.rejected ??= [];
+  }
+  if (batchJob) log(`Unfinished batch ${batchJob.next}/${batchJob.count} found. Press Resume to continue.`);
+  updateBatchUI();
+}
+
+// --------------------------
+// Undo/redo history
+// --------------------------
+// Each entry is a full stage snapshot (SVGs, seeds, options, attributes), so
+// stepping back restores exactly what was shown; nothing is regenerated.
+const HISTORY_LIMIT = 30;
+const stageHistory = createHistory(HISTORY_LIMIT);
+
+function snapshotStage(label) {
+  return {
+    label,
+    svg: lastSVG,
+    inlineSVG: lastInlineSVG,
+    single: lastWasSingle,
+    seed: lastSeed,
+    seedText: seedLabel?.textContent || '',
+    thumb: lastSVG ? svgToImageHref(lastSVG) : '',
+    layers: lastLayerIds.map(id => ({ id, ...snapshotLayer(id) })),
+  };
+}
+
+function recordHistory(label) {
+  stageHistory.push(snapshotStage(label));
+  renderTimeline();
+}
+
+function restoreStage(entry) {
+  if (!entry) return;
+  for (const layer of entry.layers) {
+    lastTraitSVG[layer.id] = layer.svg;
+    lastTraitAttributes[layer.id] = layer.attributes;
+    lastLayerOptions[layer.id] = layer.options;
+    lastLayerSeeds[layer.id] = layer.seed;
+    if (isLocked(layer.id)) setLocked(layer.id, true); // the lock follows what is on stage
+  }
+  lastSVG = entry.svg;
+  lastInlineSVG = entry.inlineSVG;
+  lastWasSingle = entry.single;
+  lastSeed = entry.seed;
+  lastLayerIds = entry.layers.map(l => l.id);
+  showSeed(entry.seedText);
+  if (stage) stage.innerHTML = lastSVG;
+  renderAttributes();
+  if (saveBtn) saveBtn.disabled = !lastSVG;
+  if (savePngBtn) savePngBtn.disabled = !lastSVG;
+  if (revealBtn) revealBtn.disabled = !lastSVG;
+  if (animExportBtn) animExportBtn.disabled = !lastSVG || !!animationExport;
+  if (saveJsonBtn) saveJsonBtn.disabled = !lastLayerIds.length;
+  renderTimeline();
+}
+
+function undo() { restoreStage(stageHistory.undo()); }
+function redo() { restoreStage(stageHistory.redo()); }
+
+function renderTimeline() {
+  if (undoBtn) undoBtn.disabled = !stageHistory.canUndo;
+  if (redoBtn) redoBtn.disabled = !stageHistory.canRedo;
+  if (!timeline) return;
+  timeline.innerHTML = '';
+  stageHistory.entries.forEach((entry, i) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.dataset.step = String(i);
+    btn.title = entry.label;
+    btn.setAttribute('aria-current', String(i === stageHistory.index));
+    if (entry.thumb) {
+      const img = document.createElement('img');
+      img.alt = entry.label;
+      img.src = entry.thumb;
+      btn.appendChild(img);
+    }
+    timeline.appendChild(btn);
+  });
+  timeline.querySelector('[aria-current="true"]')?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+// Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z or Ctrl+Y = redo. The page sets
+// body[data-history-scope="final"] while the Final Phil preview has focus;
+// it runs its own history there.
+function onHistoryKey(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (document.body.dataset.historyScope === 'final') return;
+  if (e.target.closest?.('input, select, textarea, [contenteditable]')) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redo();
+  }
 }
 
 // --------------------------
 // Wire up local UI buttons
 // --------------------------
-genBtn?.addEventListener('click', generate);
+restoreLockedLayers();
+buildLayerForm();
+announceLayers();
+const optionsReady = buildOptionsForms();
+recordHistory('Empty stage'); // first entry, so the first generate can be undone
+restoreBatch();
+
+genBtn?.addEventListener('click', () => { generate(); });
+if (animatedToggle) {
+  try { animatedToggle.checked = localStorage.getItem(ANIMATED_KEY) === '1'; } catch (_) { /* private mode */ }
+  animatedToggle.addEventListener('change', onAnimatedToggle);
+}
+rerollBtn?.addEventListener('click', () => { generate(null, { fresh: true }); });
+form?.addEventListener('click', (e) => {
+  const id = e.target.closest('[data-lock]')?.dataset.lock;
+  if (!id) return;
+  e.preventDefault(); // don't toggle the layer checkbox
+  setLocked(id, !isLocked(id));
+});
 saveBtn?.addEventListener('click', () => { save(); });
+saveJsonBtn?.addEventListener('click', saveMetadata);
 clearBtn?.addEventListener('click', clearStage);
+seedInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') generate(); });
+undoBtn?.addEventListener('click', undo);
+redoBtn?.addEventListener('click', redo);
+timeline?.addEventListener('click', (e) => {
+  const step = e.target.closest('[data-step]')?.dataset.step;
+  if (step !== undefined) restoreStage(stageHistory.go(Number(step)));
+});
+document.addEventListener('keydown', onHistoryKey);
+stage?.addEventListener('click', (e) => {
+  if (e.target.closest('[data-cancel]')) cancelStageGeneration();
+});
+issuesPanel?.addEventListener('click', (e) => {
+  const id = e.target.closest('[data-retry]')?.dataset.retry;
+  if (id) layerIssues.get(id)?.retry().catch(() => {}); // a new failure is flagged again
+});
+batchStartBtn?.addEventListener('click', () => { startBatch(); });
+batchPauseBtn?.addEventListener('click', toggleBatchPause);
+batchCancelBtn?.addEventListener('click', cancelBatch);
+animExportBtn?.addEventListener('click', () => { exportStageAnimation(); });
+animCancelBtn?.addEventListener('click', cancelAnimationExport);
+revealBtn?.addEventListener('click', () => { saveRevealSVG(); });
+rarityBtn?.addEventListener('click', () => { showRarityReport(); });
+saveRarityBtn?.addEventListener('click', () => { saveRarityReport(); });
+saveDiagnosticsBtn?.addEventListener('click', saveDiagnostics);
+swDevToggle?.addEventListener('change', toggleDevMode);
+updateReloadBtn?.addEventListener('click', () => { updateReloadBtn.disabled = true; applyUpdate(); });
+clearDiagnosticsBtn?.addEventListener('click', () => diagnostics.clear());
+updateDiagnosticsUI();
 
 // Click = quick export at 3300px; Shift+Click prompts custom size.
 savePngBtn?.addEventListener('click', (e) => {
@@ -340,27 +1427,203 @@ savePngBtn?.addEventListener('click', (e) => {
 });
 
 // --------------------------
-// Parent messaging bridge
+// Host messaging (utils/messageProtocol.js)
 // --------------------------
-window.addEventListener('message', (e) => {
-  // If you want to restrict, check e.origin === 'https://your-site'
-  const msg = e.data || {};
-  if (!msg || msg.source !== 'parent') return;
-
-  const trait = String(msg.trait || '').toLowerCase();
-  if (msg.kind === 'generate') {
-    if (!getLayerMeta(trait)) {
-      log(`(ignored) Unknown trait "${trait}"`);
-      return;
+// Only this page's origin and the ones listed in
+// <meta name="createphil-allowed-origins"> may drive the app or receive its events.
+const ALLOWED_ORIGINS = new Set([
+  location.origin,
+  ...parseOriginList(document.querySelector('meta[name="createphil-allowed-origins"]')?.content),
+]);
+let hostOrigin = null; // origin of the embedding page, once it has sent a request
+
+// Events go to this window (same-origin listeners) and to the embedding page
+function emit(event, data) {
+  const msg = makeEvent(event, data);
+  try { window.postMessage(msg, location.origin); } catch (e) {}
+  if (window.parent === window) return;
+  const targets = hostOrigin ? [hostOrigin] : [...ALLOWED_ORIGINS];
+  for (const origin of targets) {
+    try { window.parent.postMessage(msg, origin); } catch (e) {}
+  }
+}
+
+function requireTrait(params) {
+  const trait = String(params.trait || '').toLowerCase();
+  if (!getLayerMeta(trait)) throw new ProtocolError(ERROR_CODES.unknownTrait, `Unknown trait "${trait}"`);
+  return trait;
+}
+
+// { key: value } checked against the trait's OPTIONS schema; null/"" clears a field
+function validateOptions(trait, options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new ProtocolError(ERROR_CODES.badRequest, `options for ${trait} must be an object`);
+  }
+  const schema = layerOptionSpecs[trait] || {};
+  const out = {};
+  for (const [key, raw] of Object.entries(options)) {
+    const spec = schema[key];
+    if (!spec) throw new ProtocolError(ERROR_CODES.badRequest, `${trait} has no option "${key}"`);
+    const value = coerceOptionValue(spec, raw === null ? '' : String(raw));
+    if (value !== undefined) {
+      const ok = spec.type === 'number' ? Number.isFinite(value)
+        && (spec.min === undefined || value >= spec.min) && (spec.max === undefined || value <= spec.max)
+        : spec.type === 'boolean' || spec.values.includes(value);
+      if (!ok) throw new ProtocolError(ERROR_CODES.badRequest, `Invalid value ${JSON.stringify(raw)} for ${trait}.${key}`);
     }
-    generateOne(trait);
+    out[key] = value ?? null;
   }
+  return out;
+}
 
-  if (msg.kind === 'save') {
-    if (!getLayerMeta(trait)) {
-      log(`(ignored) Unknown trait "${trait}"`);
-      return;
+function validateLayerOptions(options, ids) {
+  if (options === undefined || options === null) return null;
+  if (typeof options !== 'object') throw new ProtocolError(ERROR_CODES.badRequest, 'options must be an object keyed by layer id');
+  return Object.fromEntries(Object.entries(options).map(([id, o]) => {
+    const trait = requireTrait({ trait: id });
+    if (!ids.includes(trait)) throw new ProtocolError(ERROR_CODES.badRequest, `options given for ${trait}, which is not being generated`);
+    const pinned = validateOptions(trait, o);
+    return [trait, Object.fromEntries(Object.entries(pinned).filter(([, v]) => v !== null))];
+  }));
+}
+
+function currentOptions(trait) {
+  return trait ? { [trait]: getLayerOptions(trait) } : Object.fromEntries(LAYERS.map(l => [l.id, getLayerOptions(l.id)]));
+}
+
+const commandHandlers = {
+  async hello() {
+    await optionsReady;
+    return {
+      protocol: PROTOCOL,
+      versions: SUPPORTED_VERSIONS,
+      commands: COMMANDS,
+      events: EVENTS,
+      exportFormats: EXPORT_FORMATS,
+      layers: LAYERS.map(({ id, name, z, checked }) => ({ id, name, z, checked, options: layerOptionSpecs[id] || {} })),
+    };
+  },
+
+  async generate({ seed, layers, options }) {
+    await optionsReady;
+    let ids = null;
+    if (layers !== undefined && layers !== null) {
+      if (!Array.isArray(layers)) throw new ProtocolError(ERROR_CODES.badRequest, 'layers must be an array of layer ids');
+      ids = layers.map(id => requireTrait({ trait: id }));
+    }
+    const overrides = validateLayerOptions(options, ids || [...getSelectedIdsSet()]);
+    const result = await generateStage(seed ?? null, { fresh: seed === undefined ? false : seed === null, ids, options: overrides });
+    if (!result) throw new ProtocolError(ERROR_CODES.cancelled, 'Generation was cancelled or had no layers');
+    return { seed: result.seed, svg: lastSVG, metadata: buildMetadata(), failed: result.failed };
+  },
+
+  async generateLayer(params) {
+    await optionsReady;
+    const trait = requireTrait(params);
+    if (isLocked(trait) && lastTraitSVG[trait]) throw new ProtocolError(ERROR_CODES.locked, `${trait} is locked`);
+    const options = params.options ? validateOptions(trait, params.options) : undefined;
+    const result = await generateOne(trait, params.seed, options && Object.fromEntries(Object.entries(options).filter(([, v]) => v !== null)));
+    if (!result) throw new ProtocolError(ERROR_CODES.cancelled, `${trait} generation was cancelled`);
+    return result;
+  },
+
+  getSeed() {
+    return { seed: lastSeed, layerSeeds: { ...lastLayerSeeds }, requested: requestedSeed() };
+  },
+
+  setSeed({ seed }) {
+    const normalized = normalizeSeed(seed);
+    if (seed !== null && seed !== undefined && seed !== '' && normalized === null) {
+      throw new ProtocolError(ERROR_CODES.badRequest, `Invalid seed ${JSON.stringify(seed)}`);
+    }
+    if (seedInput) seedInput.value = normalized ?? '';
+    return { seed: normalized };
+  },
+
+  async getOptions({ trait } = {}) {
+    await optionsReady;
+    const id = trait === undefined ? null : requireTrait({ trait });
+    return { options: currentOptions(id), schema: id ? (layerOptionSpecs[id] || {}) : { ...layerOptionSpecs } };
+  },
+
+  async setOptions(params) {
+    await optionsReady;
+    const trait = requireTrait(params);
+    const options = validateOptions(trait, params.options);
+    for (const [key, value] of Object.entries(options)) {
+      const el = optionsPanel?.querySelector(`[data-layer="${trait}"][data-option="${key}"]`);
+      if (el) el.value = value === null ? '' : String(value);
+    }
+    return { options: getLayerOptions(trait) };
+  },
+
+  async export({ format = 'svg', size } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ProtocolError(ERROR_CODES.badRequest, `format must be one of ${EXPORT_FORMATS.join(', ')}`);
     }
-    saveOne(trait);
+    if (!lastSVG) throw new ProtocolError(ERROR_CODES.nothingToExport, 'Nothing on the stage yet');
+    if (format === 'svg') {
+      return { format, mime: 'image/svg+xml', filename: 'phil.svg', data: await exportSVG() };
+    }
+    if (format === 'json') {
+      if (!lastLayerIds.length) throw new ProtocolError(ERROR_CODES.nothingToExport, 'No layer metadata on the stage');
+      return { format, mime: 'application/json', filename: 'phil.json', data: await exportMetadata() };
+    }
+    const px = size === undefined ? 1024 : Number(size);
+    if (!Number.isInteger(px) || px < 16 || px > 8192) {
+      throw new ProtocolError(ERROR_CODES.badRequest, `size must be a whole number from 16 to 8192, got ${JSON.stringify(size)}`);
+    }
+    const canvas = await rasterizeSVG(await stageVectorSVG(), px);
+    return { format, mime: 'image/png', filename: 'phil.png', size: px, data: canvas.toDataURL('image/png') };
+  },
+
+  async saveLayer(params) {
+    const trait = requireTrait(params);
+    const svg = await saveOne(trait);
+    if (!svg) throw new ProtocolError(ERROR_CODES.cancelled, `${trait} was not generated`);
+    return { trait, svg };
+  },
+};
+
+async function handleRequest(msg) {
+  if (!SUPPORTED_VERSIONS.includes(msg.version)) {
+    throw new ProtocolError(ERROR_CODES.unsupportedVersion, `Protocol version ${msg.version} is not supported (supported: ${SUPPORTED_VERSIONS.join(', ')})`);
+  }
+  if (typeof msg.id !== 'string' && typeof msg.id !== 'number') {
+    throw new ProtocolError(ERROR_CODES.badRequest, 'Request needs an id');
   }
-});
\ No newline at end of file
+  const handler = Object.hasOwn(commandHandlers, msg.command) ? commandHandlers[msg.command] : null;
+  if (!handler) throw new ProtocolError(ERROR_CODES.unknownCommand, `Unknown command "${msg.command}"`);
+  const params = msg.params ?? {};
+  if (typeof params !== 'object' || Array.isArray(params)) throw new ProtocolError(ERROR_CODES.badRequest, 'params must be an object');
+  return handler(params);
+}
+
+// Pre-protocol messages ({ source: 'parent', kind: 'generate'|'save', trait }),
+// still accepted from allowed origins; there is no reply.
+function handleLegacyMessage(msg) {
+  const command = msg.kind === 'generate' ? 'generateLayer' : msg.kind === 'save' ? 'saveLayer' : null;
+  if (!command) return;
+  commandHandlers[command](msg).catch(err => log(`(ignored) ${err?.message || err}`));
+}
+
+window.addEventListener('message', (e) => {
+  if (!ALLOWED_ORIGINS.has(e.origin)) return;
+  const msg = e.data;
+  if (msg?.source === 'parent') {
+    handleLegacyMessage(msg);
+    return;
+  }
+  if (!isProtocolMessage(msg) || msg.type !== 'request') return;
+  if (e.source === window.parent && window.parent !== window) hostOrigin = e.origin;
+
+  const reply = (payload) => {
+    try { e.source?.postMessage(payload, e.origin); } catch (err) { console.warn('Could not reply to', e.origin, err); }
+  };
+  handleRequest(msg).then(
+    result => reply(makeResponse(msg.id, result ?? null)),
+    err => reply(makeError(msg.id, err?.name === 'AbortError' ? new ProtocolError(ERROR_CODES.cancelled, 'Cancelled') : err)),
+  );
+});
+
+emit('ready', { versions: SUPPORTED_VERSIONS });
@@ -0,0 +1,23 @@
+// cli/cdnLoader.js
+// Node module-resolution hook (registered by cli/nodeEnv.js). Traits import
+// browser builds straight from CDNs, e.g. https://cdn.skypack.dev/d3-delaunay@6;
+// Node can't import https: URLs, so those resolve to the installed npm package.
+
+const CDN_RE = /^https:\/\/(?:cdn\.skypack\.dev|esm\.sh|unpkg\.com|cdn\.jsdelivr\.net\/npm)\/((?:@[^/@]+\/)?[^/@?]+)(?:@[^/?]*)?(\/[^?]*)?/;
+
+/**
+ * @param {string} specifier - What the module imports.
+ * @param {Object} context - Resolution context.
+ * @param {Function} nextResolve - Default resolver.
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const match = CDN_RE.exec(specifier);
+    if (!match) return nextResolve(specifier, context);
+
+    const [, pkg, subpath = ""] = match;
+    try {
+        return await nextResolve(pkg + subpath, { ...context, parentURL: import.meta.url });
+    } catch (err) {
+        throw new Error(`${specifier} maps to the npm package "${pkg}", which is not installed (npm install ${pkg})`, { cause: err });
+    }
+}
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// cli/clippingCheck.js
+// Checks that utils/polygonClipping.js draws the same Phil on both engines:
+// renders the layers that clip (phil, teeth) for a fixed set of seeds with
+// ClipperLib (clipper-lib, installed as a global by cli/nodeEnv.js) and again
+// on the built-in engine (utils/polygonSweep.js), and compares the SVG.
+//
+//   node cli/clippingCheck.js              seeds 1–40
+//   node cli/clippingCheck.js 7 42 abc     just these seeds
+//
+// Exit code 0 when every SVG matches, 1 on a difference, 2 without clipper-lib.
+
+import { createPipeline } from "./pipeline.js";
+
+const LAYERS = ["phil", "teeth"];
+const DEFAULT_SEEDS = Array.from({ length: 40 }, (_, i) => String(i + 1));
+const CONTEXT = 60; // characters shown around a difference
+
+// Both renders around the first character where they part
+function firstDifference(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    const from = Math.max(0, i - CONTEXT);
+    return { at: i, clipper: a.slice(from, i + CONTEXT), builtin: b.slice(from, i + CONTEXT) };
+}
+
+async function main(seeds) {
+    const pipeline = await createPipeline();
+    if (!pipeline.clipper) {
+        console.error("clipper-lib is not installed (npm install clipper-lib); nothing to compare against.");
+        return 2;
+    }
+    const clipperLib = globalThis.ClipperLib;
+    const render = async (seed, lib) => {
+        globalThis.ClipperLib = lib;
+        if (!lib) delete globalThis.ClipperLib; // "auto" then picks the built-in engine
+        try {
+            return await pipeline.renderLayers(seed, LAYERS);
+        } finally {
+            globalThis.ClipperLib = clipperLib;
+        }
+    };
+
+    let differing = 0;
+    for (const seed of seeds) {
+        const withClipper = await render(seed, clipperLib);
+        const builtin = await render(seed, null);
+        const failures = [...withClipper.failures, ...builtin.failures];
+        if (failures.length) {
+            differing++;
+            for (const message of failures) console.error(`✗ seed ${seed} ${message}`);
+            continue;
+        }
+        for (const id of LAYERS) {
+            const a = withClipper.layers.find((l) => l.id === id).svg;
+            const b = builtin.layers.find((l) => l.id === id).svg;
+            if (a === b) continue;
+            differing++;
+            const diff = firstDifference(a, b);
+            console.error(`✗ seed ${seed} ${id} differs at character ${diff.at}:\n  clipper: …${diff.clipper}…\n  builtin: …${diff.builtin}…`);
+        }
+    }
+
+    const total = seeds.length * LAYERS.length;
+    if (differing) {
+        console.error(`${differing} of ${total} renders differ between ClipperLib and the built-in engine.`);
+        return 1;
+    }
+    console.log(`✓ ${LAYERS.join(" and ")} match on both engines for ${seeds.length} seed${seeds.length === 1 ? "" : "s"}.`);
+    return 0;
+}
+
+const args = process.argv.slice(2);
+main(args.length ? args : DEFAULT_SEEDS).then((code) => {
+    process.exitCode = code;
+}, (err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
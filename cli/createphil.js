@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// cli/createphil.js
+// Headless Phil generation for scripts and build servers:
+//
+//   createphil generate --seed 42 --layers bg,phil,eyes --count 50 --out ./out --png 1024
+//   createphil serve --port 8787          (render endpoint, see cli/server.js)
+//
+// Runs the same trait modules as the page (through the shims in cli/nodeEnv.js)
+// and stacks them with the same rules as app.js (utils/composeUtils.js), so a
+// seed gives the same SVG here as in the browser. With --count 1 the seed is the
+// composite's seed (like Generate); with more, item i uses the Batch panel's
+// per-item seed.
+
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { createPipeline, InputError, loadRasterizer, RasterError } from "./pipeline.js";
+import { createRenderServer } from "./server.js";
+import { batchItemSeed } from "../utils/composeUtils.js";
+import { normalizeSeed, randomSeed } from "../utils/seedUtils.js";
+
+const USAGE = `Usage: createphil <command> [options]
+
+Commands:
+  generate    Write Phils as SVG + metadata JSON (and optionally PNG)
+  layers      List the layers in traits/manifest.json and their options
+  serve       Run the local render server (/phil.svg, /phil.png, /phil.json, /trait/:id.svg)
+
+Options for generate:
+  --seed <seed>         Master seed (default: random)
+  --layers <ids>        Comma-separated layer ids (default: layers checked by default)
+  --count <n>           How many Phils (default: 1)
+  --out <dir>           Output directory (default: ./out)
+  --png <px>            Also write a <px>×<px> PNG (needs @resvg/resvg-js)
+  --option <id.key=v>   Pin a trait option, e.g. --option eyes.palette=3 (repeatable)
+  --animated            Animated SVG (SMIL): same drawing, with motion; PNGs stay stills
+
+Options for serve:
+  --port <n>            Port (default: 8787)
+  --host <addr>         Interface (default: 127.0.0.1)
+
+  -h, --help            Show this help`;
+
+class UsageError extends Error {}
+
+function fail(message) {
+    throw new UsageError(message);
+}
+
+// --------------------------
+// Arguments
+// --------------------------
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            seed: { type: "string" },
+            layers: { type: "string" },
+            count: { type: "string", default: "1" },
+            out: { type: "string", default: "./out" },
+            png: { type: "string" },
+            option: { type: "string", multiple: true, default: [] },
+            animated: { type: "boolean", default: false },
+            port: { type: "string", default: "8787" },
+            host: { type: "string", default: "127.0.0.1" },
+            help: { type: "boolean", short: "h" },
+        },
+    });
+    return { command: positionals[0], values };
+}
+
+function positiveInt(raw, flag) {
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 1) fail(`${flag} must be a positive whole number, got "${raw}"`);
+    return n;
+}
+
+// --option eyes.palette=3 → ["eyes.palette", "3"]
+function optionPairs(raw) {
+    return raw.map((pair) => {
+        const eq = pair.indexOf("=");
+        if (eq < 1) fail(`--option expects <layer>.<key>=<value>, got "${pair}"`);
+        return [pair.slice(0, eq), pair.slice(eq + 1)];
+    });
+}
+
+// --------------------------
+// Generation
+// --------------------------
+async function generate(values) {
+    const pipeline = await createPipeline();
+    const ids = pipeline.selectLayers(values.layers);
+    if (!ids.length) fail("No layers selected (use --layers)");
+
+    const count = positiveInt(values.count, "--count");
+    const pngSize = values.png === undefined ? 0 : positiveInt(values.png, "--png");
+    const seed = normalizeSeed(values.seed) ?? String(randomSeed());
+    const outDir = path.resolve(values.out);
+
+    const options = await pipeline.parseOptions(optionPairs(values.option), ids);
+    if (values.animated) for (const id of ids) options[id].isStatic = false; // as createPhil.js does for `animated`
+    const rasterize = pngSize ? await loadRasterizer() : null;
+    await mkdir(outDir, { recursive: true });
+
+    console.log(`Seed ${seed} · layers ${ids.join(",")} · ${count} Phil${count === 1 ? "" : "s"} → ${outDir}`);
+    const width = Math.max(4, String(count).length);
+    let failed = 0;
+
+    for (let index = 1; index <= count; index++) {
+        const itemSeed = count === 1 ? seed : batchItemSeed(seed, index);
+        const name = count === 1 ? `phil-${seed}`.replace(/[^\w.-]+/g, "_") : `phil-${String(index).padStart(width, "0")}`;
+
+        const { svg, metadata, failures } = await pipeline.renderPhil(itemSeed, ids, options);
+        for (const message of failures) console.error(`✗ ${name} ${message}`);
+        if (failures.length) failed++;
+        if (!svg) continue;
+
+        // batch items also record their position and the batch seed, like the ZIP export
+        const json = count === 1 ? metadata : { index, ...metadata, batchSeed: seed };
+        const files = [`${name}.svg`, `${name}.json`];
+        await writeFile(path.join(outDir, `${name}.svg`), svg);
+        await writeFile(path.join(outDir, `${name}.json`), JSON.stringify(json, null, 2));
+        if (rasterize) {
+            try {
+                await writeFile(path.join(outDir, `${name}.png`), await rasterize(svg, pngSize));
+                files.push(`${name}.png`);
+            } catch (err) {
+                if (!(err instanceof RasterError)) throw err;
+                console.error(`✗ ${name}.png ${err.message}`);
+                if (!failures.length) failed++;
+            }
+        }
+        console.log(`✓ ${files.join(", ")} (seed ${itemSeed})`);
+    }
+
+    if (failed) {
+        console.error(`${failed} of ${count} Phil${count === 1 ? "" : "s"} had failed layers or PNGs.`);
+        process.exitCode = 1;
+    }
+}
+
+async function serve(values) {
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) fail(`--port must be 0–65535, got "${values.port}"`);
+    const server = await createRenderServer();
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, values.host, resolve);
+    });
+    const { address, port: bound } = server.address();
+    const host = address.includes(":") ? `[${address}]` : address;
+    console.log(`Phil render server on http://${host}:${bound}/ (Ctrl+C to stop)`);
+}
+
+function describeOption(spec) {
+    const { values } = spec;
+    if (values) {
+        const consecutive = values.every((v, i) => typeof v === "number" && v === values[0] + i);
+        return consecutive && values.length > 3 ? `${values[0]}–${values[values.length - 1]}` : `one of ${values.join("|")}`;
+    }
+    return spec.type === "number" ? `${spec.min ?? ""}–${spec.max ?? ""}` : spec.type;
+}
+
+async function listLayers() {
+    const pipeline = await createPipeline();
+    for (const layer of pipeline.manifest) {
+        const flags = [layer.checked && "default", layer.worker && "worker"].filter(Boolean).join(", ");
+        console.log(`${layer.id.padEnd(8)} ${layer.name} (z ${layer.z}${flags ? `, ${flags}` : ""})`);
+        let mod;
+        try {
+            ({ [layer.id]: mod } = await pipeline.importLayers([layer.id]));
+        } catch (err) {
+            console.log(`         ⚠️ cannot load: ${err?.message || err}`);
+            continue;
+        }
+        for (const [key, spec] of Object.entries(mod.OPTIONS || {})) {
+            console.log(`         ${layer.id}.${key}  ${spec.label || key}: ${describeOption(spec)}`);
+        }
+    }
+}
+
+// --------------------------
+// Entry point
+// --------------------------
+async function main(argv) {
+    let command, values;
+    try {
+        ({ command, values } = parseCommandLine(argv));
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    if (values.help || !command || command === "help") {
+        console.log(USAGE);
+        return;
+    }
+    if (command === "generate") return generate(values);
+    if (command === "layers") return listLayers();
+    if (command === "serve") return serve(values);
+    fail(`Unknown command "${command}"`);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+    if (err instanceof UsageError || err instanceof InputError) {
+        console.error(`createphil: ${err.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+    } else {
+        console.error(`createphil: ${err?.message || err}`);
+        process.exitCode = 1;
+    }
+});
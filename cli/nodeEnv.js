@@ -0,0 +1,72 @@
+// cli/nodeEnv.js
+// The few browser facilities traits still expect, provided under Node so the
+// trait modules run unchanged:
+//   - fetch() of page-relative URLs ("./traits_json/…", "/traits_json/…") and
+//     file: URLs (the manifest) reads from the project directory;
+//   - CDN imports resolve to installed npm packages (cli/cdnLoader.js);
+//   - the global ClipperLib when clipper-lib is installed (optional:
+//     utils/polygonClipping.js gives the same results without it).
+// Geometry no longer needs a DOM (utils/pathGeometry.js) and seeds use
+// globalThis.crypto, which Node has.
+
+import { readFile } from "node:fs/promises";
+import { createRequire, register } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const require = createRequire(import.meta.url);
+
+export const PROJECT_ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+const MIME = { ".json": "application/json", ".svg": "image/svg+xml", ".js": "text/javascript" };
+
+let installed = false;
+
+// Page-relative or file: URL → absolute file path; null for real network URLs
+function localPath(input, root) {
+    const url = String(input instanceof Request ? input.url : input);
+    if (url.startsWith("file:")) return fileURLToPath(url);
+    if (/^[a-z][a-z\d+.-]*:/i.test(url)) return null;
+    const pathname = url.split(/[?#]/)[0].replace(/^\.?\//, "");
+    const file = path.resolve(root, decodeURIComponent(pathname));
+    if (!file.startsWith(root)) return null; // "../" escapes stay off the disk
+    return file;
+}
+
+/**
+ * Installs the shims (idempotent).
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory page-relative URLs resolve against (the project root).
+ * @returns {{ root: string, clipper: boolean }} What was installed; `clipper` is false when
+ *   the clipper-lib package is missing (clipping then runs on the built-in engine).
+ */
+export function installNodeEnv({ root = PROJECT_ROOT } = {}) {
+    const base = path.resolve(root) + path.sep;
+    if (installed) return { root: base, clipper: !!globalThis.ClipperLib };
+    installed = true;
+
+    const networkFetch = globalThis.fetch;
+    globalThis.fetch = async (input, init) => {
+        const file = localPath(input, base);
+        if (!file) return networkFetch(input, init);
+        try {
+            const body = await readFile(file);
+            return new Response(body, { status: 200, headers: { "content-type": MIME[path.extname(file)] || "application/octet-stream" } });
+        } catch (err) {
+            if (err.code !== "ENOENT" && err.code !== "EISDIR") throw err;
+            return new Response("Not found", { status: 404, statusText: "Not Found" });
+        }
+    };
+
+    register("./cdnLoader.js", import.meta.url);
+
+    if (!globalThis.ClipperLib) {
+        try {
+            globalThis.ClipperLib = require("clipper-lib");
+        } catch (_) {
+            // optional: polygonClipping.js falls back to its built-in engine
+        }
+    }
+    return { root: base, clipper: !!globalThis.ClipperLib };
+}
+
@@ -0,0 +1,269 @@
+// cli/pipeline.js
+// Node side of the generation pipeline, shared by the CLI and the render
+// server: manifest → trait modules → layers on per-layer sub-seeds → composite
+// (utils/composeUtils.js, same as app.js) → metadata, and PNG via resvg (in
+// a child process, cli/rasterWorker.js).
+// Outlines are read from traits_json/ up front and handed to the traits
+// through utils/outlineLoader.js.
+
+import { fork } from "node:child_process";
+import { readFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { installNodeEnv } from "./nodeEnv.js";
+import { compose, layerSeed, normalizeTraitResult, svgToImageHref } from "../utils/composeUtils.js";
+import { attributeFingerprint } from "../utils/dedupeUtils.js";
+import { coerceOptionValue } from "../utils/optionUtils.js";
+import { configureOutlines, OUTLINE_NAMES, validateOutline } from "../utils/outlineLoader.js";
+import { toTraitError } from "../utils/traitErrors.js";
+import { importTraitModule, loadManifest } from "../utils/traitRegistry.js";
+
+/** Bad input from the caller (unknown layer or option); the CLI prints usage, the server answers 400. */
+export class InputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "InputError";
+    }
+}
+
+// Same check as validateOptions() in app.js, plus whole numbers where the
+// step is 1, so a bad value is the caller's error rather than the trait's
+function fitsSpec(spec, value) {
+    if (spec.type === "number") {
+        return Number.isFinite(value) && (spec.step !== 1 || Number.isInteger(value))
+            && (spec.min === undefined || value >= spec.min) && (spec.max === undefined || value <= spec.max);
+    }
+    return spec.type === "boolean" || !spec.values || spec.values.includes(value);
+}
+
+function describeSpec(spec) {
+    if (spec.type === "number") {
+        const kind = spec.step === 1 ? "a whole number" : "a number";
+        return spec.min !== undefined || spec.max !== undefined ? `${kind} from ${spec.min ?? "-∞"} to ${spec.max ?? "∞"}` : kind;
+    }
+    return spec.type === "boolean" ? "true or false" : `one of ${spec.values.join(", ")}`;
+}
+
+// The outlines in <root>/traits_json that parse and pass the schema check.
+// The others are left to the traits' own fetch, so only their layers fail.
+async function readOutlines(root) {
+    const outlines = {};
+    await Promise.all(OUTLINE_NAMES.map(async (name) => {
+        try {
+            const file = path.join(root, "traits_json", `${name}Outline.json`);
+            outlines[name] = validateOutline(JSON.parse(await readFile(file, "utf8")), { name });
+        } catch (_) {
+            // reported by the layer that needs it
+        }
+    }));
+    return outlines;
+}
+
+/**
+ * Loads the manifest and the outlines and returns the generation helpers.
+ * @param {Object} [params]
+ * @param {Object<string, Object>} [params.outlines] - Outlines by name (e.g. `{ nose: { pathData } }`)
+ *   used instead of the files in traits_json/.
+ * @returns {Promise<Object>} `{ manifest, clipper, selectLayers, importLayers, parseOptions, renderLayers, renderPhil, loadRasterizer }`
+ */
+export async function createPipeline({ outlines = {} } = {}) {
+    const { root, clipper } = installNodeEnv();
+    configureOutlines({ outlines: { ...await readOutlines(root), ...outlines } });
+    const manifest = await loadManifest();
+    const modules = new Map(); // id -> Promise<module>
+
+    const layerName = (id) => manifest.find((l) => l.id === id)?.name || id;
+
+    /**
+     * Layer ids in manifest z-order, whatever order they were given in.
+     * @param {string|string[]} [raw] - Comma-separated ids (or an array); omitted = default-checked layers.
+     * @returns {string[]}
+     */
+    function selectLayers(raw) {
+        if (raw === undefined || raw === null || raw === "") return manifest.filter((l) => l.checked).map((l) => l.id);
+        const list = Array.isArray(raw) ? raw : String(raw).split(",");
+        const wanted = new Set(list.map((id) => id.trim().toLowerCase()).filter(Boolean));
+        const known = new Set(manifest.map((l) => l.id));
+        const unknown = [...wanted].filter((id) => !known.has(id));
+        if (unknown.length) throw new InputError(`Unknown layer(s) ${unknown.join(", ")} (known: ${[...known].join(", ")})`);
+        return manifest.map((l) => l.id).filter((id) => wanted.has(id));
+    }
+
+    /**
+     * Imports trait modules once per process.
+     * @param {string[]} ids - Layer ids.
+     * @returns {Promise<Object>} id -> module namespace.
+     */
+    async function importLayers(ids) {
+        const out = {};
+        for (const id of ids) {
+            const meta = manifest.find((l) => l.id === id);
+            if (!meta) throw new InputError(`Unknown layer "${id}"`);
+            if (!modules.has(id)) {
+                const loading = importTraitModule(meta).then((mod) => {
+                    if (typeof mod.generateTrait !== "function") throw new Error(`${meta.name} trait has no generateTrait()`);
+                    return mod;
+                }, (err) => {
+                    throw new Error(`Could not load the ${meta.name} trait: ${err?.message || err}`, { cause: err });
+                });
+                loading.catch(() => modules.delete(id));
+                modules.set(id, loading);
+            }
+            out[id] = await modules.get(id);
+        }
+        return out;
+    }
+
+    /**
+     * Typed per-layer options from `<layer>.<key>` = value pairs, checked against
+     * each trait's OPTIONS schema (keys, choices, number ranges).
+     * @param {Array<[string, string]>} pairs - e.g. [["eyes.palette", "3"]].
+     * @param {string[]} ids - Layers being generated.
+     * @returns {Promise<Object>} id -> { key: value }.
+     * @throws {InputError} On an unknown layer or key, or a value the schema rejects.
+     */
+    async function parseOptions(pairs, ids) {
+        const loaded = await importLayers(ids);
+        const options = Object.fromEntries(ids.map((id) => [id, {}]));
+        for (const [name, raw] of pairs) {
+            const match = /^([\w-]+)\.([\w-]+)$/.exec(name);
+            if (!match) throw new InputError(`Option "${name}" must look like <layer>.<key>`);
+            const [, id, key] = match;
+            if (!options[id]) throw new InputError(`Option ${name}: layer "${id}" is not being generated`);
+            const spec = loaded[id].OPTIONS?.[key];
+            if (!spec) throw new InputError(`Option ${name}: ${id} has no option "${key}"`);
+            const value = coerceOptionValue(spec, raw);
+            if (value !== undefined && !fitsSpec(spec, value)) {
+                throw new InputError(`Option ${name}: invalid value "${raw}" (expected ${describeSpec(spec)})`);
+            }
+            options[id][key] = value;
+        }
+        return options;
+    }
+
+    /**
+     * Same contract as renderLayers() in app.js: layers in z-order, each on its
+     * own sub-seed; a failed layer is reported and left out.
+     * @param {string} masterSeed - Composite seed.
+     * @param {string[]} ids - Layer ids in z-order.
+     * @param {Object} [options] - id -> pinned options.
+     * @returns {Promise<{layers: Array<Object>, failures: string[]}>}
+     */
+    async function renderLayers(masterSeed, ids, options = {}) {
+        const loaded = await importLayers(ids);
+        const failures = [];
+        const layers = await Promise.all(ids.map(async (id) => {
+            const seed = layerSeed(masterSeed, id);
+            const layerOptions = options[id] || {};
+            try {
+                const { svg, attributes } = normalizeTraitResult(await loaded[id].generateTrait({ ...layerOptions, seed }));
+                return { id, name: layerName(id), seed, options: layerOptions, attributes, svg };
+            } catch (err) {
+                const error = toTraitError(err, id);
+                failures.push(`${id} (${error.code}): ${error.message}`);
+                return null;
+            }
+        }));
+        return { layers: layers.filter(Boolean), failures };
+    }
+
+    /**
+     * One composite with its metadata (the shape of the page's phil.json plus `fingerprint`).
+     * @param {string} masterSeed - Composite seed.
+     * @param {string[]} ids - Layer ids in z-order.
+     * @param {Object} [options] - id -> pinned options.
+     * @returns {Promise<{svg: string, metadata: Object, layers: Array<Object>, failures: string[]}>}
+     *   `svg` is "" when no layer rendered.
+     */
+    async function renderPhil(masterSeed, ids, options = {}) {
+        const { layers, failures } = await renderLayers(masterSeed, ids, options);
+        const metadataLayers = layers.map(({ id, name, seed, options: o, attributes }) => ({ id, name, seed, options: o, attributes }));
+        const metadata = { seed: masterSeed, layers: metadataLayers, fingerprint: attributeFingerprint(metadataLayers) };
+        const svg = layers.length ? compose(layers.map((l) => svgToImageHref(l.svg))) : "";
+        return { svg, metadata, layers, failures };
+    }
+
+    return { manifest, clipper, selectLayers, importLayers, parseOptions, renderLayers, renderPhil, loadRasterizer };
+}
+
+const RASTER_WORKER = fileURLToPath(new URL("./rasterWorker.js", import.meta.url));
+
+/** A PNG that could not be drawn: resvg rejected the SVG, or crashed on it. */
+export class RasterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "RasterError";
+    }
+}
+
+let rasterizer = null;
+
+/**
+ * PNG renderer backed by @resvg/resvg-js (optional dependency). resvg runs in
+ * a child process (cli/rasterWorker.js), one render at a time: on SVGs that
+ * make it panic, the render rejects with a RasterError and the next one
+ * starts a fresh process. Between renders the process does not keep Node alive.
+ * @returns {Promise<function(string, number): Promise<Buffer>>} (svg, size) -> PNG bytes.
+ * @throws {Error} When @resvg/resvg-js is not installed.
+ */
+export async function loadRasterizer() {
+    if (rasterizer) return rasterizer;
+    try {
+        createRequire(import.meta.url).resolve("@resvg/resvg-js");
+    } catch (err) {
+        throw new Error("PNG output needs the @resvg/resvg-js package (npm install @resvg/resvg-js)", { cause: err });
+    }
+
+    let child = null;
+    let stderr = "";
+    let queue = Promise.resolve();
+
+    const idle = (proc) => {
+        proc.unref();
+        proc.channel?.unref();
+        proc.stderr.unref();
+    };
+    const start = () => {
+        const proc = fork(RASTER_WORKER, [], { serialization: "advanced", stdio: ["ignore", "inherit", "pipe", "ipc"] });
+        stderr = "";
+        proc.stderr.setEncoding("utf8");
+        proc.stderr.on("data", (text) => { stderr = (stderr + text).slice(-4096); });
+        proc.on("exit", () => { if (child === proc) child = null; });
+        idle(proc);
+        return proc;
+    };
+
+    const render = (svg, size) => new Promise((resolve, reject) => {
+        const proc = child ??= start();
+        const settle = () => {
+            proc.off("message", onMessage);
+            proc.off("close", onClose);
+            idle(proc);
+        };
+        const onMessage = ({ png, error }) => {
+            settle();
+            if (error) reject(new RasterError(`resvg: ${error}`));
+            else resolve(Buffer.from(png));
+        };
+        // "close" rather than "exit": stderr (the panic message) is complete by then
+        const onClose = (code, signal) => {
+            settle();
+            const panic = /panicked at [^\n]*\n([^\n]+)/.exec(stderr)?.[1];
+            reject(new RasterError(`resvg ${signal ? `crashed (${signal})` : `exited with code ${code}`}${panic ? `: ${panic}` : ""}`));
+        };
+        proc.on("message", onMessage);
+        proc.on("close", onClose);
+        proc.ref();
+        proc.channel?.ref();
+        proc.stderr.ref();
+        proc.send({ svg, size });
+    });
+
+    rasterizer = (svg, size) => {
+        const job = queue.then(() => render(svg, size));
+        queue = job.catch(() => {});
+        return job;
+    };
+    return rasterizer;
+}
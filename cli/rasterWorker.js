@@ -0,0 +1,15 @@
+// cli/rasterWorker.js
+// Child process behind loadRasterizer() (cli/pipeline.js): SVG → PNG with
+// resvg, one request at a time over IPC. resvg aborts its process on some
+// inputs (a Rust panic that JS cannot catch), so it runs here, where a crash
+// only ends this process and the caller gets an error instead.
+
+import { Resvg } from "@resvg/resvg-js";
+
+process.on("message", ({ svg, size }) => {
+    try {
+        process.send({ png: new Resvg(svg, { fitTo: { mode: "width", value: size } }).render().asPng() });
+    } catch (err) {
+        process.send({ error: String(err?.message || err) });
+    }
+});
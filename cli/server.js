@@ -0,0 +1,223 @@
+// cli/server.js
+// Local HTTP render endpoint (`createphil serve`) so other tools can request
+// Phils without embedding the page. Same pipeline as the CLI (cli/pipeline.js);
+// nothing leaves the machine.
+//
+//   GET /phil.svg?seed=42&layers=bg,phil,eyes&eyes.palette=3
+//   GET /phil.png?seed=42&size=1024
+//   GET /phil.json?seed=42            metadata (phil.json shape + fingerprint)
+//   GET /trait/eyes.svg?seed=42&palette=3
+//
+// `seed` is the composite seed; /trait/:id.svg draws that layer on the same
+// sub-seed the composite uses, so it matches the layer inside /phil.svg.
+// Trait options are `<layer>.<key>=value` (just `key=value` on /trait/…).
+// Seeded responses carry an ETag derived from seed + layers + options (+ size),
+// and a matching If-None-Match is answered 304 without rendering. Without a
+// seed a random one is drawn, returned in X-Phil-Seed and never cached.
+
+import http from "node:http";
+
+import { createPipeline, InputError, loadRasterizer, RasterError } from "./pipeline.js";
+import { hashSeed, normalizeSeed, randomSeed } from "../utils/seedUtils.js";
+
+const DEFAULT_PNG_SIZE = 1024;
+const MIN_PNG_SIZE = 16;
+const MAX_PNG_SIZE = 4096;
+const RENDER_CACHE_LIMIT = 64;
+
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Stable text for an options object (keys sorted) so equal requests share a key
+function canonicalOptions(options) {
+    return Object.keys(options).sort()
+        .map((id) => `${id}{${Object.keys(options[id]).sort().map((k) => `${k}=${options[id][k]}`).join(",")}}`)
+        .join("");
+}
+
+function etagFor(key) {
+    return `"${hashSeed(key).toString(16).padStart(8, "0")}${hashSeed(`etag:${key}`).toString(16).padStart(8, "0")}"`;
+}
+
+function parsePngSize(raw) {
+    if (raw === null) return DEFAULT_PNG_SIZE;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < MIN_PNG_SIZE || n > MAX_PNG_SIZE) {
+        throw new InputError(`size must be a whole number from ${MIN_PNG_SIZE} to ${MAX_PNG_SIZE}, got "${raw}"`);
+    }
+    return n;
+}
+
+/**
+ * Creates the render server (not yet listening).
+ * @returns {Promise<http.Server>}
+ */
+export async function createRenderServer() {
+    const pipeline = await createPipeline();
+    const renders = new Map(); // cache key -> Promise<render result>, oldest first
+
+    // Memoized render; concurrent requests for the same Phil share one run.
+    // Only seeded requests are kept (a random seed is never asked for again),
+    // and a render with failed layers is dropped once it settles, so the
+    // next request tries those layers again.
+    function cached(key, render, { seeded }) {
+        if (!seeded) return render();
+        if (renders.has(key)) {
+            const hit = renders.get(key);
+            renders.delete(key);
+            renders.set(key, hit);
+            return hit;
+        }
+        const pending = render();
+        const forget = () => { if (renders.get(key) === pending) renders.delete(key); };
+        pending.then((result) => { if (result.failures.length) forget(); }, forget);
+        renders.set(key, pending);
+        if (renders.size > RENDER_CACHE_LIMIT) renders.delete(renders.keys().next().value);
+        return pending;
+    }
+
+    // seed, layers and options from the query string; `traitId` scopes bare option keys
+    async function readQuery(params, { traitId = null, extra = [] } = {}) {
+        const requested = normalizeSeed(params.get("seed"));
+        const seed = requested ?? String(randomSeed());
+        const ids = traitId ? [traitId] : pipeline.selectLayers(params.get("layers"));
+        if (!ids.length) throw new InputError("No layers selected (use ?layers=)");
+
+        const pairs = [];
+        for (const [name, value] of params) {
+            if (name === "seed" || (!traitId && name === "layers") || extra.includes(name)) continue;
+            if (traitId && !name.includes(".")) pairs.push([`${traitId}.${name}`, value]);
+            else if (name.includes(".")) pairs.push([name, value]);
+            else throw new InputError(`Unknown parameter "${name}"`);
+        }
+        const options = await pipeline.parseOptions(pairs, ids);
+        return { seed, seeded: requested !== null, ids, options };
+    }
+
+    async function renderComposite({ seed, seeded, ids, options }) {
+        const key = `phil|${seed}|${ids.join(",")}|${canonicalOptions(options)}`;
+        const result = await cached(key, () => pipeline.renderPhil(seed, ids, options), { seeded });
+        if (result.failures.length || !result.svg) {
+            throw new HttpError(500, "Some layers failed to render", result.failures);
+        }
+        return result;
+    }
+
+    async function route(method, url) {
+        const { pathname, searchParams: params } = url;
+
+        if (pathname === "/" || pathname === "/layers.json") {
+            return {
+                type: "application/json",
+                body: JSON.stringify({
+                    endpoints: ["/phil.svg", "/phil.png", "/phil.json", "/trait/:id.svg"],
+                    layers: pipeline.manifest.map(({ id, name, z, checked }) => ({ id, name, z, default: checked })),
+                }, null, 2),
+            };
+        }
+
+        if (pathname === "/phil.svg" || pathname === "/phil.json" || pathname === "/phil.png") {
+            const isPng = pathname === "/phil.png";
+            const query = await readQuery(params, { extra: isPng ? ["size"] : [] });
+            const size = isPng ? parsePngSize(params.get("size")) : null;
+            const key = `${pathname}|${query.seed}|${query.ids.join(",")}|${canonicalOptions(query.options)}|${size ?? ""}`;
+            return {
+                type: isPng ? "image/png" : pathname === "/phil.svg" ? "image/svg+xml" : "application/json",
+                seed: query.seed,
+                etag: query.seeded ? etagFor(key) : null,
+                render: async () => {
+                    const { svg, metadata } = await renderComposite(query);
+                    if (pathname === "/phil.svg") return svg;
+                    if (pathname === "/phil.json") return JSON.stringify(metadata, null, 2);
+                    let rasterize;
+                    try {
+                        rasterize = await loadRasterizer();
+                    } catch (err) {
+                        throw new HttpError(501, err.message);
+                    }
+                    try {
+                        return await rasterize(svg, size);
+                    } catch (err) {
+                        if (err instanceof RasterError) throw new HttpError(500, "PNG rendering failed", [err.message]);
+                        throw err;
+                    }
+                },
+            };
+        }
+
+        const trait = /^\/trait\/([\w-]+)\.svg$/.exec(pathname);
+        if (trait) {
+            const id = trait[1].toLowerCase();
+            if (!pipeline.manifest.some((l) => l.id === id)) throw new HttpError(404, `Unknown trait "${id}"`);
+            const query = await readQuery(params, { traitId: id });
+            const key = `trait|${query.seed}|${id}|${canonicalOptions(query.options)}`;
+            return {
+                type: "image/svg+xml",
+                seed: query.seed,
+                etag: query.seeded ? etagFor(key) : null,
+                render: async () => {
+                    const { layers, failures } = await cached(key, () => pipeline.renderLayers(query.seed, [id], query.options), { seeded: query.seeded });
+                    if (failures.length) throw new HttpError(500, `${id} failed to render`, failures);
+                    return layers[0].svg;
+                },
+            };
+        }
+
+        throw new HttpError(404, `No route for ${method} ${pathname}`);
+    }
+
+    async function handle(req, res) {
+        const headers = {
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Expose-Headers": "ETag, X-Phil-Seed",
+        };
+        const send = (status, type, body) => {
+            res.writeHead(status, { ...headers, ...(type && { "Content-Type": type }) });
+            res.end(req.method === "HEAD" ? undefined : body);
+        };
+
+        try {
+            if (req.method !== "GET" && req.method !== "HEAD") {
+                headers.Allow = "GET, HEAD";
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+            const reply = await route(req.method, new URL(req.url, "http://localhost"));
+            if (reply.seed) headers["X-Phil-Seed"] = reply.seed;
+
+            if (reply.etag) {
+                headers.ETag = reply.etag;
+                headers["Cache-Control"] = "no-cache"; // revalidate; the ETag makes that a 304
+                const inm = req.headers["if-none-match"];
+                if (inm && inm.split(/\s*,\s*/).some((tag) => tag === reply.etag || tag === "*")) {
+                    send(304, null);
+                    return 304;
+                }
+            } else if (reply.render) {
+                headers["Cache-Control"] = "no-store";
+            }
+
+            const body = reply.render ? await reply.render() : reply.body;
+            send(200, reply.type.startsWith("image/png") ? reply.type : `${reply.type}; charset=utf-8`, body);
+            return 200;
+        } catch (err) {
+            const status = err instanceof InputError ? 400 : err instanceof HttpError ? err.status : 500;
+            if (status === 500 && !(err instanceof HttpError)) console.error(err);
+            delete headers.ETag;
+            headers["Cache-Control"] = "no-store";
+            send(status, "application/json; charset=utf-8", JSON.stringify({ error: err.message, ...(err.details && { details: err.details }) }));
+            return status;
+        }
+    }
+
+    return http.createServer((req, res) => {
+        const started = Date.now();
+        handle(req, res).then((status) => {
+            console.log(`${req.method} ${req.url} → ${status} (${Date.now() - started} ms)`);
+        });
+    });
+}
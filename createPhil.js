@@ -0,0 +1,408 @@
+// createPhil.js
+// Phil generation as plain async functions, shared by app.js, <create-phil>
+// and any other front-end:
+//
+//   import { createPhil, exportPNG } from './createPhil/createPhil.js';
+//   const phil = await createPhil({ seed: 42, layers: ['bg', 'phil', 'eyes'], options: { eyes: { palette: 3 } } });
+//   const { png } = await exportPNG(phil, { size: 2048 });
+//
+// Everything resolves to { svg, layers, attributes } (plus the extras noted on
+// each function). `layers` is [{ id, name, seed, options, attributes, svg }] in
+// z-order and `attributes` is keyed by layer id. Nothing here touches the page:
+// no elements are inserted, nothing is logged, stored or downloaded. DOM-free
+// layers run in the worker pool (generationClient.js), the others on this thread.
+// Each new layer is checked against the layer contract (utils/svgValidation.js)
+// before it is stacked; pass `validate: false` to skip that.
+//
+// Traits fail with a TraitError (utils/traitErrors.js). Transient ones (outline
+// fetches that hit a network error or a 5xx) are retried with exponential
+// backoff (`retry`). A layer that still fails can be replaced by a `fallback`
+// layer, and every failed attempt is recorded in `diagnostics`
+// (utils/diagnostics.js) when one is passed.
+//
+// Outlines come from utils/outlineLoader.js: configureOutlines() sets their base
+// URL or supplies them directly, preloadOutlines() warms the caches.
+//
+// exportAnimation() turns an animated composite (`animated: true`) into a
+// GIF or APNG, encoded in the page (utils/gifWriter.js, utils/apngWriter.js);
+// exportReveal() into an SVG that draws itself in (utils/svgReveal.js).
+
+import { generateInWorker, wait, workersSupported } from './generationClient.js';
+import { encodeAPNG } from './utils/apngWriter.js';
+import { SIZE, compose, layerSeed, normalizeTraitResult, svgToImageHref } from './utils/composeUtils.js';
+import { encodeGIF } from './utils/gifWriter.js';
+import { normalizeSeed, randomSeed } from './utils/seedUtils.js';
+import { composeVectorSVG } from './utils/svgCompositor.js';
+import { createFrameSampler } from './utils/svgFrames.js';
+import { revealSVG } from './utils/svgReveal.js';
+import { assertValidLayerSVG } from './utils/svgValidation.js';
+import { toTraitError } from './utils/traitErrors.js';
+import { importTraitModule, loadManifest } from './utils/traitRegistry.js';
+
+export { cancelGeneration } from './generationClient.js';
+export { LayerValidationError } from './utils/svgValidation.js';
+export { TRAIT_ERROR_CODES, TraitError } from './utils/traitErrors.js';
+export { createDiagnostics } from './utils/diagnostics.js';
+export { clearOutlineCache, configureOutlines, preloadOutlines } from './utils/outlineLoader.js';
+
+/** Retry policy used when none is given: 3 tries, 250 ms then 500 ms apart. */
+export const DEFAULT_RETRY = Object.freeze({ attempts: 3, delay: 250, factor: 2 });
+
+/** An empty layer, e.g. `fallback: { '*': BLANK_LAYER }` to keep a composite's layer list whole. */
+export const BLANK_LAYER = `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}"/>`;
+
+/** exportAnimation() formats and their MIME types. */
+export const ANIMATION_FORMATS = Object.freeze({ gif: 'image/gif', apng: 'image/apng' });
+
+let manifest = null; // Promise<layers>
+
+/**
+ * The layers in traits/manifest.json, loaded once.
+ * @returns {Promise<Array<Object>>} `{ id, name, module, z, checked, worker }`, bottom first.
+ */
+export function getLayers() {
+  if (!manifest) {
+    manifest = loadManifest();
+    manifest.catch(() => { manifest = null; });
+  }
+  return manifest;
+}
+
+// Manifest entries for `ids` (array or comma-separated) in z-order; omitted = default-checked layers
+async function resolveLayers(ids) {
+  const all = await getLayers();
+  if (ids === undefined || ids === null) return all.filter(l => l.checked);
+  const list = typeof ids === 'string' ? ids.split(',') : [...ids];
+  const wanted = new Set(list.map(id => String(id).trim().toLowerCase()).filter(Boolean));
+  const unknown = [...wanted].filter(id => !all.some(l => l.id === id));
+  if (unknown.length) throw new Error(`Unknown layer(s) ${unknown.join(', ')} (known: ${all.map(l => l.id).join(', ')})`);
+  return all.filter(l => wanted.has(l.id));
+}
+
+// One generateTrait() call: in a worker when the manifest marks the layer
+// `worker: true`, on this thread otherwise (traits that still need the DOM).
+async function runTrait(meta, options, { group, bust }) {
+  if (meta.worker && workersSupported) {
+    return normalizeTraitResult(await generateInWorker(meta, options, { group, bust }));
+  }
+  const mod = await importTraitModule(meta, { bust });
+  if (typeof mod.generateTrait !== 'function') throw new Error(`${meta.name} trait has no generateTrait()`);
+  return normalizeTraitResult(await mod.generateTrait(options));
+}
+
+// runTrait() plus validation, retrying transient TraitErrors with backoff.
+// Rejects with the last TraitError / LayerValidationError, or an AbortError.
+async function attemptLayer(meta, options, { group, bust, validate, retry, diagnostics }) {
+  const { attempts = 1, delay = 0, factor = 2 } = retry || {};
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    try {
+      const result = await runTrait(meta, options, { group, bust });
+      if (validate) assertValidLayerSVG(result.svg, { attributes: result.attributes });
+      return result;
+    } catch (err) {
+      if (err?.name === 'AbortError') throw err;
+      error = err?.name === 'LayerValidationError' ? err : toTraitError(err, meta.id);
+    }
+    if (!error.transient || attempt >= attempts) {
+      error.attempts = attempt;
+      throw error;
+    }
+    diagnostics?.record(error, { layer: meta.id, seed: options.seed, attempt, outcome: 'retried' });
+    await wait(delay * factor ** (attempt - 1), group);
+  }
+}
+
+// The `fallback` option for a failed layer: { svg, attributes } or null
+async function fallbackLayer(fallback, meta, error) {
+  if (!fallback) return null;
+  const value = typeof fallback === 'function'
+    ? await fallback({ id: meta.id, name: meta.name, error })
+    : fallback[meta.id] ?? fallback['*'];
+  if (!value) return null;
+  const { svg, attributes } = normalizeTraitResult(value);
+  return { svg, attributes: { ...attributes, fallback: error.code || error.name } };
+}
+
+// One new layer, or its fallback. Resolves to { layer, failure, error }:
+// `layer` is null when the layer is left out, `failure` (the `failed` entry)
+// and `error` (what was thrown) are null when it rendered.
+async function buildLayer(meta, subSeed, layerOptions, { group, bust, validate, retry, fallback, diagnostics }) {
+  const base = { id: meta.id, name: meta.name, seed: subSeed, options: layerOptions };
+  try {
+    const { svg, attributes } = await attemptLayer(meta, { ...layerOptions, seed: subSeed }, { group, bust, validate, retry, diagnostics });
+    return { layer: { ...base, attributes, svg }, failure: null, error: null };
+  } catch (error) {
+    if (error?.name === 'AbortError') throw error;
+    const { attempts = 1 } = error;
+    let substitute = null;
+    let fallbackError = null;
+    try {
+      substitute = await fallbackLayer(fallback, meta, error);
+      if (substitute && validate) assertValidLayerSVG(substitute.svg, { attributes: substitute.attributes });
+    } catch (err) {
+      substitute = null;
+      fallbackError = String(err?.message || err);
+      diagnostics?.record(err, { layer: meta.id, seed: subSeed, attempt: attempts, outcome: 'fallback-rejected' });
+    }
+    diagnostics?.record(error, { layer: meta.id, seed: subSeed, attempt: attempts, outcome: substitute ? 'fallback' : 'failed' });
+    const failure = {
+      id: meta.id,
+      name: meta.name,
+      error: String(error?.message || error),
+      code: error.code || error.name,
+      problems: error.problems || null,
+      transient: !!error.transient,
+      attempts,
+      fallback: !!substitute,
+      fallbackError,
+    };
+    return { layer: substitute ? { ...base, ...substitute, fallback: true } : null, failure, error };
+  }
+}
+
+// `animated` reaches the traits as isStatic: false, recorded in the layer's options
+function motionOptions(options, animated) {
+  return animated ? { ...options, isStatic: false } : options;
+}
+
+// The vector composite of a result (bare markup is used as it is)
+function vectorOf(base) {
+  return base.layers?.length ? composeVectorSVG(base.layers) : base.svg;
+}
+
+function withAttributes(svg, layers, extra = {}) {
+  return { ...extra, svg, layers, attributes: Object.fromEntries(layers.map(l => [l.id, l.attributes])) };
+}
+
+/**
+ * One layer on its own.
+ * @param {string} id - Layer id.
+ * @param {Object} [params]
+ * @param {string|number|null} [params.seed] - Composite seed: the layer is drawn on the same
+ *   sub-seed the composite would use. Omitted/null = a random sub-seed.
+ * @param {Object} [params.options] - Pinned trait options.
+ * @param {boolean} [params.animated=false] - Animated SVG (SMIL) instead of a still one.
+ * @param {string} [params.group='stage'] - Worker cancellation group (see cancelGeneration).
+ * @param {boolean} [params.bust=false] - Cache-bust the trait module import (dev).
+ * @param {boolean} [params.validate=true] - Reject output that breaks the layer contract
+ *   (with a LayerValidationError listing the `problems`).
+ * @param {{attempts: number, delay: number, factor: number}|null} [params.retry=DEFAULT_RETRY] - Backoff
+ *   for transient failures (`delay` ms, times `factor` per retry); null = one try.
+ * @param {Object|Function|null} [params.fallback] - Layer to use instead of failing (see generateComposite).
+ * @param {Object|null} [params.diagnostics] - A createDiagnostics() log for the failures.
+ * @returns {Promise<{svg: string, layers: Array<Object>, attributes: Object, seed: string|null, failed: Array<Object>}>}
+ *   `svg` is the trait's own SVG (or the fallback's); `seed` is the composite seed given.
+ * @throws {TraitError|LayerValidationError} When the layer fails and there is no fallback.
+ */
+export async function generateLayer(id, { seed = null, options = {}, animated = false, group = 'stage', bust = false, validate = true, retry = DEFAULT_RETRY, fallback = null, diagnostics = null } = {}) {
+  const [meta] = await resolveLayers([id]);
+  if (!meta) throw new Error('generateLayer() needs a layer id');
+  const master = normalizeSeed(seed);
+  const subSeed = master !== null ? layerSeed(master, meta.id) : randomSeed();
+  const { layer, failure, error } = await buildLayer(meta, subSeed, motionOptions(options, animated), { group, bust, validate, retry, fallback, diagnostics });
+  if (!layer) throw error;
+  return withAttributes(layer.svg, [layer], { seed: master, failed: failure ? [failure] : [] });
+}
+
+/**
+ * A composite: every layer on its own sub-seed of `seed`, in parallel, stacked
+ * by composeImages(). A layer that still fails after its retries (or fails
+ * validation) is replaced by its fallback, if any, or left out; either way it
+ * is listed in `failed`. Cancelling the group rejects with an AbortError.
+ * @param {Object} [params]
+ * @param {string|number|null} [params.seed] - Composite seed (omitted/null = random).
+ * @param {string[]|string} [params.layers] - Layer ids, any order (default: the manifest's checked layers).
+ * @param {Object} [params.options] - id -> pinned trait options.
+ * @param {boolean} [params.animated=false] - Ask every new layer for its animated form (bg arms
+ *   turn and stars twinkle, the iris spins, smileys bob, wings flap); kept layers stay as they were.
+ * @param {Object} [params.kept] - id -> earlier layer ({ seed, options, attributes, svg }) to reuse
+ *   as is; such layers come back with `locked: true`.
+ * @param {string} [params.group='stage'] - Worker cancellation group.
+ * @param {boolean} [params.bust=false] - Cache-bust trait module imports (dev).
+ * @param {boolean} [params.validate=true] - Check each new layer against the layer contract.
+ * @param {{attempts: number, delay: number, factor: number}|null} [params.retry=DEFAULT_RETRY] - Backoff
+ *   for transient failures; null = one try.
+ * @param {Object|Function|null} [params.fallback] - Stand-in for a failed layer: id (or '*') -> SVG /
+ *   { svg, attributes }, or `({ id, name, error }) => ...` (may be async; null = leave it out).
+ *   Stand-ins come back with `fallback: true` and `attributes.fallback` = the error code.
+ * @param {Object|null} [params.diagnostics] - A createDiagnostics() log for the failures.
+ * @returns {Promise<{svg: string, layers: Array<Object>, attributes: Object, seed: string, failed: Array<Object>}>}
+ *   `svg` is "" when no layer rendered. `failed` entries are
+ *   `{ id, name, error, code, problems, transient, attempts, fallback, fallbackError }`
+ *   (`fallbackError`: why the stand-in was rejected, else null).
+ */
+export async function generateComposite({ seed = null, layers = null, options = {}, animated = false, kept = {}, group = 'stage', bust = false, validate = true, retry = DEFAULT_RETRY, fallback = null, diagnostics = null } = {}) {
+  const selected = await resolveLayers(layers);
+  const master = normalizeSeed(seed) ?? String(randomSeed());
+  // Settled in z-order like `selected`, so `failed` lists layers bottom first
+  // however the renders finish
+  const results = await Promise.all(selected.map(async (meta) => {
+    if (kept[meta.id]) return { layer: { ...kept[meta.id], id: meta.id, name: meta.name, locked: true }, failure: null };
+    return buildLayer(meta, layerSeed(master, meta.id), motionOptions(options[meta.id] || {}, animated), {
+      group, bust, validate, retry, fallback, diagnostics,
+    });
+  }));
+  const rendered = results.map(r => r.layer).filter(Boolean);
+  const failed = results.map(r => r.failure).filter(Boolean);
+  return { ...(await composeImages(rendered)), seed: master, failed };
+}
+
+/** Same as generateComposite(); the name other front-ends import. */
+export const createPhil = generateComposite;
+
+/**
+ * Stacks layers as base64 <image>s (each layer's ids stay isolated); the
+ * stage preview, batch items and the CLI use this form.
+ * @param {Array<Object>} layers - `{ id, svg, attributes }`, bottom first.
+ * @returns {Promise<{svg: string, layers: Array<Object>, attributes: Object}>}
+ */
+export async function composeImages(layers) {
+  return withAttributes(layers.length ? compose(layers.map(l => svgToImageHref(l.svg))) : '', layers);
+}
+
+/**
+ * Stacks layers as editable inline vector markup: each layer in
+ * <g id="layer-<id>"> with its ids and references namespaced
+ * (utils/svgCompositor.js). Rejects when a layer is not well-formed SVG.
+ * @param {Array<Object>} layers - `{ id, svg, attributes }`, bottom first.
+ * @returns {Promise<{svg: string, layers: Array<Object>, attributes: Object}>}
+ */
+export async function composeVector(layers) {
+  return withAttributes(layers.length ? composeVectorSVG(layers) : '', layers);
+}
+
+/**
+ * Draws an SVG onto a square canvas (not attached to the document).
+ * @param {string} svg - SVG markup.
+ * @param {number} size - Edge in px.
+ * @returns {Promise<HTMLCanvasElement>}
+ * @throws {Error} When the browser cannot load the SVG (malformed markup, a broken reference).
+ */
+export async function rasterizeSVG(svg, size) {
+  const img = new Image();
+  img.decoding = 'async';
+  // Listening before `src` is set: decode() rejects for some SVGs that still
+  // load, and load/error may already have fired by the time it does
+  const loaded = new Promise((resolve, reject) => {
+    img.onload = resolve;
+    img.onerror = () => reject(new Error('The SVG could not be loaded as an image'));
+  });
+  loaded.catch(() => {}); // unused when decode() succeeds
+  img.src = svgToImageHref(svg);
+  await img.decode().catch(() => loaded);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d', { willReadFrequently: false });
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, size, size);
+  return canvas;
+}
+
+/**
+ * PNG of a composite.
+ * @param {Object|string} phil - A result from the functions above, or bare SVG markup.
+ * @param {Object} [params]
+ * @param {number} [params.size=1024] - Edge in px.
+ * @returns {Promise<{svg: string, layers: Array<Object>, attributes: Object, png: Blob, size: number}>}
+ */
+export async function exportPNG(phil, { size = 1024 } = {}) {
+  const base = typeof phil === 'string' ? withAttributes(phil, []) : phil;
+  const px = Math.floor(Number(size));
+  if (!Number.isFinite(px) || px <= 0) throw new RangeError(`PNG size must be a positive number, got ${size}`);
+  if (!base?.svg) throw new Error('exportPNG() needs an SVG');
+  const canvas = await rasterizeSVG(base.svg, px);
+  const png = await new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
+  return { ...base, png, size: px };
+}
+
+/**
+ * Animated GIF or APNG of a composite: `frames` stills sampled across one loop
+ * of its SMIL animations (utils/svgFrames.js), rasterized and encoded here in
+ * the page. Endless animations are retimed to whole cycles of the loop
+ * (frames / fps seconds), so it repeats without a jump; slow ones such as the
+ * galaxy spin run faster for it. Generate with `animated: true` first, or every
+ * frame is the same still.
+ * @param {Object|string} phil - A result from the functions above (its layers are
+ *   stacked as vector markup), or bare SVG markup.
+ * @param {Object} [params]
+ * @param {'gif'|'apng'} [params.format='gif'] - GIF: 256-colour shared palette, hard-edged
+ *   transparency. APNG: full colour and alpha.
+ * @param {number} [params.frames=48] - Frame count (2–600).
+ * @param {number} [params.fps=24] - Frames per second (1–50).
+ * @param {number} [params.size=420] - Edge in px.
+ * @param {number} [params.loop=0] - Times to play, 0 for endlessly.
+ * @param {function({stage: 'render'|'encode', done: number, total: number}): void} [params.onProgress]
+ * @param {AbortSignal} [params.signal] - Rejects with an AbortError when aborted.
+ * @returns {Promise<{svg: string, layers: Array<Object>, attributes: Object, blob: Blob, format: string,
+ *   frames: number, fps: number, size: number, loop: number, animations: number}>}
+ *   `animations` is how many SMIL animations were sampled (0: every frame is the same).
+ */
+export async function exportAnimation(phil, { format = 'gif', frames = 48, fps = 24, size = 420, loop = 0, onProgress, signal } = {}) {
+  const base = typeof phil === 'string' ? withAttributes(phil, []) : phil;
+  if (!ANIMATION_FORMATS[format]) throw new RangeError(`Unknown animation format "${format}" (expected ${Object.keys(ANIMATION_FORMATS).join(' or ')})`);
+  const count = Math.floor(Number(frames));
+  const rate = Number(fps);
+  const px = Math.floor(Number(size));
+  const plays = Math.floor(Number(loop));
+  if (!(count >= 2 && count <= 600)) throw new RangeError(`Frame count must be 2–600, got ${frames}`);
+  if (!(rate >= 1 && rate <= 50)) throw new RangeError(`fps must be 1–50, got ${fps}`);
+  if (!Number.isFinite(px) || px <= 0) throw new RangeError(`Animation size must be a positive number, got ${size}`);
+  if (!(plays >= 0 && plays <= 0xffff)) throw new RangeError(`Loop count must be 0–65535, got ${loop}`);
+  if (count * px * px * 4 > 2 ** 30) throw new RangeError(`${count} frames of ${px}px need over 1 GiB; use fewer frames or a smaller size`);
+  if (!base?.svg) throw new Error('exportAnimation() needs an SVG');
+
+  const sampler = createFrameSampler(vectorOf(base));
+  const seconds = count / rate;
+  const pixels = [];
+  for (let i = 0; i < count; i++) {
+    signal?.throwIfAborted();
+    const canvas = await rasterizeSVG(sampler.frame((i / count) * seconds, { loop: seconds }), px);
+    pixels.push(canvas.getContext('2d').getImageData(0, 0, px, px).data);
+    onProgress?.({ stage: 'render', done: i + 1, total: count });
+  }
+
+  signal?.throwIfAborted();
+  const encode = format === 'gif' ? encodeGIF : encodeAPNG;
+  const bytes = await encode(pixels, {
+    width: px,
+    height: px,
+    delay: 1000 / rate,
+    loop: plays,
+    onProgress: ({ done, total }) => {
+      signal?.throwIfAborted();
+      onProgress?.({ stage: 'encode', done, total });
+    },
+  });
+  const blob = new Blob([bytes], { type: ANIMATION_FORMATS[format] });
+  return { ...base, blob, format, frames: count, fps: rate, size: px, loop: plays, animations: sampler.count };
+}
+
+/**
+ * Self-contained SVG of a composite that draws itself in, layer by layer in
+ * z-order: outlines trace along stroke-dashoffset, Voronoi cells fade in one
+ * after another, bg stars pop (utils/svgReveal.js). It plays once and stops on
+ * the finished Phil, which is also what viewers without SMIL show.
+ * @param {Object|string} phil - A result from the functions above (its layers are
+ *   stacked as vector markup), or bare SVG markup (one layer).
+ * @param {Object} [params]
+ * @param {number} [params.duration=1.6] - Seconds each layer takes to appear.
+ * @param {number} [params.stagger=0.6] - Seconds between the starts of consecutive layers.
+ * @returns {Promise<{svg: string, layers: Array<Object>, attributes: Object, reveal: string, seconds: number}>}
+ *   `reveal` is the animated SVG, `seconds` how long it plays.
+ */
+export async function exportReveal(phil, { duration = 1.6, stagger = 0.6 } = {}) {
+  const base = typeof phil === 'string' ? withAttributes(phil, []) : phil;
+  const length = Number(duration);
+  const gap = Number(stagger);
+  if (!(length > 0 && length <= 60)) throw new RangeError(`Reveal duration must be over 0 and at most 60 s, got ${duration}`);
+  if (!(gap >= 0 && gap <= 60)) throw new RangeError(`Reveal stagger must be 0–60 s, got ${stagger}`);
+  if (!base?.svg) throw new Error('exportReveal() needs an SVG');
+  const { svg: reveal, seconds } = revealSVG(vectorOf(base), { duration: length, stagger: gap });
+  return { ...base, reveal, seconds };
+}
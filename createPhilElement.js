@@ -0,0 +1,197 @@
+// createPhilElement.js
+// <create-phil> custom element: a composite Phil rendered in shadow DOM, built
+// by the same library as app.js (createPhil.js).
+//
+//   <script type="module" src="./createPhil/createPhilElement.js"></script>
+//   <create-phil layers="bg,phil,eyes" seed="123" size="420"></create-phil>
+//
+// Attributes: layers (comma-separated ids, default = manifest's checked layers),
+// seed (omit for a random Phil), size (px, default 420), options (JSON,
+// e.g. '{"eyes":{"palette":3}}') and animated (boolean: SMIL motion, see
+// createPhil.js). Changing any of them re-renders.
+// Methods: regenerate(seed?), toSVG(), toPNG(size?).
+// Events (bubble, cross the shadow boundary):
+//   createphil:attributechange  { name, oldValue, newValue }
+//   createphil:generated        { seed, svg, layers, attributes }
+//   createphil:error            { error, failed }
+// All state lives on the instance, so any number can share a page; each one
+// cancels only its own worker jobs.
+
+import { cancelGeneration, exportPNG, generateComposite } from './createPhil.js';
+import { SIZE } from './utils/composeUtils.js';
+import { normalizeSeed, randomSeed } from './utils/seedUtils.js';
+
+const OBSERVED = ['layers', 'seed', 'size', 'options', 'animated'];
+
+let instances = 0;
+
+const STYLE = `
+  :host { display: inline-block; position: relative; width: var(--phil-size, ${SIZE}px); aspect-ratio: 1; }
+  :host([hidden]) { display: none; }
+  [part="stage"], [part="stage"] > svg { display: block; width: 100%; height: 100%; }
+  [part="status"] { position: absolute; inset: 0; display: grid; place-items: center; font: 12px/1.2 system-ui, sans-serif; color: currentColor; opacity: .6; }
+  [part="status"]:empty { display: none; }
+`;
+
+export class CreatePhilElement extends HTMLElement {
+  static get observedAttributes() { return OBSERVED; }
+
+  #id = `create-phil:${++instances}`; // worker cancellation group
+  #run = 0;
+  #pending = null;   // Promise of the current render
+  #scheduled = false;
+  #result = null;    // { seed, svg, layers, attributes } of the last render
+  #stage;
+  #status;
+
+  constructor() {
+    super();
+    const root = this.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${STYLE}</style><div part="stage"></div><div part="status"></div>`;
+    this.#stage = root.querySelector('[part="stage"]');
+    this.#status = root.querySelector('[part="status"]');
+  }
+
+  connectedCallback() {
+    this.#applySize();
+    if (!this.#result && !this.#pending) this.#schedule();
+  }
+
+  disconnectedCallback() {
+    this.#run++;
+    cancelGeneration(this.#id);
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    this.dispatchEvent(new CustomEvent('createphil:attributechange', {
+      detail: { name, oldValue, newValue }, bubbles: true, composed: true,
+    }));
+    if (name === 'size') this.#applySize();
+    if (name !== 'size' && this.isConnected) this.#schedule();
+  }
+
+  get size() {
+    const n = Number(this.getAttribute('size'));
+    return Number.isFinite(n) && n > 0 ? n : SIZE;
+  }
+
+  /** Seed, layers and per-layer attributes of the current Phil (null before the first render). */
+  get result() {
+    return this.#result;
+  }
+
+  /**
+   * Renders a new composite, replacing any render in progress.
+   * @param {string|number|null} [seed] - Defaults to the `seed` attribute; null draws a random seed.
+   * @returns {Promise<{seed: string, svg: string, layers: Array<Object>, attributes: Object}>}
+   */
+  regenerate(seed = this.getAttribute('seed')) {
+    const run = ++this.#run;
+    cancelGeneration(this.#id);
+    const pending = this.#render(run, normalizeSeed(seed) ?? String(randomSeed()));
+    this.#pending = pending;
+    pending.catch(() => {}).finally(() => { if (this.#pending === pending) this.#pending = null; });
+    return pending;
+  }
+
+  /**
+   * The composite SVG, once the current render has finished.
+   * @returns {Promise<string>}
+   */
+  async toSVG() {
+    return (await this.#settled()).svg;
+  }
+
+  /**
+   * The composite as a square PNG.
+   * @param {number} [size] - Edge in px (defaults to the `size` attribute).
+   * @returns {Promise<Blob>}
+   */
+  async toPNG(size = this.size) {
+    return (await exportPNG(await this.#settled(), { size })).png;
+  }
+
+  // Attribute changes in one task collapse into a single render
+  #schedule() {
+    if (this.#scheduled) return;
+    this.#scheduled = true;
+    queueMicrotask(() => {
+      this.#scheduled = false;
+      this.regenerate().catch(() => {}); // reported through createphil:error
+    });
+  }
+
+  async #settled() {
+    if (this.#pending || this.#scheduled) {
+      await Promise.resolve(); // let a scheduled render start
+      if (this.#pending) await this.#pending;
+    }
+    if (!this.#result) throw new Error('<create-phil> has nothing rendered yet');
+    return this.#result;
+  }
+
+  #applySize() {
+    if (this.hasAttribute('size')) this.style.setProperty('--phil-size', `${this.size}px`);
+    else this.style.removeProperty('--phil-size');
+  }
+
+  #layerOptions() {
+    const raw = this.getAttribute('options');
+    if (!raw) return {};
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`options attribute is not valid JSON: ${err.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('options attribute must be a JSON object keyed by layer id');
+    }
+    return parsed;
+  }
+
+  async #render(run, seed) {
+    this.#status.textContent = 'Generating…';
+    try {
+      const layers = this.getAttribute('layers')?.trim() || null; // empty = default layers
+      const { svg, layers: rendered, attributes, failed } = await generateComposite({
+        seed, layers, options: this.#layerOptions(), animated: this.hasAttribute('animated'), group: this.#id,
+      });
+      if (run !== this.#run) throw abortError();
+
+      if (failed.length) {
+        this.dispatchEvent(new CustomEvent('createphil:error', {
+          detail: { error: new Error(`${failed.map(f => f.id).join(', ')} failed`), failed }, bubbles: true, composed: true,
+        }));
+      }
+      if (!rendered.length) throw new Error(failed.length ? 'Every layer failed to render' : 'No layers selected');
+
+      this.#result = { seed, svg, layers: rendered, attributes };
+      this.#stage.innerHTML = svg;
+      this.#status.textContent = '';
+      this.dispatchEvent(new CustomEvent('createphil:generated', {
+        detail: this.#result, bubbles: true, composed: true,
+      }));
+      return this.#result;
+    } catch (err) {
+      if (run === this.#run) {
+        this.#status.textContent = this.#result ? '' : 'Could not render this Phil';
+        if (err?.name !== 'AbortError') {
+          this.dispatchEvent(new CustomEvent('createphil:error', {
+            detail: { error: err, failed: [] }, bubbles: true, composed: true,
+          }));
+        }
+      }
+      throw err;
+    }
+  }
+}
+
+function abortError() {
+  const err = new Error('Superseded by a newer render');
+  err.name = 'AbortError';
+  return err;
+}
+
+if (!customElements.get('create-phil')) customElements.define('create-phil', CreatePhilElement);
@@ -0,0 +1,25 @@
+// generation.worker.js
+// Runs a trait's generateTrait() off the main thread (module worker).
+// Only layers marked `worker: true` in traits/manifest.json are sent here.
+//
+// in:  { id, layer: { id, module }, options, bust, outlines }
+//      `outlines` is the page's getOutlineConfig() (utils/outlineLoader.js).
+// out: { id, ok: true, result } | { id, ok: false, error }
+//      `error` is TraitError#toJSON() (utils/traitErrors.js).
+
+import { importTraitModule } from './utils/traitRegistry.js';
+import { toTraitError } from './utils/traitErrors.js';
+import { configureOutlines } from './utils/outlineLoader.js';
+
+self.onmessage = async (e) => {
+  const { id, layer, options, bust, outlines } = e.data || {};
+  try {
+    if (outlines) configureOutlines(outlines);
+    const mod = await importTraitModule(layer, { bust });
+    if (typeof mod.generateTrait !== 'function') throw new Error('generateTrait() not found');
+    const result = await mod.generateTrait(options);
+    self.postMessage({ id, ok: true, result });
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: toTraitError(err, layer?.id).toJSON() });
+  }
+};
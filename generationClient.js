@@ -0,0 +1,136 @@
+// generationClient.js
+// Pool of generation.worker.js workers. Jobs run in parallel (one per worker)
+// and resolve with whatever generateTrait() returned. A job group ('stage',
+// 'batch', …) can be cancelled: its running workers are terminated and
+// replaced, its queued jobs rejected with an AbortError. Failed jobs reject
+// with a TraitError (utils/traitErrors.js). Each job carries this page's outline
+// configuration (utils/outlineLoader.js), so workers load outlines the same way.
+
+import { TRAIT_ERROR_CODES, TraitError, traitErrorFromJSON } from './utils/traitErrors.js';
+import { getOutlineConfig } from './utils/outlineLoader.js';
+
+const POOL_SIZE = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+let _seq = 0;
+const _idle = [];          // workers waiting for a job
+let _workerCount = 0;
+const _queue = [];         // jobs not started yet
+const _running = new Map(); // id -> { job, worker }
+const _waits = new Set();   // { group, timer, reject } of pending wait() calls
+
+export const workersSupported = typeof Worker !== 'undefined';
+
+function abortError(message) {
+  const err = new Error(message);
+  err.name = 'AbortError';
+  return err;
+}
+
+function spawn() {
+  const worker = new Worker(new URL('./generation.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (e) => {
+    const { id, ok, result, error } = e.data || {};
+    const entry = _running.get(id);
+    if (!entry) return;
+    _running.delete(id);
+    ok ? entry.job.resolve(result) : entry.job.reject(traitErrorFromJSON(error));
+    release(worker);
+  };
+  // Module load failures etc. never reach onmessage
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    for (const [id, entry] of _running) {
+      if (entry.worker !== worker) continue;
+      _running.delete(id);
+      entry.job.reject(new TraitError(TRAIT_ERROR_CODES.internal, e.message || 'Generation worker failed', { trait: entry.job.layer.id }));
+    }
+    retire(worker);
+    pump();
+  };
+  _workerCount++;
+  return worker;
+}
+
+function retire(worker) {
+  worker.terminate();
+  _workerCount--;
+  const i = _idle.indexOf(worker);
+  if (i >= 0) _idle.splice(i, 1);
+}
+
+function release(worker) {
+  _idle.push(worker);
+  pump();
+}
+
+function pump() {
+  while (_queue.length && (_idle.length || _workerCount < POOL_SIZE)) {
+    const job = _queue.shift();
+    const worker = _idle.pop() || spawn();
+    _running.set(job.id, { job, worker });
+    worker.postMessage({ id: job.id, layer: job.layer, options: job.options, bust: job.bust, outlines: getOutlineConfig() });
+  }
+}
+
+/**
+ * Generate one layer in a worker.
+ * @param {{ id: string, module: string }} layer - Manifest layer.
+ * @param {Object} options - generateTrait() options (including seed).
+ * @param {Object} [opts]
+ * @param {string} [opts.group='stage'] - Cancellation group.
+ * @param {boolean} [opts.bust=false] - Cache-bust the trait module import.
+ * @returns {Promise<*>} generateTrait()'s result.
+ */
+export function generateInWorker(layer, options, { group = 'stage', bust = false } = {}) {
+  return new Promise((resolve, reject) => {
+    _queue.push({
+      id: ++_seq,
+      group,
+      layer: { id: layer.id, module: layer.module },
+      options,
+      bust,
+      resolve,
+      reject,
+    });
+    pump();
+  });
+}
+
+/**
+ * Resolves after `ms` unless the group is cancelled first (then rejects with an
+ * AbortError), so a cancel also drops retries that are waiting to run.
+ * @param {number} ms
+ * @param {string} [group='stage']
+ * @returns {Promise<void>}
+ */
+export function wait(ms, group = 'stage') {
+  return new Promise((resolve, reject) => {
+    const entry = { group, reject, timer: 0 };
+    entry.timer = setTimeout(() => { _waits.delete(entry); resolve(); }, ms);
+    _waits.add(entry);
+  });
+}
+
+/**
+ * Cancel every queued and running job (and pending wait()) of a group.
+ * @param {string} [group='stage']
+ */
+export function cancelGeneration(group = 'stage') {
+  for (const entry of _waits) {
+    if (entry.group !== group) continue;
+    _waits.delete(entry);
+    clearTimeout(entry.timer);
+    entry.reject(abortError('Generation cancelled'));
+  }
+  for (let i = _queue.length - 1; i >= 0; i--) {
+    if (_queue[i].group !== group) continue;
+    _queue.splice(i, 1)[0].reject(abortError('Generation cancelled'));
+  }
+  for (const [id, entry] of _running) {
+    if (entry.job.group !== group) continue;
+    _running.delete(id);
+    entry.job.reject(abortError('Generation cancelled'));
+    retire(entry.worker); // a busy worker can't be interrupted, only replaced
+  }
+  pump();
+}
@@ -7,12 +7,20 @@ const svgoConfig = {
   multipass: true,
   floatPrecision: 1,
   plugins: [
-    'preset-default',
-    { name: 'removeViewBox', active: false },
-    { name: 'cleanupNumericValues', params: { floatPrecision: 1 } },
-    { name: 'convertPathData', params: { floatPrecision: 1 } },
-    { name: 'convertTransform', params: { floatPrecision: 1 } },
-    { name: 'removeDimensions', active: false },
+    {
+      name: 'preset-default',
+      params: {
+        overrides: {
+          removeViewBox: false,
+          // keep the namespaced ids and <g id="layer-…"> groups of vector composites;
+          // cleanupIds would also drop ids only referenced from SMIL begin/end
+          cleanupIds: false,
+          cleanupNumericValues: { floatPrecision: 1 },
+          convertPathData: { floatPrecision: 1 },
+          convertTransform: { floatPrecision: 1 },
+        },
+      },
+    },
   ],
 };
 
@@ -1,47 +1,197 @@
-// sw.js (DEV MODE) — bust cache automatically for local testing
-const DEV_BUST = true; // set to false before deploying to GitHub Pages
+// sw.js — offline-first service worker
+// Two modes, switched from the page (swClient.js) and kept in the settings
+// cache, so the choice survives the worker being stopped:
+//   prod  the app shell, trait modules, traits_json outlines and vendor/ libraries
+//         are precached per VERSION and served cache-first (?v= busting is
+//         ignored); other same-origin GETs go to the network first and fall
+//         back to a runtime cache when offline.
+//   dev   every request goes to the network, cache-busted and no-store.
+// Without a stored choice, localhost runs in dev and everything else in prod.
+// Bump VERSION on every deploy: the new worker precaches alongside the old one
+// and waits; the page then offers "Update available, reload" and, once the new
+// worker takes over, the older versions' caches are deleted.
+
+const VERSION = '2026-10-19.7';
+const PREFIX = 'createphil-';
+const PRECACHE = `${PREFIX}precache-${VERSION}`;
+const RUNTIME = `${PREFIX}runtime-${VERSION}`;
+const SETTINGS = `${PREFIX}settings`; // unversioned: holds the mode
+const MODE_KEY = new URL('./__sw/mode', self.registration.scope).href;
+const MODES = ['prod', 'dev'];
+
+// Relative to the scope. Trait modules are added from traits/manifest.json.
+const SHELL = [
+  './',
+  'index.html',
+  'app.js',
+  'createPhil.js',
+  'createPhilElement.js',
+  'generationClient.js',
+  'generation.worker.js',
+  'svgoClient.js',
+  'svgo.worker.js',
+  'swClient.js',
+  'utils/apngWriter.js',
+  'utils/batchStore.js',
+  'utils/colorUtils.js',
+  'utils/composeUtils.js',
+  'utils/dedupeUtils.js',
+  'utils/diagnostics.js',
+  'utils/gifWriter.js',
+  'utils/historyStack.js',
+  'utils/messageProtocol.js',
+  'utils/optionUtils.js',
+  'utils/outlineLoader.js',
+  'utils/pathGeometry.js',
+  'utils/polygonClipping.js',
+  'utils/polygonSweep.js',
+  'utils/rarityUtils.js',
+  'utils/seedUtils.js',
+  'utils/sizeValidation.js',
+  'utils/svgAnimation.js',
+  'utils/svgCompositor.js',
+  'utils/svgFrames.js',
+  'utils/svgReveal.js',
+  'utils/svgUtils.js',
+  'utils/svgValidation.js',
+  'utils/traitErrors.js',
+  'utils/traitRegistry.js',
+  'utils/zipWriter.js',
+  'traits/manifest.json',
+  'traits/rarity.js',
+  'traits_json/eyesOutline.json',
+  'traits_json/frameOutline.json',
+  'traits_json/gumsOutline.json',
+  'traits_json/noseOutline.json',
+  'traits_json/philOutline.json',
+  'traits_json/spikesOutline.json',
+  'traits_json/teethOutline.json',
+  'traits_json/topOutline.json',
+  'traits_json/wingsBottomOutline.json',
+  'traits_json/wingsMiddleOutline.json',
+  'traits_json/wingsTopOutline.json',
+  'vendor/d3-delaunay.js',
+  'vendor/svgo.browser.js',
+];
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+// --------------------------
+// Mode
+// --------------------------
+let mode = null; // cached for the life of this worker
+
+async function getMode() {
+  if (mode) return mode;
+  const stored = await (await caches.open(SETTINGS)).match(MODE_KEY);
+  const value = stored ? await stored.text() : '';
+  const { hostname } = new URL(self.registration.scope);
+  const local = hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+  mode = MODES.includes(value) ? value : (local ? 'dev' : 'prod');
+  return mode;
+}
+
+async function setMode(next) {
+  if (!MODES.includes(next)) throw new Error(`Unknown service worker mode "${next}" (expected ${MODES.join(' or ')})`);
+  await (await caches.open(SETTINGS)).put(MODE_KEY, new Response(next));
+  mode = next;
+  return mode;
+}
+
+// --------------------------
+// Lifecycle
+// --------------------------
+async function precache() {
+  const urls = new Set(SHELL.map(scoped));
+  // Every trait module the manifest lists, so added traits are picked up too
+  const res = await fetch(scoped('traits/manifest.json'), { cache: 'reload' });
+  if (!res.ok) throw new Error(`Precache: traits/manifest.json (${res.status})`);
+  const manifestURL = scoped('traits/manifest.json');
+  for (const { module } of (await res.json()).layers || []) {
+    if (module) urls.add(new URL(module, manifestURL).href);
+  }
+  const cache = await caches.open(PRECACHE);
+  await cache.addAll([...urls].map(url => new Request(url, { cache: 'reload' })));
+}
 
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
+  event.waitUntil((async () => {
+    await precache();
+    // In dev a new sw.js takes over at once; in prod the page asks first
+    if (await getMode() === 'dev') await self.skipWaiting();
+  })());
 });
+
 self.addEventListener('activate', (event) => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil((async () => {
+    const keep = new Set([PRECACHE, RUNTIME, SETTINGS]);
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith(PREFIX) && !keep.has(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
 });
 
-self.addEventListener('fetch', (event) => {
-  const url = new URL(event.request.url);
+// Page → worker: { type: 'get-state' | 'set-mode' | 'skip-waiting', mode? };
+// the reply ({ version, mode } or { error }) goes to the transferred port.
+self.addEventListener('message', (event) => {
+  const { type, mode: next } = event.data || {};
+  const reply = (data) => event.ports[0]?.postMessage(data);
+  if (type === 'skip-waiting') {
+    event.waitUntil(self.skipWaiting());
+  } else if (type === 'get-state' || type === 'set-mode') {
+    event.waitUntil((type === 'set-mode' ? setMode(next) : getMode())
+      .then(current => reply({ version: VERSION, mode: current }))
+      .catch(err => reply({ error: String(err?.message || err) })));
+  }
+});
 
-  // same-origin only
+// --------------------------
+// Fetch
+// --------------------------
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
   if (url.origin !== location.origin) return;
+  event.respondWith(respond(request, remap(url)));
+});
 
-  // 1) Keep your existing traits_json remap working under subpaths
-  if (url.pathname.startsWith('/traits_json/')) {
-    const scope = self.registration.scope; // e.g., http://localhost:8000/ or /createPhil/
-    const rewritten = scope + 'traits_json/' + url.pathname.split('/').slice(2).join('/');
-    event.respondWith(fetchNoStore(new Request(rewritten, event.request)));
-    return;
-  }
+// Absolute /traits_json/… fetches resolve against the domain root; point them
+// at the copy under the scope (e.g. /createPhil/traits_json/…)
+function remap(url) {
+  if (!url.pathname.startsWith('/traits_json/')) return url;
+  return new URL('traits_json/' + url.pathname.split('/').slice(2).join('/') + url.search, self.registration.scope);
+}
 
-  // 2) In DEV, bust cache for local .js/.json/.css files
-  if (DEV_BUST && [".js", ".json", ".css"].some(ext => url.pathname.endsWith(ext))) {
-    url.searchParams.set('v', Date.now().toString());
-    event.respondWith(fetchNoStore(new Request(url.toString(), event.request)));
-    return;
-  }
+async function respond(request, url) {
+  if (await getMode() === 'dev') return fetchDev(request, url);
 
-  // default: just fetch, but still no-store to be safe in dev
-  event.respondWith(fetchNoStore(event.request));
-});
+  const precached = await (await caches.open(PRECACHE)).match(url.href, { ignoreSearch: true });
+  if (precached) return precached;
+
+  const runtime = await caches.open(RUNTIME);
+  try {
+    const res = await fetch(url.href === request.url ? request : url.href);
+    if (res.ok && res.type === 'basic') await runtime.put(url.href, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await runtime.match(url.href);
+    if (cached) return cached;
+    // Offline navigation to any page of the app: serve the shell
+    if (request.mode === 'navigate') {
+      const shell = await caches.match(scoped('index.html'));
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
 
-async function fetchNoStore(reqLike) {
-  const req = new Request(reqLike, { cache: 'reload' });
-  const res = await fetch(req);
-  // wrap response with no-store header
+// Dev: straight from the network, .js/.json/.css cache-busted, responses marked no-store
+async function fetchDev(request, url) {
+  const target = new URL(url);
+  if (['.js', '.json', '.css'].some(ext => target.pathname.endsWith(ext))) target.searchParams.set('v', Date.now().toString());
+  const res = await fetch(target.href, { cache: 'reload', credentials: request.credentials });
   const headers = new Headers(res.headers);
   headers.set('Cache-Control', 'no-store');
-  return new Response(res.body, {
-    status: res.status,
-    statusText: res.statusText,
-    headers
-  });
-}
\ No newline at end of file
+  return new Response(res.body, { status: res.status, statusText: res.statusText, headers });
+}
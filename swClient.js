@@ -0,0 +1,81 @@
+// swClient.js
+// Page side of sw.js: registration, the "update available" hand-off and the
+// prod/dev mode switch. Everything resolves quietly to null/false where
+// service workers are unavailable (file://, private modes, old browsers).
+
+const SW_URL = new URL('./sw.js', import.meta.url);
+const SCOPE = new URL('./', import.meta.url);
+const ANSWER_TIMEOUT = 5000;
+
+export const swSupported = typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+/**
+ * Registers sw.js and watches for new versions.
+ * @param {Object} [params]
+ * @param {function(): void} [params.onUpdate] - Called when a new version has been
+ *   precached and waits for applyUpdate() (not on the very first install).
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker({ onUpdate } = {}) {
+  if (!swSupported) return null;
+  const reg = await navigator.serviceWorker.register(SW_URL, { scope: SCOPE.href, updateViaCache: 'none' });
+  // A waiting worker with a controller in place is an update (not the first install)
+  const check = () => { if (reg.waiting && navigator.serviceWorker.controller) onUpdate?.(); };
+  reg.addEventListener('updatefound', () => {
+    const worker = reg.installing;
+    worker?.addEventListener('statechange', () => { if (worker.state === 'installed') check(); });
+  });
+  check();
+  reg.update().catch(() => {});
+  return reg;
+}
+
+/**
+ * Activates the waiting version and reloads once it controls the page
+ * (just reloads when nothing is waiting).
+ * @returns {Promise<void>}
+ */
+export async function applyUpdate() {
+  const reg = swSupported ? await navigator.serviceWorker.getRegistration(SCOPE.href) : null;
+  if (!reg?.waiting) {
+    location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => location.reload(), { once: true });
+  reg.waiting.postMessage({ type: 'skip-waiting' });
+}
+
+// One request/reply with the active worker over a MessageChannel
+async function ask(message) {
+  if (!swSupported) return null;
+  const reg = await navigator.serviceWorker.getRegistration(SCOPE.href);
+  const worker = reg?.active;
+  if (!worker) return null;
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => reject(new Error('The service worker did not answer')), ANSWER_TIMEOUT);
+    channel.port1.onmessage = (e) => {
+      clearTimeout(timer);
+      e.data?.error ? reject(new Error(e.data.error)) : resolve(e.data);
+    };
+    worker.postMessage(message, [channel.port2]);
+  });
+}
+
+/**
+ * The active worker's version and mode.
+ * @returns {Promise<{version: string, mode: 'prod'|'dev'}|null>} null without an active worker.
+ */
+export function getWorkerState() {
+  return ask({ type: 'get-state' });
+}
+
+/**
+ * Switches the worker between 'prod' (precache, offline) and 'dev' (network,
+ * cache-busted). Takes effect on the next request; reload to refetch the page.
+ * @param {'prod'|'dev'} mode
+ * @returns {Promise<{version: string, mode: string}|null>}
+ */
+export function setWorkerMode(mode) {
+  return ask({ type: 'set-mode', mode });
+}
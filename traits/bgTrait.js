@@ -2,6 +2,10 @@
 
 import { getSecureRandomNumber } from "../utils/colorUtils.js";
 import { validateSVGSize } from "../utils/sizeValidation.js";
+import { withSeed } from "../utils/seedUtils.js";
+import { resolveChoice, resolveNumber } from "../utils/optionUtils.js";
+import { pickWeighted, tierOf } from "../utils/rarityUtils.js";
+import { phase, spin, twinkle } from "../utils/svgAnimation.js";
 
 const SVG_NS = "http://www.w3.org/2000/svg";
 const WIDTH = 420, HEIGHT = 420;
@@ -12,7 +16,6 @@ const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
 const R  = (min, max) => min + getSecureRandomNumber() * (max - min);
 const RI = (min, max) => Math.floor(R(min, max + 1));
 const round = (n, d = 1) => Number(n.toFixed(d));
-const pick  = (arr) => arr[RI(0, arr.length - 1)];
 const lerp = (a, b, t) => a + (b - a) * t;
 const clamp = (x, a=0, b=1) => Math.min(b, Math.max(a, x));
 const smoother = (t) => t*t*(3 - 2*t);
@@ -213,21 +216,57 @@ const PALETTES = [
   { name: "thirteen",   colors: ["#0f0f0f","#ffdd00","#00e5ff","#ff3b3b","#7cff00","#ffffff"] },
 ];
 
+const CORE_MODES = ["mono", "stacked"];
+
+// ---------- options ----------
+// Anything left unset is drawn at random (or uses the default shown).
+export const OPTIONS = {
+  palette:    { type: "select", label: "Palette", values: PALETTES.map(p => p.name) },
+  spiralType: { type: "select", label: "Spiral",  values: SPIRAL_TYPES },
+  numArms:    { type: "number", label: "Arms",    min: 1, max: 12, step: 1, default: 6 },
+  coreMode:   { type: "select", label: "Core",    values: CORE_MODES },
+};
+
+// Choices drawn by rarity weight (see traits/rarity.js)
+export const DRAWS = {
+  palette:    OPTIONS.palette.values,
+  spiralType: SPIRAL_TYPES,
+  coreMode:   CORE_MODES,
+};
+
 // ---------- main ----------
-export function generateTrait() {
+/**
+ * Galaxy background. Same seed => same bytes; without a seed every call is fresh.
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Reproducible seed.
+ * @param {string} [options.palette] - Pin a palette by name ("one" … "thirteen").
+ * @param {string} [options.spiralType] - Pin an arm shape (see SPIRAL_TYPES).
+ * @param {number} [options.numArms=6] - Number of spiral arms.
+ * @param {string} [options.coreMode] - "mono" or "stacked" core glow.
+ * @param {boolean} [options.isStatic=true] - false: the arms rotate and the stars twinkle (SMIL).
+ * @returns {{svg: string, attributes: Object}} SVG plus every choice that was made.
+ */
+export function generateTrait({ seed, ...options } = {}) {
+  return withSeed(seed, () => buildBackground(options));
+}
+
+function buildBackground(options) {
   // choose palette and map roles each time
-  const chosen = pick(PALETTES);
+  const drawnPalette = pickWeighted("bg", "palette", DRAWS.palette).value;
+  const paletteName = resolveChoice(options.palette, drawnPalette, OPTIONS.palette.values, "bg palette");
+  const chosen = PALETTES.find(p => p.name === paletteName);
   const [bg, stars, dust, armA, armB, core] = shuffle(chosen.colors.slice());
-  const spiralType = pick(SPIRAL_TYPES);
+  const spiralType = resolveChoice(options.spiralType, pickWeighted("bg", "spiralType", DRAWS.spiralType).value, SPIRAL_TYPES, "bg spiralType");
 
-  const numArms = 6;
+  const numArms = resolveNumber(options.numArms, OPTIONS.numArms.default, OPTIONS.numArms, "bg numArms");
   const pointsPerArm = 36;
   const maxRadius = WIDTH * 0.369;
   const numBackgroundStars = 69;
   const dustEvery = 0.04;
+  const animated = options.isStatic === false;
 
-  // build arms as literal circles (no <use>)
-  let arms = `<g>`;
+  // build arms as literal circles (no <use>); animated, the whole set turns about the core
+  let arms = animated ? `<g>${spin(WIDTH/2, HEIGHT/2, { dur: 150 })}` : `<g>`;
   for (let i = 0; i < numArms; i++) {
     const pts = generateArmPoints({
       cx: WIDTH/2, cy: HEIGHT/2,
@@ -240,6 +279,8 @@ export function generateTrait() {
     for (const p of pts) {
       const r = round(0.6 + (1 - p.t) * 2.6, 1);
       const o = round(Math.pow(1 - p.t, 0.5) * 0.8, 2);
+      // the arm tips fade to nothing (and may lie off-canvas); resvg panics on such dots
+      if (o <= 0) continue;
       arms += `<circle cx="${p.x}" cy="${p.y}" r="${r}" fill="${col}" opacity="${o}"/>`;
     }
 
@@ -250,6 +291,7 @@ export function generateTrait() {
       for (const p of dustPts) {
         const r = round(3 + (1 - p.t) * 3, 1);
         const o = round(Math.pow(1 - p.t, 0.35) * 0.35, 2);
+        if (o <= 0) continue;
         arms += `<circle cx="${p.x}" cy="${p.y}" r="${r}" fill="${dustCol}" opacity="${o}"/>`;
       }
     }
@@ -259,7 +301,8 @@ export function generateTrait() {
 const coreR = Math.round(R(34, 40)); // your halved size (or your multi-scale choice)
 
 // ... keep coreMode as you have it ...
-const coreMode = getSecureRandomNumber() < 0.5 ? "mono" : "stacked";
+const drawnCoreMode = pickWeighted("bg", "coreMode", DRAWS.coreMode).value;
+const coreMode = resolveChoice(options.coreMode, drawnCoreMode, CORE_MODES, "bg coreMode");
 
 // If stacked, use more/lighter layers for smoothness
 const layers = (coreMode === "mono") ? 1 : RI(6, 9); // was 3–5
@@ -301,12 +344,15 @@ coreGlow += `</g>`;
 `<svg xmlns="${SVG_NS}" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
   <rect width="100%" height="100%" fill="${bg}"/>
   <g> ${
-    Array.from({length: numBackgroundStars}).map(() => {
+    Array.from({length: numBackgroundStars}).map((_, i) => {
       const x = round(R(0, WIDTH), 1);
       const y = round(R(0, HEIGHT), 1);
       const r = round(R(0.3, 1.6), 1);
       const o = round(R(0.25, 1), 2);
-      return `<circle cx="${x}" cy="${y}" r="${r}" fill="${stars}" opacity="${o}"/>`;
+      if (!animated) return `<circle cx="${x}" cy="${y}" r="${r}" fill="${stars}" opacity="${o}"/>`;
+      const dur = 2 + phase(i) * 4;
+      const blink = twinkle(o, round(o * 0.15, 2), { dur, delay: phase(i, 1) * dur });
+      return `<circle cx="${x}" cy="${y}" r="${r}" fill="${stars}" opacity="${o}">${blink}</circle>`;
     }).join("")
   } </g>
   ${arms}
@@ -314,5 +360,20 @@ coreGlow += `</g>`;
 </svg>`.replace(/\s*\n\s*/g, " ").trim();
 
   validateSVGSize(svg);
-  return svg;
+  return {
+    svg,
+    attributes: {
+      palette: chosen.name,
+      spiralType,
+      numArms,
+      coreMode,
+      coreScheme: scheme,
+      colors: { background: bg, stars, dust, armA, armB, core },
+      tiers: {
+        palette: tierOf("bg", "palette", chosen.name),
+        spiralType: tierOf("bg", "spiralType", spiralType),
+        coreMode: tierOf("bg", "coreMode", coreMode),
+      },
+    },
+  };
 }
\ No newline at end of file
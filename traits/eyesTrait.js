@@ -6,6 +6,13 @@
 
 import { getSecureRandomNumber } from "../utils/colorUtils.js";
 import { validateSVGSize } from "../utils/sizeValidation.js";
+import { withSeed } from "../utils/seedUtils.js";
+import { resolveChoice } from "../utils/optionUtils.js";
+import { pickWeighted, tierOf } from "../utils/rarityUtils.js";
+import { clipPolylineToPath, isPointInPath } from "../utils/pathGeometry.js";
+import { geometryError } from "../utils/traitErrors.js";
+import { loadOutline } from "../utils/outlineLoader.js";
+import { spin } from "../utils/svgAnimation.js";
 
 const SVG_NS = "http://www.w3.org/2000/svg";
 const SIZE = 420;
@@ -16,39 +23,22 @@ const RI = (min, max) => Math.floor(R(min, max + 1));
 const round = (n, d = 2) => Number(n.toFixed(d));
 
 function uid(prefix = "u") {
-  const bytes = new Uint8Array(6);
-  window.crypto.getRandomValues(bytes);
+  // drawn from the trait RNG so ids are stable under a seed
+  const bytes = Array.from({ length: 6 }, () => Math.floor(getSecureRandomNumber() * 256));
   return prefix + "-" + Array.from(bytes).map(b => b.toString(16).padStart(2,"0")).join("");
 }
 
 // Hit-test to ensure we pick a center inside the eye path
-function isPointInPathRasterized(pathData, x, y, viewBox = `0 0 ${SIZE} ${SIZE}`) {
-  const [minX, minY, width, height] = viewBox.split(" ").map(Number);
-  const canvas = document.createElement("canvas");
-  canvas.width = width; canvas.height = height;
-  const ctx = canvas.getContext("2d");
-  const p = new Path2D(pathData);
-  ctx.fill(p);
-  const nx = x - minX, ny = y - minY;
-  return ctx.isPointInPath(p, nx, ny);
-}
-
 function pickCenterInside(pathData, viewBox) {
   const [minX, minY, w, h] = viewBox.split(" ").map(Number);
   for (let attempts = 0; attempts < 800; attempts++) {
     const x = minX + w * (0.35 + getSecureRandomNumber() * 0.30);
     const y = minY + h * (0.35 + getSecureRandomNumber() * 0.30);
-    if (isPointInPathRasterized(pathData, x, y, viewBox)) return { cx: x, cy: y };
+    if (isPointInPath(pathData, x, y)) return { cx: x, cy: y };
   }
   return { cx: minX + w/2, cy: minY + h/2 };
 }
 
-async function fetchJSON(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to fetch ${url}`);
-  return res.json();
-}
-
 // ---------- palettes: [bright, darkA, darkB] ----------
 const PALETTES = [
   ["#08090A", "#A7A2A9", "#F4F7F5"],
@@ -71,6 +61,22 @@ const SPIRAL_STYLES = [
   "rings", "log", "tight", "loose", "rose", "sinewave", "noisy", "fermat", "lituus", "arch"
 ];
 
+// extra styles genSpiralPoints supports: pinnable via options, never drawn at random
+const EXTRA_SPIRAL_STYLES = ["spiro_epitro", "spiro_hypo", "involute", "lissajous_polar", "bundle"];
+
+// ---------- options ----------
+// Unset options are drawn at random.
+export const OPTIONS = {
+  palette:     { type: "select", label: "Palette", values: PALETTES.map((_, i) => i) },
+  spiralStyle: { type: "select", label: "Spiral",  values: [...SPIRAL_STYLES, ...EXTRA_SPIRAL_STYLES] },
+};
+
+// Choices drawn by rarity weight (see traits/rarity.js); the extra styles are pin-only
+export const DRAWS = {
+  palette:     OPTIONS.palette.values,
+  spiralStyle: SPIRAL_STYLES,
+};
+
 // Build a polyline spiral path string from points
 function toPath(points) {
   if (!points.length) return "";
@@ -81,60 +87,7 @@ function toPath(points) {
   return d;
 }
 
-// --- NEW: polyline clip to path (delete outside segments) -------------------
-function clipPolylineToPath(pathData, points, viewBox = `0 0 ${SIZE} ${SIZE}`, tol = 0.5) {
-  if (!points || points.length < 2) return [];
-  const isInside = (x, y) => isPointInPathRasterized(pathData, x, y, viewBox);
-
-  const segs = [];
-  let cur = [];
-
-  const bisectToBoundary = (ax, ay, bx, by) => {
-    // A and B straddle the boundary. Find boundary point from A->B.
-    let lo = 0, hi = 1;
-    for (let i = 0; i < 24; i++) {
-      const mid = (lo + hi) / 2;
-      const mx = ax + (bx - ax) * mid;
-      const my = ay + (by - ay) * mid;
-      if (isInside(mx, my)) lo = mid; else hi = mid;
-      if ((hi - lo) * Math.hypot(bx - ax, by - ay) <= tol) break;
-    }
-    const t = lo;
-    return { x: ax + (bx - ax) * t, y: ay + (by - ay) * t };
-  };
-
-  let prev = points[0];
-  let prevIn = isInside(prev.x, prev.y);
-  if (prevIn) cur.push(prev);
-
-  for (let i = 1; i < points.length; i++) {
-    const p = points[i];
-    const nowIn = isInside(p.x, p.y);
-
-    if (prevIn && nowIn) {
-      if (cur.length === 0) cur.push(prev);
-      cur.push(p);
-    } else if (prevIn && !nowIn) {
-      const cut = bisectToBoundary(prev.x, prev.y, p.x, p.y);
-      if (cur.length === 0) cur.push(prev);
-      cur.push(cut);
-      if (cur.length >= 2) segs.push(cur);
-      cur = [];
-    } else if (!prevIn && nowIn) {
-      const cut = bisectToBoundary(p.x, p.y, prev.x, prev.y); // reverse to find boundary from inside side
-      cur = [cut, p];
-    } else {
-      // both outside -> skip
-    }
-
-    prev = p;
-    prevIn = nowIn;
-  }
-  if (cur.length >= 2) segs.push(cur);
-
-  return segs;
-}
-
+// Spirals are clipped to the lens with clipPolylineToPath (exact boundary cuts)
 function segmentToPathD(seg) {
   let d = `M ${round(seg[0].x,2)} ${round(seg[0].y,2)}`;
   for (let i = 1; i < seg.length; i++) d += ` L ${round(seg[i].x,2)} ${round(seg[i].y,2)}`;
@@ -196,7 +149,7 @@ function genSpiralPoints({ type, cx, cy, maxR, turns = 3.2, steps = 420 }) {
         x = cx + Math.cos(theta)*r; y = cy + Math.sin(theta)*r; break;
       }
 
-      // additional types supported but not selected unless added to SPIRAL_STYLES
+      // additional types: only used when pinned via options.spiralStyle (EXTRA_SPIRAL_STYLES)
       case "spiro_epitro": {
         const Rb = maxR * 0.28 * (1 + 0.2 * getSecureRandomNumber());
         const rb = Rb * (0.30 + 0.25 * getSecureRandomNumber());
@@ -271,8 +224,9 @@ function buildRings({ cx, cy, maxR, colorA, colorB }) {
   return g;
 }
 
-// Spiral strokes (two passes, A on top of B), trimmed to lens path via polyline clipping
-function buildSpiralStrokes({ cx, cy, maxR, colorA, colorB, style, lensPath, viewBox = `0 0 ${SIZE} ${SIZE}` }) {
+// Spiral strokes (two passes, A on top of B), trimmed to lens path via polyline clipping.
+// trim=false keeps the whole spiral (it spins, so the lens clip has to do the cutting).
+function buildSpiralStrokes({ cx, cy, maxR, colorA, colorB, style, lensPath, trim = true }) {
   const steps = 540;                 // a bit denser for compact styles
   const turns = (style === "involute") ? 2.2 : 3.2;
 
@@ -280,10 +234,11 @@ function buildSpiralStrokes({ cx, cy, maxR, colorA, colorB, style, lensPath, vie
   const pts0 = genSpiralPoints({ type: style, cx, cy, maxR, turns, steps });
 
   // clip the polyline to the lens shape into inside-only segments
-  const segments = clipPolylineToPath(lensPath, pts0, viewBox, 0.5);
-  if (segments.length === 0) {
+  const kept = clipPolylineToPath(lensPath, pts0);
+  if (kept.length === 0) {
     return `<g id="iris-spiral" fill="none"></g>`;
   }
+  const segments = trim ? kept : [pts0];
 
   // base widths/opacity (same look you had)
   const wB = round(R(6.0, 8.0), 2);
@@ -316,7 +271,8 @@ function buildSpiralStrokes({ cx, cy, maxR, colorA, colorB, style, lensPath, vie
     });
 
     for (const phase of [0.35, -0.35]) {
-      const segs = clipPolylineToPath(lensPath, mkPhasePts(phase), viewBox, 0.5);
+      const phasePts = mkPhasePts(phase);
+      const segs = trim ? clipPolylineToPath(lensPath, phasePts) : [phasePts];
       const wSub = round(wA * 0.8, 2);
       for (const seg of segs) {
         const d = segmentToPathD(seg);
@@ -367,71 +323,93 @@ function buildGloss({ idGloss, cx, cy }) {
 }
 
 // ---------- main ----------
-export async function generateTrait(jsonData) {
+/**
+ * Eyes: palette frame + spiral iris clipped to the lens.
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Reproducible seed.
+ * @param {Object} [options.jsonData] - { eyes, frames } outlines; skips the fetch.
+ * @param {number} [options.palette] - Pin a palette by index (0–12).
+ * @param {string} [options.spiralStyle] - Pin an iris style, including the extra
+ *   spiro_epitro / spiro_hypo / involute / lissajous_polar / bundle styles.
+ * @param {boolean} [options.isStatic=true] - false: the iris spins inside the lens clip (SMIL).
+ * @returns {Promise<{svg: string, attributes: Object}>}
+ */
+export async function generateTrait({ seed, jsonData, palette, spiralStyle, isStatic = true } = {}) {
   if (!jsonData) {
-    const base = "/traits_json";
     const [eyesData, frameData] = await Promise.all([
-      fetchJSON(`${base}/eyesOutline.json`),
-      fetchJSON(`${base}/frameOutline.json`),
+      loadOutline("eyes", { trait: "eyes" }),
+      loadOutline("frame", { trait: "eyes" }),
     ]);
     jsonData = { eyes: eyesData, frames: frameData };
   }
 
   if (!jsonData?.eyes?.pathData || !jsonData?.frames?.pathData) {
-    throw new Error("Eyes trait requires eyes.pathData and frames.pathData.");
+    throw geometryError("eyes", "Eyes trait requires eyes.pathData and frames.pathData.");
   }
 
-  const viewBox  = jsonData.eyes.viewBox || `0 0 ${SIZE} ${SIZE}`;
-  const lensPath = jsonData.eyes.pathData;
-  const { cx, cy } = pickCenterInside(lensPath, viewBox);
-
-  // pick palette -> [bright, darkA, darkB]
-  const [bright, darkA, darkB] = PALETTES[RI(0, PALETTES.length - 1)];
-
-  // keep your original sizing to preserve look
-  const maxR  = Math.min(SIZE, SIZE) * R(0.27, 0.33);
-  const lensR = round(maxR * R(1.05, 1.25), 2);
-
-  const { defs, idGlow, idGloss, idClip } = buildDefs({ cx, cy, lensR, bright, lensPath });
-  // choose spiral style
-  const style = SPIRAL_STYLES[RI(0, SPIRAL_STYLES.length - 1)];
-
-  // build iris content (either rings or stroke spirals)
-  const iris =
-    style === "rings"
-      ? buildRings({ cx, cy, maxR, colorA: darkA, colorB: darkB })
-      : buildSpiralStrokes({ cx, cy, maxR, colorA: darkA, colorB: darkB, style, lensPath, viewBox });
-
-  const gloss = buildGloss({ idGloss, cx, cy });
-
-  // Keep your existing mask block if you like the glow confined.
-  // (Spiral is hard-trimmed already, so even if mask is flaky in some editors, the iris won't bleed.)
-  const maskId = uid("mask");
-
-  const svg = `
-    <svg xmlns="${SVG_NS}" width="${SIZE}" height="${SIZE}" viewBox="${viewBox}">
-      ${defs}
-
-      <!-- Frame uses the bright color from the palette -->
-      <path d="${jsonData.frames.pathData}" fill="${bright}" opacity="1"/>
-
-      <!-- Lens base + iris; mask is optional safety for glow -->
-      <mask id="${maskId}">
-        <path d="${lensPath}" fill="#fff"/>
-      </mask>
-      <g mask="url(#${maskId})" clip-path="url(#${idClip})">
-        <rect x="0" y="0" width="100%" height="100%" fill="url(#${idGlow})"/>
-        ${iris}
-        ${gloss}
-      </g>
-
-      <!-- Lens outline on top for crisp edge -->
-      <path d="${lensPath}" fill="none" stroke="${bright}" stroke-width="1.2" opacity="0.9"/>
-    </svg>
-  `.replace(/\s*\n\s*/g, " ").trim();
-
-  validateSVGSize(svg);
-  return svg;
+  return withSeed(seed, () => {
+    const viewBox  = jsonData.eyes.viewBox || `0 0 ${SIZE} ${SIZE}`;
+    const lensPath = jsonData.eyes.pathData;
+    const { cx, cy } = pickCenterInside(lensPath, viewBox);
+
+    // pick palette -> [bright, darkA, darkB]
+    const paletteIndex = resolveChoice(palette, pickWeighted("eyes", "palette", DRAWS.palette).value, OPTIONS.palette.values, "eyes palette");
+    const [bright, darkA, darkB] = PALETTES[paletteIndex];
+
+    // keep your original sizing to preserve look
+    const maxR  = Math.min(SIZE, SIZE) * R(0.27, 0.33);
+    const lensR = round(maxR * R(1.05, 1.25), 2);
+
+    const { defs, idGlow, idGloss, idClip } = buildDefs({ cx, cy, lensR, bright, lensPath });
+    // choose spiral style
+    const style = resolveChoice(spiralStyle, pickWeighted("eyes", "spiralStyle", DRAWS.spiralStyle).value, OPTIONS.spiralStyle.values, "eyes spiralStyle");
+
+    // build iris content (either rings or stroke spirals)
+    const iris =
+      style === "rings"
+        ? buildRings({ cx, cy, maxR, colorA: darkA, colorB: darkB })
+        : buildSpiralStrokes({ cx, cy, maxR, colorA: darkA, colorB: darkB, style, lensPath, trim: isStatic });
+    const irisLayer = isStatic ? iris : `<g>${spin(round(cx, 2), round(cy, 2), { dur: 24 })}${iris}</g>`;
+
+    const gloss = buildGloss({ idGloss, cx, cy });
+
+    // Keep your existing mask block if you like the glow confined.
+    // (Spiral is hard-trimmed already, so even if mask is flaky in some editors, the iris won't bleed.)
+    const maskId = uid("mask");
+
+    const svg = `
+      <svg xmlns="${SVG_NS}" width="${SIZE}" height="${SIZE}" viewBox="${viewBox}">
+        ${defs}
+
+        <!-- Frame uses the bright color from the palette -->
+        <path d="${jsonData.frames.pathData}" fill="${bright}" opacity="1"/>
+
+        <!-- Lens base + iris; mask is optional safety for glow -->
+        <mask id="${maskId}">
+          <path d="${lensPath}" fill="#fff"/>
+        </mask>
+        <g mask="url(#${maskId})" clip-path="url(#${idClip})">
+          <rect x="0" y="0" width="100%" height="100%" fill="url(#${idGlow})"/>
+          ${irisLayer}
+          ${gloss}
+        </g>
+
+        <!-- Lens outline on top for crisp edge -->
+        <path d="${lensPath}" fill="none" stroke="${bright}" stroke-width="1.2" opacity="0.9"/>
+      </svg>
+    `.replace(/\s*\n\s*/g, " ").trim();
+
+    validateSVGSize(svg);
+    return {
+      svg,
+      attributes: {
+        palette: paletteIndex,
+        spiralStyle: style,
+        colors: { bright, darkA, darkB },
+        tiers: { palette: tierOf("eyes", "palette", paletteIndex), spiralStyle: tierOf("eyes", "spiralStyle", style) },
+      },
+    };
+  });
 }
 
 export default { generateTrait };
\ No newline at end of file
@@ -1,16 +1,14 @@
 // public/traitGeneration/noseTrait.js
-import { getColorByNumber, getSecureRandomNumber } from "../utils/colorUtils.js";
+import { getColorByNumber } from "../utils/colorUtils.js";
+import { withSeed } from "../utils/seedUtils.js";
+import { resolveChoice } from "../utils/optionUtils.js";
+import { pickWeighted, tierOf } from "../utils/rarityUtils.js";
+import { loadOutline } from "../utils/outlineLoader.js";
 
 const SVG_NS = "http://www.w3.org/2000/svg";
 const CANVAS_SIZE = 420;
 
 /* ---------------- helpers ---------------- */
-async function fetchJSON(url) {
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to fetch JSON from ${url} (${res.status})`);
-  return res.json();
-}
-
 // HSL helpers to make lighter/darker shades of the SAME color
 function hexToHSL(hex) {
   const r = parseInt(hex.slice(1, 3), 16) / 255;
@@ -60,22 +58,35 @@ function shade(hex, dl) { // dl in [-0.5, 0.5]
   return hslToHex(h, s, clamp01(l + dl));
 }
 
+/* ---------------- options ---------------- */
+// color: COLOR_KEY index (0 = random hex); unset = random index
+export const OPTIONS = {
+  color: { type: "select", label: "Color", values: Array.from({ length: 69 }, (_, i) => i) },
+};
+
+// Choices drawn by rarity weight (see traits/rarity.js)
+export const DRAWS = {
+  color: OPTIONS.color.values,
+};
+
 /* ---------------- main ---------------- */
 /**
  * Solid-color Nose with stroke as a darker shade of the same color.
  * No glow. Supports single path or paths[] with optional type:"shadow".
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Pass a seed to get the same nose back.
+ * @param {number} [options.color] - Pin the color (COLOR_KEY index 0–68).
+ * @param {boolean} [options.isStatic=true] - Accepted for the animated mode; the nose stays still.
+ * @returns {Promise<{svg: string, attributes: Object}>}
  */
-export async function generateTrait(_unused = null, _isStatic = true) {
-  try {
-    const data = await fetchJSON("/traits_json/noseOutline.json");
-    if (!data || (!data.pathData && !data.paths)) {
-      throw new Error("Invalid or missing path data in noseOutline.json.");
-    }
+export async function generateTrait({ seed, color, isStatic = true } = {}) {
+  const data = await loadOutline("nose"); // schema-checked: pathData and/or paths
 
-    const viewBox = data.viewBox || `0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`;
+  const viewBox = data.viewBox || `0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`;
 
+  return withSeed(seed, () => {
     // Pick a random palette index (0..68) each run
-    const baseIndex = Math.floor(getSecureRandomNumber() * 69);
+    const baseIndex = resolveChoice(color, pickWeighted("nose", "color", DRAWS.color).value, OPTIONS.color.values, "nose color");
     const baseHex = getColorByNumber(baseIndex);
 
     // Stroke and any "shadow" subpaths are just shades of the base
@@ -108,11 +119,14 @@ export async function generateTrait(_unused = null, _isStatic = true) {
       </svg>
     `.replace(/\s*\n\s*/g, " ").trim();
 
-    return svg;
-  } catch (err) {
-    console.error("[NoseTrait] ERROR:", err);
-    return `<svg xmlns="${SVG_NS}" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}">
-      <text x="10" y="20">Nose error: ${String(err.message || err)}</text>
-    </svg>`;
-  }
+    return {
+      svg,
+      attributes: {
+        colorIndex: baseIndex,
+        baseColor: baseHex,
+        strokeColor: strokeHex,
+        tiers: { color: tierOf("nose", "color", baseIndex) },
+      },
+    };
+  });
 }
\ No newline at end of file
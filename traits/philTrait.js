@@ -1,71 +1,50 @@
-import { Delaunay } from 'https://cdn.skypack.dev/d3-delaunay@6';
+import { Delaunay } from '../vendor/d3-delaunay.js';
 import { getColorByNumber, getSecureRandomNumber } from "../utils/colorUtils.js";
-
-const Clipper = ClipperLib.Clipper;
-const PolyType = ClipperLib.PolyType;
-const ClipType = ClipperLib.ClipType;
+import { withSeed } from "../utils/seedUtils.js";
+import { resolveBoolean, resolveNumber } from "../utils/optionUtils.js";
+import { isPointInPath, pathBBox, pathLength, pointAtLength } from "../utils/pathGeometry.js";
+import { geometryError } from "../utils/traitErrors.js";
+import { intersection } from "../utils/polygonClipping.js";
+import { loadOutline } from "../utils/outlineLoader.js";
 
 const SVG_NS = "http://www.w3.org/2000/svg";
 const CANVAS_SIZE = 420;
 const NUM_POINTS = 169;
+const CLIP_SCALE = 100; // clipping grid: 1/100 of a user unit
 
-async function fetchJSON(url) {
-  const response = await fetch(url);
-  if (!response.ok) throw new Error(`Failed to fetch JSON from ${url}`);
-  return await response.json();
-}
-
-function isPointInPath(path, x, y) {
-  const tempSvg = document.createElementNS(SVG_NS, "svg");
-  tempSvg.appendChild(path);
-  document.body.appendChild(tempSvg);
-  const point = tempSvg.createSVGPoint();
-  point.x = x;
-  point.y = y;
-  const inside = path.isPointInFill(point);
-  document.body.removeChild(tempSvg);
-  return inside;
-}
-
-function getPathInfo(pathData) {
-  const path = document.createElementNS(SVG_NS, "path");
-  path.setAttribute("d", pathData);
-  const tempSvg = document.createElementNS(SVG_NS, "svg");
-  tempSvg.appendChild(path);
-  document.body.appendChild(tempSvg);
-  const bbox = path.getBBox();
-  document.body.removeChild(tempSvg);
-  return { path, bbox };
-}
+// Options schema (app.js builds the options form from it). Unset = default.
+export const OPTIONS = {
+  numPoints: { type: "number",  label: "Cells",        min: 12, max: 600, step: 1, default: NUM_POINTS },
+  useCurves: { type: "boolean", label: "Curved cells", default: false },
+};
 
-function generatePointsInPath(path, bbox, numPoints) {
+function generatePointsInPath(pathData, bbox, numPoints) {
   const points = [];
-  const length = path.getTotalLength();
+  const length = pathLength(pathData);
   const numBoundaryPoints = Math.floor(numPoints * 0.4);
   for (let i = 0; i < numBoundaryPoints; i++) {
     const t = i / numBoundaryPoints;
-    const point = path.getPointAtLength(t * length);
+    const point = pointAtLength(pathData, t * length);
     points.push([point.x + (getSecureRandomNumber() - 0.5) * 5, point.y + (getSecureRandomNumber() - 0.5) * 5]);
   }
-  const numInteriorPoints = numPoints - numBoundaryPoints;
   const noiseScale = 0.1;
   while (points.length < numPoints) {
     const x = bbox.x + getSecureRandomNumber() * bbox.width;
     const y = bbox.y + getSecureRandomNumber() * bbox.height;
     const noise = Math.sin(x * noiseScale) * Math.sin(y * noiseScale);
-    if (getSecureRandomNumber() < 0.5 + noise * 0.3 && isPointInPath(path, x, y)) {
+    if (getSecureRandomNumber() < 0.5 + noise * 0.3 && isPointInPath(pathData, x, y)) {
       points.push([x, y]);
     }
   }
   return points.slice(0, numPoints);
 }
 
-function approximatePathAsPolygon(path, sampleDistance = 0.5) {
-  const length = path.getTotalLength();
+function approximatePathAsPolygon(pathData, sampleDistance = 0.5) {
+  const length = pathLength(pathData);
   const numSamples = Math.ceil(length / sampleDistance);
   const points = [];
   for (let i = 0; i <= numSamples; i++) {
-    const point = path.getPointAtLength((i / numSamples) * length);
+    const point = pointAtLength(pathData, (i / numSamples) * length);
     points.push({ X: point.x, Y: point.y });
   }
   if (points[0].X !== points[points.length - 1].X || points[0].Y !== points[points.length - 1].Y) {
@@ -124,10 +103,12 @@ function createSmoothCellPath(points, tension = 0.2, randomOffset = 2) {
 }
 
 /*
- * Updated export: generateTrait now accepts a third parameter (useCurves) to toggle between
- * straight-line cells and curved cells.
+ * Updated export: generateTrait now takes an options object. `useCurves` toggles between
+ * straight-line cells (default, crisper) and curved cells; `numPoints` sets the Voronoi
+ * cell count; `seed` makes the output reproducible. `isStatic` is accepted for the animated mode (the cells stay still).
+ * Resolves to { svg, attributes }.
  */
-export async function generateTrait(unused = null, isStatic = true, useCurves = true) {
+export async function generateTrait({ seed, isStatic = true, useCurves, numPoints } = {}) {
   const OVERALL_OPACITY = 1.0;
   const CELLS_MIN_OPACITY = 0.8;
   const CELLS_MAX_OPACITY = 1.0;
@@ -146,24 +127,27 @@ export async function generateTrait(unused = null, isStatic = true, useCurves =
     return { cellColor, strokeColor, outlineColor };
   };
 
-  const colors = generateRandomColors();
+  const jsonData = await loadOutline('phil');
+  if (!jsonData.pathData) throw geometryError('phil', 'Missing pathData for Phil trait.');
 
-  const PHIL_CONFIG = {
-    cellColors: [colors.cellColor],
-    strokeColor: colors.strokeColor,
-    outlineStrokeColor: colors.outlineColor
-  };
+  return withSeed(seed, () => {
+    const colors = generateRandomColors();
+
+    const PHIL_CONFIG = {
+      cellColors: [colors.cellColor],
+      strokeColor: colors.strokeColor,
+      outlineStrokeColor: colors.outlineColor
+    };
 
-  try {
-    const jsonData = await fetchJSON('./traits_json/philOutline.json');
-    if (!jsonData.pathData) throw new Error('Missing pathData for Phil trait.');
+    const cellCount = resolveNumber(numPoints, OPTIONS.numPoints.default, OPTIONS.numPoints, "phil numPoints");
+    const curved = resolveBoolean(useCurves, OPTIONS.useCurves.default);
 
-    const { path, bbox } = getPathInfo(jsonData.pathData);
-    const points = generatePointsInPath(path, bbox, NUM_POINTS);
+    const bbox = pathBBox(jsonData.pathData);
+    const points = generatePointsInPath(jsonData.pathData, bbox, cellCount);
 
     const delaunay = new Delaunay(points.flat());
     const voronoi = delaunay.voronoi([bbox.x, bbox.y, bbox.x + bbox.width, bbox.y + bbox.height]);
-    const pathPoints = approximatePathAsPolygon(path);
+    const pathPoints = approximatePathAsPolygon(jsonData.pathData);
 
     const cellColors = PHIL_CONFIG.cellColors.map(num => getColorByNumber(num));
     const strokeColor = getColorByNumber(PHIL_CONFIG.strokeColor);
@@ -174,16 +158,10 @@ export async function generateTrait(unused = null, isStatic = true, useCurves =
       const cell = voronoi.cellPolygon(i);
       if (cell) {
         const cellPoints = cell.map(([x, y]) => ({ X: x, Y: y }));
-        const clipper = new Clipper();
-        clipper.AddPath(cellPoints, PolyType.ptSubject, true);
-        clipper.AddPath(pathPoints, PolyType.ptClip, true);
-        const solution = [];
-        clipper.Execute(ClipType.ctIntersection, solution);
-
-        for (const poly of solution) {
+        for (const poly of intersection(cellPoints, pathPoints, { scale: CLIP_SCALE })) {
           const offsetPoints = offsetCellPoints(poly, MAX_OFFSET);
-          // Use straight lines for crisper edges
-          const pathData = createCellPath(offsetPoints);
+          // Straight lines for crisper edges unless curved cells were asked for
+          const pathData = curved ? createSmoothCellPath(offsetPoints) : createCellPath(offsetPoints);
           if (pathData) {
             const color = cellColors[i % cellColors.length];
             const opacity = CELLS_MIN_OPACITY + getSecureRandomNumber() * (CELLS_MAX_OPACITY - CELLS_MIN_OPACITY);
@@ -198,9 +176,15 @@ export async function generateTrait(unused = null, isStatic = true, useCurves =
       + `<g stroke="${strokeColor}" stroke-width="${STROKE_WIDTH}" stroke-linecap="round" stroke-linejoin="round">${cellPaths}</g>`
       + `<path d="${jsonData.pathData}" fill="none" ${outlineStrokeAttr}/></svg>`;
 
-    return svg.replace(/\s*\n\s*/g, " ").trim();
-  } catch (error) {
-    console.error('Error generating Phil trait:', error);
-    return `<svg xmlns="${SVG_NS}" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}" viewBox="0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}"><path d="${jsonData?.pathData || ''}" fill="black" /></svg>`;
-  }
+    return {
+      svg: svg.replace(/\s*\n\s*/g, " ").trim(),
+      attributes: {
+        cellColor: cellColors[0],
+        strokeColor,
+        outlineColor: outlineStrokeColor,
+        cellCount: points.length,
+        curvedCells: curved,
+      },
+    };
+  });
 }
\ No newline at end of file
@@ -0,0 +1,36 @@
+// traits/rarity.js
+// Rarity configuration for every choice a trait draws at random (palettes,
+// spiral styles, effect modes, base colors).
+//
+// Each value belongs to one named tier; a value's draw weight is its tier's
+// weight, so a "rare" value is 15/100 as likely as a "common" one of the same
+// choice. Values not listed below are "common". Changing this file changes
+// what a given seed draws.
+
+export const TIERS = {
+  common: 100,
+  uncommon: 50,
+  rare: 15,
+  legendary: 4,
+};
+
+export const RARITY = {
+  bg: {
+    palette:    { uncommon: ["nine", "ten"], rare: ["eleven", "twelve"], legendary: ["thirteen"] },
+    spiralType: { uncommon: ["rose", "phyllo"], rare: ["noisy", "randomwalk"] },
+    coreMode:   { uncommon: ["stacked"] },
+  },
+  wings: {
+    color: {},
+  },
+  spikes: {
+    mode: { uncommon: ["both"] },
+  },
+  eyes: {
+    palette:     { rare: [11], legendary: [12] },
+    spiralStyle: { uncommon: ["sinewave", "noisy"], rare: ["lituus"] },
+  },
+  nose: {
+    color: {},
+  },
+};
@@ -1,4 +1,10 @@
 import { getColorByNumber, getSecureRandomNumber } from "../utils/colorUtils.js";
+import { withSeed } from "../utils/seedUtils.js";
+import { resolveChoice, resolveNumber } from "../utils/optionUtils.js";
+import { pickWeighted, tierOf } from "../utils/rarityUtils.js";
+import { isPointInPath } from "../utils/pathGeometry.js";
+import { geometryError } from "../utils/traitErrors.js";
+import { loadOutline } from "../utils/outlineLoader.js";
 
 const SVG_NS = "http://www.w3.org/2000/svg";
 const CANVAS_SIZE = 420;
@@ -13,27 +19,48 @@ const STROKE_WIDTH_MAX = 0.69;   // Maximum stroke width for cracks
 const DOT_SIZE_MIN = 1;          // Minimum radius for dots
 const DOT_SIZE_MAX = 3;          // Maximum radius for dots
 const CRACK_LENGTH = 40;         // Max length variation for cracks (±20)
+const MODES = ["cracks", "dots", "both"];
 
 /**
- * Helper: Fetches and parses JSON from the given URL.
- * @param {string} url - The URL of the JSON file.
- * @returns {Promise<Object>} The parsed JSON.
+ * Options schema (read by app.js to build the options form). Unset = random.
  */
-async function fetchJSON(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch JSON from ${url}`);
+export const OPTIONS = {
+  mode:  { type: "select", label: "Effects", values: MODES },
+  count: { type: "number", label: "Cracks/dots each", min: MIN_ELEMENTS, max: MAX_ELEMENTS, step: 1 },
+};
+
+// Choices drawn by rarity weight (see traits/rarity.js)
+export const DRAWS = {
+  mode: MODES,
+};
+
+/**
+ * Generates a Spikes trait SVG with gradient fill and effects (cracks and dots).
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Seed for reproducible output; omit for a fresh random trait.
+ * @param {string} [options.rarity] - Draw the effect mode from this tier only (e.g. "common", "uncommon"; see traits/rarity.js).
+ * @param {boolean} [options.isStatic=true] - Accepted for the animated mode; the spikes stay still.
+ * @param {string} [options.mode] - Pin the effect mode: "cracks", "dots" or "both".
+ * @param {number} [options.count] - Pin how many cracks/dots each effect draws (3–36).
+ * @returns {Promise<{svg: string, attributes: Object}>} The serialized SVG and the choices made.
+ */
+export async function generateTrait({ seed, rarity, isStatic = true, mode, count } = {}) {
+  const jsonData = await loadOutline("spikes");
+
+  if (!jsonData.pathData) {
+    throw geometryError("spikes", "Missing pathData for Spikes trait.");
   }
-  return await response.json();
+
+  return withSeed(seed, () => buildSpikes(jsonData, { mode, count, rarity }));
 }
 
 /**
- * Generates a Spikes trait SVG with gradient fill and effects (cracks and dots).
- * @param {string} [rarity="common"] - The rarity level (e.g., "common", "rare", etc.).
- * @param {boolean} [isStatic=true] - Placeholder for animation (not used here).
- * @returns {Promise<string>} A Promise that resolves to the serialized SVG string.
+ * Builds the Spikes SVG from outline data. All randomness happens here.
+ * @param {Object} jsonData - Outline JSON with pathData and optional viewBox.
+ * @param {Object} pinned - Pinned options ({ mode, count, rarity }); unset ones are random.
+ * @returns {{svg: string, attributes: Object}} The serialized SVG and effect choices.
  */
-export async function generateTrait(rarity = "common", isStatic = true) {
+function buildSpikes(jsonData, pinned) {
   // Configurable constants
   const OVERALL_OPACITY = 1.0;       // Overall SVG opacity (0–1)
   const SPIKES_OPACITY = 1.0;        // Opacity for the main spikes path (0–1)
@@ -64,13 +91,6 @@ export async function generateTrait(rarity = "common", isStatic = true) {
     color: colors.dotColor          // Dot color changes each time
   };
 
-  // Fetch JSON data
-      const jsonData = await fetchJSON(`./traits_json/spikesOutline.json`);
-
-  if (!jsonData.pathData) {
-    throw new Error("Missing pathData for Spikes trait.");
-  }
-
   const viewBox = jsonData.viewBox || `0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`;
 
   // Generate colors from COLOR_KEY
@@ -78,193 +98,154 @@ export async function generateTrait(rarity = "common", isStatic = true) {
   const crackColor = getColorByNumber(CRACKS_CONFIG.color);
   const dotColor = getColorByNumber(DOTS_CONFIG.color);
 
-  // Create SVG structure
-  const svg = document.createElementNS(SVG_NS, "svg");
-  svg.setAttribute("xmlns", SVG_NS);
-  svg.setAttribute("width", CANVAS_SIZE.toString());
-  svg.setAttribute("height", CANVAS_SIZE.toString());
-  svg.setAttribute("viewBox", viewBox);
-  svg.setAttribute("opacity", OVERALL_OPACITY.toString());
-
-  // Create the main spikes path with solid fill
-  const spikesGroup = document.createElementNS(SVG_NS, "g");
-  const spikesPath = document.createElementNS(SVG_NS, "path");
-  spikesPath.setAttribute("d", jsonData.pathData);
-  spikesPath.setAttribute("fill", spikesColors[0]); // Solid color instead of gradient
-  spikesPath.setAttribute("stroke", "#000000");
-  spikesPath.setAttribute("stroke-width", "0.00005");
-  spikesPath.setAttribute("opacity", SPIKES_OPACITY.toString());
-  spikesGroup.appendChild(spikesPath);
-
-  // Add effects (cracks and/or dots)
-  const mode = selectGenerationMode();
-  addEffects(spikesGroup, jsonData.pathData, mode, crackColor, dotColor);
-
-  svg.appendChild(spikesGroup);
-
-  return svg.outerHTML.trim();
+  // Main spikes path (solid fill) plus effects (cracks and/or dots)
+  const mode = selectGenerationMode(pinned.mode, pinned.rarity);
+  const count = resolveNumber(pinned.count, null, OPTIONS.count, "spikes count");
+  const effects = addEffects(jsonData.pathData, mode, crackColor, dotColor, count);
+
+  const svg = `<svg xmlns="${SVG_NS}" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}" viewBox="${viewBox}" opacity="${OVERALL_OPACITY}">`
+    + `<g><path d="${jsonData.pathData}" fill="${spikesColors[0]}" stroke="#000000" stroke-width="0.00005" opacity="${SPIKES_OPACITY}"/>`
+    + `${effects}</g></svg>`;
+
+  return {
+    svg,
+    attributes: {
+      rarity: tierOf("spikes", "mode", mode),
+      mode,
+      ...(count !== null && { count }),
+      spikeColor: spikesColors[0],
+      crackColor,
+      dotColor,
+      tiers: { mode: tierOf("spikes", "mode", mode) },
+    },
+  };
 }
 
 /**
  * Create seamless gradient with configurable colors.
  * @param {string} id - The ID for the gradient.
  * @param {string[]} colors - Array of hex colors for gradient stops.
- * @returns {Element} Gradient DOM element.
+ * @returns {string} `<linearGradient>` markup.
  */
 function createSeamlessGradient(id, colors) {
-  const gradient = document.createElementNS(SVG_NS, "linearGradient");
-  gradient.setAttribute("id", id);
-  gradient.setAttribute("x1", "0%");
-  gradient.setAttribute("y1", "0%");
-  gradient.setAttribute("x2", "100%");
-  gradient.setAttribute("y2", "100%");
-
-  colors.forEach((color, index) => {
+  const stops = colors.map((color, index) => {
     const offset = colors.length === 1 ? 0 : (index / (colors.length - 1)) * 100;
-    const stop = document.createElementNS(SVG_NS, "stop");
-    stop.setAttribute("offset", `${offset}%`);
-    stop.setAttribute("stop-color", color);
-    gradient.appendChild(stop);
+    return `<stop offset="${offset}%" stop-color="${color}"/>`;
   });
-
-  return gradient;
+  return `<linearGradient id="${id}" x1="0%" y1="0%" x2="100%" y2="100%">${stops.join("")}</linearGradient>`;
 }
 
 /**
  * Select generation mode for effects.
+ * @param {string} [pinned] - Mode forced by the caller; the random draw still happens.
+ * @param {string} [rarity] - Restrict the draw to one rarity tier.
  * @returns {string} Mode ("cracks", "dots", or "both").
  */
-function selectGenerationMode() {
-  const modes = ["cracks", "dots", "both"];
-  return modes[Math.floor(getSecureRandomNumber() * modes.length)];
+function selectGenerationMode(pinned, rarity) {
+  const drawn = pickWeighted("spikes", "mode", DRAWS.mode, { tier: rarity }).value;
+  return resolveChoice(pinned, drawn, MODES, "spikes mode");
 }
 
 /**
- * Add effects to spike group.
- * @param {Element} group - SVG group element to append effects to.
+ * Build the effects markup.
  * @param {string} pathData - SVG path data for clipping.
  * @param {string} mode - Effect mode ("cracks", "dots", or "both").
  * @param {string} crackColor - Hex color for cracks.
  * @param {string} dotColor - Hex color for dots.
+ * @param {number|null} count - Elements per effect, or null for random.
+ * @returns {string} Zero, one or two `<g>` groups.
  */
-function addEffects(group, pathData, mode, crackColor, dotColor) {
+function addEffects(pathData, mode, crackColor, dotColor, count) {
+  let markup = "";
   if (mode === "cracks" || mode === "both") {
-    const cracks = generateClippedCracks(pathData, crackColor);
-    group.appendChild(cracks);
+    markup += generateClippedCracks(pathData, crackColor, count);
   }
   if (mode === "dots" || mode === "both") {
-    const dots = generateClippedDots(pathData, dotColor);
-    group.appendChild(dots);
+    markup += generateClippedDots(pathData, dotColor, count);
   }
+  return markup;
 }
 
 /**
  * Generate cracks effect.
  * @param {string} pathData - SVG path data for clipping.
  * @param {string} color - Hex color for cracks.
- * @returns {Element} SVG group element with cracks.
+ * @param {number|null} count - Number of cracks, or null for random.
+ * @returns {string} `<g>` with the cracks.
  */
-function generateClippedCracks(pathData, color) {
-  const group = document.createElementNS(SVG_NS, "g");
-  const { ctx, path } = createClipPath(pathData);
-  const numCracks = Math.floor(getSecureRandomNumber() * (MAX_ELEMENTS - MIN_ELEMENTS)) + MIN_ELEMENTS;
-
-  for (let i = 0; i < numCracks; i++) {
-    const crack = generateCrack({ ctx, path }, color);
-    if (crack) group.appendChild(crack);
-  }
-
-  return group;
+function generateClippedCracks(pathData, color, count) {
+  const inside = createClipTest(pathData);
+  const drawn = Math.floor(getSecureRandomNumber() * (MAX_ELEMENTS - MIN_ELEMENTS)) + MIN_ELEMENTS;
+  const numCracks = count ?? drawn;
+
+  let cracks = "";
+  for (let i = 0; i < numCracks; i++) cracks += generateCrack(inside, color);
+  return `<g>${cracks}</g>`;
 }
 
 /**
  * Generate dots effect.
  * @param {string} pathData - SVG path data for clipping.
  * @param {string} color - Hex color for dots.
- * @returns {Element} SVG group element with dots.
+ * @param {number|null} count - Number of dots, or null for random.
+ * @returns {string} `<g>` with the dots.
  */
-function generateClippedDots(pathData, color) {
-  const group = document.createElementNS(SVG_NS, "g");
-  const { ctx, path } = createClipPath(pathData);
-  const numDots = Math.floor(getSecureRandomNumber() * (MAX_ELEMENTS - MIN_ELEMENTS)) + MIN_ELEMENTS;
-
-  for (let i = 0; i < numDots; i++) {
-    const dot = generateDot({ ctx, path }, color);
-    if (dot) group.appendChild(dot);
-  }
-
-  return group;
+function generateClippedDots(pathData, color, count) {
+  const inside = createClipTest(pathData);
+  const drawn = Math.floor(getSecureRandomNumber() * (MAX_ELEMENTS - MIN_ELEMENTS)) + MIN_ELEMENTS;
+  const numDots = count ?? drawn;
+
+  let dots = "";
+  for (let i = 0; i < numDots; i++) dots += generateDot(inside, color);
+  return `<g>${dots}</g>`;
 }
 
 /**
- * Create clip path context.
+ * Create the clip test for a path (analytic point-in-path, nonzero rule).
  * @param {string} pathData - SVG path data.
- * @returns {Object} Context and Path2D objects.
+ * @returns {function(number, number): boolean} Whether a point lies inside.
  */
-function createClipPath(pathData) {
-  const canvas = document.createElement("canvas");
-  canvas.width = CANVAS_SIZE;
-  canvas.height = CANVAS_SIZE;
-  const ctx = canvas.getContext("2d");
-  const path = new Path2D(pathData);
-  ctx.fillStyle = "black";
-  ctx.fill(path);
-  return { ctx, path };
+function createClipTest(pathData) {
+  return (x, y) => isPointInPath(pathData, x, y);
 }
 
 /**
- * Generate crack element.
- * @param {Object} options - Contains ctx and path for clipping.
+ * Generate crack markup.
+ * @param {function(number, number): boolean} inside - Clip test.
  * @param {string} color - Hex color for the crack.
- * @returns {Element|null} SVG path element or null if invalid.
+ * @returns {string} `<path>` markup, or "" if no valid crack was found.
  */
-function generateCrack({ ctx, path }, color) {
-  const [start, end] = generateValidPoints(ctx, path);
-  if (!start || !end) return null;
-
-  const crackPath = document.createElementNS(SVG_NS, "path");
-  crackPath.setAttribute("d", `M${start.x},${start.y} L${end.x},${end.y}`);
-  crackPath.setAttribute("stroke", color);
-  crackPath.setAttribute("stroke-width", 
-    (getSecureRandomNumber() * (STROKE_WIDTH_MAX - STROKE_WIDTH_MIN) + STROKE_WIDTH_MIN).toString()
-  );
-  crackPath.setAttribute("opacity", 
-    (getSecureRandomNumber() * (OPACITY_MAX - OPACITY_MIN) + OPACITY_MIN).toString()
-  );
-
-  return crackPath;
+function generateCrack(inside, color) {
+  const [start, end] = generateValidPoints(inside);
+  if (!start || !end) return "";
+
+  const strokeWidth = getSecureRandomNumber() * (STROKE_WIDTH_MAX - STROKE_WIDTH_MIN) + STROKE_WIDTH_MIN;
+  const opacity = getSecureRandomNumber() * (OPACITY_MAX - OPACITY_MIN) + OPACITY_MIN;
+  return `<path d="M${start.x},${start.y} L${end.x},${end.y}" stroke="${color}" stroke-width="${strokeWidth}" opacity="${opacity}"/>`;
 }
 
 /**
- * Generate dot element.
- * @param {Object} options - Contains ctx and path for clipping.
+ * Generate dot markup.
+ * @param {function(number, number): boolean} inside - Clip test.
  * @param {string} color - Hex color for the dot.
- * @returns {Element|null} SVG circle element or null if invalid.
+ * @returns {string} `<circle>` markup, or "" if no valid point was found.
  */
-function generateDot({ ctx, path }, color) {
-  const point = generateValidPoint(ctx, path);
-  if (!point) return null;
-
-  const dot = document.createElementNS(SVG_NS, "circle");
-  dot.setAttribute("cx", point.x.toString());
-  dot.setAttribute("cy", point.y.toString());
-  dot.setAttribute("r", (getSecureRandomNumber() * (DOT_SIZE_MAX - DOT_SIZE_MIN) + DOT_SIZE_MIN).toString());
-  dot.setAttribute("fill", color);
-  dot.setAttribute("opacity", 
-    (getSecureRandomNumber() * (OPACITY_MAX - OPACITY_MIN) + OPACITY_MIN).toString()
-  );
-
-  return dot;
+function generateDot(inside, color) {
+  const point = generateValidPoint(inside);
+  if (!point) return "";
+
+  const r = getSecureRandomNumber() * (DOT_SIZE_MAX - DOT_SIZE_MIN) + DOT_SIZE_MIN;
+  const opacity = getSecureRandomNumber() * (OPACITY_MAX - OPACITY_MIN) + OPACITY_MIN;
+  return `<circle cx="${point.x}" cy="${point.y}" r="${r}" fill="${color}" opacity="${opacity}"/>`;
 }
 
 /**
  * Generate valid points within path for cracks.
- * @param {CanvasRenderingContext2D} ctx - Canvas context.
- * @param {Path2D} path - Path2D object.
+ * @param {function(number, number): boolean} inside - Clip test.
  * @returns {Array<Object|null>} Start and end points or [null, null] if invalid.
  */
-function generateValidPoints(ctx, path) {
-  const start = generateValidPoint(ctx, path);
+function generateValidPoints(inside) {
+  const start = generateValidPoint(inside);
   if (!start) return [null, null];
 
   const end = {
@@ -272,22 +253,21 @@ function generateValidPoints(ctx, path) {
     y: start.y + (getSecureRandomNumber() * CRACK_LENGTH - CRACK_LENGTH / 2)
   };
 
-  return ctx.isPointInPath(path, end.x, end.y) ? [start, end] : [null, null];
+  return inside(end.x, end.y) ? [start, end] : [null, null];
 }
 
 /**
  * Generate valid point within path.
- * @param {CanvasRenderingContext2D} ctx - Canvas context.
- * @param {Path2D} path - Path2D object.
+ * @param {function(number, number): boolean} inside - Clip test.
  * @returns {Object|null} Point object with x, y or null if no valid point found.
  */
-function generateValidPoint(ctx, path) {
+function generateValidPoint(inside) {
   for (let i = 0; i < 10; i++) {
     const x = getSecureRandomNumber() * CANVAS_SIZE;
     const y = getSecureRandomNumber() * CANVAS_SIZE;
-    if (ctx.isPointInPath(path, x, y)) {
+    if (inside(x, y)) {
       return { x, y };
     }
   }
   return null;
-}
\ No newline at end of file
+}
@@ -1,11 +1,12 @@
 // public/traitGeneration/teethTrait.js
-import { Delaunay } from 'https://cdn.skypack.dev/d3-delaunay@6';
-
-// ----- Clipper (optional: if not present we fallback to mask-only) -----
-const hasClipper = typeof window !== "undefined" && typeof window.ClipperLib !== "undefined";
-const Clipper = hasClipper ? window.ClipperLib.Clipper : null;
-const PolyType = hasClipper ? window.ClipperLib.PolyType : null;
-const ClipType = hasClipper ? window.ClipperLib.ClipType : null;
+import { Delaunay } from '../vendor/d3-delaunay.js';
+import { getSecureRandomNumber } from "../utils/colorUtils.js";
+import { withSeed } from "../utils/seedUtils.js";
+import { resolveNumber } from "../utils/optionUtils.js";
+import { isPointInPath, pathBBox, pathLength, pointAtLength } from "../utils/pathGeometry.js";
+import { geometryError } from "../utils/traitErrors.js";
+import { intersection } from "../utils/polygonClipping.js";
+import { loadOutline } from "../utils/outlineLoader.js";
 
 // ----- constants -----
 const SVG_NS = "http://www.w3.org/2000/svg";
@@ -13,12 +14,18 @@ const CANVAS_SIZE = 420;
 const NUM_POINTS = 369;          // Voronoi sites
 const TEETH_COLOR_COUNT = 3;     // palette size for cells (1..NUM_POINTS)
 
-// Integer scaling for Clipper (Clipper wants ints)
-const CLIPPER_SCALE = 100;
+// Clipping grid: 1/100 of a user unit
+const CLIP_SCALE = 100;
+
+// ----- options (app.js builds the options form from this; unset = default) -----
+export const OPTIONS = {
+  numPoints:  { type: "number", label: "Cells",         min: 24, max: 900, step: 1, default: NUM_POINTS },
+  colorCount: { type: "number", label: "Cell colors",   min: 1,  max: 12,  step: 1, default: TEETH_COLOR_COUNT },
+};
 
 // ----- color utils -----
 function getRandomColor() {
-  return '#' + Math.floor(Math.random() * 0xFFFFFF).toString(16).padStart(6, '0');
+  return '#' + Math.floor(getSecureRandomNumber() * 0xFFFFFF).toString(16).padStart(6, '0');
 }
 function hexToRgb(hex) {
   const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -69,10 +76,10 @@ function hslToRgb(h, s, l) {
   return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
 }
 function clamp(v, min, max) { return Math.min(Math.max(v, min), max); }
-function pickRandomColor(colors) { return colors[Math.floor(Math.random() * colors.length)]; }
+function pickRandomColor(colors) { return colors[Math.floor(getSecureRandomNumber() * colors.length)]; }
 
-function generateTeethColors() {
-  const count = Math.min(Math.max(TEETH_COLOR_COUNT, 1), NUM_POINTS);
+function generateTeethColors(colorCount = TEETH_COLOR_COUNT, numPoints = NUM_POINTS) {
+  const count = Math.min(Math.max(colorCount, 1), numPoints);
   const base = getRandomColor();
   if (count === 1) return [base];
 
@@ -81,9 +88,9 @@ function generateTeethColors() {
   for (let i = 1; i < count; i++) {
     const newHue = count <= 3
       ? (baseHsl.h + (360 / count) * i) % 360
-      : (baseHsl.h + (360 / count) * i + (Math.random() * 30 - 15)) % 360;
-    const newSat = clamp(baseHsl.s + (Math.random() * 0.4 - 0.2), 0.3, 1);
-    const newLight = clamp(baseHsl.l + (Math.random() * 0.3 - 0.15), 0.3, 0.8);
+      : (baseHsl.h + (360 / count) * i + (getSecureRandomNumber() * 30 - 15)) % 360;
+    const newSat = clamp(baseHsl.s + (getSecureRandomNumber() * 0.4 - 0.2), 0.3, 1);
+    const newLight = clamp(baseHsl.l + (getSecureRandomNumber() * 0.3 - 0.15), 0.3, 0.8);
     const rgb = hslToRgb(newHue, newSat, newLight);
     colors.push(rgbToHex(rgb.r, rgb.g, rgb.b));
   }
@@ -91,58 +98,25 @@ function generateTeethColors() {
 }
 
 // ----- geometry + SVG helpers -----
-async function fetchJSON(url) {
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to fetch JSON from ${url} (${res.status})`);
-  return res.json();
-}
-
-// Fast raster hit-test (no DOM thrash)
-function isPointInPathRasterized(pathData, x, y, viewBox = `0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`) {
-  const [minX, minY, width, height] = viewBox.split(/\s+/).map(Number);
-  const c = document.createElement("canvas");
-  c.width = Math.ceil(width); c.height = Math.ceil(height);
-  const ctx = c.getContext("2d");
-  const p = new Path2D(pathData);
-  ctx.fillStyle = "#000";
-  ctx.fill(p);
-  return ctx.isPointInPath(p, x - minX, y - minY);
-}
-
-function getPathBBox(pathData) {
-  const path = document.createElementNS(SVG_NS, "path");
-  path.setAttribute("d", pathData);
-  const tmp = document.createElementNS(SVG_NS, "svg");
-  tmp.setAttribute("width", "0"); tmp.setAttribute("height", "0");
-  tmp.appendChild(path);
-  document.body.appendChild(tmp);
-  const bbox = path.getBBox();
-  document.body.removeChild(tmp);
-  return { bbox };
-}
-
-function generatePointsInPath(pathData, bbox, numPoints, viewBox) {
+function generatePointsInPath(pathData, bbox, numPoints) {
   const points = [];
   const safety = 3.5; // px inset; keeps cells off the exact edge
 
   // boundary points (≈45%) to stabilize edges
   const boundaryCount = Math.floor(numPoints * 0.45);
-  // need path to sample length
-  const pathEl = document.createElementNS(SVG_NS, "path");
-  pathEl.setAttribute("d", pathData);
-  const len = pathEl.getTotalLength();
+  const len = pathLength(pathData);
 
   for (let i = 0; i < boundaryCount; i++) {
     const t = (i + 0.5) / boundaryCount;
-    const pt = pathEl.getPointAtLength(t * len);
-    const prev = pathEl.getPointAtLength(Math.max(0, t * len - 1));
-    const next = pathEl.getPointAtLength(Math.min(len, t * len + 1));
+    const pt = pointAtLength(pathData, t * len);
+    const prev = pointAtLength(pathData, Math.max(0, t * len - 1));
+    const next = pointAtLength(pathData, Math.min(len, t * len + 1));
     const tx = next.x - prev.x, ty = next.y - prev.y;
     let nx = -ty, ny = tx;
     const nlen = Math.hypot(nx, ny);
     if (nlen > 0) { nx /= nlen; ny /= nlen; }
     const cand = { x: pt.x + nx * safety, y: pt.y + ny * safety };
-    if (isPointInPathRasterized(pathData, cand.x, cand.y, viewBox)) {
+    if (isPointInPath(pathData, cand.x, cand.y)) {
       points.push([cand.x, cand.y]);
     }
   }
@@ -155,9 +129,9 @@ function generatePointsInPath(pathData, bbox, numPoints, viewBox) {
 
   for (let r = 0; r < grid; r++) {
     for (let c = 0; c < grid; c++) {
-      const x = inset.x + c * cw + Math.random() * cw * 0.85;
-      const y = inset.y + r * ch + Math.random() * ch * 0.85;
-      if (isPointInPathRasterized(pathData, x, y, viewBox)) {
+      const x = inset.x + c * cw + getSecureRandomNumber() * cw * 0.85;
+      const y = inset.y + r * ch + getSecureRandomNumber() * ch * 0.85;
+      if (isPointInPath(pathData, x, y)) {
         points.push([x, y]);
         if (points.length >= numPoints) break;
       }
@@ -166,21 +140,19 @@ function generatePointsInPath(pathData, bbox, numPoints, viewBox) {
   }
   // fill any shortfall randomly
   while (points.length < numPoints) {
-    const x = inset.x + Math.random() * inset.w;
-    const y = inset.y + Math.random() * inset.h;
-    if (isPointInPathRasterized(pathData, x, y, viewBox)) points.push([x, y]);
+    const x = inset.x + getSecureRandomNumber() * inset.w;
+    const y = inset.y + getSecureRandomNumber() * inset.h;
+    if (isPointInPath(pathData, x, y)) points.push([x, y]);
   }
   return points;
 }
 
 function approximatePathAsPolygon(pathData, sampleDistance = 0.25) {
-  const path = document.createElementNS(SVG_NS, "path");
-  path.setAttribute("d", pathData);
-  const len = path.getTotalLength();
+  const len = pathLength(pathData);
   const n = Math.max(12, Math.ceil(len / sampleDistance));
   const pts = [];
   for (let i = 0; i <= n; i++) {
-    const pt = path.getPointAtLength((i / n) * len);
+    const pt = pointAtLength(pathData, (i / n) * len);
     pts.push({ X: pt.x, Y: pt.y });
   }
   if (pts.length && (pts[0].X !== pts[pts.length - 1].X || pts[0].Y !== pts[pts.length - 1].Y)) {
@@ -197,105 +169,84 @@ function pathFromClipperPoly(points) {
 }
 
 // ----- main -----
-export async function generateTrait() {
-  const baseURL = "/traits_json";
-  const teethURL = `${baseURL}/teethOutline.json`;
-  const gumsURL  = `${baseURL}/gumsOutline.json`;
-
-  const [teethData, gumsData] = await Promise.all([fetchJSON(teethURL), fetchJSON(gumsURL)]);
+/**
+ * Gums + Voronoi-celled teeth.
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Reproducible seed; omit for a fresh random set.
+ * @param {number} [options.numPoints=369] - Voronoi sites inside the teeth outline.
+ * @param {number} [options.colorCount=3] - Size of the cell palette.
+ * @returns {Promise<{svg: string, attributes: Object}>}
+ */
+export async function generateTrait({ seed, numPoints, colorCount } = {}) {
+  const [teethData, gumsData] = await Promise.all([
+    loadOutline("teeth", { trait: "teeth" }),
+    loadOutline("gums", { trait: "teeth" }),
+  ]);
   if (!teethData?.pathData || !gumsData?.pathData) {
-    throw new Error("Missing pathData for one or more parts of the Teeth trait.");
+    throw geometryError("teeth", "Missing pathData for one or more parts of the Teeth trait.");
   }
 
-  const viewBox = teethData.viewBox || `0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`;
-  const { bbox } = getPathBBox(teethData.pathData);
+  return withSeed(seed, () => {
+    const viewBox = teethData.viewBox || `0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`;
+    const bbox = pathBBox(teethData.pathData);
 
-  // palette + base fills
-  const baseTeethFill = getRandomColor();
-  const baseGumsFill  = getRandomColor();
-  const cellPalette   = generateTeethColors();
+    // palette + base fills
+    const baseTeethFill = getRandomColor();
+    const baseGumsFill  = getRandomColor();
+    const sites = resolveNumber(numPoints, OPTIONS.numPoints.default, OPTIONS.numPoints, "teeth numPoints");
+    const cellPalette   = generateTeethColors(
+      resolveNumber(colorCount, OPTIONS.colorCount.default, OPTIONS.colorCount, "teeth colorCount"),
+      sites
+    );
 
-  // Voronoi sites
-  const points = generatePointsInPath(teethData.pathData, bbox, NUM_POINTS, viewBox);
+    // Voronoi sites
+    const points = generatePointsInPath(teethData.pathData, bbox, sites);
 
-  // Voronoi
-  const delaunay = Delaunay.from(points);
-  const voronoi = delaunay.voronoi([bbox.x, bbox.y, bbox.x + bbox.width, bbox.y + bbox.height]);
+    // Voronoi
+    const delaunay = Delaunay.from(points);
+    const voronoi = delaunay.voronoi([bbox.x, bbox.y, bbox.x + bbox.width, bbox.y + bbox.height]);
 
-  // If Clipper present, do geometry-accurate clipping; else we’ll mask later.
-  let voronoiPaths = "";
-  if (hasClipper) {
-    const outlinePoly = approximatePathAsPolygon(teethData.pathData, 0.2)  // fine enough
-      .map(p => ({ X: Math.round(p.X * CLIPPER_SCALE), Y: Math.round(p.Y * CLIPPER_SCALE) }));
+    // Clip every cell to the teeth outline
+    let voronoiPaths = "";
+    const outlinePoly = approximatePathAsPolygon(teethData.pathData, 0.2);  // fine enough
 
     for (let i = 0; i < points.length; i++) {
       const cell = voronoi.cellPolygon(i);
       if (!cell) continue;
-      // scale to ints for Clipper
-      const subj = cell.map(([x, y]) => ({ X: Math.round(x * CLIPPER_SCALE), Y: Math.round(y * CLIPPER_SCALE) }));
+      const subj = cell.map(([x, y]) => ({ X: x, Y: y }));
 
-      const clipper = new Clipper();
-      clipper.AddPath(subj, PolyType.ptSubject, true);
-      clipper.AddPath(outlinePoly, PolyType.ptClip, true);
-      const solution = [];
-      clipper.Execute(ClipType.ctIntersection, solution);
-
-      if (solution && solution.length) {
-        for (const poly of solution) {
-          if (poly.length < 3) continue;
-          // scale back down
-          const down = poly.map(p => ({ X: p.X / CLIPPER_SCALE, Y: p.Y / CLIPPER_SCALE }));
-          const d = pathFromClipperPoly(down);
-          if (d) {
-            const fill = pickRandomColor(cellPalette);
-            voronoiPaths += `<path d="${d}" fill="${fill}" shape-rendering="geometricPrecision"/>`;
-          }
+      for (const poly of intersection(subj, outlinePoly, { scale: CLIP_SCALE })) {
+        const d = pathFromClipperPoly(poly);
+        if (d) {
+          const fill = pickRandomColor(cellPalette);
+          voronoiPaths += `<path d="${d}" fill="${fill}" shape-rendering="geometricPrecision"/>`;
         }
       }
     }
-  } else {
-    // No clipper: still render Voronoi and let an SVG mask enforce boundaries.
-    for (let i = 0; i < points.length; i++) {
-      const cell = voronoi.cellPolygon(i);
-      if (!cell) continue;
-      const d = (() => {
-        let s = `M ${cell[0][0]},${cell[0][1]}`;
-        for (let k = 1; k < cell.length; k++) s += ` L ${cell[k][0]},${cell[k][1]}`;
-        return s + " Z";
-      })();
-      const fill = pickRandomColor(cellPalette);
-      voronoiPaths += `<path d="${d}" fill="${fill}" shape-rendering="geometricPrecision"/>`;
-    }
-  }
-
-  // Build one SVG: gums under teeth; if no clipper, use a mask to clip cells.
-  const maskId = `teeth-mask-${Math.floor(Math.random() * 1e9)}`;
 
-  const svg = `
-    <svg xmlns="${SVG_NS}" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}" viewBox="${viewBox}">
-      ${hasClipper ? "" : `
-      <defs>
-        <mask id="${maskId}">
-          <rect x="0" y="0" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}" fill="#000"/>
-          <path d="${teethData.pathData}" fill="#fff"/>
-        </mask>
-      </defs>`}
-
-      <!-- gums (below) -->
-      <g id="gums">
-        <path d="${gumsData.pathData}" fill="${baseGumsFill}" shape-rendering="geometricPrecision"/>
-      </g>
-
-      <!-- teeth base -->
-      <g id="teeth">
-        <path d="${teethData.pathData}" fill="${baseTeethFill}" shape-rendering="geometricPrecision"/>
-        ${hasClipper
-          ? voronoiPaths
-          : `<g mask="url(#${maskId})">${voronoiPaths}</g>`
-        }
-      </g>
-    </svg>
-  `.replace(/\s*\n\s*/g, " ").trim();
-
-  return svg;
+    // Build one SVG: gums under teeth
+    const svg = `
+      <svg xmlns="${SVG_NS}" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}" viewBox="${viewBox}">
+        <!-- gums (below) -->
+        <g id="gums">
+          <path d="${gumsData.pathData}" fill="${baseGumsFill}" shape-rendering="geometricPrecision"/>
+        </g>
+
+        <!-- teeth base -->
+        <g id="teeth">
+          <path d="${teethData.pathData}" fill="${baseTeethFill}" shape-rendering="geometricPrecision"/>
+          ${voronoiPaths}
+        </g>
+      </svg>
+    `.replace(/\s*\n\s*/g, " ").trim();
+
+    return {
+      svg,
+      attributes: {
+        teethColor: baseTeethFill,
+        gumsColor: baseGumsFill,
+        cellPalette,
+      },
+    };
+  });
 }
\ No newline at end of file
@@ -1,5 +1,11 @@
 // traits/topTrait.js (tiny vector smileys, tuned sizes)
 import { getColorByNumber, getSecureRandomNumber } from "../utils/colorUtils.js";
+import { withSeed } from "../utils/seedUtils.js";
+import { resolveNumber } from "../utils/optionUtils.js";
+import { isPointInPath } from "../utils/pathGeometry.js";
+import { geometryError } from "../utils/traitErrors.js";
+import { loadOutline } from "../utils/outlineLoader.js";
+import { bob, phase } from "../utils/svgAnimation.js";
 
 const SVG_NS = "http://www.w3.org/2000/svg";
 const DEFAULT_SIZE = 420;
@@ -8,11 +14,6 @@ const TAG = "[TopTrait]";
 console.log(`${TAG} module loaded at`, new Date().toISOString());
 
 // ---------------- utils ----------------
-async function fetchJSON(url) {
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to fetch JSON from ${url} (${res.status})`);
-  return res.json();
-}
 
 function parseViewBox(vb) {
   if (!vb) return { minX: 0, minY: 0, width: DEFAULT_SIZE, height: DEFAULT_SIZE };
@@ -20,18 +21,6 @@ function parseViewBox(vb) {
   return { minX, minY, width, height };
 }
 
-function isPointInPathRasterized(pathData, x, y, viewBox = `0 0 ${DEFAULT_SIZE} ${DEFAULT_SIZE}`) {
-  const { minX, minY, width, height } = parseViewBox(viewBox);
-  const c = document.createElement("canvas");
-  c.width = Math.ceil(width);
-  c.height = Math.ceil(height);
-  const ctx = c.getContext("2d");
-  const p = new Path2D(pathData);
-  ctx.fillStyle = "#000";
-  ctx.fill(p);
-  return ctx.isPointInPath(p, x - minX, y - minY);
-}
-
 function getContrastingColor(hexColor) {
   const r = parseInt(hexColor.slice(1, 3), 16);
   const g = parseInt(hexColor.slice(3, 5), 16);
@@ -93,74 +82,107 @@ function buildSmileySymbol(id, stroke, fill) {
   `;
 }
 
+// ---------------- options ----------------
+// Density and size of the smiley scatter (app.js builds the options form; unset = default)
+export const OPTIONS = {
+  count:    { type: "number", label: "Smileys",   min: 0,     max: 300, step: 1,     default: 69 },
+  minScale: { type: "number", label: "Min scale", min: 0.005, max: 0.2, step: 0.005, default: 0.01 },
+  maxScale: { type: "number", label: "Max scale", min: 0.005, max: 0.2, step: 0.005, default: 0.03 },
+};
+
 // ---------------- main ----------------
-export async function generateTrait() {
-  const jsonData = await fetchJSON("/traits_json/topOutline.json");
+/**
+ * Top outline filled with a base color and scattered tiny smileys.
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Reproduce the same smiley scatter.
+ * @param {number} [options.count=69] - Number of smileys to try to place.
+ * @param {number} [options.minScale=0.01] - Smallest smiley scale (of the 20×20 symbol).
+ * @param {number} [options.maxScale=0.03] - Largest smiley scale.
+ * @param {boolean} [options.isStatic=true] - false: every smiley bobs up and down (SMIL).
+ * @returns {Promise<{svg: string, attributes: Object}>}
+ */
+export async function generateTrait({ seed, count, minScale: minScaleOpt, maxScale: maxScaleOpt, isStatic = true } = {}) {
+  const jsonData = await loadOutline("top");
   const pathData = jsonData?.pathData;
-  if (!pathData) throw new Error("Missing pathData for Top trait.");
+  if (!pathData) throw geometryError("top", "Missing pathData for Top trait.");
   const viewBox = jsonData.viewBox || `0 0 ${DEFAULT_SIZE} ${DEFAULT_SIZE}`;
   const { width, height } = parseViewBox(viewBox);
 
-  // colors
-  const baseFill = getColorByNumber(0);
-  const primaryStroke = getContrastingColor(baseFill);
+  return withSeed(seed, () => {
+    // colors
+    const baseFill = getColorByNumber(0);
+    const primaryStroke = getContrastingColor(baseFill);
 
-  // derive smiley fill from base; ensure contrast
-  let smileFill = shiftHex(baseFill, 50);
-  if (smileFill.toLowerCase() === "#ffffff" || colorsNear(smileFill, baseFill)) {
-    smileFill = primaryStroke === "#FFFFFF" ? "#111111" : "#FFFFFF";
-  }
+    // derive smiley fill from base; ensure contrast
+    let smileFill = shiftHex(baseFill, 50);
+    if (smileFill.toLowerCase() === "#ffffff" || colorsNear(smileFill, baseFill)) {
+      smileFill = primaryStroke === "#FFFFFF" ? "#111111" : "#FFFFFF";
+    }
 
-  // defs
-  const smileId = `sm-${Math.floor(getSecureRandomNumber() * 1e9)}`;
-  const maskId = `m-${Math.floor(getSecureRandomNumber() * 1e9)}`;
-  const smileSymbol = buildSmileySymbol(smileId, primaryStroke, smileFill);
-
-  // >>> tuned density & size <<<
-  const N = 69;                 // more faces but tiny
-  const minScale = 0.01;        // ~22% of 20×20 symbol
-  const maxScale = 0.03;        // cap small so no big blobs
-
-  let uses = "";
-  for (let i = 0; i < N; i++) {
-    let placed = false, x = 0, y = 0, s = 1;
-    for (let k = 0; k < 120 && !placed; k++) {
-      x = getSecureRandomNumber() * width;
-      y = getSecureRandomNumber() * height;
-      placed = isPointInPathRasterized(pathData, x, y, viewBox);
-      if (placed) s = minScale + getSecureRandomNumber() * (maxScale - minScale);
+    // defs
+    const smileId = `sm-${Math.floor(getSecureRandomNumber() * 1e9)}`;
+    const maskId = `m-${Math.floor(getSecureRandomNumber() * 1e9)}`;
+    const smileSymbol = buildSmileySymbol(smileId, primaryStroke, smileFill);
+
+    // >>> tuned density & size <<<
+    const N = resolveNumber(count, OPTIONS.count.default, OPTIONS.count, "top count");                       // more faces but tiny
+    const minScale = resolveNumber(minScaleOpt, OPTIONS.minScale.default, OPTIONS.minScale, "top minScale"); // ~22% of 20×20 symbol
+    const maxScale = resolveNumber(maxScaleOpt, OPTIONS.maxScale.default, OPTIONS.maxScale, "top maxScale"); // cap small so no big blobs
+    if (minScale > maxScale) throw new Error(`top minScale (${minScale}) is larger than maxScale (${maxScale})`);
+
+    let uses = "";
+    let placedCount = 0;
+    for (let i = 0; i < N; i++) {
+      let placed = false, x = 0, y = 0, s = 1;
+      for (let k = 0; k < 120 && !placed; k++) {
+        x = getSecureRandomNumber() * width;
+        y = getSecureRandomNumber() * height;
+        placed = isPointInPath(pathData, x, y);
+        if (placed) s = minScale + getSecureRandomNumber() * (maxScale - minScale);
+      }
+      if (!placed) continue;
+      placedCount++;
+      const rot = Math.round(getSecureRandomNumber() * 360);
+      const use = `<use href="#${smileId}" xlink:href="#${smileId}"
+                    transform="translate(${x.toFixed(1)},${y.toFixed(1)}) rotate(${rot}) scale(${s.toFixed(2)})"
+                    opacity="0.95"
+                    style="stroke:${primaryStroke};stroke-width:0.45;vector-effect:non-scaling-stroke"/>`;
+      if (isStatic) {
+        uses += use;
+      } else {
+        // the wrapper moves in canvas units, whatever the smiley's own rotation and scale
+        const dur = 1.8 + phase(placedCount) * 1.4;
+        uses += `<g>${bob(1.5, { dur, delay: phase(placedCount, 1) * dur })}${use}</g>`;
+      }
     }
-    if (!placed) continue;
-    const rot = Math.round(getSecureRandomNumber() * 360);
-    uses += `<use href="#${smileId}" xlink:href="#${smileId}"
-                  transform="translate(${x.toFixed(1)},${y.toFixed(1)}) rotate(${rot}) scale(${s.toFixed(2)})"
-                  opacity="0.95"
-                  style="stroke:${primaryStroke};stroke-width:0.45;vector-effect:non-scaling-stroke"/>`;
-  }
 
-  // SVG
-  const svg = `
-    <svg xmlns="${SVG_NS}" xmlns:xlink="http://www.w3.org/1999/xlink"
-         width="${width}" height="${height}" viewBox="${viewBox}">
-      <defs>
-        ${smileSymbol}
-        <mask id="${maskId}" maskUnits="userSpaceOnUse" maskContentUnits="userSpaceOnUse">
-          <rect x="0" y="0" width="${width}" height="${height}" fill="black"/>
-          <path d="${pathData}" fill="white"/>
-        </mask>
-      </defs>
-
-      <!-- base fill forced so theme CSS can't turn it white -->
-      <path d="${pathData}"
-            style="fill:${baseFill} !important; stroke:${primaryStroke};
-                   stroke-width:0.3; vector-effect:non-scaling-stroke"/>
-
-      <!-- tiny smileys on top, clipped -->
-      <g mask="url(#${maskId})">
-        ${uses}
-      </g>
-    </svg>
-  `.replace(/\s*\n\s*/g, " ").trim();
-
-  return svg;
+    // SVG
+    const svg = `
+      <svg xmlns="${SVG_NS}" xmlns:xlink="http://www.w3.org/1999/xlink"
+           width="${width}" height="${height}" viewBox="${viewBox}">
+        <defs>
+          ${smileSymbol}
+          <mask id="${maskId}" maskUnits="userSpaceOnUse" maskContentUnits="userSpaceOnUse">
+            <rect x="0" y="0" width="${width}" height="${height}" fill="black"/>
+            <path d="${pathData}" fill="white"/>
+          </mask>
+        </defs>
+
+        <!-- base fill forced so theme CSS can't turn it white -->
+        <path d="${pathData}"
+              style="fill:${baseFill} !important; stroke:${primaryStroke};
+                     stroke-width:0.3; vector-effect:non-scaling-stroke"/>
+
+        <!-- tiny smileys on top, clipped -->
+        <g mask="url(#${maskId})">
+          ${uses}
+        </g>
+      </svg>
+    `.replace(/\s*\n\s*/g, " ").trim();
+
+    return {
+      svg,
+      attributes: { baseColor: baseFill, smileyFill: smileFill, smileyStroke: primaryStroke, smileyCount: placedCount },
+    };
+  });
 }
\ No newline at end of file
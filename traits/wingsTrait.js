@@ -1,16 +1,18 @@
 // wingsTrait.js — editor-safe: no <defs>, no gradients/filters, no ids
 
 import { getColorByNumber, getSecureRandomNumber } from "../utils/colorUtils.js";
+import { withSeed } from "../utils/seedUtils.js";
+import { resolveChoice } from "../utils/optionUtils.js";
+import { pickWeighted, tierOf } from "../utils/rarityUtils.js";
+import { isPointInPath, pathBBox } from "../utils/pathGeometry.js";
+import { geometryError } from "../utils/traitErrors.js";
+import { loadOutline } from "../utils/outlineLoader.js";
+import { pulseAbout } from "../utils/svgAnimation.js";
 
 const SVG_NS = "http://www.w3.org/2000/svg";
 const CANVAS_SIZE = 420;
 
 /* ---------------- helpers ---------------- */
-async function fetchJSON(url) {
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to fetch JSON from ${url} (${res.status})`);
-  return res.json();
-}
 
 // HSL helpers for shading the same color
 function hexToHSL(hex) {
@@ -57,51 +59,56 @@ function hslToHex(h, s, l) {
 function clamp01(v) { return Math.min(1, Math.max(0, v)); }
 function shade(hex, dl) { const { h, s, l } = hexToHSL(hex); return hslToHex(h, s, clamp01(l + dl)); }
 
-// quick hit-test to keep dots inside the wing shape
-function isPointInPath(pathData, x, y, viewBox = `0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`) {
-  const [minX, minY, w, h] = viewBox.split(/\s+/).map(Number);
-  const c = document.createElement("canvas");
-  c.width = Math.ceil(w); c.height = Math.ceil(h);
-  const ctx = c.getContext("2d");
-  const p = new Path2D(pathData);
-  ctx.fillStyle = "#000";
-  ctx.fill(p);
-  return ctx.isPointInPath(p, x - minX, y - minY);
-}
+/* ---------------- options ---------------- */
+// color: COLOR_KEY index (0 = random hex); unset = random index
+export const OPTIONS = {
+  color: { type: "select", label: "Base color", values: Array.from({ length: 69 }, (_, i) => i) },
+};
+
+// Choices drawn by rarity weight (see traits/rarity.js)
+export const DRAWS = {
+  color: OPTIONS.color.values,
+};
 
 /* ---------------- main ---------------- */
-export async function generateTrait(_unused = null, _isStatic = true) {
-  try {
-    const [bottomData, middleData, topData] = await Promise.all([
-      fetchJSON("/traits_json/wingsBottomOutline.json"),
-      fetchJSON("/traits_json/wingsMiddleOutline.json"),
-      fetchJSON("/traits_json/wingsTopOutline.json"),
-    ]);
-
-    if (!topData?.pathData || !middleData?.pathData || !bottomData?.pathData) {
-      throw new Error("Invalid or missing pathData in one or more wing layer files.");
-    }
+/**
+ * Three stacked wing layers in shades of one base color.
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Reproducible seed.
+ * @param {number} [options.color] - Pin the base color (COLOR_KEY index 0–68).
+ * @param {boolean} [options.isStatic=true] - false: the wings flap (SMIL).
+ * @returns {Promise<{svg: string, attributes: Object}>}
+ */
+export async function generateTrait({ seed, color, isStatic = true } = {}) {
+  const [bottomData, middleData, topData] = await Promise.all([
+    loadOutline("wingsBottom", { trait: "wings" }),
+    loadOutline("wingsMiddle", { trait: "wings" }),
+    loadOutline("wingsTop", { trait: "wings" }),
+  ]);
+
+  if (!topData?.pathData || !middleData?.pathData || !bottomData?.pathData) {
+    throw geometryError("wings", "Invalid or missing pathData in one or more wing layer files.");
+  }
 
-    const viewBox = bottomData.viewBox || `0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`;
+  const viewBox = bottomData.viewBox || `0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`;
 
+  return withSeed(seed, () => {
     // one base color, build 3 shades
-    const paletteIndex = Math.floor(getSecureRandomNumber() * 69); // 0..68
+    const paletteIndex = resolveChoice(color, pickWeighted("wings", "color", DRAWS.color).value, OPTIONS.color.values, "wings color"); // 0..68
     const baseHex = getColorByNumber(paletteIndex);
     const topHex    = shade(baseHex,  +0.18);
     const middleHex = baseHex;
     const bottomHex = shade(baseHex,  -0.18);
 
     // subtle per-layer dot texture
-    const buildPatternDots = (pathData, viewBoxStr, hex) => {
-      const tmp = document.createElementNS(SVG_NS, "path");
-      tmp.setAttribute("d", pathData);
-      const bbox = tmp.getBBox();
+    const buildPatternDots = (pathData, hex) => {
+      const bbox = pathBBox(pathData);
       const count = 10 + Math.floor(getSecureRandomNumber() * 16); // 10–25
       let s = "";
       for (let i = 0; i < count; i++) {
         const x = bbox.x + getSecureRandomNumber() * bbox.width;
         const y = bbox.y + getSecureRandomNumber() * bbox.height;
-        if (!isPointInPath(pathData, x, y, viewBoxStr)) continue;
+        if (!isPointInPath(pathData, x, y)) continue; // keep dots inside the wing shape
         const r = 0.8 + getSecureRandomNumber() * 1.6;
         s += `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${r.toFixed(2)}" fill="${shade(hex, -0.10)}" opacity="0.35"/>`;
       }
@@ -110,37 +117,49 @@ export async function generateTrait(_unused = null, _isStatic = true) {
 
     const SHADOW_OPACITY = 0.22;
 
+    // Flap: each wing folds up towards its root (top edge) about the body's
+    // centre line, the upper wings a beat ahead of the lower ones
+    const flap = (pathData, lead) => {
+      if (isStatic) return "";
+      const { y } = pathBBox(pathData);
+      return pulseAbout(CANVAS_SIZE / 2, Number(y.toFixed(2)), 0.985, 0.93, { dur: 1.8, delay: lead });
+    };
+
     // NOTE: no <defs>, no gradient/filter ids — solid fills only
     const svg = `
       <svg xmlns="${SVG_NS}" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}" viewBox="${viewBox}">
         <!-- bottom wing (darkest shade) -->
-        <g>
+        <g>${flap(bottomData.pathData, 0)}
           <path d="${bottomData.pathData}" fill="#000" opacity="${SHADOW_OPACITY}" transform="translate(1.5,1.5)"/>
           <path d="${bottomData.pathData}" fill="${bottomHex}"/>
-          ${buildPatternDots(bottomData.pathData, viewBox, bottomHex)}
+          ${buildPatternDots(bottomData.pathData, bottomHex)}
         </g>
 
         <!-- middle wing (base shade) -->
-        <g>
+        <g>${flap(middleData.pathData, 0.12)}
           <path d="${middleData.pathData}" fill="#000" opacity="${SHADOW_OPACITY}" transform="translate(0.8,0.8)"/>
           <path d="${middleData.pathData}" fill="${middleHex}"/>
-          ${buildPatternDots(middleData.pathData, viewBox, middleHex)}
+          ${buildPatternDots(middleData.pathData, middleHex)}
         </g>
 
         <!-- top wing (lightest shade) -->
-        <g>
+        <g>${flap(topData.pathData, 0.24)}
           <path d="${topData.pathData}" fill="#000" opacity="${SHADOW_OPACITY}" transform="translate(0.3,0.3)"/>
           <path d="${topData.pathData}" fill="${topHex}"/>
-          ${buildPatternDots(topData.pathData, viewBox, topHex)}
+          ${buildPatternDots(topData.pathData, topHex)}
         </g>
       </svg>
     `.replace(/\s*\n\s*/g, " ").trim();
 
-    return svg;
-  } catch (err) {
-    console.error("Error generating wings trait:", err);
-    return `<svg xmlns="${SVG_NS}" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}">
-      <text x="10" y="20">Wings error: ${String(err.message || err)}</text>
-    </svg>`;
-  }
+    return {
+      svg,
+      attributes: {
+        colorIndex: paletteIndex,
+        baseColor: baseHex,
+        topColor: topHex,
+        bottomColor: bottomHex,
+        tiers: { color: tierOf("wings", "color", paletteIndex) },
+      },
+    };
+  });
 }
\ No newline at end of file
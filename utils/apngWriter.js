@@ -0,0 +1,97 @@
+// utils/apngWriter.js
+// Animated PNG encoder for RGBA frames: full 8-bit colour and alpha, no
+// palette. Every frame is a full-canvas fcTL + IDAT/fdAT with the Sub row
+// filter, deflated by the platform's CompressionStream (browsers, Node 18+).
+// Viewers without APNG support show the first frame as a plain PNG.
+
+import { crc32 } from "./zipWriter.js";
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const encoder = new TextEncoder();
+
+/**
+ * Encodes RGBA frames as a looping APNG.
+ * @param {Array<Uint8ClampedArray|Uint8Array>} frames - RGBA pixels, all `width`×`height`.
+ * @param {Object} params
+ * @param {number} params.width
+ * @param {number} params.height
+ * @param {number} [params.delay=100] - Milliseconds per frame.
+ * @param {number} [params.loop=0] - Times to play, 0 for endlessly.
+ * @param {function({ done: number, total: number }): void} [params.onProgress] - After each frame.
+ * @returns {Promise<Uint8Array>} The PNG file.
+ * @throws {Error} Where CompressionStream is missing.
+ */
+export async function encodeAPNG(frames, { width, height, delay = 100, loop = 0, onProgress } = {}) {
+    if (!frames.length) throw new Error("encodeAPNG() needs at least one frame");
+    if (typeof CompressionStream === "undefined") throw new Error("APNG export needs CompressionStream, which this browser lacks");
+    for (const frame of frames) {
+        if (frame.length !== width * height * 4) throw new RangeError(`APNG frame is not ${width}×${height} RGBA`);
+    }
+
+    const chunks = [Uint8Array.from(SIGNATURE)];
+    // 8-bit RGBA, deflate, adaptive filtering, no interlace
+    chunks.push(chunk("IHDR", [...u32(width), ...u32(height), 8, 6, 0, 0, 0]));
+    chunks.push(chunk("acTL", [...u32(frames.length), ...u32(loop)]));
+
+    // Frame delay as a fraction of a second (ms / 1000)
+    const ms = Math.max(1, Math.min(0xffff, Math.round(delay)));
+    let sequence = 0;
+    for (let f = 0; f < frames.length; f++) {
+        chunks.push(chunk("fcTL", [
+            ...u32(sequence++), ...u32(width), ...u32(height), ...u32(0), ...u32(0),
+            ms >> 8, ms & 255, 1000 >> 8, 1000 & 255,
+            0, 0, // dispose none, blend source: every frame replaces the canvas
+        ]));
+        const data = await deflate(filterRows(frames[f], width, height));
+        if (f === 0) {
+            chunks.push(chunk("IDAT", data));
+        } else {
+            const body = new Uint8Array(4 + data.length);
+            body.set(u32(sequence++));
+            body.set(data, 4);
+            chunks.push(chunk("fdAT", body));
+        }
+        onProgress?.({ done: f + 1, total: frames.length });
+    }
+    chunks.push(chunk("IEND", []));
+
+    const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+    let offset = 0;
+    for (const c of chunks) { out.set(c, offset); offset += c.length; }
+    return out;
+}
+
+// Scanlines, each prefixed with filter type 1 (Sub: difference to the pixel on the left)
+function filterRows(rgba, width, height) {
+    const stride = width * 4;
+    const out = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const src = y * stride;
+        const dst = y * (stride + 1);
+        out[dst] = 1;
+        for (let x = 0; x < stride; x++) {
+            out[dst + 1 + x] = rgba[src + x] - (x >= 4 ? rgba[src + x - 4] : 0);
+        }
+    }
+    return out;
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function chunk(type, data) {
+    const body = new Uint8Array(4 + data.length);
+    body.set(encoder.encode(type));
+    body.set(data, 4);
+    const out = new Uint8Array(12 + data.length);
+    out.set(u32(data.length));
+    out.set(body, 4);
+    out.set(u32(crc32(body)), 8 + data.length);
+    return out;
+}
+
+function u32(n) {
+    return [(n >>> 24) & 255, (n >>> 16) & 255, (n >>> 8) & 255, n & 255];
+}
@@ -0,0 +1,82 @@
+// utils/batchStore.js
+// IndexedDB persistence for batch runs, so an interrupted batch (tab reload,
+// crash) resumes where it stopped instead of starting over.
+//
+// One job record (settings + progress) and one record per finished item.
+
+const DB_NAME = "createPhil-batch";
+const DB_VERSION = 1;
+const JOB_KEY = "current";
+
+let dbPromise = null;
+
+function openDB() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains("job")) db.createObjectStore("job");
+            if (!db.objectStoreNames.contains("items")) db.createObjectStore("items", { keyPath: "index" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+// Runs one request in its own transaction and resolves with its result
+async function run(storeName, mode, makeRequest) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Saves the batch job (settings and progress).
+ * @param {Object} job - Structured-cloneable job record.
+ * @returns {Promise<void>}
+ */
+export async function saveJob(job) {
+    await run("job", "readwrite", (store) => store.put(job, JOB_KEY));
+}
+
+/**
+ * Loads the stored batch job.
+ * @returns {Promise<Object|null>} The job, or null when there is none.
+ */
+export async function loadJob() {
+    return (await run("job", "readonly", (store) => store.get(JOB_KEY))) ?? null;
+}
+
+/**
+ * Stores one finished batch item.
+ * @param {{ index: number }} item - Item record (svg, optional png Blob, metadata).
+ * @returns {Promise<void>}
+ */
+export async function putItem(item) {
+    await run("items", "readwrite", (store) => store.put(item));
+}
+
+/**
+ * All stored items, ordered by index.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getItems() {
+    return run("items", "readonly", (store) => store.getAll());
+}
+
+/**
+ * Removes the job and all of its items.
+ * @returns {Promise<void>}
+ */
+export async function clearBatch() {
+    await run("job", "readwrite", (store) => store.clear());
+    await run("items", "readwrite", (store) => store.clear());
+}
@@ -2,6 +2,8 @@
  * Utility functions for color manipulation and generation
  */
 
+import { isSeeded, seededRandom } from "./seedUtils.js";
+
 /**
  * Color key: Map numbers to specific colors. 0 is random. Total of 69 colors (0–68).
  */
@@ -100,14 +102,20 @@ const COLOR_KEY = {
   
   export function generateSecureRandomHexColor() {
     const array = new Uint8Array(3);
-    window.crypto.getRandomValues(array);
+    if (isSeeded()) {
+      for (let i = 0; i < array.length; i++) array[i] = Math.floor(getSecureRandomNumber() * 256);
+    } else {
+      globalThis.crypto.getRandomValues(array);
+    }
     return `#${Array.from(array)
       .map(b => b.toString(16).padStart(2, "0"))
       .join("")}`;
   }
   
   export function getSecureRandomNumber() {
+    const seeded = seededRandom();
+    if (seeded !== null) return seeded;
     const array = new Uint32Array(1);
-    window.crypto.getRandomValues(array);
+    globalThis.crypto.getRandomValues(array);
     return array[0] / (0xFFFFFFFF + 1);
   }
\ No newline at end of file
@@ -0,0 +1,63 @@
+// utils/composeUtils.js
+// How layers stack into one Phil. Shared by app.js and the CLI so both write
+// byte-identical composites for the same seed.
+
+import { deriveSeed } from "./seedUtils.js";
+
+export const SIZE = 420;
+
+/**
+ * Encodes an SVG as a base64 UTF-8 data URL (avoids parser issues and id
+ * collisions between layers).
+ * @param {string} svgString - Trait SVG.
+ * @returns {string} data:image/svg+xml;base64 URL.
+ */
+export function svgToImageHref(svgString) {
+    const encoded = btoa(unescape(encodeURIComponent(svgString)));
+    return `data:image/svg+xml;base64,${encoded}`;
+}
+
+/**
+ * Stacks layer images into one 420×420 SVG. `hrefs` must already be in
+ * canonical z-order (bottom first).
+ * @param {string[]} hrefs - Image URLs, usually from svgToImageHref().
+ * @returns {string} Composite SVG.
+ */
+export function compose(hrefs) {
+    const images = hrefs.map((href) => `<image href="${href}" x="0" y="0" width="${SIZE}" height="${SIZE}"/>`).join("");
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}">${images}</svg>`;
+}
+
+/**
+ * Sub-seed for one layer. Independent per layer id, so re-rolling one layer
+ * (or changing the selection) never shifts what the other layers draw.
+ * @param {string|number} masterSeed - Seed of the composite.
+ * @param {string} id - Layer id.
+ * @returns {number} The layer's seed.
+ */
+export function layerSeed(masterSeed, id) {
+    return deriveSeed(masterSeed, id);
+}
+
+/**
+ * Seed of item `index` (1-based) in a batch; the Batch panel and the CLI agree on it.
+ * @param {string|number} batchSeed - Seed of the whole batch.
+ * @param {number} index - Item number, starting at 1.
+ * @param {number} [attempt=0] - Re-roll attempt after a duplicate.
+ * @returns {string} The item's master seed.
+ */
+export function batchItemSeed(batchSeed, index, attempt = 0) {
+    return String(attempt ? deriveSeed(batchSeed, `${index}:${attempt}`) : deriveSeed(batchSeed, index));
+}
+
+/**
+ * Traits resolve to { svg, attributes }; a plain SVG string (older or
+ * dropped-in trait modules) is accepted with empty attributes.
+ * @param {Object|string} out - generateTrait() result.
+ * @returns {{svg: string, attributes: Object}}
+ */
+export function normalizeTraitResult(out) {
+    if (typeof out === "string") return { svg: out, attributes: {} };
+    if (!out || typeof out.svg !== "string") throw new Error("generateTrait() returned no SVG");
+    return { svg: out.svg, attributes: out.attributes || {} };
+}
@@ -0,0 +1,104 @@
+// utils/dedupeUtils.js
+// Duplicate detection for composites: an attribute fingerprint catches two
+// Phils with the same attribute combination, a perceptual hash (DCT pHash of
+// a small grayscale raster) catches ones that merely look almost the same.
+
+import { hashSeed } from "./seedUtils.js";
+
+const HASH_SIZE = 8;     // 8×8 low-frequency DCT block → 64-bit hash
+export const PHASH_RASTER = 32;
+
+// JSON with object keys sorted, so equal attributes always serialize the same
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of a composite's attribute combination (layer ids + attributes).
+ * @param {Array<{id: string, attributes: Object}>} layers - Layers in z-order.
+ * @returns {string} 16 hex chars; equal for equal combinations.
+ */
+export function attributeFingerprint(layers) {
+    const str = canonicalJSON(layers.map(({ id, attributes }) => [id, attributes || {}]));
+    const hi = hashSeed(str).toString(16).padStart(8, "0");
+    const lo = hashSeed(`fp:${str}`).toString(16).padStart(8, "0");
+    return hi + lo;
+}
+
+/**
+ * Perceptual hash of a square RGBA raster (e.g. getImageData of a 32×32 canvas).
+ * Luminance → 2D DCT → each of the 8×8 lowest frequencies (DC excluded from
+ * the median) is one bit: above or below the median.
+ * @param {Uint8ClampedArray|Uint8Array} rgba - Pixel data, 4 bytes per pixel.
+ * @param {number} [size=32] - Width and height of the raster.
+ * @returns {string} 16 hex chars (64 bits).
+ */
+export function perceptualHash(rgba, size = PHASH_RASTER) {
+    const gray = new Float64Array(size * size);
+    for (let i = 0; i < size * size; i++) {
+        const a = rgba[i * 4 + 3] / 255; // transparent pixels count as black
+        gray[i] = a * (0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2]);
+    }
+
+    const coeffs = [];
+    for (let u = 0; u < HASH_SIZE; u++) {
+        for (let v = 0; v < HASH_SIZE; v++) {
+            let sum = 0;
+            for (let y = 0; y < size; y++) {
+                const cy = Math.cos(((2 * y + 1) * u * Math.PI) / (2 * size));
+                for (let x = 0; x < size; x++) {
+                    sum += gray[y * size + x] * cy * Math.cos(((2 * x + 1) * v * Math.PI) / (2 * size));
+                }
+            }
+            coeffs.push(sum);
+        }
+    }
+
+    const median = coeffs.slice(1).sort((a, b) => a - b)[Math.floor((coeffs.length - 1) / 2)];
+    let hex = "";
+    for (let i = 0; i < coeffs.length; i += 4) {
+        let nibble = 0;
+        for (let b = 0; b < 4; b++) nibble = (nibble << 1) | (coeffs[i + b] > median ? 1 : 0);
+        hex += nibble.toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Number of differing bits between two equal-length hex hashes.
+ * @param {string} a - Hex hash.
+ * @param {string} b - Hex hash.
+ * @returns {number} Hamming distance.
+ */
+export function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (x) { distance += x & 1; x >>= 1; }
+    }
+    return distance;
+}
+
+/**
+ * Finds the first earlier composite that collides with a candidate.
+ * @param {{fingerprint: string, phash: string}} candidate - The new composite.
+ * @param {Array<{name: string, fingerprint: string, phash: string}>} seen - Accepted composites.
+ * @param {number} threshold - Max pHash distance (bits of 64) still counted as a near-duplicate.
+ * @returns {{reason: string, match: string, distance: number}|null} The collision, or null.
+ */
+export function findDuplicate(candidate, seen, threshold) {
+    for (const other of seen) {
+        if (other.fingerprint === candidate.fingerprint) {
+            return { reason: "attributes", match: other.name, distance: hammingDistance(candidate.phash, other.phash) };
+        }
+    }
+    for (const other of seen) {
+        const distance = hammingDistance(candidate.phash, other.phash);
+        if (distance <= threshold) return { reason: "perceptual", match: other.name, distance };
+    }
+    return null;
+}
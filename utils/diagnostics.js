@@ -0,0 +1,112 @@
+// utils/diagnostics.js
+// Failure log for trait generation. createPhil.js records every failed attempt
+// (retried, left out or replaced by a fallback layer); report() turns the log
+// into a JSON-safe object the app offers as a download.
+
+const REPORT_KIND = "createPhil-diagnostics";
+const REPORT_VERSION = 1;
+
+/**
+ * A new, empty failure log.
+ * @param {Object} [options]
+ * @param {number} [options.limit=500] - Oldest entries are dropped past this many.
+ * @returns {{
+ *   record: function(*, Object=): Object,
+ *   entries: function(): Array<Object>,
+ *   clear: function(): void,
+ *   subscribe: function(Function): Function,
+ *   report: function(Object=): Object,
+ *   readonly size: number,
+ * }}
+ */
+export function createDiagnostics({ limit = 500 } = {}) {
+    const log = [];
+    const listeners = new Set();
+    const notify = () => { for (const fn of listeners) fn(log.length); };
+
+    return {
+        /**
+         * Adds one failure.
+         * @param {*} error - A TraitError, LayerValidationError or anything thrown.
+         * @param {Object} [context]
+         * @param {string} [context.layer] - Layer id.
+         * @param {string|number} [context.seed] - The layer's sub-seed.
+         * @param {number} [context.attempt=1] - 1 for the first try.
+         * @param {string} [context.outcome="failed"] - "retried", "failed", "fallback", or
+         *   "fallback-rejected" (the error is then the stand-in's: it threw or failed validation).
+         * @returns {Object} The stored entry.
+         */
+        record(error, { layer = error?.trait ?? null, seed = null, attempt = 1, outcome = "failed" } = {}) {
+            const entry = {
+                time: new Date().toISOString(),
+                layer,
+                seed: seed === null ? null : String(seed),
+                attempt,
+                outcome,
+                code: error?.code || error?.name || "internal",
+                message: String(error?.message || error),
+                transient: !!error?.transient,
+                details: error?.details || null,
+                problems: error?.problems || null,
+            };
+            log.push(entry);
+            if (log.length > limit) log.splice(0, log.length - limit);
+            notify();
+            return entry;
+        },
+
+        /** @returns {Array<Object>} Copies of the entries, oldest first. */
+        entries() {
+            return log.map((entry) => ({ ...entry }));
+        },
+
+        clear() {
+            log.length = 0;
+            notify();
+        },
+
+        /**
+         * Calls `fn(size)` whenever an entry is added or the log is cleared.
+         * @param {Function} fn
+         * @returns {Function} Unsubscribe.
+         */
+        subscribe(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        },
+
+        /**
+         * The downloadable report.
+         * @param {Object} [extra] - Merged in at the top level (e.g. the app's current seed).
+         * @returns {Object} `{ kind, version, createdAt, environment, summary, failures, ... }`.
+         */
+        report(extra = {}) {
+            const count = (key) => log.reduce((acc, e) => ({ ...acc, [e[key]]: (acc[e[key]] || 0) + 1 }), {});
+            return {
+                kind: REPORT_KIND,
+                version: REPORT_VERSION,
+                createdAt: new Date().toISOString(),
+                environment: environmentInfo(),
+                summary: { total: log.length, byCode: count("code"), byLayer: count("layer"), byOutcome: count("outcome") },
+                failures: log.map((entry) => ({ ...entry })),
+                ...extra,
+            };
+        },
+
+        get size() {
+            return log.length;
+        },
+    };
+}
+
+// What a bug report needs to know about where the failures happened
+function environmentInfo() {
+    const nav = globalThis.navigator;
+    return {
+        userAgent: nav?.userAgent ?? null,
+        url: globalThis.location?.href ?? null,
+        online: typeof nav?.onLine === "boolean" ? nav.onLine : null,
+        workers: typeof Worker !== "undefined",
+        clipperLib: typeof globalThis.ClipperLib !== "undefined",
+    };
+}
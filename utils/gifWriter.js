@@ -0,0 +1,209 @@
+// utils/gifWriter.js
+// Animated GIF (GIF89a) encoder for RGBA frames, dependency-free.
+// All frames share one palette of up to 256 colours, built by median cut
+// over pixels sampled from every frame, so colours don't shift between
+// frames. Pixels under half opacity become the transparent index (GIF has
+// no partial alpha); nothing is dithered, which would shimmer when animated.
+
+const MAX_SAMPLES = 1 << 17;
+
+/**
+ * Builds a palette for a set of frames by median cut.
+ * @param {Array<Uint8ClampedArray|Uint8Array>} frames - RGBA pixels.
+ * @param {Object} [params]
+ * @param {number} [params.colors=256] - Palette size (2–256), the transparent index included.
+ * @returns {{ palette: Uint8Array, transparent: number }} `palette` is RGB triples;
+ *   `transparent` is the index kept for transparent pixels, or -1 when no pixel needs it.
+ */
+export function quantize(frames, { colors = 256 } = {}) {
+    const total = frames.reduce((n, f) => n + f.length / 4, 0);
+    const step = Math.max(1, Math.floor(total / MAX_SAMPLES));
+    const samples = [];
+    let transparent = -1;
+    for (const frame of frames) {
+        for (let p = 3; transparent < 0 && p < frame.length; p += 4) if (frame[p] < 128) transparent = 0;
+        for (let p = 0; p < frame.length; p += 4 * step) {
+            if (frame[p + 3] >= 128) samples.push((frame[p] << 16) | (frame[p + 1] << 8) | frame[p + 2]);
+        }
+    }
+    const size = Math.min(256, Math.max(2, colors)) - (transparent === 0 ? 1 : 0);
+    const boxes = samples.length ? [measure(Uint32Array.from(samples))] : [];
+    while (boxes.length < size) {
+        // Split the box with the widest channel range at its median
+        let best = -1;
+        boxes.forEach((box, i) => { if (box.range > 0 && (best < 0 || box.range > boxes[best].range)) best = i; });
+        if (best < 0) break; // every box is a single colour
+        const { data, shift } = boxes[best];
+        data.sort((a, b) => ((a >> shift) & 255) - ((b >> shift) & 255));
+        const mid = data.length >> 1;
+        boxes.splice(best, 1, measure(data.subarray(0, mid)), measure(data.subarray(mid)));
+    }
+
+    const offset = transparent === 0 ? 1 : 0;
+    const palette = new Uint8Array(3 * (boxes.length + offset));
+    boxes.forEach(({ data }, i) => {
+        let r = 0, g = 0, b = 0;
+        for (const c of data) { r += (c >> 16) & 255; g += (c >> 8) & 255; b += c & 255; }
+        palette.set([r / data.length, g / data.length, b / data.length].map(Math.round), 3 * (i + offset));
+    });
+    return { palette, transparent };
+}
+
+// A median-cut box: its colours and widest channel (as a bit shift)
+function measure(data) {
+    let range = 0;
+    let shift = 0;
+    for (const s of [16, 8, 0]) {
+        let lo = 255;
+        let hi = 0;
+        for (const c of data) {
+            const v = (c >> s) & 255;
+            if (v < lo) lo = v;
+            if (v > hi) hi = v;
+        }
+        if (hi - lo > range) { range = hi - lo; shift = s; }
+    }
+    return { data, range, shift };
+}
+
+/**
+ * Encodes RGBA frames as a looping animated GIF.
+ * @param {Array<Uint8ClampedArray|Uint8Array>} frames - RGBA pixels, all `width`×`height`.
+ * @param {Object} params
+ * @param {number} params.width
+ * @param {number} params.height
+ * @param {number} [params.delay=100] - Milliseconds per frame (stored in 1/100 s, at least 2).
+ * @param {number} [params.loop=0] - Times to play, 0 for endlessly.
+ * @param {function({ done: number, total: number }): void} [params.onProgress] - After each frame.
+ * @returns {Promise<Uint8Array>} The GIF file; yields to the event loop between frames.
+ */
+export async function encodeGIF(frames, { width, height, delay = 100, loop = 0, onProgress } = {}) {
+    if (!frames.length) throw new Error("encodeGIF() needs at least one frame");
+    for (const frame of frames) {
+        if (frame.length !== width * height * 4) throw new RangeError(`GIF frame is not ${width}×${height} RGBA`);
+    }
+    const { palette, transparent } = quantize(frames);
+    const bits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+    const out = createBytes();
+
+    out.text("GIF89a");
+    out.u16(width); out.u16(height);
+    out.bytes([0xf0 | (bits - 1), 0, 0]); // global colour table, 8-bit colour resolution
+    const table = new Uint8Array(3 << bits);
+    table.set(palette);
+    out.bytes(table);
+    if (loop !== 1) {
+        // NETSCAPE2.0: repeat count after the first play (0 = forever)
+        out.bytes([0x21, 0xff, 11]); out.text("NETSCAPE2.0");
+        out.bytes([3, 1]); out.u16(loop > 1 ? Math.min(loop - 1, 0xffff) : 0); out.bytes([0]);
+    }
+
+    const centis = Math.max(2, Math.round(delay / 10));
+    const lookup = nearest(palette, transparent === 0 ? 1 : 0);
+    const indices = new Uint8Array(width * height);
+    for (let f = 0; f < frames.length; f++) {
+        const frame = frames[f];
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            indices[i] = transparent === 0 && frame[p + 3] < 128 ? 0
+                : lookup((frame[p] << 16) | (frame[p + 1] << 8) | frame[p + 2]);
+        }
+        // Graphic control: restore to background between frames when there is
+        // transparency, so earlier frames don't show through
+        const disposal = transparent === 0 ? 2 : 1;
+        out.bytes([0x21, 0xf9, 4, (disposal << 2) | (transparent === 0 ? 1 : 0)]);
+        out.u16(centis); out.bytes([0, 0]); // transparent index 0
+        out.bytes([0x2c]); out.u16(0); out.u16(0); out.u16(width); out.u16(height); out.bytes([0]);
+        const minCodeSize = Math.max(2, bits);
+        out.bytes([minCodeSize]);
+        const data = lzw(indices, minCodeSize);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            out.bytes([block.length]); out.bytes(block);
+        }
+        out.bytes([0]);
+        onProgress?.({ done: f + 1, total: frames.length });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    out.bytes([0x3b]);
+    return out.result();
+}
+
+// Closest palette entry (squared RGB distance), memoized per colour
+function nearest(palette, first) {
+    const cache = new Map();
+    return (rgb) => {
+        let hit = cache.get(rgb);
+        if (hit !== undefined) return hit;
+        const r = (rgb >> 16) & 255, g = (rgb >> 8) & 255, b = rgb & 255;
+        let bestDist = Infinity;
+        for (let i = first, p = 3 * first; p < palette.length; i++, p += 3) {
+            const dr = palette[p] - r, dg = palette[p + 1] - g, db = palette[p + 2] - b;
+            const dist = dr * dr + dg * dg + db * db;
+            if (dist < bestDist) { bestDist = dist; hit = i; }
+        }
+        cache.set(rgb, hit);
+        return hit;
+    };
+}
+
+// GIF-flavoured LZW: variable code width up to 12 bits, LSB-first, clear
+// code emitted again when the table fills
+function lzw(indices, minCodeSize) {
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const out = createBytes();
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let dict = new Map();
+    let acc = 0;
+    let accBits = 0;
+    const write = (code) => {
+        acc |= code << accBits;
+        accBits += codeSize;
+        while (accBits >= 8) { out.byte(acc & 255); acc >>>= 8; accBits -= 8; }
+    };
+
+    write(clear);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = dict.get(key);
+        if (code !== undefined) { prefix = code; continue; }
+        write(prefix);
+        if (next < 4096) {
+            // Codes widen once the next one no longer fits
+            if (next === 1 << codeSize) codeSize++;
+            dict.set(key, next++);
+        } else {
+            write(clear);
+            dict = new Map();
+            codeSize = minCodeSize + 1;
+            next = end + 1;
+        }
+        prefix = k;
+    }
+    write(prefix);
+    write(end);
+    if (accBits > 0) out.byte(acc & 255);
+    return out.result();
+}
+
+// Growable little-endian byte buffer
+function createBytes() {
+    let buf = new Uint8Array(1 << 16);
+    let length = 0;
+    const reserve = (n) => {
+        if (length + n <= buf.length) return;
+        const grown = new Uint8Array(Math.max(buf.length * 2, length + n));
+        grown.set(buf.subarray(0, length));
+        buf = grown;
+    };
+    return {
+        byte(n) { reserve(1); buf[length++] = n; },
+        bytes(data) { reserve(data.length); buf.set(data, length); length += data.length; },
+        u16(n) { this.bytes([n & 255, (n >> 8) & 255]); },
+        text(s) { this.bytes([...s].map((c) => c.charCodeAt(0))); },
+        result: () => buf.slice(0, length),
+    };
+}
@@ -0,0 +1,56 @@
+// utils/historyStack.js
+// Bounded undo/redo stack. Entries are opaque snapshots owned by the caller.
+
+/**
+ * Creates a bounded history.
+ * Pushing after an undo drops the redo branch; past `limit`, the oldest entry is dropped.
+ * @param {number} [limit=30] - Maximum number of entries kept.
+ * @returns {Object} History with push/undo/redo/go and read-only state.
+ */
+export function createHistory(limit = 30) {
+    let entries = [];
+    let index = -1;
+
+    return {
+        /**
+         * Adds a snapshot after the current position and makes it current.
+         * @param {*} entry - Snapshot to store.
+         * @returns {number} Index of the new entry.
+         */
+        push(entry) {
+            entries = entries.slice(0, index + 1);
+            entries.push(entry);
+            if (entries.length > limit) entries.shift();
+            index = entries.length - 1;
+            return index;
+        },
+
+        /** @returns {*|null} The previous entry (now current), or null at the start. */
+        undo() {
+            if (index <= 0) return null;
+            return entries[--index];
+        },
+
+        /** @returns {*|null} The next entry (now current), or null at the end. */
+        redo() {
+            if (index >= entries.length - 1) return null;
+            return entries[++index];
+        },
+
+        /**
+         * Jumps to any entry (e.g. a clicked timeline thumbnail).
+         * @param {number} i - Entry index.
+         * @returns {*|null} That entry, or null when out of range.
+         */
+        go(i) {
+            if (!Number.isInteger(i) || i < 0 || i >= entries.length) return null;
+            index = i;
+            return entries[index];
+        },
+
+        get canUndo() { return index > 0; },
+        get canRedo() { return index < entries.length - 1; },
+        get index() { return index; },
+        get entries() { return entries.slice(); },
+    };
+}
@@ -0,0 +1,197 @@
+// utils/messageProtocol.js
+// Versioned postMessage protocol between createPhil (app.js) and the page that
+// hosts it. Every message is an envelope:
+//
+//   { protocol: "createPhil", version: 1, id, type, ... }
+//
+//   request   host → app   { type: "request", command, params }
+//   response  app → host   { type: "response", id: <request id>, ok: true, result }
+//                          { type: "response", id: <request id>, ok: false, error: { code, message } }
+//   event     app → host   { type: "event", event, data }          (id is fresh)
+//
+// Start with the `hello` command: its result lists the versions, commands,
+// events, export formats and layers this build supports. Messages are only
+// accepted from, and only sent to, allowlisted origins (see parseOriginList).
+
+export const PROTOCOL = "createPhil";
+export const VERSION = 1;
+export const SUPPORTED_VERSIONS = [1];
+
+export const COMMANDS = [
+    "hello",          // {} → capabilities
+    "generate",       // { seed?, layers?, options? } → { seed, svg, metadata, failed }
+    "generateLayer",  // { trait, seed?, options? } → { trait, seed, svg, attributes }
+    "getSeed",        // {} → { seed, layerSeeds }
+    "setSeed",        // { seed } → { seed }  (null clears; next generate is random)
+    "getOptions",     // { trait? } → { options, schema }
+    "setOptions",     // { trait, options } → { options }
+    "export",         // { format: "svg"|"png"|"json", size? } → { format, mime, filename, data }
+    "saveLayer",      // { trait } → { trait, svg }  (also emits preview-layer)
+];
+
+export const EVENTS = [
+    "ready",          // app loaded; send hello
+    "preview-layer",  // { trait, svg, attributes }
+    "download",       // { filename, mime, data }  (when the frame can't download itself)
+];
+
+export const EXPORT_FORMATS = ["svg", "png", "json"];
+
+export const ERROR_CODES = {
+    badRequest: "bad-request",
+    unsupportedVersion: "unsupported-version",
+    unknownCommand: "unknown-command",
+    unknownTrait: "unknown-trait",
+    locked: "locked",
+    cancelled: "cancelled",
+    nothingToExport: "nothing-to-export",
+    failed: "failed",
+};
+
+/** Error carried back to the requester as `{ code, message }`. */
+export class ProtocolError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "ProtocolError";
+        this.code = code;
+    }
+}
+
+let counter = 0;
+const prefix = Math.random().toString(36).slice(2, 8);
+
+/**
+ * New correlation id (unique per window).
+ * @returns {string}
+ */
+export function nextId() {
+    counter += 1;
+    return `${prefix}-${counter}`;
+}
+
+function envelope(type, fields) {
+    return { protocol: PROTOCOL, version: VERSION, type, ...fields };
+}
+
+/**
+ * @param {string} command - One of COMMANDS.
+ * @param {Object} [params]
+ * @param {string} [id] - Correlation id (generated when omitted).
+ * @returns {Object} Request envelope.
+ */
+export function makeRequest(command, params = {}, id = nextId()) {
+    return envelope("request", { id, command, params });
+}
+
+/**
+ * @param {string} id - The request's id.
+ * @param {*} result - Structured-cloneable result.
+ * @returns {Object} Success envelope.
+ */
+export function makeResponse(id, result) {
+    return envelope("response", { id, ok: true, result });
+}
+
+/**
+ * @param {string} id - The request's id (null when it couldn't be read).
+ * @param {Error|ProtocolError} error - What went wrong.
+ * @returns {Object} Error envelope.
+ */
+export function makeError(id, error) {
+    const code = error?.code || ERROR_CODES.failed;
+    return envelope("response", { id: id ?? null, ok: false, error: { code, message: String(error?.message || error) } });
+}
+
+/**
+ * @param {string} event - One of EVENTS.
+ * @param {*} data - Structured-cloneable payload.
+ * @returns {Object} Event envelope.
+ */
+export function makeEvent(event, data = {}) {
+    return envelope("event", { id: nextId(), event, data });
+}
+
+/**
+ * Whether `data` is a createPhil envelope (any version).
+ * @param {*} data - MessageEvent.data.
+ * @returns {boolean}
+ */
+export function isProtocolMessage(data) {
+    return !!data && typeof data === "object" && data.protocol === PROTOCOL && typeof data.type === "string";
+}
+
+/**
+ * Parses an origin allowlist ("https://a.example https://b.example", commas or
+ * whitespace). Entries are normalized to `scheme://host[:port]`; invalid ones are dropped.
+ * @param {string} text - The list.
+ * @returns {string[]}
+ */
+export function parseOriginList(text) {
+    const origins = [];
+    for (const entry of String(text || "").split(/[\s,]+/)) {
+        if (!entry) continue;
+        try {
+            const { origin } = new URL(entry);
+            if (origin !== "null" && !origins.includes(origin)) origins.push(origin);
+        } catch (_) {
+            console.warn(`Ignoring invalid origin "${entry}" in the createPhil allowlist`);
+        }
+    }
+    return origins;
+}
+
+/**
+ * Connects to a createPhil window (iframe contentWindow, or `window` itself).
+ * @param {Window} target - Window running app.js.
+ * @param {string} targetOrigin - Its origin (never "*").
+ * @param {Object} [options]
+ * @param {number} [options.timeout=30000] - Reject requests unanswered after this many ms (0 = never).
+ * @returns {{ request: function(string, Object=): Promise<*>, on: function(string, Function): Function, close: function(): void }}
+ */
+export function connect(target, targetOrigin, { timeout = 30000 } = {}) {
+    const pending = new Map();   // id -> { resolve, reject, timer }
+    const listeners = new Map(); // event -> Set<fn>
+
+    const onMessage = (e) => {
+        // Only the connected window may answer: another frame on the same origin must not spoof replies
+        if (e.source !== target || e.origin !== targetOrigin || !isProtocolMessage(e.data)) return;
+        const msg = e.data;
+        if (msg.type === "response" && pending.has(msg.id)) {
+            const { resolve, reject, timer } = pending.get(msg.id);
+            pending.delete(msg.id);
+            clearTimeout(timer);
+            if (msg.ok) resolve(msg.result);
+            else reject(new ProtocolError(msg.error?.code || ERROR_CODES.failed, msg.error?.message || "Request failed"));
+        } else if (msg.type === "event") {
+            for (const fn of listeners.get(msg.event) || []) fn(msg.data, msg);
+        }
+    };
+    window.addEventListener("message", onMessage);
+
+    return {
+        request(command, params = {}) {
+            const msg = makeRequest(command, params);
+            return new Promise((resolve, reject) => {
+                const timer = timeout ? setTimeout(() => {
+                    pending.delete(msg.id);
+                    reject(new ProtocolError(ERROR_CODES.failed, `${command} timed out after ${timeout} ms`));
+                }, timeout) : null;
+                pending.set(msg.id, { resolve, reject, timer });
+                target.postMessage(msg, targetOrigin);
+            });
+        },
+        on(event, fn) {
+            if (!listeners.has(event)) listeners.set(event, new Set());
+            listeners.get(event).add(fn);
+            return () => listeners.get(event).delete(fn);
+        },
+        close() {
+            window.removeEventListener("message", onMessage);
+            for (const { reject, timer } of pending.values()) {
+                clearTimeout(timer);
+                reject(new ProtocolError(ERROR_CODES.cancelled, "Connection closed"));
+            }
+            pending.clear();
+        },
+    };
+}
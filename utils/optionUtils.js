@@ -0,0 +1,82 @@
+// utils/optionUtils.js
+// Helpers for trait options. Each trait exports an OPTIONS schema next to generateTrait():
+//
+//   export const OPTIONS = {
+//     palette: { type: "select",  label: "Palette", values: ["one", "two"] },
+//     numArms: { type: "number",  label: "Arms", min: 1, max: 12, step: 1, default: 6 },
+//     curves:  { type: "boolean", label: "Curved cells", default: false },
+//   };
+//
+// An option that is not passed (or is null / "") means "random" for selects and
+// "default" for numbers and booleans. app.js builds the per-layer options form from it.
+
+/**
+ * True when an option value was not pinned by the caller.
+ * @param {*} value - Raw option value.
+ * @returns {boolean}
+ */
+export function isUnset(value) {
+    return value === undefined || value === null || value === "";
+}
+
+/**
+ * Resolves a pick-one option. The random draw is made by the caller either way,
+ * so pinning one choice disturbs the seeded sequence as little as possible.
+ * @param {*} pinned - Caller-supplied value, or unset.
+ * @param {*} drawn - The value the trait drew at random.
+ * @param {Array<*>} allowed - Valid values.
+ * @param {string} label - Name used in error messages (e.g. "bg palette").
+ * @returns {*} The pinned value when set, else `drawn`.
+ */
+export function resolveChoice(pinned, drawn, allowed, label) {
+    if (isUnset(pinned)) return drawn;
+    if (!allowed.includes(pinned)) {
+        throw new Error(`Unknown ${label} "${pinned}" (expected one of: ${allowed.join(", ")})`);
+    }
+    return pinned;
+}
+
+/**
+ * Resolves a numeric option against its schema entry.
+ * @param {*} pinned - Caller-supplied value, or unset.
+ * @param {number} fallback - Value used when unset (a default or a random draw).
+ * @param {Object} spec - Schema entry ({ min, max, step }).
+ * @param {string} label - Name used in error messages.
+ * @returns {number} The validated number.
+ */
+export function resolveNumber(pinned, fallback, spec, label) {
+    if (isUnset(pinned)) return fallback;
+    const n = Number(pinned);
+    if (!Number.isFinite(n)) throw new Error(`${label} must be a number, got "${pinned}"`);
+    if (spec.step === 1 && !Number.isInteger(n)) throw new Error(`${label} must be a whole number, got ${n}`);
+    if ((spec.min !== undefined && n < spec.min) || (spec.max !== undefined && n > spec.max)) {
+        throw new Error(`${label} must be between ${spec.min} and ${spec.max}, got ${n}`);
+    }
+    return n;
+}
+
+/**
+ * Resolves a boolean option.
+ * @param {*} pinned - Caller-supplied value, or unset.
+ * @param {boolean} fallback - Value used when unset.
+ * @returns {boolean}
+ */
+export function resolveBoolean(pinned, fallback) {
+    if (isUnset(pinned)) return fallback;
+    return pinned === true || pinned === "true" || pinned === "1" || pinned === 1;
+}
+
+/**
+ * Converts a raw string (form field, query param, CLI flag) to the type a schema entry expects.
+ * @param {Object} spec - Schema entry.
+ * @param {string} raw - Raw value.
+ * @returns {*} Typed value, or undefined when raw is empty.
+ */
+export function coerceOptionValue(spec, raw) {
+    if (isUnset(raw)) return undefined;
+    if (!spec) return raw;
+    if (spec.type === "number") return Number(raw);
+    if (spec.type === "boolean") return resolveBoolean(raw, false);
+    if (spec.type === "select" && typeof spec.values?.[0] === "number") return Number(raw);
+    return raw;
+}
@@ -0,0 +1,221 @@
+// utils/outlineLoader.js
+// The one place traits get their outlines (traits_json/<name>Outline.json) from.
+//   - URLs resolve against one base, traits_json/ next to this module by
+//     default, so a copy under a subpath (GitHub Pages) needs no rewriting.
+//   - Each outline is fetched once per realm (memory cache) and kept in
+//     IndexedDB where there is one: a stored copy is served at once and
+//     refreshed from the network in the background.
+//   - Every outline is schema-checked before a trait sees it.
+//   - configureOutlines({ outlines }) supplies outlines directly (tests, the
+//     CLI); those are used before anything is fetched.
+// Workers have their own copy of this module: generationClient.js sends
+// getOutlineConfig() with each job so they use the same base and outlines.
+
+import { fetchOutlineJSON, geometryError } from "./traitErrors.js";
+
+/** Outline names the traits use; `name` is loaded from `<name>Outline.json`. */
+export const OUTLINE_NAMES = [
+    "eyes", "frame", "gums", "nose", "phil", "spikes", "teeth", "top",
+    "wingsBottom", "wingsMiddle", "wingsTop",
+];
+
+const DEFAULT_BASE = new URL("../traits_json/", import.meta.url).href;
+const DB_NAME = "createPhil-outlines";
+const DB_VERSION = 1;
+const STORE = "outlines";
+
+let baseURL = DEFAULT_BASE;
+let persist = typeof indexedDB !== "undefined";
+let provided = new Map(); // name -> outline, from configureOutlines({ outlines })
+const loaded = new Map(); // url -> Promise<outline>
+let dbPromise = null;
+
+/**
+ * Sets where outlines come from. Omitted fields keep their current value.
+ * @param {Object} [config]
+ * @param {string|URL} [config.baseURL] - Folder holding the `<name>Outline.json` files
+ *   (a relative URL resolves against the page). Changing it empties the memory cache.
+ * @param {boolean} [config.persist] - Keep fetched outlines in IndexedDB (default: where available).
+ * @param {Object<string, Object>|null} [config.outlines] - Outlines by name, used instead of
+ *   fetching; replaces earlier ones (null removes them). Checked like fetched ones and copied.
+ * @throws {TraitError} geometry, for a supplied outline that fails the schema check.
+ */
+export function configureOutlines({ baseURL: base, persist: keep, outlines } = {}) {
+    if (base !== undefined) {
+        const next = new URL(String(base), globalThis.location?.href ?? DEFAULT_BASE).href.replace(/\/?$/, "/");
+        if (next !== baseURL) loaded.clear();
+        baseURL = next;
+    }
+    if (keep !== undefined) persist = !!keep && typeof indexedDB !== "undefined";
+    if (outlines !== undefined) {
+        const next = new Map();
+        for (const [name, data] of Object.entries(outlines || {})) {
+            next.set(name, freeze(structuredClone(validateOutline(data, { name }))));
+        }
+        provided = next;
+    }
+}
+
+/**
+ * The current configuration, structured-cloneable (for workers).
+ * @returns {{ baseURL: string, persist: boolean, outlines: Object<string, Object> }}
+ */
+export function getOutlineConfig() {
+    return { baseURL, persist, outlines: Object.fromEntries(provided) };
+}
+
+/**
+ * Where outline `name` is fetched from.
+ * @param {string} name - e.g. "eyes" or "wingsTop".
+ * @returns {string} Absolute URL.
+ */
+export function outlineURL(name) {
+    return new URL(`${name}Outline.json`, baseURL).href;
+}
+
+/**
+ * Outline `name`: supplied, cached or fetched, and schema-checked. The object is
+ * shared between callers and frozen.
+ * @param {string} name - One of OUTLINE_NAMES (or any `<name>Outline.json` under the base).
+ * @param {Object} [params]
+ * @param {string} [params.trait] - Layer id for errors (defaults to `name`).
+ * @returns {Promise<Object>} `{ pathData?, paths?, viewBox? }`.
+ * @throws {TraitError} outline-fetch when it cannot be loaded, geometry when it fails the schema.
+ */
+export function loadOutline(name, { trait = name } = {}) {
+    if (provided.has(name)) return Promise.resolve(provided.get(name));
+    const url = outlineURL(name);
+    if (!loaded.has(url)) {
+        const loading = fetchAndStore(name, url, trait, true);
+        loading.catch(() => { if (loaded.get(url) === loading) loaded.delete(url); });
+        loaded.set(url, loading);
+    }
+    return loaded.get(url);
+}
+
+/**
+ * Loads outlines ahead of the first generate (all of them by default).
+ * Never rejects: failures are listed and retried on the next loadOutline().
+ * @param {string[]} [names=OUTLINE_NAMES]
+ * @returns {Promise<{ loaded: string[], failed: Array<{ name: string, error: Error }> }>}
+ */
+export async function preloadOutlines(names = OUTLINE_NAMES) {
+    const results = await Promise.allSettled(names.map((name) => loadOutline(name)));
+    const report = { loaded: [], failed: [] };
+    results.forEach((r, i) => {
+        if (r.status === "fulfilled") report.loaded.push(names[i]);
+        else report.failed.push({ name: names[i], error: r.reason });
+    });
+    return report;
+}
+
+/**
+ * Forgets fetched outlines (supplied ones stay).
+ * @param {Object} [params]
+ * @param {boolean} [params.persistent=false] - Also empty the IndexedDB copy.
+ * @returns {Promise<void>}
+ */
+export async function clearOutlineCache({ persistent = false } = {}) {
+    loaded.clear();
+    if (persistent && typeof indexedDB !== "undefined") {
+        await run("readwrite", (store) => store.clear()).catch(() => {});
+    }
+}
+
+/**
+ * Checks outline JSON: an object with `pathData` (a non-empty path string)
+ * and/or `paths` (a non-empty array of `{ pathData, type? }`), and an optional
+ * `viewBox` of four numbers with a positive width and height.
+ * @param {*} data - Parsed outline JSON.
+ * @param {Object} [params]
+ * @param {string} [params.name] - Outline name, for the message.
+ * @param {string} [params.trait] - Layer id for the error (defaults to `name`).
+ * @returns {Object} `data`, unchanged.
+ * @throws {TraitError} geometry, listing what is wrong.
+ */
+export function validateOutline(data, { name = "outline", trait = name } = {}) {
+    const problems = [];
+    const isPath = (d) => typeof d === "string" && /^\s*[Mm]/.test(d);
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        problems.push("not a JSON object");
+    } else {
+        const { pathData, paths, viewBox } = data;
+        if (pathData === undefined && paths === undefined) problems.push("neither pathData nor paths");
+        if (pathData !== undefined && !isPath(pathData)) problems.push("pathData is not SVG path data");
+        if (paths !== undefined) {
+            if (!Array.isArray(paths) || !paths.length) problems.push("paths is not a non-empty array");
+            else paths.forEach((p, i) => { if (!isPath(p?.pathData)) problems.push(`paths[${i}].pathData is not SVG path data`); });
+        }
+        if (viewBox !== undefined) {
+            const box = typeof viewBox === "string" ? viewBox.trim().split(/[\s,]+/).map(Number) : [];
+            if (box.length !== 4 || !box.every(Number.isFinite) || box[2] <= 0 || box[3] <= 0) {
+                problems.push(`viewBox "${viewBox}" is not "minX minY width height"`);
+            }
+        }
+    }
+    if (problems.length) {
+        throw geometryError(trait, `${name}Outline.json: ${problems.join("; ")}.`, { outline: name, problems });
+    }
+    return data;
+}
+
+// --------------------------
+// Fetch + IndexedDB
+// --------------------------
+
+// Stored copy first (refreshed in the background), the network otherwise
+async function fetchAndStore(name, url, trait, useStored) {
+    if (useStored && persist) {
+        const stored = await run("readonly", (store) => store.get(url)).catch(() => undefined);
+        if (stored !== undefined) {
+            try {
+                const data = freeze(validateOutline(stored, { name, trait }));
+                revalidate(name, url, trait, stored);
+                return data;
+            } catch (_) {
+                // a stored copy that no longer passes is refetched below
+            }
+        }
+    }
+    const data = freeze(validateOutline(await fetchOutlineJSON(url, { trait }), { name, trait }));
+    if (persist) run("readwrite", (store) => store.put(data, url)).catch(() => {});
+    return data;
+}
+
+function revalidate(name, url, trait, stored) {
+    fetchAndStore(name, url, trait, false).then((fresh) => {
+        if (JSON.stringify(fresh) !== JSON.stringify(stored) && loaded.has(url)) loaded.set(url, Promise.resolve(fresh));
+    }, () => {}); // offline: keep serving the stored copy
+}
+
+function openDB() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+// Runs one request in its own transaction and resolves with its result
+async function run(mode, makeRequest) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const req = makeRequest(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Shared between callers, so nobody may change it
+function freeze(data) {
+    if (Array.isArray(data.paths)) data.paths.forEach((p) => Object.freeze(p));
+    return Object.freeze(data);
+}
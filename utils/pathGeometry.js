@@ -0,0 +1,586 @@
+// utils/pathGeometry.js
+// Analytic SVG path geometry with no DOM or canvas: parse `d` strings, flatten
+// curves to polylines, and answer bbox / area / length / point-in-path /
+// boundary-intersection questions. Runs the same in the page, in workers and
+// under Node, and replaces getBBox(), getTotalLength(), isPointInFill() and
+// canvas isPointInPath() in the traits.
+//
+// Polygons are arrays of [x, y]. A flattened path is a list of subpaths
+// { points, closed }; for fills every subpath counts as closed (as in SVG).
+
+const DEFAULT_TOLERANCE = 0.1;   // max distance between a curve and its flattening, in user units
+const CACHE_LIMIT = 32;
+const cache = new Map();         // d -> flattened geometry (traits query the same outline thousands of times)
+
+const NUMBER_RE = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+const PARAM_COUNT = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+// ---------- parsing ----------
+
+function tokenize(d) {
+    const tokens = [];
+    let i = 0;
+    let lastCommand = "";
+    let argIndex = 0;
+    while (i < d.length) {
+        const ch = d[i];
+        if (/[\s,]/.test(ch)) { i++; continue; }
+        if (/[MLHVCSQTAZ]/i.test(ch)) {
+            tokens.push(ch);
+            lastCommand = ch.toUpperCase();
+            argIndex = 0;
+            i++;
+            continue;
+        }
+        // Arc flags may be written without separators ("a5 5 0 011 1")
+        const slot = argIndex % 7;
+        if (lastCommand === "A" && (slot === 3 || slot === 4) && (ch === "0" || ch === "1")) {
+            tokens.push(Number(ch));
+            argIndex++;
+            i++;
+            continue;
+        }
+        NUMBER_RE.lastIndex = i;
+        const m = NUMBER_RE.exec(d);
+        if (!m) throw new Error(`Bad path data near "${d.slice(i, i + 12)}"`);
+        tokens.push(Number(m[0]));
+        argIndex++;
+        i = NUMBER_RE.lastIndex;
+    }
+    return tokens;
+}
+
+// Endpoint arc → center parameterization → cubic Béziers (≤ 90° each)
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (!rx || !ry) return [[x1, y1, x2, y2, x2, y2]];
+
+    const phi = (angle * Math.PI) / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, num / den));
+    if (largeArc === sweep) coef = -coef;
+    const cxp = (coef * rx * y1p) / ry;
+    const cyp = (-coef * ry * x1p) / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const vecAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = vecAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = vecAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const parts = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+    const step = delta / parts;
+    const k = (4 / 3) * Math.tan(step / 4);
+    const point = (t) => [
+        cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+        cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos,
+    ];
+    const deriv = (t) => [
+        -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+        -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos,
+    ];
+
+    const curves = [];
+    let t = theta1;
+    for (let i = 0; i < parts; i++) {
+        const t2 = t + step;
+        const [ax, ay] = point(t);
+        const [bx, by] = point(t2);
+        const [dax, day] = deriv(t);
+        const [dbx, dby] = deriv(t2);
+        curves.push([ax + k * dax, ay + k * day, bx - k * dbx, by - k * dby, bx, by]);
+        t = t2;
+    }
+    // land exactly on the requested endpoint
+    curves[curves.length - 1][4] = x2;
+    curves[curves.length - 1][5] = y2;
+    return curves;
+}
+
+/**
+ * Parses SVG path data into absolute segments. H/V become L, S/T become C/Q,
+ * arcs become cubic Béziers.
+ * @param {string} d - SVG path data.
+ * @returns {Array<{type: string, values: number[]}>} Segments of type M, L, C, Q or Z.
+ */
+export function parsePath(d) {
+    const tokens = tokenize(String(d || ""));
+    const segments = [];
+    let i = 0;
+    let cmd = "";
+    let x = 0, y = 0;           // current point
+    let sx = 0, sy = 0;         // subpath start
+    let lastCtrl = null;        // reflected control point for S/T
+    let lastType = "";
+
+    while (i < tokens.length) {
+        if (typeof tokens[i] === "string") {
+            cmd = tokens[i++];
+        } else if (!cmd) {
+            throw new Error("Path data must start with a command");
+        }
+        const upper = cmd.toUpperCase();
+        const rel = cmd !== upper;
+        const count = PARAM_COUNT[upper];
+
+        if (upper === "Z") {
+            segments.push({ type: "Z", values: [] });
+            x = sx; y = sy;
+            lastCtrl = null;
+            lastType = "Z";
+            // a number right after Z is invalid; a command must follow
+            if (typeof tokens[i] === "number") throw new Error("Unexpected number after Z");
+            continue;
+        }
+
+        const args = tokens.slice(i, i + count);
+        if (args.length < count || args.some((a) => typeof a !== "number")) {
+            throw new Error(`Path command ${cmd} expects ${count} numbers`);
+        }
+        i += count;
+
+        switch (upper) {
+            case "M": {
+                x = rel ? x + args[0] : args[0];
+                y = rel ? y + args[1] : args[1];
+                sx = x; sy = y;
+                segments.push({ type: "M", values: [x, y] });
+                cmd = rel ? "l" : "L"; // further pairs are implicit lineto
+                lastCtrl = null;
+                break;
+            }
+            case "L":
+            case "H":
+            case "V": {
+                if (upper === "L") { x = rel ? x + args[0] : args[0]; y = rel ? y + args[1] : args[1]; }
+                else if (upper === "H") x = rel ? x + args[0] : args[0];
+                else y = rel ? y + args[0] : args[0];
+                segments.push({ type: "L", values: [x, y] });
+                lastCtrl = null;
+                break;
+            }
+            case "C":
+            case "S": {
+                let c1x, c1y, rest;
+                if (upper === "C") {
+                    c1x = rel ? x + args[0] : args[0];
+                    c1y = rel ? y + args[1] : args[1];
+                    rest = args.slice(2);
+                } else {
+                    const reflect = lastType === "C" && lastCtrl;
+                    c1x = reflect ? 2 * x - lastCtrl[0] : x;
+                    c1y = reflect ? 2 * y - lastCtrl[1] : y;
+                    rest = args;
+                }
+                const c2x = rel ? x + rest[0] : rest[0];
+                const c2y = rel ? y + rest[1] : rest[1];
+                const ex = rel ? x + rest[2] : rest[2];
+                const ey = rel ? y + rest[3] : rest[3];
+                segments.push({ type: "C", values: [c1x, c1y, c2x, c2y, ex, ey] });
+                lastCtrl = [c2x, c2y];
+                x = ex; y = ey;
+                lastType = "C";
+                continue;
+            }
+            case "Q":
+            case "T": {
+                let cx, cy, ex, ey;
+                if (upper === "Q") {
+                    cx = rel ? x + args[0] : args[0];
+                    cy = rel ? y + args[1] : args[1];
+                    ex = rel ? x + args[2] : args[2];
+                    ey = rel ? y + args[3] : args[3];
+                } else {
+                    const reflect = lastType === "Q" && lastCtrl;
+                    cx = reflect ? 2 * x - lastCtrl[0] : x;
+                    cy = reflect ? 2 * y - lastCtrl[1] : y;
+                    ex = rel ? x + args[0] : args[0];
+                    ey = rel ? y + args[1] : args[1];
+                }
+                segments.push({ type: "Q", values: [cx, cy, ex, ey] });
+                lastCtrl = [cx, cy];
+                x = ex; y = ey;
+                lastType = "Q";
+                continue;
+            }
+            case "A": {
+                const ex = rel ? x + args[5] : args[5];
+                const ey = rel ? y + args[6] : args[6];
+                for (const c of arcToCubics(x, y, args[0], args[1], args[2], !!args[3], !!args[4], ex, ey)) {
+                    segments.push({ type: "C", values: c });
+                }
+                x = ex; y = ey;
+                lastCtrl = null;
+                break;
+            }
+        }
+        lastType = upper;
+    }
+    return segments;
+}
+
+// ---------- flattening ----------
+
+function flattenSegments(segments, tolerance) {
+    const subpaths = [];
+    let current = null;
+    let x = 0, y = 0;
+
+    const ensure = () => {
+        if (!current) {
+            current = { points: [[x, y]], closed: false };
+            subpaths.push(current);
+        }
+    };
+
+    for (const { type, values } of segments) {
+        if (type === "M") {
+            x = values[0]; y = values[1];
+            current = { points: [[x, y]], closed: false };
+            subpaths.push(current);
+        } else if (type === "L") {
+            ensure();
+            x = values[0]; y = values[1];
+            current.points.push([x, y]);
+        } else if (type === "Q") {
+            ensure();
+            const [cx, cy, ex, ey] = values;
+            const dd = Math.hypot(x - 2 * cx + ex, y - 2 * cy + ey);
+            const n = Math.max(1, Math.min(256, Math.ceil(Math.sqrt(dd / (4 * tolerance)))));
+            for (let i = 1; i <= n; i++) {
+                const t = i / n, mt = 1 - t;
+                current.points.push([mt * mt * x + 2 * mt * t * cx + t * t * ex, mt * mt * y + 2 * mt * t * cy + t * t * ey]);
+            }
+            x = ex; y = ey;
+        } else if (type === "C") {
+            ensure();
+            const [c1x, c1y, c2x, c2y, ex, ey] = values;
+            // Wang's formula: segments needed so the chord error stays under `tolerance`
+            const dd = Math.max(
+                Math.hypot(x - 2 * c1x + c2x, y - 2 * c1y + c2y),
+                Math.hypot(c1x - 2 * c2x + ex, c1y - 2 * c2y + ey)
+            );
+            const n = Math.max(1, Math.min(256, Math.ceil(Math.sqrt((3 * dd) / (4 * tolerance)))));
+            for (let i = 1; i <= n; i++) {
+                const t = i / n, mt = 1 - t;
+                const a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, e = t * t * t;
+                current.points.push([a * x + b * c1x + c * c2x + e * ex, a * y + b * c1y + c * c2y + e * ey]);
+            }
+            x = ex; y = ey;
+        } else if (type === "Z") {
+            if (current) {
+                current.closed = true;
+                [x, y] = current.points[0];
+            }
+            current = null; // a command after Z starts a new subpath at the same point
+        }
+    }
+    return subpaths.filter((s) => s.points.length > 1 || s.closed);
+}
+
+function getGeometry(d, tolerance = DEFAULT_TOLERANCE) {
+    const key = `${tolerance}|${d}`;
+    let geo = cache.get(key);
+    if (geo) return geo;
+
+    const subpaths = flattenSegments(parsePath(d), tolerance);
+    // cumulative lengths for pointAtLength (closed subpaths include the closing edge)
+    const runs = subpaths.map(({ points, closed }) => {
+        const pts = closed ? [...points, points[0]] : points;
+        const lengths = [0];
+        for (let i = 1; i < pts.length; i++) {
+            lengths.push(lengths[i - 1] + Math.hypot(pts[i][0] - pts[i - 1][0], pts[i][1] - pts[i - 1][1]));
+        }
+        return { pts, lengths };
+    });
+    geo = {
+        subpaths,
+        polygons: subpaths.map((s) => s.points),
+        runs,
+        length: runs.reduce((sum, r) => sum + r.lengths[r.lengths.length - 1], 0),
+    };
+    if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+    cache.set(key, geo);
+    return geo;
+}
+
+/**
+ * Flattens a path into polylines.
+ * @param {string} d - SVG path data.
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=0.1] - Max curve-to-chord distance.
+ * @returns {Array<{points: Array<number[]>, closed: boolean}>} One entry per subpath.
+ */
+export function flattenPath(d, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    return getGeometry(d, tolerance).subpaths.map(({ points, closed }) => ({ points: points.map((p) => [...p]), closed }));
+}
+
+/**
+ * Flattened subpaths as polygons (implicitly closed), ready for the polygon helpers below.
+ * @param {string} d - SVG path data.
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=0.1] - Max curve-to-chord distance.
+ * @returns {Array<Array<number[]>>}
+ */
+export function pathToPolygons(d, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    return getGeometry(d, tolerance).polygons.map((poly) => poly.map((p) => [...p]));
+}
+
+// ---------- measurements ----------
+
+/**
+ * Bounding box of a path (of its flattening, so within `tolerance` of exact).
+ * @param {string} d - SVG path data.
+ * @returns {{x: number, y: number, width: number, height: number}} Same shape as getBBox().
+ */
+export function pathBBox(d) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const poly of getGeometry(d).polygons) {
+        for (const [x, y] of poly) {
+            if (x < minX) minX = x;
+            if (y < minY) minY = y;
+            if (x > maxX) maxX = x;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (minX === Infinity) return { x: 0, y: 0, width: 0, height: 0 };
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Signed area of a polygon (shoelace). Positive when clockwise in SVG's y-down space.
+ * @param {Array<number[]>} points - Polygon vertices.
+ * @returns {number}
+ */
+export function polygonArea(points) {
+    let sum = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        sum += (points[j][0] * points[i][1]) - (points[i][0] * points[j][1]);
+    }
+    return sum / 2;
+}
+
+/**
+ * Net filled area of a path: subpath areas summed with their winding sign,
+ * so holes drawn in the opposite direction subtract.
+ * @param {string} d - SVG path data.
+ * @returns {number} Absolute area.
+ */
+export function pathArea(d) {
+    return Math.abs(getGeometry(d).polygons.reduce((sum, poly) => sum + polygonArea(poly), 0));
+}
+
+/**
+ * Total length (like getTotalLength()).
+ * @param {string} d - SVG path data.
+ * @returns {number}
+ */
+export function pathLength(d) {
+    return getGeometry(d).length;
+}
+
+/**
+ * Point at a distance along the path (like getPointAtLength()).
+ * @param {string} d - SVG path data.
+ * @param {number} distance - Distance from the start; clamped to [0, length].
+ * @returns {{x: number, y: number}}
+ */
+export function pointAtLength(d, distance) {
+    const { runs, length } = getGeometry(d);
+    if (!runs.length) return { x: 0, y: 0 };
+    let remaining = Math.max(0, Math.min(length, distance));
+    for (let r = 0; r < runs.length; r++) {
+        const { pts, lengths } = runs[r];
+        const total = lengths[lengths.length - 1];
+        if (remaining > total && r < runs.length - 1) {
+            remaining -= total;
+            continue;
+        }
+        // binary search for the edge containing `remaining`
+        let lo = 0, hi = lengths.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (lengths[mid] < remaining) lo = mid; else hi = mid;
+        }
+        const span = lengths[hi] - lengths[lo];
+        const t = span > 0 ? (remaining - lengths[lo]) / span : 0;
+        return { x: pts[lo][0] + (pts[hi][0] - pts[lo][0]) * t, y: pts[lo][1] + (pts[hi][1] - pts[lo][1]) * t };
+    }
+    const last = runs[runs.length - 1].pts;
+    return { x: last[last.length - 1][0], y: last[last.length - 1][1] };
+}
+
+// ---------- containment ----------
+
+/**
+ * Point-in-polygon test over one or more rings.
+ * @param {number} x - X.
+ * @param {number} y - Y.
+ * @param {Array<Array<number[]>>} polygons - Rings (implicitly closed).
+ * @param {string} [rule="nonzero"] - "nonzero" or "evenodd" (SVG fill-rule).
+ * @returns {boolean}
+ */
+export function pointInPolygons(x, y, polygons, rule = "nonzero") {
+    let winding = 0;
+    let crossings = 0;
+    for (const poly of polygons) {
+        for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+            const [xi, yi] = poly[i];
+            const [xj, yj] = poly[j];
+            if ((yj <= y) !== (yi <= y)) {
+                const cross = (xi - xj) * (y - yj) - (x - xj) * (yi - yj);
+                const upward = yi > yj;
+                // edge crosses the horizontal ray to the right of the point
+                if (upward ? cross > 0 : cross < 0) {
+                    crossings++;
+                    winding += upward ? 1 : -1;
+                }
+            }
+        }
+    }
+    return rule === "evenodd" ? crossings % 2 === 1 : winding !== 0;
+}
+
+/**
+ * Whether (x, y) lies inside the filled path (replaces canvas isPointInPath / isPointInFill).
+ * @param {string} d - SVG path data.
+ * @param {number} x - X in path coordinates.
+ * @param {number} y - Y in path coordinates.
+ * @param {string} [rule="nonzero"] - "nonzero" or "evenodd".
+ * @returns {boolean}
+ */
+export function isPointInPath(d, x, y, rule = "nonzero") {
+    const index = getEdgeIndex(getGeometry(d));
+    if (!index || y < index.minY || y >= index.maxY) return false;
+    const band = index.bands[Math.min(BANDS - 1, Math.floor((y - index.minY) / index.bandHeight))];
+    let winding = 0;
+    let crossings = 0;
+    for (let k = 0; k < band.length; k += 4) {
+        const xj = band[k], yj = band[k + 1], xi = band[k + 2], yi = band[k + 3];
+        if ((yj <= y) !== (yi <= y)) {
+            const cross = (xi - xj) * (y - yj) - (x - xj) * (yi - yj);
+            const upward = yi > yj;
+            if (upward ? cross > 0 : cross < 0) {
+                crossings++;
+                winding += upward ? 1 : -1;
+            }
+        }
+    }
+    return rule === "evenodd" ? crossings % 2 === 1 : winding !== 0;
+}
+
+// Edges bucketed into horizontal bands so a hit test only walks the edges
+// that can cross its scanline (outlines here have ~1000 edges).
+const BANDS = 64;
+
+function getEdgeIndex(geo) {
+    if (geo.index !== undefined) return geo.index;
+    let minY = Infinity, maxY = -Infinity;
+    for (const poly of geo.polygons) {
+        for (const [, y] of poly) {
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (minY === Infinity || maxY === minY) return (geo.index = null);
+    const bandHeight = (maxY - minY) / BANDS;
+    const bands = Array.from({ length: BANDS }, () => []);
+    for (const poly of geo.polygons) {
+        for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+            const [xj, yj] = poly[j];
+            const [xi, yi] = poly[i];
+            const from = Math.floor((Math.min(yi, yj) - minY) / bandHeight);
+            const to = Math.min(BANDS - 1, Math.floor((Math.max(yi, yj) - minY) / bandHeight));
+            for (let b = from; b <= to; b++) bands[b].push(xj, yj, xi, yi);
+        }
+    }
+    return (geo.index = { minY, maxY, bandHeight, bands });
+}
+
+// ---------- intersections ----------
+
+/**
+ * Intersection of segments AB and CD.
+ * @returns {{x: number, y: number, t: number, u: number}|null} Point plus its parameter on AB (t) and CD (u).
+ */
+export function segmentIntersection(ax, ay, bx, by, cx, cy, dx, dy) {
+    const rx = bx - ax, ry = by - ay;
+    const sx = dx - cx, sy = dy - cy;
+    const denom = rx * sy - ry * sx;
+    if (denom === 0) return null; // parallel or collinear
+    const qx = cx - ax, qy = cy - ay;
+    const t = (qx * sy - qy * sx) / denom;
+    const u = (qx * ry - qy * rx) / denom;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return { x: ax + t * rx, y: ay + t * ry, t, u };
+}
+
+/**
+ * Every point where segment AB crosses the path boundary, ordered from A to B.
+ * @param {string} d - SVG path data.
+ * @param {number} ax - Segment start X.
+ * @param {number} ay - Segment start Y.
+ * @param {number} bx - Segment end X.
+ * @param {number} by - Segment end Y.
+ * @returns {Array<{x: number, y: number, t: number}>} Crossings; `t` runs 0 (A) → 1 (B).
+ */
+export function segmentPathIntersections(d, ax, ay, bx, by) {
+    const hits = [];
+    for (const poly of getGeometry(d).polygons) {
+        for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+            const hit = segmentIntersection(ax, ay, bx, by, poly[j][0], poly[j][1], poly[i][0], poly[i][1]);
+            if (hit) hits.push({ x: hit.x, y: hit.y, t: hit.t });
+        }
+    }
+    return hits.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Clips a polyline to the inside of a path, splitting it where it crosses the boundary.
+ * @param {string} d - SVG path data.
+ * @param {Array<{x: number, y: number}>} points - Polyline.
+ * @param {string} [rule="nonzero"] - Fill rule.
+ * @returns {Array<Array<{x: number, y: number}>>} The inside pieces (each ≥ 2 points).
+ */
+export function clipPolylineToPath(d, points, rule = "nonzero") {
+    const pieces = [];
+    let current = [];
+    const inside = (x, y) => isPointInPath(d, x, y, rule);
+
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        if (i === 0) {
+            if (inside(p.x, p.y)) current.push(p);
+            continue;
+        }
+        const prev = points[i - 1];
+        // split the edge at every boundary crossing; keep the parts whose midpoint is inside
+        const cuts = [{ x: prev.x, y: prev.y, t: 0 }, ...segmentPathIntersections(d, prev.x, prev.y, p.x, p.y), { x: p.x, y: p.y, t: 1 }];
+        for (let k = 1; k < cuts.length; k++) {
+            const a = cuts[k - 1], b = cuts[k];
+            if (b.t - a.t <= 1e-12) continue;
+            if (inside((a.x + b.x) / 2, (a.y + b.y) / 2)) {
+                if (!current.length) current.push({ x: a.x, y: a.y });
+                current.push(k === cuts.length - 1 ? p : { x: b.x, y: b.y });
+            } else if (current.length) {
+                if (current.length >= 2) pieces.push(current);
+                current = [];
+            }
+        }
+    }
+    if (current.length >= 2) pieces.push(current);
+    return pieces;
+}
@@ -0,0 +1,285 @@
+// utils/polygonClipping.js
+// Polygon booleans (intersection, union, difference) and offsetting for the
+// traits. Runs on the page's ClipperLib global when it is loaded and on the
+// built-in engine otherwise (polygonSweep.js, a port of Clipper's own sweep,
+// plus ClipperOffset below); both snap to the same integer grid and return
+// the same rings in the same canonical form, so a trait's output does not
+// depend on which one ran.
+//
+// A polygon is an array of { X, Y } (Clipper's shape); a polygon set is an
+// array of polygons. Every function takes either. Coordinates are multiplied
+// by `scale` and rounded to integers before clipping (Clipper needs integers)
+// and divided back afterwards. Results: outer rings have positive area
+// (Clipper.Area()), holes negative; each ring starts at its top-left vertex
+// and rings are sorted by that vertex.
+//
+// The built-in offsetting is ported from Clipper's ClipperOffset: Copyright
+// Angus Johnson 2010-2017, Boost Software License 1.0 (vendor/LICENSE-clipper).
+
+import { clipPaths } from "./polygonSweep.js";
+
+const FILL_RULES = { evenodd: "pftEvenOdd", nonzero: "pftNonZero", positive: "pftPositive" };
+const JOINS = { miter: "jtMiter", round: "jtRound", square: "jtSquare" };
+const CLIP_TYPES = { intersection: "ctIntersection", union: "ctUnion", difference: "ctDifference", xor: "ctXor" };
+
+const DEFAULT_MITER_LIMIT = 2;
+const DEFAULT_ARC_TOLERANCE = 0.25;   // in user units (Clipper's default is in grid units)
+const TWO_PI = 6.28318530717959;      // Clipper's constants, for identical arc steps
+const PI = 3.14159265358979;
+
+/**
+ * @typedef {Object} ClipOptions
+ * @property {number} [scale=1] - Grid units per user unit; coordinates are rounded on that grid.
+ * @property {"evenodd"|"nonzero"|"positive"} [fillRule="evenodd"] - For both operands (Clipper's default is even-odd).
+ * @property {"auto"|"clipper"|"builtin"} [engine="auto"] - "auto" uses ClipperLib when the global is present.
+ */
+
+/**
+ * Area inside both `subject` and `clip`.
+ * @param {Array} subject - Polygon or polygon set.
+ * @param {Array} clip - Polygon or polygon set.
+ * @param {ClipOptions} [options]
+ * @returns {Array<Array<{X: number, Y: number}>>}
+ */
+export function intersection(subject, clip, options) {
+    return booleanOp("intersection", subject, clip, options);
+}
+
+/**
+ * Area inside `subject` or `clip`; with one argument, `subject` merged with itself
+ * (overlaps and self-intersections resolved).
+ * @param {Array} subject - Polygon or polygon set.
+ * @param {Array} [clip=[]] - Polygon or polygon set.
+ * @param {ClipOptions} [options]
+ * @returns {Array<Array<{X: number, Y: number}>>}
+ */
+export function union(subject, clip = [], options) {
+    return booleanOp("union", subject, clip, options);
+}
+
+/**
+ * Area inside `subject` but not `clip`.
+ * @param {Array} subject - Polygon or polygon set.
+ * @param {Array} clip - Polygon or polygon set.
+ * @param {ClipOptions} [options]
+ * @returns {Array<Array<{X: number, Y: number}>>}
+ */
+export function difference(subject, clip, options) {
+    return booleanOp("difference", subject, clip, options);
+}
+
+/**
+ * Grows (delta > 0) or shrinks (delta < 0) closed polygons, like ClipperOffset.
+ * @param {Array} polygons - Polygon or polygon set.
+ * @param {number} delta - Distance in user units.
+ * @param {Object} [options]
+ * @param {"miter"|"round"|"square"} [options.join="miter"]
+ * @param {number} [options.miterLimit=2] - Miters longer than this many deltas are squared off.
+ * @param {number} [options.arcTolerance=0.25] - Max deviation of round joins from a true arc, in user units.
+ * @param {number} [options.scale=1]
+ * @param {"auto"|"clipper"|"builtin"} [options.engine="auto"]
+ * @returns {Array<Array<{X: number, Y: number}>>}
+ */
+export function offset(polygons, delta, { join = "miter", miterLimit = DEFAULT_MITER_LIMIT, arcTolerance = DEFAULT_ARC_TOLERANCE, scale = 1, engine = "auto" } = {}) {
+    if (!JOINS[join]) throw new Error(`Unknown join "${join}" (expected ${Object.keys(JOINS).join(", ")})`);
+    if (!Number.isFinite(delta)) throw new Error(`Offset delta must be a finite number, got ${delta}`);
+    const paths = toGrid(polygons, scale);
+    const d = delta * scale;
+    const tolerance = arcTolerance * scale;
+    const lib = resolveEngine(engine);
+    let solution;
+    if (lib) {
+        const co = new lib.ClipperOffset(miterLimit, tolerance);
+        co.AddPaths(paths, lib.JoinType[JOINS[join]], lib.EndType.etClosedPolygon);
+        solution = [];
+        co.Execute(solution, d);
+    } else {
+        solution = offsetBuiltin(paths, d, join, miterLimit, tolerance);
+    }
+    return fromGrid(canonical(solution), scale);
+}
+
+/**
+ * Which engine "auto" would use right now.
+ * @returns {"clipper"|"builtin"}
+ */
+export function polygonEngine() {
+    return typeof globalThis.ClipperLib !== "undefined" ? "clipper" : "builtin";
+}
+
+/**
+ * Signed area as Clipper computes it (positive for outer rings).
+ * @param {Array<{X: number, Y: number}>} polygon
+ * @returns {number}
+ */
+export function polygonArea(polygon) {
+    const n = polygon.length;
+    if (n < 3) return 0;
+    let a = 0;
+    for (let i = 0, j = n - 1; i < n; j = i++) {
+        a += (polygon[j].X + polygon[i].X) * (polygon[j].Y - polygon[i].Y);
+    }
+    return -a * 0.5;
+}
+
+// ---------- shared ----------
+
+function booleanOp(op, subject, clip, { scale = 1, fillRule = "evenodd", engine = "auto" } = {}) {
+    if (!FILL_RULES[fillRule]) throw new Error(`Unknown fill rule "${fillRule}" (expected ${Object.keys(FILL_RULES).join(", ")})`);
+    const subj = toGrid(subject, scale);
+    const clp = toGrid(clip, scale);
+    const lib = resolveEngine(engine);
+    let solution;
+    if (lib) {
+        const clipper = new lib.Clipper();
+        clipper.AddPaths(subj, lib.PolyType.ptSubject, true);
+        clipper.AddPaths(clp, lib.PolyType.ptClip, true);
+        solution = [];
+        const fill = lib.PolyFillType[FILL_RULES[fillRule]];
+        clipper.Execute(lib.ClipType[CLIP_TYPES[op]], solution, fill, fill);
+    } else {
+        solution = clipPaths(op, subj, clp, fillRule);
+    }
+    return fromGrid(canonical(solution), scale);
+}
+
+function resolveEngine(engine) {
+    if (engine === "builtin") return null;
+    const lib = globalThis.ClipperLib;
+    if (engine === "clipper" && typeof lib === "undefined") throw new Error("engine \"clipper\" needs the ClipperLib global");
+    if (engine !== "auto" && engine !== "clipper") throw new Error(`Unknown engine "${engine}" (expected auto, clipper or builtin)`);
+    return typeof lib === "undefined" ? null : lib;
+}
+
+// One polygon or a set of them → a set of integer rings
+function toGrid(polygons, scale) {
+    if (!(scale > 0) || !Number.isFinite(scale)) throw new Error(`Scale must be a positive number, got ${scale}`);
+    if (!Array.isArray(polygons)) throw new Error("Expected a polygon or an array of polygons");
+    const set = polygons.length && !Array.isArray(polygons[0]) ? [polygons] : polygons;
+    return set.map((ring) => ring.map((p) => ({ X: round(p.X * scale), Y: round(p.Y * scale) })));
+}
+
+function fromGrid(rings, scale) {
+    if (scale === 1) return rings;
+    return rings.map((ring) => ring.map((p) => ({ X: p.X / scale, Y: p.Y / scale })));
+}
+
+// Outer rings positive, each ring rotated to its top-left vertex, rings sorted by it
+function canonical(rings) {
+    return rings
+        .filter((ring) => ring.length >= 3)
+        .map((ring) => {
+            let k = 0;
+            for (let i = 1; i < ring.length; i++) {
+                if (ring[i].Y < ring[k].Y || (ring[i].Y === ring[k].Y && ring[i].X < ring[k].X)) k = i;
+            }
+            return ring.slice(k).concat(ring.slice(0, k)).map((p) => ({ X: p.X, Y: p.Y }));
+        })
+        .sort((a, b) => a[0].Y - b[0].Y || a[0].X - b[0].X || polygonArea(b) - polygonArea(a) || a.length - b.length);
+}
+
+// Clipper's Round(): half away from zero
+const round = (a) => (a < 0 ? Math.ceil(a - 0.5) : Math.floor(a + 0.5));
+
+const samePoint = (p, q) => p.X === q.X && p.Y === q.Y;
+
+// ---------- built-in offset ----------
+// ClipperOffset for closed polygons: the same joins, the same rounding, then a
+// positive-fill union to remove the overlaps the joins leave behind.
+
+function offsetBuiltin(paths, delta, join, miterLimit, arcTolerance) {
+    const polys = [];
+    let lowest = null; // [polygon index, vertex index]
+    for (const path of paths) {
+        let high = path.length - 1;
+        if (high < 0) continue;
+        while (high > 0 && samePoint(path[0], path[high])) high--;
+        const poly = [path[0]];
+        let k = 0;
+        for (let i = 1; i <= high; i++) {
+            if (samePoint(poly[poly.length - 1], path[i])) continue;
+            poly.push(path[i]);
+            const low = poly[k];
+            if (path[i].Y > low.Y || (path[i].Y === low.Y && path[i].X < low.X)) k = poly.length - 1;
+        }
+        if (poly.length < 3) continue;
+        polys.push(poly);
+        const current = lowest && polys[lowest[0]][lowest[1]];
+        if (!current || poly[k].Y > current.Y || (poly[k].Y === current.Y && poly[k].X < current.X)) lowest = [polys.length - 1, k];
+    }
+    // FixOrientations(): the polygon with the lowest vertex must be an outer
+    if (lowest && polygonArea(polys[lowest[0]]) < 0) polys.forEach((poly) => poly.reverse());
+    if (Math.abs(delta) < 1e-20) return polys;
+
+    const miterLim = miterLimit > 2 ? 2 / (miterLimit * miterLimit) : 0.5;
+    let y;
+    if (arcTolerance <= 0) y = DEFAULT_ARC_TOLERANCE;
+    else if (arcTolerance > Math.abs(delta) * DEFAULT_ARC_TOLERANCE) y = Math.abs(delta) * DEFAULT_ARC_TOLERANCE;
+    else y = arcTolerance;
+    const steps = PI / Math.acos(1 - y / Math.abs(delta));
+    const sin = (delta < 0 ? -1 : 1) * Math.sin(TWO_PI / steps);
+    const cos = Math.cos(TWO_PI / steps);
+    const stepsPerRad = steps / TWO_PI;
+
+    const out = [];
+    for (const src of polys) {
+        const len = src.length;
+        const normals = src.map((p, j) => unitNormal(p, src[(j + 1) % len]));
+        const dest = [];
+        const at = (j, nx, ny) => ({ X: round(src[j].X + nx * delta), Y: round(src[j].Y + ny * delta) });
+        let k = len - 1;
+        for (let j = 0; j < len; j++) {
+            const nj = normals[j];
+            const nk = normals[k];
+            let sinA = nk.X * nj.Y - nj.X * nk.Y;
+            const cosA = nk.X * nj.X + nj.Y * nk.Y;
+            if (Math.abs(sinA * delta) < 1.0) {
+                if (cosA > 0) {
+                    // almost straight: one point, and k stays (as in OffsetPoint)
+                    dest.push(at(j, nk.X, nk.Y));
+                    continue;
+                }
+            } else if (sinA > 1) sinA = 1.0;
+            else if (sinA < -1) sinA = -1.0;
+
+            if (sinA * delta < 0) {
+                dest.push(at(j, nk.X, nk.Y), { X: src[j].X, Y: src[j].Y }, at(j, nj.X, nj.Y));
+            } else if (join === "miter" && 1 + (nj.X * nk.X + nj.Y * nk.Y) >= miterLim) {
+                const q = delta / (1 + (nj.X * nk.X + nj.Y * nk.Y));
+                dest.push({ X: round(src[j].X + (nk.X + nj.X) * q), Y: round(src[j].Y + (nk.Y + nj.Y) * q) });
+            } else if (join === "round") {
+                const a = Math.atan2(sinA, nk.X * nj.X + nk.Y * nj.Y);
+                const count = Math.max(round(stepsPerRad * Math.abs(a)) | 0, 1);
+                let X = nk.X;
+                let Y = nk.Y;
+                for (let i = 0; i < count; i++) {
+                    dest.push(at(j, X, Y));
+                    const X2 = X;
+                    X = X * cos - sin * Y;
+                    Y = X2 * sin + Y * cos;
+                }
+                dest.push(at(j, nj.X, nj.Y));
+            } else {
+                // square (and miters past the limit)
+                const dx = Math.tan(Math.atan2(sinA, nk.X * nj.X + nk.Y * nj.Y) / 4);
+                dest.push(
+                    { X: round(src[j].X + delta * (nk.X - nk.Y * dx)), Y: round(src[j].Y + delta * (nk.Y + nk.X * dx)) },
+                    { X: round(src[j].X + delta * (nj.X + nj.Y * dx)), Y: round(src[j].Y + delta * (nj.Y - nj.X * dx)) },
+                );
+            }
+            k = j;
+        }
+        out.push(dest);
+    }
+    return clipPaths("union", out, [], "positive");
+}
+
+function unitNormal(p1, p2) {
+    let dx = p2.X - p1.X;
+    let dy = p2.Y - p1.Y;
+    if (dx === 0 && dy === 0) return { X: 0, Y: 0 };
+    const f = 1 / Math.sqrt(dx * dx + dy * dy);
+    dx *= f;
+    dy *= f;
+    return { X: dy, Y: -dx };
+}
@@ -0,0 +1,1559 @@
+// utils/polygonSweep.js
+// Scanline clipping of closed integer paths: the boolean engine of Angus
+// Johnson's Clipper 6.4.2 (clipper-lib on npm, Boost Software License 1.0)
+// ported step for step, so it returns exactly what ClipperLib's Execute()
+// returns for the same input — same vertices, same rings, same order. Left
+// out: open paths, PolyTree output, StrictlySimple, PreserveCollinear and
+// coordinates beyond ±47453132 (Clipper's 128-bit "full range").
+// polygonClipping.js is the public API; this module only does the sweep.
+//
+// Clipper: Copyright Angus Johnson 2010-2017 (http://www.angusj.com).
+// Use, modification & distribution is subject to the Boost Software License,
+// Version 1.0; its full text ships in vendor/LICENSE-clipper.
+
+const HORIZONTAL = -9007199254740992; // Clipper's Dx of horizontal edges
+const UNASSIGNED = -1;
+const LO_RANGE = 47453132;
+const LEFT = 0;
+const RIGHT = 1;
+const SUBJECT = 0;
+const CLIP = 1;
+
+/** Clip types clipPaths() understands. */
+export const CLIP_TYPES = ["intersection", "union", "difference", "xor"];
+
+/** Fill types clipPaths() understands (Clipper's pftEvenOdd … pftNegative). */
+export const FILL_TYPES = ["evenodd", "nonzero", "positive", "negative"];
+
+/**
+ * Clips closed paths like `new ClipperLib.Clipper()`, AddPaths() and
+ * Execute(clipType, solution, subjFill, clipFill).
+ * @param {"intersection"|"union"|"difference"|"xor"} clipType
+ * @param {Array<Array<{X: number, Y: number}>>} subject - Integer coordinates.
+ * @param {Array<Array<{X: number, Y: number}>>} clip - Integer coordinates.
+ * @param {"evenodd"|"nonzero"|"positive"|"negative"} subjFill
+ * @param {"evenodd"|"nonzero"|"positive"|"negative"} [clipFill=subjFill]
+ * @returns {Array<Array<{X: number, Y: number}>>} The solution, in Clipper's ring order and orientation.
+ */
+export function clipPaths(clipType, subject, clip, subjFill, clipFill = subjFill) {
+    if (!CLIP_TYPES.includes(clipType)) throw new Error(`Unknown clip type "${clipType}" (expected ${CLIP_TYPES.join(", ")})`);
+    for (const fill of [subjFill, clipFill]) {
+        if (!FILL_TYPES.includes(fill)) throw new Error(`Unknown fill type "${fill}" (expected ${FILL_TYPES.join(", ")})`);
+    }
+    const sweep = new Sweep(clipType, subjFill, clipFill);
+    for (const path of subject) sweep.addPath(path, SUBJECT);
+    for (const path of clip) sweep.addPath(path, CLIP);
+    return sweep.execute();
+}
+
+// ---------- geometry ----------
+
+const point = (p) => ({ X: p.X, Y: p.Y });
+const samePoint = (p, q) => p.X === q.X && p.Y === q.Y;
+const isHorizontal = (e) => e.delta.Y === 0;
+
+// Clipper's Round(): half away from zero
+const round = (a) => (a < 0 ? Math.ceil(a - 0.5) : Math.floor(a + 0.5));
+
+// SlopesEqual(pt1, pt2, pt3): p1-p2 and p2-p3 collinear
+const collinear = (p1, p2, p3) => (p1.Y - p2.Y) * (p2.X - p3.X) - (p1.X - p2.X) * (p2.Y - p3.Y) === 0;
+
+// SlopesEqual(pt1, pt2, pt3, pt4): p1-p2 parallel to p3-p4
+const parallel = (p1, p2, p3, p4) => (p1.Y - p2.Y) * (p3.X - p4.X) - (p1.X - p2.X) * (p3.Y - p4.Y) === 0;
+
+// SlopesEqual(e1, e2)
+const edgesParallel = (e1, e2) => e1.delta.Y * e2.delta.X === e1.delta.X * e2.delta.Y;
+
+function topX(edge, y) {
+    if (y === edge.top.Y) return edge.top.X;
+    return edge.bot.X + round(edge.dx * (y - edge.bot.Y));
+}
+
+function checkRange(p) {
+    if (p.X > LO_RANGE || p.Y > LO_RANGE || -p.X > LO_RANGE || -p.Y > LO_RANGE) {
+        throw new RangeError(`Coordinate (${p.X}, ${p.Y}) is outside ±${LO_RANGE}; use a smaller clipping scale`);
+    }
+}
+
+function newEdge(p) {
+    return {
+        bot: { X: 0, Y: 0 }, curr: point(p), top: { X: 0, Y: 0 }, delta: { X: 0, Y: 0 }, dx: 0,
+        polyType: SUBJECT, side: LEFT, windDelta: 0, windCnt: 0, windCnt2: 0, outIdx: UNASSIGNED,
+        next: null, prev: null, nextInLML: null, nextInAEL: null, prevInAEL: null, nextInSEL: null, prevInSEL: null,
+    };
+}
+
+// InitEdge2(): orient the edge bottom to top
+function initEdge(e, polyType) {
+    if (e.curr.Y >= e.next.curr.Y) {
+        e.bot = point(e.curr);
+        e.top = point(e.next.curr);
+    } else {
+        e.top = point(e.curr);
+        e.bot = point(e.next.curr);
+    }
+    setDx(e);
+    e.polyType = polyType;
+}
+
+function setDx(e) {
+    e.delta = { X: e.top.X - e.bot.X, Y: e.top.Y - e.bot.Y };
+    e.dx = e.delta.Y === 0 ? HORIZONTAL : e.delta.X / e.delta.Y;
+}
+
+function removeEdge(e) {
+    e.prev.next = e.next;
+    e.next.prev = e.prev;
+    const result = e.next;
+    e.prev = null;
+    return result;
+}
+
+// Horizontal edges' bottom and top X follow the direction of their bound
+function reverseHorizontal(e) {
+    const x = e.top.X;
+    e.top.X = e.bot.X;
+    e.bot.X = x;
+}
+
+function findNextLocMin(e) {
+    for (;;) {
+        while (!samePoint(e.bot, e.prev.bot) || samePoint(e.curr, e.top)) e = e.next;
+        if (e.dx !== HORIZONTAL && e.prev.dx !== HORIZONTAL) break;
+        while (e.prev.dx === HORIZONTAL) e = e.prev;
+        const e2 = e;
+        while (e.dx === HORIZONTAL) e = e.next;
+        if (e.top.Y === e.prev.bot.Y) continue; // just an intermediate horizontal
+        if (e2.prev.bot.X < e.bot.X) e = e2;
+        break;
+    }
+    return e;
+}
+
+// Links a bound's edges through nextInLML; returns the edge just beyond it
+function processBound(e, forward) {
+    let result = e;
+    if (e.dx === HORIZONTAL) {
+        const start = forward ? e.prev : e.next;
+        if (start.dx === HORIZONTAL) {
+            if (start.bot.X !== e.bot.X && start.top.X !== e.bot.X) reverseHorizontal(e);
+        } else if (start.bot.X !== e.bot.X) {
+            reverseHorizontal(e);
+        }
+    }
+    const start = e;
+    if (forward) {
+        while (result.top.Y === result.next.bot.Y) result = result.next;
+        if (result.dx === HORIZONTAL) {
+            // a horizontal at the top joins the bound only from its left vertex
+            let horz = result;
+            while (horz.prev.dx === HORIZONTAL) horz = horz.prev;
+            if (horz.prev.top.X > result.next.top.X) result = horz.prev;
+        }
+        while (e !== result) {
+            e.nextInLML = e.next;
+            if (e.dx === HORIZONTAL && e !== start && e.bot.X !== e.prev.top.X) reverseHorizontal(e);
+            e = e.next;
+        }
+        if (e.dx === HORIZONTAL && e !== start && e.bot.X !== e.prev.top.X) reverseHorizontal(e);
+        return result.next;
+    }
+    while (result.top.Y === result.prev.bot.Y) result = result.prev;
+    if (result.dx === HORIZONTAL) {
+        let horz = result;
+        while (horz.next.dx === HORIZONTAL) horz = horz.next;
+        if (horz.next.top.X >= result.prev.top.X) result = horz.next;
+    }
+    while (e !== result) {
+        e.nextInLML = e.prev;
+        if (e.dx === HORIZONTAL && e !== start && e.bot.X !== e.next.top.X) reverseHorizontal(e);
+        e = e.prev;
+    }
+    if (e.dx === HORIZONTAL && e !== start && e.bot.X !== e.next.top.X) reverseHorizontal(e);
+    return result.prev;
+}
+
+// Where two active edges meet, rounded and clamped to the scanbeam as Clipper does
+function intersectPoint(edge1, edge2) {
+    const ip = { X: 0, Y: 0 };
+    if (edge1.dx === edge2.dx) {
+        ip.Y = edge1.curr.Y;
+        ip.X = topX(edge1, ip.Y);
+        return ip;
+    }
+    if (edge1.delta.X === 0) {
+        ip.X = edge1.bot.X;
+        if (isHorizontal(edge2)) {
+            ip.Y = edge2.bot.Y;
+        } else {
+            const b2 = edge2.bot.Y - edge2.bot.X / edge2.dx;
+            ip.Y = round(ip.X / edge2.dx + b2);
+        }
+    } else if (edge2.delta.X === 0) {
+        ip.X = edge2.bot.X;
+        if (isHorizontal(edge1)) {
+            ip.Y = edge1.bot.Y;
+        } else {
+            const b1 = edge1.bot.Y - edge1.bot.X / edge1.dx;
+            ip.Y = round(ip.X / edge1.dx + b1);
+        }
+    } else {
+        const b1 = edge1.bot.X - edge1.bot.Y * edge1.dx;
+        const b2 = edge2.bot.X - edge2.bot.Y * edge2.dx;
+        const q = (b2 - b1) / (edge1.dx - edge2.dx);
+        ip.Y = round(q);
+        ip.X = Math.abs(edge1.dx) < Math.abs(edge2.dx) ? round(edge1.dx * q + b1) : round(edge2.dx * q + b2);
+    }
+    if (ip.Y < edge1.top.Y || ip.Y < edge2.top.Y) {
+        if (edge1.top.Y > edge2.top.Y) {
+            ip.Y = edge1.top.Y;
+            ip.X = topX(edge2, edge1.top.Y);
+            return ip;
+        }
+        ip.Y = edge2.top.Y;
+        ip.X = Math.abs(edge1.dx) < Math.abs(edge2.dx) ? topX(edge1, ip.Y) : topX(edge2, ip.Y);
+    }
+    // never below the bottom of the scanbeam; the more vertical edge gives X
+    if (ip.Y > edge1.curr.Y) {
+        ip.Y = edge1.curr.Y;
+        ip.X = Math.abs(edge1.dx) > Math.abs(edge2.dx) ? topX(edge2, ip.Y) : topX(edge1, ip.Y);
+    }
+    return ip;
+}
+
+// Swaps two edges in the active (AEL) or sorted (SEL) list; `prev`/`next` name the links
+function swapInList(edge1, edge2, prev, next) {
+    if (edge1[next] === edge2) {
+        const after = edge2[next];
+        if (after !== null) after[prev] = edge1;
+        const before = edge1[prev];
+        if (before !== null) before[next] = edge2;
+        edge2[prev] = before;
+        edge2[next] = edge1;
+        edge1[prev] = edge2;
+        edge1[next] = after;
+    } else if (edge2[next] === edge1) {
+        const after = edge1[next];
+        if (after !== null) after[prev] = edge2;
+        const before = edge2[prev];
+        if (before !== null) before[next] = edge1;
+        edge1[prev] = before;
+        edge1[next] = edge2;
+        edge2[prev] = edge1;
+        edge2[next] = after;
+    } else {
+        const after = edge1[next];
+        const before = edge1[prev];
+        edge1[next] = edge2[next];
+        if (edge1[next] !== null) edge1[next][prev] = edge1;
+        edge1[prev] = edge2[prev];
+        if (edge1[prev] !== null) edge1[prev][next] = edge1;
+        edge2[next] = after;
+        if (edge2[next] !== null) edge2[next][prev] = edge2;
+        edge2[prev] = before;
+        if (edge2[prev] !== null) edge2[prev][next] = edge2;
+    }
+}
+
+// Winding count as the fill type sees it
+function fillWinding(fill, count) {
+    if (fill === "positive") return count;
+    if (fill === "negative") return -count;
+    return Math.abs(count);
+}
+
+// Whether a winding count of the other operand means "inside" it
+function insideOther(fill, count) {
+    if (fill === "positive") return count > 0;
+    if (fill === "negative") return count < 0;
+    return count !== 0;
+}
+
+function horzSegmentsOverlap(seg1a, seg1b, seg2a, seg2b) {
+    if (seg1a > seg1b) [seg1a, seg1b] = [seg1b, seg1a];
+    if (seg2a > seg2b) [seg2a, seg2b] = [seg2b, seg2a];
+    return seg1a < seg2b && seg2a < seg1b;
+}
+
+function getMaximaPair(e) {
+    if (samePoint(e.next.top, e.top) && e.next.nextInLML === null) return e.next;
+    if (samePoint(e.prev.top, e.top) && e.prev.nextInLML === null) return e.prev;
+    return null;
+}
+
+// As getMaximaPair() but null when the pair isn't active (unless it's horizontal)
+function getMaximaPairEx(e) {
+    const result = getMaximaPair(e);
+    if (result === null || (result.nextInAEL === result.prevInAEL && !isHorizontal(result))) return null;
+    return result;
+}
+
+const isMaxima = (e, y) => e !== null && e.top.Y === y && e.nextInLML === null;
+const isIntermediate = (e, y) => e.top.Y === y && e.nextInLML !== null;
+
+// ---------- output polygons ----------
+
+function area(op) {
+    if (op === null) return 0;
+    const first = op;
+    let a = 0;
+    do {
+        a += (op.prev.pt.X + op.pt.X) * (op.prev.pt.Y - op.pt.Y);
+        op = op.next;
+    } while (op !== first);
+    return a * 0.5;
+}
+
+function pointCount(pts) {
+    if (pts === null) return 0;
+    let result = 0;
+    let p = pts;
+    do {
+        result++;
+        p = p.next;
+    } while (p !== pts);
+    return result;
+}
+
+function reversePolyPtLinks(pp) {
+    if (pp === null) return;
+    let pp1 = pp;
+    do {
+        const pp2 = pp1.next;
+        pp1.next = pp1.prev;
+        pp1.prev = pp2;
+        pp1 = pp2;
+    } while (pp1 !== pp);
+}
+
+function dupOutPt(outPt, insertAfter) {
+    const result = { idx: outPt.idx, pt: point(outPt.pt), next: null, prev: null };
+    if (insertAfter) {
+        result.next = outPt.next;
+        result.prev = outPt;
+        outPt.next.prev = result;
+        outPt.next = result;
+    } else {
+        result.prev = outPt.prev;
+        result.next = outPt;
+        outPt.prev.next = result;
+        outPt.prev = result;
+    }
+    return result;
+}
+
+function getDx(pt1, pt2) {
+    return pt1.Y === pt2.Y ? HORIZONTAL : (pt2.X - pt1.X) / (pt2.Y - pt1.Y);
+}
+
+function firstIsBottomPt(btmPt1, btmPt2) {
+    const slope = (from, step) => {
+        let p = from[step];
+        while (samePoint(p.pt, from.pt) && p !== from) p = p[step];
+        return Math.abs(getDx(from.pt, p.pt));
+    };
+    const dx1p = slope(btmPt1, "prev");
+    const dx1n = slope(btmPt1, "next");
+    const dx2p = slope(btmPt2, "prev");
+    const dx2n = slope(btmPt2, "next");
+    if (Math.max(dx1p, dx1n) === Math.max(dx2p, dx2n) && Math.min(dx1p, dx1n) === Math.min(dx2p, dx2n)) {
+        return area(btmPt1) > 0; // otherwise identical: use orientation
+    }
+    return (dx1p >= dx2p && dx1p >= dx2n) || (dx1n >= dx2p && dx1n >= dx2n);
+}
+
+function getBottomPt(pp) {
+    let dups = null;
+    let p = pp.next;
+    while (p !== pp) {
+        if (p.pt.Y > pp.pt.Y) {
+            pp = p;
+            dups = null;
+        } else if (p.pt.Y === pp.pt.Y && p.pt.X <= pp.pt.X) {
+            if (p.pt.X < pp.pt.X) {
+                dups = null;
+                pp = p;
+            } else if (p.next !== pp && p.prev !== pp) {
+                dups = p;
+            }
+        }
+        p = p.next;
+    }
+    if (dups !== null) {
+        // at least two vertices at the bottom point
+        while (dups !== p) {
+            if (!firstIsBottomPt(p, dups)) pp = dups;
+            dups = dups.next;
+            while (!samePoint(dups.pt, pp.pt)) dups = dups.next;
+        }
+    }
+    return pp;
+}
+
+// Which of two fragments has the right hole state
+function getLowermostRec(outRec1, outRec2) {
+    if (outRec1.bottomPt === null) outRec1.bottomPt = getBottomPt(outRec1.pts);
+    if (outRec2.bottomPt === null) outRec2.bottomPt = getBottomPt(outRec2.pts);
+    const bPt1 = outRec1.bottomPt;
+    const bPt2 = outRec2.bottomPt;
+    if (bPt1.pt.Y > bPt2.pt.Y) return outRec1;
+    if (bPt1.pt.Y < bPt2.pt.Y) return outRec2;
+    if (bPt1.pt.X < bPt2.pt.X) return outRec1;
+    if (bPt1.pt.X > bPt2.pt.X) return outRec2;
+    if (bPt1.next === bPt1) return outRec2;
+    if (bPt2.next === bPt2) return outRec1;
+    return firstIsBottomPt(bPt1, bPt2) ? outRec1 : outRec2;
+}
+
+function outRec1RightOfOutRec2(outRec1, outRec2) {
+    do {
+        outRec1 = outRec1.firstLeft;
+        if (outRec1 === outRec2) return true;
+    } while (outRec1 !== null);
+    return false;
+}
+
+// 0 outside, 1 inside, -1 on the boundary
+function pointInPolygon(pt, op) {
+    let result = 0;
+    const startOp = op;
+    const ptx = pt.X;
+    const pty = pt.Y;
+    let poly0x = op.pt.X;
+    let poly0y = op.pt.Y;
+    do {
+        op = op.next;
+        const poly1x = op.pt.X;
+        const poly1y = op.pt.Y;
+        if (poly1y === pty) {
+            if (poly1x === ptx || (poly0y === pty && (poly1x > ptx) === (poly0x < ptx))) return -1;
+        }
+        if ((poly0y < pty) !== (poly1y < pty)) {
+            if (poly0x >= ptx) {
+                if (poly1x > ptx) {
+                    result = 1 - result;
+                } else {
+                    const d = (poly0x - ptx) * (poly1y - pty) - (poly1x - ptx) * (poly0y - pty);
+                    if (d === 0) return -1;
+                    if ((d > 0) === (poly1y > poly0y)) result = 1 - result;
+                }
+            } else if (poly1x > ptx) {
+                const d = (poly0x - ptx) * (poly1y - pty) - (poly1x - ptx) * (poly0y - pty);
+                if (d === 0) return -1;
+                if ((d > 0) === (poly1y > poly0y)) result = 1 - result;
+            }
+        }
+        poly0x = poly1x;
+        poly0y = poly1y;
+    } while (startOp !== op);
+    return result;
+}
+
+function poly2ContainsPoly1(outPt1, outPt2) {
+    let op = outPt1;
+    do {
+        const res = pointInPolygon(op.pt, outPt2);
+        if (res >= 0) return res > 0;
+        op = op.next;
+    } while (op !== outPt1);
+    return true;
+}
+
+function getOverlap(a1, a2, b1, b2) {
+    let left;
+    let right;
+    if (a1 < a2) {
+        if (b1 < b2) [left, right] = [Math.max(a1, b1), Math.min(a2, b2)];
+        else [left, right] = [Math.max(a1, b2), Math.min(a2, b1)];
+    } else if (b1 < b2) {
+        [left, right] = [Math.max(a2, b1), Math.min(a1, b2)];
+    } else {
+        [left, right] = [Math.max(a2, b2), Math.min(a1, b1)];
+    }
+    return left < right ? { left, right } : null;
+}
+
+// One side of JoinHorz(): walk `op` along its horizontal to `pt` and split there
+function horzSplit(op, pt, leftToRight, discardLeft) {
+    if (leftToRight) {
+        while (op.next.pt.X <= pt.X && op.next.pt.X >= op.pt.X && op.next.pt.Y === pt.Y) op = op.next;
+        if (discardLeft && op.pt.X !== pt.X) op = op.next;
+    } else {
+        while (op.next.pt.X >= pt.X && op.next.pt.X <= op.pt.X && op.next.pt.Y === pt.Y) op = op.next;
+        if (!discardLeft && op.pt.X !== pt.X) op = op.next;
+    }
+    const after = leftToRight ? !discardLeft : discardLeft;
+    let opb = dupOutPt(op, after);
+    if (!samePoint(opb.pt, pt)) {
+        op = opb;
+        op.pt = point(pt);
+        opb = dupOutPt(op, after);
+    }
+    return [op, opb];
+}
+
+function joinHorz(op1, op1b, op2, op2b, pt, discardLeft) {
+    const leftToRight1 = op1.pt.X <= op1b.pt.X;
+    const leftToRight2 = op2.pt.X <= op2b.pt.X;
+    if (leftToRight1 === leftToRight2) return false;
+    [op1, op1b] = horzSplit(op1, pt, leftToRight1, discardLeft);
+    [op2, op2b] = horzSplit(op2, pt, leftToRight2, discardLeft);
+    if (leftToRight1 === discardLeft) {
+        op1.prev = op2;
+        op2.next = op1;
+        op1b.next = op2b;
+        op2b.prev = op1b;
+    } else {
+        op1.next = op2;
+        op2.prev = op1;
+        op1b.prev = op2b;
+        op2b.next = op1b;
+    }
+    return true;
+}
+
+// Splices two output points together (or splits one ring in two) at a join
+function splice(j, reverse) {
+    const op1 = j.outPt1;
+    const op2 = j.outPt2;
+    let op1b;
+    let op2b;
+    if (reverse) {
+        op1b = dupOutPt(op1, false);
+        op2b = dupOutPt(op2, true);
+        op1.prev = op2;
+        op2.next = op1;
+        op1b.next = op2b;
+        op2b.prev = op1b;
+    } else {
+        op1b = dupOutPt(op1, true);
+        op2b = dupOutPt(op2, false);
+        op1.next = op2;
+        op2.prev = op1;
+        op1b.prev = op2b;
+        op2b.next = op1b;
+    }
+    j.outPt2 = op1b;
+    return true;
+}
+
+function joinPoints(j, outRec1, outRec2) {
+    let op1 = j.outPt1;
+    let op2 = j.outPt2;
+    let op1b;
+    let op2b;
+    // 1. horizontal joins: outPt1/outPt2 anywhere along collinear horizontals;
+    // 2. others: outPt1/outPt2 at the bottom of the overlap, offPt above;
+    // 3. "strictly simple" joins: all three at the same point.
+    const horizontal = j.outPt1.pt.Y === j.offPt.Y;
+    if (horizontal && samePoint(j.offPt, j.outPt1.pt) && samePoint(j.offPt, j.outPt2.pt)) {
+        if (outRec1 !== outRec2) return false;
+        op1b = j.outPt1.next;
+        while (op1b !== op1 && samePoint(op1b.pt, j.offPt)) op1b = op1b.next;
+        const reverse1 = op1b.pt.Y > j.offPt.Y;
+        op2b = j.outPt2.next;
+        while (op2b !== op2 && samePoint(op2b.pt, j.offPt)) op2b = op2b.next;
+        const reverse2 = op2b.pt.Y > j.offPt.Y;
+        if (reverse1 === reverse2) return false;
+        return splice(j, reverse1);
+    }
+    if (horizontal) {
+        op1b = op1;
+        while (op1.prev.pt.Y === op1.pt.Y && op1.prev !== op1b && op1.prev !== op2) op1 = op1.prev;
+        while (op1b.next.pt.Y === op1b.pt.Y && op1b.next !== op1 && op1b.next !== op2) op1b = op1b.next;
+        if (op1b.next === op1 || op1b.next === op2) return false; // a flat polygon
+        op2b = op2;
+        while (op2.prev.pt.Y === op2.pt.Y && op2.prev !== op2b && op2.prev !== op1b) op2 = op2.prev;
+        while (op2b.next.pt.Y === op2b.pt.Y && op2b.next !== op2 && op2b.next !== op1) op2b = op2b.next;
+        if (op2b.next === op2 || op2b.next === op1) return false;
+        const overlap = getOverlap(op1.pt.X, op1b.pt.X, op2.pt.X, op2b.pt.X);
+        if (!overlap) return false;
+        const { left, right } = overlap;
+        // the side that becomes a spike is discarded, away from op1/op2 (still needed by other joins)
+        let pt;
+        let discardLeftSide;
+        if (op1.pt.X >= left && op1.pt.X <= right) {
+            pt = point(op1.pt);
+            discardLeftSide = op1.pt.X > op1b.pt.X;
+        } else if (op2.pt.X >= left && op2.pt.X <= right) {
+            pt = point(op2.pt);
+            discardLeftSide = op2.pt.X > op2b.pt.X;
+        } else if (op1b.pt.X >= left && op1b.pt.X <= right) {
+            pt = point(op1b.pt);
+            discardLeftSide = op1b.pt.X > op1.pt.X;
+        } else {
+            pt = point(op2b.pt);
+            discardLeftSide = op2b.pt.X > op2.pt.X;
+        }
+        j.outPt1 = op1;
+        j.outPt2 = op2;
+        return joinHorz(op1, op1b, op2, op2b, pt, discardLeftSide);
+    }
+    // make sure the rings are oriented the right way round
+    const neighbour = (op, step) => {
+        let b = op[step];
+        while (samePoint(b.pt, op.pt) && b !== op) b = b[step];
+        return b;
+    };
+    op1b = neighbour(op1, "next");
+    const reverse1 = op1b.pt.Y > op1.pt.Y || !collinear(op1.pt, op1b.pt, j.offPt);
+    if (reverse1) {
+        op1b = neighbour(op1, "prev");
+        if (op1b.pt.Y > op1.pt.Y || !collinear(op1.pt, op1b.pt, j.offPt)) return false;
+    }
+    op2b = neighbour(op2, "next");
+    const reverse2 = op2b.pt.Y > op2.pt.Y || !collinear(op2.pt, op2b.pt, j.offPt);
+    if (reverse2) {
+        op2b = neighbour(op2, "prev");
+        if (op2b.pt.Y > op2.pt.Y || !collinear(op2.pt, op2b.pt, j.offPt)) return false;
+    }
+    if (op1b === op1 || op2b === op2 || op1b === op2b || (outRec1 === outRec2 && reverse1 === reverse2)) return false;
+    return splice(j, reverse1);
+}
+
+// ---------- the sweep ----------
+
+class Sweep {
+    constructor(clipType, subjFill, clipFill) {
+        this.clipType = clipType;
+        this.subjFill = subjFill;
+        this.clipFill = clipFill;
+        this.minimaList = null;   // local minima, sorted by Y descending
+        this.currentLM = null;
+        this.scanbeam = null;     // distinct Ys, descending
+        this.activeEdges = null;  // AEL
+        this.sortedEdges = null;  // SEL
+        this.intersectList = [];
+        this.polyOuts = [];
+        this.joins = [];
+        this.ghostJoins = [];
+    }
+
+    // ClipperBase.AddPath() for a closed path
+    addPath(pg, polyType) {
+        let highI = pg.length - 1;
+        while (highI > 0 && samePoint(pg[highI], pg[0])) --highI;
+        while (highI > 0 && samePoint(pg[highI], pg[highI - 1])) --highI;
+        if (highI < 2) return false;
+        const edges = [];
+        for (let i = 0; i <= highI; i++) {
+            checkRange(pg[i]);
+            edges.push(newEdge(pg[i]));
+        }
+        for (let i = 0; i <= highI; i++) {
+            edges[i].next = edges[i === highI ? 0 : i + 1];
+            edges[i].prev = edges[i === 0 ? highI : i - 1];
+        }
+
+        // Merge collinear edges. (Clipper's duplicate-vertex test compares
+        // point objects, not values, so it never fires; collinearity covers it.)
+        let eStart = edges[0];
+        let e = eStart;
+        let eLoopStop = eStart;
+        for (;;) {
+            if (e.prev === e.next) break;
+            if (collinear(e.prev.curr, e.curr, e.next.curr)) {
+                if (e === eStart) eStart = e.next;
+                e = removeEdge(e).prev;
+                eLoopStop = e;
+                continue;
+            }
+            e = e.next;
+            if (e === eLoopStop) break;
+        }
+        if (e.prev === e.next) return false;
+
+        let isFlat = true;
+        e = eStart;
+        do {
+            initEdge(e, polyType);
+            e = e.next;
+            if (isFlat && e.curr.Y !== eStart.curr.Y) isFlat = false;
+        } while (e !== eStart);
+        if (isFlat) return false;
+
+        if (samePoint(e.prev.bot, e.prev.top)) e = e.next;
+        let eMin = null;
+        for (;;) {
+            e = findNextLocMin(e);
+            if (e === eMin) break;
+            if (eMin === null) eMin = e;
+            // e and e.prev share a local minimum; their slopes say which starts which bound
+            const locMin = { Y: e.bot.Y, leftBound: null, rightBound: null, next: null };
+            const forward = !(e.dx < e.prev.dx);
+            locMin.leftBound = forward ? e : e.prev;
+            locMin.rightBound = forward ? e.prev : e;
+            locMin.leftBound.side = LEFT;
+            locMin.rightBound.side = RIGHT;
+            locMin.leftBound.windDelta = locMin.leftBound.next === locMin.rightBound ? -1 : 1;
+            locMin.rightBound.windDelta = -locMin.leftBound.windDelta;
+            e = processBound(locMin.leftBound, forward);
+            const e2 = processBound(locMin.rightBound, !forward);
+            this.insertLocalMinima(locMin);
+            if (!forward) e = e2;
+        }
+        return true;
+    }
+
+    insertLocalMinima(newLm) {
+        if (this.minimaList === null) {
+            this.minimaList = newLm;
+        } else if (newLm.Y >= this.minimaList.Y) {
+            newLm.next = this.minimaList;
+            this.minimaList = newLm;
+        } else {
+            let lm = this.minimaList;
+            while (lm.next !== null && newLm.Y < lm.next.Y) lm = lm.next;
+            newLm.next = lm.next;
+            lm.next = newLm;
+        }
+    }
+
+    popLocalMinima(y) {
+        const lm = this.currentLM;
+        if (lm !== null && lm.Y === y) {
+            this.currentLM = lm.next;
+            return lm;
+        }
+        return null;
+    }
+
+    insertScanbeam(y) {
+        if (this.scanbeam === null) {
+            this.scanbeam = { Y: y, next: null };
+        } else if (y > this.scanbeam.Y) {
+            this.scanbeam = { Y: y, next: this.scanbeam };
+        } else {
+            let sb = this.scanbeam;
+            while (sb.next !== null && y <= sb.next.Y) sb = sb.next;
+            if (y === sb.Y) return;
+            sb.next = { Y: y, next: sb.next };
+        }
+    }
+
+    popScanbeam() {
+        const y = this.scanbeam.Y;
+        this.scanbeam = this.scanbeam.next;
+        return y;
+    }
+
+    reset() {
+        this.currentLM = this.minimaList;
+        this.scanbeam = null;
+        for (let lm = this.minimaList; lm !== null; lm = lm.next) {
+            this.insertScanbeam(lm.Y);
+            for (const e of [lm.leftBound, lm.rightBound]) {
+                e.curr = point(e.bot);
+                e.outIdx = UNASSIGNED;
+            }
+        }
+        this.activeEdges = null;
+    }
+
+    execute() {
+        this.reset();
+        if (this.scanbeam === null) return [];
+        this.insertLocalMinimaIntoAEL(this.popScanbeam());
+        while (this.scanbeam !== null || this.currentLM !== null) {
+            const topY = this.scanbeam !== null ? this.popScanbeam() : 0;
+            this.processHorizontals();
+            this.ghostJoins.length = 0;
+            if (!this.processIntersections(topY)) return [];
+            this.processEdgesAtTopOfScanbeam(topY);
+            this.insertLocalMinimaIntoAEL(topY);
+        }
+        // orientations: outers positive, holes negative
+        for (const outRec of this.polyOuts) {
+            if (outRec.pts !== null && outRec.isHole === (area(outRec.pts) > 0)) reversePolyPtLinks(outRec.pts);
+        }
+        this.joinCommonEdges();
+        for (const outRec of this.polyOuts) {
+            if (outRec.pts !== null) this.fixupOutPolygon(outRec);
+        }
+        return this.buildResult();
+    }
+
+    buildResult() {
+        const result = [];
+        for (const outRec of this.polyOuts) {
+            if (outRec.pts === null) continue;
+            let p = outRec.pts.prev;
+            const cnt = pointCount(p);
+            if (cnt < 2) continue;
+            const ring = [];
+            for (let j = 0; j < cnt; j++) {
+                ring.push(point(p.pt));
+                p = p.prev;
+            }
+            result.push(ring);
+        }
+        return result;
+    }
+
+    // ----- active edge list -----
+
+    insertLocalMinimaIntoAEL(botY) {
+        let lm;
+        while ((lm = this.popLocalMinima(botY)) !== null) {
+            const lb = lm.leftBound;
+            const rb = lm.rightBound;
+            let op1 = null;
+            this.insertEdgeIntoAEL(lb, null);
+            this.insertEdgeIntoAEL(rb, lb);
+            this.setWindingCount(lb);
+            rb.windCnt = lb.windCnt;
+            rb.windCnt2 = lb.windCnt2;
+            if (this.isContributing(lb)) op1 = this.addLocalMinPoly(lb, rb, lb.bot);
+            this.insertScanbeam(lb.top.Y);
+            if (isHorizontal(rb)) {
+                if (rb.nextInLML !== null) this.insertScanbeam(rb.nextInLML.top.Y);
+                this.addEdgeToSEL(rb);
+            } else {
+                this.insertScanbeam(rb.top.Y);
+            }
+            // output sharing an edge with a horizontal rb will need joining later
+            if (op1 !== null && isHorizontal(rb) && this.ghostJoins.length > 0 && rb.windDelta !== 0) {
+                for (const j of this.ghostJoins) {
+                    if (horzSegmentsOverlap(j.outPt1.pt.X, j.offPt.X, rb.bot.X, rb.top.X)) this.addJoin(j.outPt1, op1, j.offPt);
+                }
+            }
+            const lbPrev = lb.prevInAEL;
+            if (lb.outIdx >= 0 && lbPrev !== null && lbPrev.curr.X === lb.bot.X && lbPrev.outIdx >= 0 &&
+                parallel(lbPrev.curr, lbPrev.top, lb.curr, lb.top) && lb.windDelta !== 0 && lbPrev.windDelta !== 0) {
+                this.addJoin(op1, this.addOutPt(lbPrev, lb.bot), lb.top);
+            }
+            if (lb.nextInAEL !== rb) {
+                const rbPrev = rb.prevInAEL;
+                if (rb.outIdx >= 0 && rbPrev.outIdx >= 0 && parallel(rbPrev.curr, rbPrev.top, rb.curr, rb.top) &&
+                    rb.windDelta !== 0 && rbPrev.windDelta !== 0) {
+                    this.addJoin(op1, this.addOutPt(rbPrev, rb.bot), rb.top);
+                }
+                // intersectEdges() expects its first edge on the right above the intersection
+                for (let e = lb.nextInAEL; e !== null && e !== rb; e = e.nextInAEL) this.intersectEdges(rb, e, lb.curr);
+            }
+        }
+    }
+
+    insertEdgeIntoAEL(edge, startEdge) {
+        if (this.activeEdges === null) {
+            edge.prevInAEL = null;
+            edge.nextInAEL = null;
+            this.activeEdges = edge;
+        } else if (startEdge === null && e2InsertsBeforeE1(this.activeEdges, edge)) {
+            edge.prevInAEL = null;
+            edge.nextInAEL = this.activeEdges;
+            this.activeEdges.prevInAEL = edge;
+            this.activeEdges = edge;
+        } else {
+            if (startEdge === null) startEdge = this.activeEdges;
+            while (startEdge.nextInAEL !== null && !e2InsertsBeforeE1(startEdge.nextInAEL, edge)) startEdge = startEdge.nextInAEL;
+            edge.nextInAEL = startEdge.nextInAEL;
+            if (startEdge.nextInAEL !== null) startEdge.nextInAEL.prevInAEL = edge;
+            edge.prevInAEL = startEdge;
+            startEdge.nextInAEL = edge;
+        }
+    }
+
+    deleteFromAEL(e) {
+        const prev = e.prevInAEL;
+        const next = e.nextInAEL;
+        if (prev === null && next === null && e !== this.activeEdges) return; // already deleted
+        if (prev !== null) prev.nextInAEL = next;
+        else this.activeEdges = next;
+        if (next !== null) next.prevInAEL = prev;
+        e.nextInAEL = null;
+        e.prevInAEL = null;
+    }
+
+    swapPositionsInAEL(edge1, edge2) {
+        // one of them may already be out of the list
+        if (edge1.nextInAEL === edge1.prevInAEL || edge2.nextInAEL === edge2.prevInAEL) return;
+        swapInList(edge1, edge2, "prevInAEL", "nextInAEL");
+        if (edge1.prevInAEL === null) this.activeEdges = edge1;
+        else if (edge2.prevInAEL === null) this.activeEdges = edge2;
+    }
+
+    // Replaces e with the next edge of its bound
+    updateEdgeIntoAEL(e) {
+        if (e.nextInLML === null) throw new Error("UpdateEdgeIntoAEL: invalid call");
+        const prev = e.prevInAEL;
+        const next = e.nextInAEL;
+        const n = e.nextInLML;
+        n.outIdx = e.outIdx;
+        if (prev !== null) prev.nextInAEL = n;
+        else this.activeEdges = n;
+        if (next !== null) next.prevInAEL = n;
+        n.side = e.side;
+        n.windDelta = e.windDelta;
+        n.windCnt = e.windCnt;
+        n.windCnt2 = e.windCnt2;
+        n.curr = point(n.bot);
+        n.prevInAEL = prev;
+        n.nextInAEL = next;
+        if (!isHorizontal(n)) this.insertScanbeam(n.top.Y);
+        return n;
+    }
+
+    // ----- sorted edge list (horizontals, intersection order) -----
+
+    addEdgeToSEL(edge) {
+        edge.prevInSEL = null;
+        edge.nextInSEL = this.sortedEdges;
+        if (this.sortedEdges !== null) this.sortedEdges.prevInSEL = edge;
+        this.sortedEdges = edge;
+    }
+
+    popEdgeFromSEL() {
+        const e = this.sortedEdges;
+        if (e === null) return null;
+        this.sortedEdges = e.nextInSEL;
+        if (this.sortedEdges !== null) this.sortedEdges.prevInSEL = null;
+        e.nextInSEL = null;
+        e.prevInSEL = null;
+        return e;
+    }
+
+    copyAELToSEL() {
+        this.sortedEdges = this.activeEdges;
+        for (let e = this.activeEdges; e !== null; e = e.nextInAEL) {
+            e.prevInSEL = e.prevInAEL;
+            e.nextInSEL = e.nextInAEL;
+        }
+    }
+
+    swapPositionsInSEL(edge1, edge2) {
+        if (edge1.nextInSEL === null && edge1.prevInSEL === null) return;
+        if (edge2.nextInSEL === null && edge2.prevInSEL === null) return;
+        swapInList(edge1, edge2, "prevInSEL", "nextInSEL");
+        if (edge1.prevInSEL === null) this.sortedEdges = edge1;
+        else if (edge2.prevInSEL === null) this.sortedEdges = edge2;
+    }
+
+    // ----- winding -----
+
+    isEvenOdd(edge) {
+        return (edge.polyType === SUBJECT ? this.subjFill : this.clipFill) === "evenodd";
+    }
+
+    isEvenOddAlt(edge) {
+        return (edge.polyType === SUBJECT ? this.clipFill : this.subjFill) === "evenodd";
+    }
+
+    setWindingCount(edge) {
+        // the nearest edge of the same operand to the left
+        let e = edge.prevInAEL;
+        while (e !== null && (e.polyType !== edge.polyType || e.windDelta === 0)) e = e.prevInAEL;
+        if (e === null) {
+            edge.windCnt = edge.windDelta;
+            edge.windCnt2 = 0;
+            e = this.activeEdges;
+        } else if (this.isEvenOdd(edge)) {
+            edge.windCnt = edge.windDelta;
+            edge.windCnt2 = e.windCnt2;
+            e = e.nextInAEL;
+        } else {
+            if (e.windCnt * e.windDelta < 0) {
+                // e takes the count towards zero: outside its polygon, maybe inside another
+                if (Math.abs(e.windCnt) > 1) edge.windCnt = e.windDelta * edge.windDelta < 0 ? e.windCnt : e.windCnt + edge.windDelta;
+                else edge.windCnt = edge.windDelta;
+            } else {
+                edge.windCnt = e.windDelta * edge.windDelta < 0 ? e.windCnt : e.windCnt + edge.windDelta;
+            }
+            edge.windCnt2 = e.windCnt2;
+            e = e.nextInAEL;
+        }
+        if (this.isEvenOddAlt(edge)) {
+            for (; e !== edge; e = e.nextInAEL) {
+                if (e.windDelta !== 0) edge.windCnt2 = edge.windCnt2 === 0 ? 1 : 0;
+            }
+        } else {
+            for (; e !== edge; e = e.nextInAEL) edge.windCnt2 += e.windDelta;
+        }
+    }
+
+    isContributing(edge) {
+        const [fill, otherFill] = edge.polyType === SUBJECT ? [this.subjFill, this.clipFill] : [this.clipFill, this.subjFill];
+        if (fill === "nonzero" && Math.abs(edge.windCnt) !== 1) return false;
+        if (fill === "positive" && edge.windCnt !== 1) return false;
+        if (fill === "negative" && edge.windCnt !== -1) return false;
+        const inside = insideOther(otherFill, edge.windCnt2);
+        switch (this.clipType) {
+            case "intersection": return inside;
+            case "union": return !inside;
+            case "difference": return edge.polyType === SUBJECT ? !inside : inside;
+            default: return true;
+        }
+    }
+
+    // ----- output -----
+
+    createOutRec() {
+        const outRec = { idx: this.polyOuts.length, isHole: false, firstLeft: null, pts: null, bottomPt: null };
+        this.polyOuts.push(outRec);
+        return outRec;
+    }
+
+    getOutRec(idx) {
+        let outRec = this.polyOuts[idx];
+        while (outRec !== this.polyOuts[outRec.idx]) outRec = this.polyOuts[outRec.idx];
+        return outRec;
+    }
+
+    addJoin(outPt1, outPt2, offPt) {
+        this.joins.push({ outPt1, outPt2, offPt: point(offPt) });
+    }
+
+    addGhostJoin(outPt1, offPt) {
+        this.ghostJoins.push({ outPt1, outPt2: null, offPt: point(offPt) });
+    }
+
+    addOutPt(e, pt) {
+        if (e.outIdx < 0) {
+            const outRec = this.createOutRec();
+            const newOp = { idx: outRec.idx, pt: point(pt), next: null, prev: null };
+            newOp.next = newOp;
+            newOp.prev = newOp;
+            outRec.pts = newOp;
+            this.setHoleState(e, outRec);
+            e.outIdx = outRec.idx;
+            return newOp;
+        }
+        // outRec.pts is the leftmost point, outRec.pts.prev the rightmost
+        const outRec = this.polyOuts[e.outIdx];
+        const op = outRec.pts;
+        const toFront = e.side === LEFT;
+        if (toFront && samePoint(pt, op.pt)) return op;
+        if (!toFront && samePoint(pt, op.prev.pt)) return op.prev;
+        const newOp = { idx: outRec.idx, pt: point(pt), next: op, prev: op.prev };
+        newOp.prev.next = newOp;
+        op.prev = newOp;
+        if (toFront) outRec.pts = newOp;
+        return newOp;
+    }
+
+    getLastOutPt(e) {
+        const outRec = this.polyOuts[e.outIdx];
+        return e.side === LEFT ? outRec.pts : outRec.pts.prev;
+    }
+
+    setHoleState(e, outRec) {
+        let eTmp = null;
+        for (let e2 = e.prevInAEL; e2 !== null; e2 = e2.prevInAEL) {
+            if (e2.outIdx >= 0 && e2.windDelta !== 0) {
+                if (eTmp === null) eTmp = e2;
+                else if (eTmp.outIdx === e2.outIdx) eTmp = null; // paired
+            }
+        }
+        if (eTmp === null) {
+            outRec.firstLeft = null;
+            outRec.isHole = false;
+        } else {
+            outRec.firstLeft = this.polyOuts[eTmp.outIdx];
+            outRec.isHole = !outRec.firstLeft.isHole;
+        }
+    }
+
+    addLocalMinPoly(e1, e2, pt) {
+        let result;
+        let e;
+        let prevE;
+        if (isHorizontal(e2) || e1.dx > e2.dx) {
+            result = this.addOutPt(e1, pt);
+            e2.outIdx = e1.outIdx;
+            e1.side = LEFT;
+            e2.side = RIGHT;
+            e = e1;
+            prevE = e.prevInAEL === e2 ? e2.prevInAEL : e.prevInAEL;
+        } else {
+            result = this.addOutPt(e2, pt);
+            e1.outIdx = e2.outIdx;
+            e1.side = RIGHT;
+            e2.side = LEFT;
+            e = e2;
+            prevE = e.prevInAEL === e1 ? e1.prevInAEL : e.prevInAEL;
+        }
+        if (prevE !== null && prevE.outIdx >= 0 && prevE.top.Y < pt.Y && e.top.Y < pt.Y) {
+            const xPrev = topX(prevE, pt.Y);
+            const xE = topX(e, pt.Y);
+            if (xPrev === xE && e.windDelta !== 0 && prevE.windDelta !== 0 &&
+                parallel({ X: xPrev, Y: pt.Y }, prevE.top, { X: xE, Y: pt.Y }, e.top)) {
+                this.addJoin(result, this.addOutPt(prevE, pt), e.top);
+            }
+        }
+        return result;
+    }
+
+    addLocalMaxPoly(e1, e2, pt) {
+        this.addOutPt(e1, pt);
+        if (e1.outIdx === e2.outIdx) {
+            e1.outIdx = UNASSIGNED;
+            e2.outIdx = UNASSIGNED;
+        } else if (e1.outIdx < e2.outIdx) {
+            this.appendPolygon(e1, e2);
+        } else {
+            this.appendPolygon(e2, e1);
+        }
+    }
+
+    // Joins e2's output ring onto e1's
+    appendPolygon(e1, e2) {
+        const outRec1 = this.polyOuts[e1.outIdx];
+        const outRec2 = this.polyOuts[e2.outIdx];
+        let holeStateRec;
+        if (outRec1RightOfOutRec2(outRec1, outRec2)) holeStateRec = outRec2;
+        else if (outRec1RightOfOutRec2(outRec2, outRec1)) holeStateRec = outRec1;
+        else holeStateRec = getLowermostRec(outRec1, outRec2);
+
+        const p1Lft = outRec1.pts;
+        const p1Rt = p1Lft.prev;
+        const p2Lft = outRec2.pts;
+        const p2Rt = p2Lft.prev;
+        if (e1.side === LEFT) {
+            if (e2.side === LEFT) {
+                // z y x a b c
+                reversePolyPtLinks(p2Lft);
+                p2Lft.next = p1Lft;
+                p1Lft.prev = p2Lft;
+                p1Rt.next = p2Rt;
+                p2Rt.prev = p1Rt;
+                outRec1.pts = p2Rt;
+            } else {
+                // x y z a b c
+                p2Rt.next = p1Lft;
+                p1Lft.prev = p2Rt;
+                p2Lft.prev = p1Rt;
+                p1Rt.next = p2Lft;
+                outRec1.pts = p2Lft;
+            }
+        } else if (e2.side === RIGHT) {
+            // a b c z y x
+            reversePolyPtLinks(p2Lft);
+            p1Rt.next = p2Rt;
+            p2Rt.prev = p1Rt;
+            p2Lft.next = p1Lft;
+            p1Lft.prev = p2Lft;
+        } else {
+            // a b c x y z
+            p1Rt.next = p2Lft;
+            p2Lft.prev = p1Rt;
+            p1Lft.prev = p2Rt;
+            p2Rt.next = p1Lft;
+        }
+        outRec1.bottomPt = null;
+        if (holeStateRec === outRec2) {
+            if (outRec2.firstLeft !== outRec1) outRec1.firstLeft = outRec2.firstLeft;
+            outRec1.isHole = outRec2.isHole;
+        }
+        outRec2.pts = null;
+        outRec2.bottomPt = null;
+        outRec2.firstLeft = outRec1;
+        const okIdx = e1.outIdx;
+        const obsoleteIdx = e2.outIdx;
+        e1.outIdx = UNASSIGNED;
+        e2.outIdx = UNASSIGNED;
+        for (let e = this.activeEdges; e !== null; e = e.nextInAEL) {
+            if (e.outIdx === obsoleteIdx) {
+                e.outIdx = okIdx;
+                e.side = e1.side;
+                break;
+            }
+        }
+        outRec2.idx = outRec1.idx;
+    }
+
+    // e1 is left of e2 below pt (and right of it above)
+    intersectEdges(e1, e2, pt) {
+        const e1Contributing = e1.outIdx >= 0;
+        const e2Contributing = e2.outIdx >= 0;
+        if (e1.polyType === e2.polyType) {
+            if (this.isEvenOdd(e1)) {
+                const oldE1WindCnt = e1.windCnt;
+                e1.windCnt = e2.windCnt;
+                e2.windCnt = oldE1WindCnt;
+            } else {
+                if (e1.windCnt + e2.windDelta === 0) e1.windCnt = -e1.windCnt;
+                else e1.windCnt += e2.windDelta;
+                if (e2.windCnt - e1.windDelta === 0) e2.windCnt = -e2.windCnt;
+                else e2.windCnt -= e1.windDelta;
+            }
+        } else {
+            if (!this.isEvenOdd(e2)) e1.windCnt2 += e2.windDelta;
+            else e1.windCnt2 = e1.windCnt2 === 0 ? 1 : 0;
+            if (!this.isEvenOdd(e1)) e2.windCnt2 -= e1.windDelta;
+            else e2.windCnt2 = e2.windCnt2 === 0 ? 1 : 0;
+        }
+        const fills = (e) => (e.polyType === SUBJECT ? [this.subjFill, this.clipFill] : [this.clipFill, this.subjFill]);
+        const [e1Fill, e1Fill2] = fills(e1);
+        const [e2Fill, e2Fill2] = fills(e2);
+        const e1Wc = fillWinding(e1Fill, e1.windCnt);
+        const e2Wc = fillWinding(e2Fill, e2.windCnt);
+        const swap = () => {
+            [e1.side, e2.side] = [e2.side, e1.side];
+            [e1.outIdx, e2.outIdx] = [e2.outIdx, e1.outIdx];
+        };
+
+        if (e1Contributing && e2Contributing) {
+            if ((e1Wc !== 0 && e1Wc !== 1) || (e2Wc !== 0 && e2Wc !== 1) || (e1.polyType !== e2.polyType && this.clipType !== "xor")) {
+                this.addLocalMaxPoly(e1, e2, pt);
+            } else {
+                this.addOutPt(e1, pt);
+                this.addOutPt(e2, pt);
+                swap();
+            }
+        } else if (e1Contributing) {
+            if (e2Wc === 0 || e2Wc === 1) {
+                this.addOutPt(e1, pt);
+                swap();
+            }
+        } else if (e2Contributing) {
+            if (e1Wc === 0 || e1Wc === 1) {
+                this.addOutPt(e2, pt);
+                swap();
+            }
+        } else if ((e1Wc === 0 || e1Wc === 1) && (e2Wc === 0 || e2Wc === 1)) {
+            // neither edge is contributing yet
+            const e1Wc2 = fillWinding(e1Fill2, e1.windCnt2);
+            const e2Wc2 = fillWinding(e2Fill2, e2.windCnt2);
+            if (e1.polyType !== e2.polyType) {
+                this.addLocalMinPoly(e1, e2, pt);
+            } else if (e1Wc === 1 && e2Wc === 1) {
+                switch (this.clipType) {
+                    case "intersection":
+                        if (e1Wc2 > 0 && e2Wc2 > 0) this.addLocalMinPoly(e1, e2, pt);
+                        break;
+                    case "union":
+                        if (e1Wc2 <= 0 && e2Wc2 <= 0) this.addLocalMinPoly(e1, e2, pt);
+                        break;
+                    case "difference":
+                        if ((e1.polyType === CLIP && e1Wc2 > 0 && e2Wc2 > 0) || (e1.polyType === SUBJECT && e1Wc2 <= 0 && e2Wc2 <= 0)) {
+                            this.addLocalMinPoly(e1, e2, pt);
+                        }
+                        break;
+                    default:
+                        this.addLocalMinPoly(e1, e2, pt);
+                }
+            } else {
+                [e1.side, e2.side] = [e2.side, e1.side];
+            }
+        }
+    }
+
+    // ----- horizontals -----
+
+    processHorizontals() {
+        let horzEdge;
+        while ((horzEdge = this.popEdgeFromSEL()) !== null) this.processHorizontal(horzEdge);
+    }
+
+    // Joins output along horizontals that overlap this one
+    joinOverlappingHorizontals(horzEdge, op1) {
+        for (let e = this.sortedEdges; e !== null; e = e.nextInSEL) {
+            if (e.outIdx >= 0 && horzSegmentsOverlap(horzEdge.bot.X, horzEdge.top.X, e.bot.X, e.top.X)) {
+                this.addJoin(this.getLastOutPt(e), op1, e.top);
+            }
+        }
+    }
+
+    processHorizontal(horzEdge) {
+        let [dir, horzLeft, horzRight] = horzDirection(horzEdge);
+        let eLastHorz = horzEdge;
+        let eMaxPair = null;
+        while (eLastHorz.nextInLML !== null && isHorizontal(eLastHorz.nextInLML)) eLastHorz = eLastHorz.nextInLML;
+        if (eLastHorz.nextInLML === null) eMaxPair = getMaximaPair(eLastHorz);
+
+        let op1 = null;
+        for (;;) {
+            // through consecutive horizontal edges
+            const isLastHorz = horzEdge === eLastHorz;
+            let e = dir > 0 ? horzEdge.nextInAEL : horzEdge.prevInAEL;
+            while (e !== null) {
+                if ((dir > 0 && e.curr.X > horzRight) || (dir < 0 && e.curr.X < horzLeft)) break;
+                // or at the end of an intermediate horizontal (smaller Dx is right of larger Dx above it)
+                if (e.curr.X === horzEdge.top.X && horzEdge.nextInLML !== null && e.dx < horzEdge.nextInLML.dx) break;
+
+                if (horzEdge.outIdx >= 0) {
+                    op1 = this.addOutPt(horzEdge, e.curr);
+                    this.joinOverlappingHorizontals(horzEdge, op1);
+                    this.addGhostJoin(op1, horzEdge.bot);
+                }
+                if (e === eMaxPair && isLastHorz) {
+                    if (horzEdge.outIdx >= 0) this.addLocalMaxPoly(horzEdge, eMaxPair, horzEdge.top);
+                    this.deleteFromAEL(horzEdge);
+                    this.deleteFromAEL(eMaxPair);
+                    return;
+                }
+                const pt = { X: e.curr.X, Y: horzEdge.curr.Y };
+                if (dir > 0) this.intersectEdges(horzEdge, e, pt);
+                else this.intersectEdges(e, horzEdge, pt);
+                const eNext = dir > 0 ? e.nextInAEL : e.prevInAEL;
+                this.swapPositionsInAEL(horzEdge, e);
+                e = eNext;
+            }
+            if (horzEdge.nextInLML === null || !isHorizontal(horzEdge.nextInLML)) break;
+            horzEdge = this.updateEdgeIntoAEL(horzEdge);
+            if (horzEdge.outIdx >= 0) this.addOutPt(horzEdge, horzEdge.bot);
+            [dir, horzLeft, horzRight] = horzDirection(horzEdge);
+        }
+
+        if (horzEdge.outIdx >= 0 && op1 === null) {
+            op1 = this.getLastOutPt(horzEdge);
+            this.joinOverlappingHorizontals(horzEdge, op1);
+            this.addGhostJoin(op1, horzEdge.top);
+        }
+
+        if (horzEdge.nextInLML !== null) {
+            if (horzEdge.outIdx >= 0) {
+                op1 = this.addOutPt(horzEdge, horzEdge.top);
+                horzEdge = this.updateEdgeIntoAEL(horzEdge);
+                // (no longer horizontal; Clipper's matching test against the
+                // previous edge only applies to open paths)
+                const eNext = horzEdge.nextInAEL;
+                if (eNext !== null && eNext.curr.X === horzEdge.bot.X && eNext.curr.Y === horzEdge.bot.Y && eNext.windDelta !== 0 &&
+                    eNext.outIdx >= 0 && eNext.curr.Y > eNext.top.Y && edgesParallel(horzEdge, eNext)) {
+                    this.addJoin(op1, this.addOutPt(eNext, horzEdge.bot), horzEdge.top);
+                }
+            } else {
+                this.updateEdgeIntoAEL(horzEdge);
+            }
+        } else {
+            if (horzEdge.outIdx >= 0) this.addOutPt(horzEdge, horzEdge.top);
+            this.deleteFromAEL(horzEdge);
+        }
+    }
+
+    // ----- intersections -----
+
+    processIntersections(topY) {
+        if (this.activeEdges === null) return true;
+        this.buildIntersectList(topY);
+        if (this.intersectList.length === 0) return true;
+        if (this.intersectList.length === 1 || this.fixupIntersectionOrder()) this.processIntersectList();
+        else return false;
+        this.sortedEdges = null;
+        return true;
+    }
+
+    // Bubble-sorts the edges by their X at topY, noting each swap as an intersection
+    buildIntersectList(topY) {
+        this.sortedEdges = this.activeEdges;
+        for (let e = this.activeEdges; e !== null; e = e.nextInAEL) {
+            e.prevInSEL = e.prevInAEL;
+            e.nextInSEL = e.nextInAEL;
+            e.curr.X = topX(e, topY);
+        }
+        let isModified = true;
+        while (isModified && this.sortedEdges !== null) {
+            isModified = false;
+            let e = this.sortedEdges;
+            while (e.nextInSEL !== null) {
+                const eNext = e.nextInSEL;
+                if (e.curr.X > eNext.curr.X) {
+                    let pt = intersectPoint(e, eNext);
+                    if (pt.Y < topY) pt = { X: topX(e, topY), Y: topY };
+                    this.intersectList.push({ edge1: e, edge2: eNext, pt });
+                    this.swapPositionsInSEL(e, eNext);
+                    isModified = true;
+                } else {
+                    e = eNext;
+                }
+            }
+            if (e.prevInSEL !== null) e.prevInSEL.nextInSEL = null;
+            else break;
+        }
+        this.sortedEdges = null;
+    }
+
+    // Intersections must be processed between adjacent edges only
+    fixupIntersectionOrder() {
+        const list = this.intersectList;
+        list.sort((node1, node2) => Math.sign(node2.pt.Y - node1.pt.Y)); // bottom-most first
+        this.copyAELToSEL();
+        const adjacent = (node) => node.edge1.nextInSEL === node.edge2 || node.edge1.prevInSEL === node.edge2;
+        for (let i = 0; i < list.length; i++) {
+            if (!adjacent(list[i])) {
+                let j = i + 1;
+                while (j < list.length && !adjacent(list[j])) j++;
+                if (j === list.length) return false;
+                [list[i], list[j]] = [list[j], list[i]];
+            }
+            this.swapPositionsInSEL(list[i].edge1, list[i].edge2);
+        }
+        return true;
+    }
+
+    processIntersectList() {
+        for (const node of this.intersectList) {
+            this.intersectEdges(node.edge1, node.edge2, node.pt);
+            this.swapPositionsInAEL(node.edge1, node.edge2);
+        }
+        this.intersectList.length = 0;
+    }
+
+    // ----- top of the scanbeam -----
+
+    processEdgesAtTopOfScanbeam(topY) {
+        let e = this.activeEdges;
+        while (e !== null) {
+            // 1. maxima, treated as "bent" horizontals (except maxima with horizontals)
+            let isMaximaEdge = isMaxima(e, topY);
+            if (isMaximaEdge) {
+                const eMaxPair = getMaximaPairEx(e);
+                isMaximaEdge = eMaxPair === null || !isHorizontal(eMaxPair);
+            }
+            if (isMaximaEdge) {
+                const ePrev = e.prevInAEL;
+                this.doMaxima(e);
+                e = ePrev === null ? this.activeEdges : ePrev.nextInAEL;
+                continue;
+            }
+            // 2. promote horizontals, otherwise move Curr up
+            if (isIntermediate(e, topY) && isHorizontal(e.nextInLML)) {
+                e = this.updateEdgeIntoAEL(e);
+                if (e.outIdx >= 0) this.addOutPt(e, e.bot);
+                this.addEdgeToSEL(e);
+            } else {
+                e.curr.X = topX(e, topY);
+                e.curr.Y = topY;
+            }
+            e = e.nextInAEL;
+        }
+        // 3. horizontals at the top of the scanbeam
+        this.processHorizontals();
+        // 4. intermediate vertices; output sharing an edge will need joining later
+        for (e = this.activeEdges; e !== null; e = e.nextInAEL) {
+            if (!isIntermediate(e, topY)) continue;
+            const op = e.outIdx >= 0 ? this.addOutPt(e, e.top) : null;
+            e = this.updateEdgeIntoAEL(e);
+            const ePrev = e.prevInAEL;
+            const eNext = e.nextInAEL;
+            // (Curr.Y === Top.Y as in ClipperLib)
+            if (ePrev !== null && ePrev.curr.X === e.bot.X && ePrev.curr.Y === e.bot.Y && op !== null && ePrev.outIdx >= 0 &&
+                ePrev.curr.Y === ePrev.top.Y && parallel(e.curr, e.top, ePrev.curr, ePrev.top) && e.windDelta !== 0 && ePrev.windDelta !== 0) {
+                this.addJoin(op, this.addOutPt(ePrev, e.bot), e.top);
+            } else if (eNext !== null && eNext.curr.X === e.bot.X && eNext.curr.Y === e.bot.Y && op !== null && eNext.outIdx >= 0 &&
+                eNext.curr.Y === eNext.top.Y && parallel(e.curr, e.top, eNext.curr, eNext.top) && e.windDelta !== 0 && eNext.windDelta !== 0) {
+                this.addJoin(op, this.addOutPt(eNext, e.bot), e.top);
+            }
+        }
+    }
+
+    doMaxima(e) {
+        const eMaxPair = getMaximaPairEx(e);
+        if (eMaxPair === null) {
+            if (e.outIdx >= 0) this.addOutPt(e, e.top);
+            this.deleteFromAEL(e);
+            return;
+        }
+        let eNext = e.nextInAEL;
+        while (eNext !== null && eNext !== eMaxPair) {
+            this.intersectEdges(e, eNext, e.top);
+            this.swapPositionsInAEL(e, eNext);
+            eNext = e.nextInAEL;
+        }
+        if (e.outIdx === UNASSIGNED && eMaxPair.outIdx === UNASSIGNED) {
+            this.deleteFromAEL(e);
+            this.deleteFromAEL(eMaxPair);
+        } else if (e.outIdx >= 0 && eMaxPair.outIdx >= 0) {
+            this.addLocalMaxPoly(e, eMaxPair, e.top);
+            this.deleteFromAEL(e);
+            this.deleteFromAEL(eMaxPair);
+        } else {
+            throw new Error("DoMaxima error");
+        }
+    }
+
+    // ----- clean-up -----
+
+    // Drops duplicate points and the middle vertex of collinear edges
+    fixupOutPolygon(outRec) {
+        let lastOK = null;
+        outRec.bottomPt = null;
+        let pp = outRec.pts;
+        for (;;) {
+            if (pp.prev === pp || pp.prev === pp.next) {
+                outRec.pts = null;
+                return;
+            }
+            if (samePoint(pp.pt, pp.next.pt) || samePoint(pp.pt, pp.prev.pt) || collinear(pp.prev.pt, pp.pt, pp.next.pt)) {
+                lastOK = null;
+                pp.prev.next = pp.next;
+                pp.next.prev = pp.prev;
+                pp = pp.prev;
+            } else if (pp === lastOK) {
+                break;
+            } else {
+                if (lastOK === null) lastOK = pp;
+                pp = pp.next;
+            }
+        }
+        outRec.pts = pp;
+    }
+
+    joinCommonEdges() {
+        for (const join of this.joins) {
+            const outRec1 = this.getOutRec(join.outPt1.idx);
+            let outRec2 = this.getOutRec(join.outPt2.idx);
+            if (outRec1.pts === null || outRec2.pts === null) continue;
+            // the fragment with the right hole state, before joinPoints() changes them
+            let holeStateRec;
+            if (outRec1 === outRec2) holeStateRec = outRec1;
+            else if (outRec1RightOfOutRec2(outRec1, outRec2)) holeStateRec = outRec2;
+            else if (outRec1RightOfOutRec2(outRec2, outRec1)) holeStateRec = outRec1;
+            else holeStateRec = getLowermostRec(outRec1, outRec2);
+
+            if (!joinPoints(join, outRec1, outRec2)) continue;
+
+            if (outRec1 === outRec2) {
+                // one ring split in two
+                outRec1.pts = join.outPt1;
+                outRec1.bottomPt = null;
+                outRec2 = this.createOutRec();
+                outRec2.pts = join.outPt2;
+                updateOutPtIdxs(outRec2);
+                if (poly2ContainsPoly1(outRec2.pts, outRec1.pts)) {
+                    outRec2.isHole = !outRec1.isHole;
+                    outRec2.firstLeft = outRec1;
+                    if (outRec2.isHole === (area(outRec2.pts) > 0)) reversePolyPtLinks(outRec2.pts);
+                } else if (poly2ContainsPoly1(outRec1.pts, outRec2.pts)) {
+                    outRec2.isHole = outRec1.isHole;
+                    outRec1.isHole = !outRec2.isHole;
+                    outRec2.firstLeft = outRec1.firstLeft;
+                    outRec1.firstLeft = outRec2;
+                    if (outRec1.isHole === (area(outRec1.pts) > 0)) reversePolyPtLinks(outRec1.pts);
+                } else {
+                    outRec2.isHole = outRec1.isHole;
+                    outRec2.firstLeft = outRec1.firstLeft;
+                }
+            } else {
+                // two rings joined
+                outRec2.pts = null;
+                outRec2.bottomPt = null;
+                outRec2.idx = outRec1.idx;
+                outRec1.isHole = holeStateRec.isHole;
+                if (holeStateRec === outRec2) outRec1.firstLeft = outRec2.firstLeft;
+                outRec2.firstLeft = outRec1;
+            }
+        }
+    }
+}
+
+function e2InsertsBeforeE1(e1, e2) {
+    if (e2.curr.X === e1.curr.X) {
+        if (e2.top.Y > e1.top.Y) return e2.top.X < topX(e1, e2.top.Y);
+        return e1.top.X > topX(e2, e1.top.Y);
+    }
+    return e2.curr.X < e1.curr.X;
+}
+
+// [direction (1 left to right, -1 right to left), left X, right X]
+function horzDirection(e) {
+    return e.bot.X < e.top.X ? [1, e.bot.X, e.top.X] : [-1, e.top.X, e.bot.X];
+}
+
+function updateOutPtIdxs(outRec) {
+    let op = outRec.pts;
+    do {
+        op.idx = outRec.idx;
+        op = op.prev;
+    } while (op !== outRec.pts);
+}
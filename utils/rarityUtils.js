@@ -0,0 +1,88 @@
+// utils/rarityUtils.js
+// Weighted picks driven by traits/rarity.js, plus the expected-probability report.
+// A trait lists the values it draws from in an exported DRAWS object
+// ({ palette: [...], spiralType: [...] }) and draws each one with pickWeighted().
+
+import { getSecureRandomNumber } from "./colorUtils.js";
+import { RARITY, TIERS } from "../traits/rarity.js";
+
+export const DEFAULT_TIER = "common";
+
+/**
+ * Tier a value belongs to for one trait choice.
+ * @param {string} traitId - Layer id (e.g. "bg").
+ * @param {string} key - Choice name (e.g. "palette").
+ * @param {*} value - The value.
+ * @returns {string} Tier name ("common" when not listed).
+ */
+export function tierOf(traitId, key, value) {
+    const groups = RARITY[traitId]?.[key] || {};
+    for (const [tier, values] of Object.entries(groups)) {
+        if (values.includes(value)) return tier;
+    }
+    return DEFAULT_TIER;
+}
+
+/**
+ * Probability of every drawable value of one choice.
+ * @param {string} traitId - Layer id.
+ * @param {string} key - Choice name.
+ * @param {Array<*>} values - Values the trait draws from, in trait order.
+ * @param {string} [tier] - Restrict the draw to one tier.
+ * @returns {Array<{value: *, tier: string, probability: number}>}
+ */
+export function getDistribution(traitId, key, values, tier) {
+    let entries = values.map((value) => {
+        const valueTier = tierOf(traitId, key, value);
+        if (TIERS[valueTier] === undefined) {
+            throw new Error(`Unknown rarity tier "${valueTier}" for ${traitId} ${key}`);
+        }
+        return { value, tier: valueTier, weight: TIERS[valueTier] };
+    });
+    if (tier) {
+        entries = entries.filter((e) => e.tier === tier);
+        if (!entries.length) throw new Error(`No ${traitId} ${key} values in tier "${tier}"`);
+    }
+    const total = entries.reduce((sum, e) => sum + e.weight, 0);
+    if (!(total > 0)) throw new Error(`${traitId} ${key}: every value has zero weight`);
+    return entries.map(({ value, tier: valueTier, weight }) => ({ value, tier: valueTier, probability: weight / total }));
+}
+
+/**
+ * Draws one value by rarity weight. Uses exactly one random number, so with
+ * all values in one tier it picks what a plain uniform index draw would.
+ * @param {string} traitId - Layer id.
+ * @param {string} key - Choice name.
+ * @param {Array<*>} values - Values the trait draws from.
+ * @param {Object} [options]
+ * @param {string} [options.tier] - Restrict the draw to one tier.
+ * @returns {{value: *, tier: string}} The drawn value and its tier.
+ */
+export function pickWeighted(traitId, key, values, { tier } = {}) {
+    const dist = getDistribution(traitId, key, values, tier);
+    let u = getSecureRandomNumber();
+    for (const entry of dist) {
+        if (u < entry.probability) return { value: entry.value, tier: entry.tier };
+        u -= entry.probability;
+    }
+    const last = dist[dist.length - 1];
+    return { value: last.value, tier: last.tier };
+}
+
+/**
+ * Expected probability of every attribute value across traits.
+ * Choices are drawn independently, so a combination's probability is the
+ * product of its values' probabilities.
+ * @param {Object<string, Object<string, Array<*>>>} draws - DRAWS per layer id.
+ * @returns {{tiers: Object<string, number>, traits: Object}} Report keyed by layer id, then choice.
+ */
+export function rarityReport(draws) {
+    const traits = {};
+    for (const [traitId, choices] of Object.entries(draws)) {
+        traits[traitId] = {};
+        for (const [key, values] of Object.entries(choices || {})) {
+            traits[traitId][key] = getDistribution(traitId, key, values);
+        }
+    }
+    return { tiers: { ...TIERS }, traits };
+}
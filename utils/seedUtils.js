@@ -0,0 +1,110 @@
+// utils/seedUtils.js
+// Seeded randomness so a Phil can be regenerated byte-for-byte.
+// Traits keep calling getSecureRandomNumber(); while withSeed() is running,
+// those calls are served from a deterministic PRNG instead of crypto.getRandomValues().
+
+let activeRandom = null;
+
+/**
+ * Hashes any seed value (number or string) to an unsigned 32-bit integer.
+ * FNV-1a followed by the murmur3 finalizer for good avalanche on short seeds.
+ * @param {string|number} seed - The seed value.
+ * @returns {number} A uint32 hash.
+ */
+export function hashSeed(seed) {
+    const str = String(seed);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Creates a deterministic random source (mulberry32) for the given seed.
+ * @param {string|number} seed - The seed value.
+ * @returns {function(): number} A function returning numbers in [0, 1).
+ */
+export function createRandom(seed) {
+    let a = hashSeed(seed);
+    return function mulberry32() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derives an independent sub-seed (e.g. one per layer) from a parent seed.
+ * @param {string|number} seed - The parent seed.
+ * @param {string} label - Stable label for the child (e.g. a layer id).
+ * @returns {number} A uint32 sub-seed.
+ */
+export function deriveSeed(seed, label) {
+    return hashSeed(`${seed}:${label}`);
+}
+
+/**
+ * Creates a fresh, unpredictable seed. Never affected by withSeed().
+ * @returns {number} A uint32 seed.
+ */
+export function randomSeed() {
+    const array = new Uint32Array(1);
+    globalThis.crypto.getRandomValues(array);
+    return array[0];
+}
+
+/**
+ * Normalizes user input into a seed, or null when nothing usable was given.
+ * @param {*} value - Raw seed value (input text, query param, message field).
+ * @returns {string|null} The trimmed seed string, or null.
+ */
+export function normalizeSeed(value) {
+    if (value === null || value === undefined) return null;
+    const str = String(value).trim();
+    return str === "" ? null : str;
+}
+
+/**
+ * Runs a synchronous function with all trait randomness drawn from `seed`.
+ * Must not span an await: the seeded source is swapped back out on return.
+ * A null/undefined seed runs `fn` with the regular crypto source.
+ * @param {string|number|null} seed - The seed value.
+ * @param {function(): T} fn - Synchronous work to run.
+ * @returns {T} Whatever `fn` returns.
+ * @template T
+ */
+export function withSeed(seed, fn) {
+    if (seed === null || seed === undefined) return fn();
+    const previous = activeRandom;
+    activeRandom = createRandom(seed);
+    try {
+        return fn();
+    } finally {
+        activeRandom = previous;
+    }
+}
+
+/**
+ * Next value from the active seeded source.
+ * @returns {number|null} A number in [0, 1), or null when no seed is active.
+ */
+export function seededRandom() {
+    return activeRandom ? activeRandom() : null;
+}
+
+/**
+ * Whether a seeded source is currently active.
+ * @returns {boolean} True inside withSeed() with a non-null seed.
+ */
+export function isSeeded() {
+    return activeRandom !== null;
+}
@@ -1,7 +1,7 @@
 // utils/sizeValidation.js
 
 // Default max size increased based on the new 469x469 canvas & improved compression
-const DEFAULT_MAX_SIZE = 6666 * 1024; // 6,666KB (adjustable)
+export const DEFAULT_MAX_SIZE = 6666 * 1024; // 6,666KB (adjustable)
 
 export function validateSVGSize(svgString, maxSize = DEFAULT_MAX_SIZE) {
     if (typeof svgString !== "string") {
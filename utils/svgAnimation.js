@@ -0,0 +1,83 @@
+// utils/svgAnimation.js
+// SMIL snippets for the animated mode (`isStatic: false`). They are plain
+// <animate>/<animateTransform> children, so a layer animates on its own, as an
+// <image> on the stage and inside the vector composite (no ids, no CSS names
+// that could clash between layers).
+// Timing comes from phase(i), never from the trait RNG: a seed draws the same
+// shapes whether or not the layer is animated.
+
+const round = (n) => Number(n.toFixed(2));
+const GOLDEN = 0.6180339887;
+const EASE = 'calcMode="spline" keyTimes="0;0.5;1" keySplines="0.42 0 0.58 1;0.42 0 0.58 1"';
+
+// A negative begin starts the loop part-way through, so siblings are out of step
+const begin = (delay) => (round(delay) > 0 ? ` begin="-${round(delay)}s"` : "");
+
+/**
+ * A well-spread, repeatable value in [0, 1) for the i-th animated element.
+ * @param {number} i - Element index.
+ * @param {number} [salt=0] - Separates independent sequences (e.g. duration vs delay).
+ * @returns {number}
+ */
+export function phase(i, salt = 0) {
+    return ((i + 1) * GOLDEN + salt * 0.7548776662) % 1;
+}
+
+/**
+ * Endless rotation about (cx, cy).
+ * @param {number} cx
+ * @param {number} cy
+ * @param {Object} [params]
+ * @param {number} [params.dur=60] - Seconds per turn.
+ * @param {boolean} [params.reverse=false] - Counter-clockwise.
+ * @returns {string} An <animateTransform> for the element to rotate.
+ */
+export function spin(cx, cy, { dur = 60, reverse = false } = {}) {
+    const to = reverse ? -360 : 360;
+    return `<animateTransform attributeName="transform" type="rotate" from="0 ${cx} ${cy}" to="${to} ${cx} ${cy}" dur="${round(dur)}s" repeatCount="indefinite"/>`;
+}
+
+/**
+ * Endless opacity loop: `from` → `to` → `from`.
+ * @param {number} from - Opacity at rest.
+ * @param {number} to - Opacity at the middle of the loop.
+ * @param {Object} [params]
+ * @param {number} [params.dur=3] - Seconds per loop.
+ * @param {number} [params.delay=0] - Seconds into the loop at load (staggers siblings).
+ * @returns {string} An <animate> for the element to fade.
+ */
+export function twinkle(from, to, { dur = 3, delay = 0 } = {}) {
+    return `<animate attributeName="opacity" values="${from};${to};${from}" dur="${round(dur)}s"${begin(delay)} repeatCount="indefinite"/>`;
+}
+
+/**
+ * Endless up-and-down float by `dy` user units (eased at both ends).
+ * @param {number} dy - Rise at the top of the loop.
+ * @param {Object} [params]
+ * @param {number} [params.dur=2.4] - Seconds per loop.
+ * @param {number} [params.delay=0] - Seconds into the loop at load.
+ * @returns {string} An <animateTransform> for a wrapper without a transform of its own.
+ */
+export function bob(dy, { dur = 2.4, delay = 0 } = {}) {
+    return `<animateTransform attributeName="transform" type="translate" values="0 0;0 ${round(-dy)};0 0" dur="${round(dur)}s"${begin(delay)} ${EASE} repeatCount="indefinite"/>`;
+}
+
+/**
+ * Endless scale loop about a pivot: 1 → (sx, sy) → 1. Two additive
+ * <animateTransform>s, translate(p·(1−s)) then scale(s), which keep the pivot still.
+ * @param {number} px - Pivot x.
+ * @param {number} py - Pivot y.
+ * @param {number} sx - Horizontal scale at the middle of the loop.
+ * @param {number} sy - Vertical scale at the middle of the loop.
+ * @param {Object} [params]
+ * @param {number} [params.dur=1.6] - Seconds per loop.
+ * @param {number} [params.delay=0] - Seconds into the loop at load.
+ * @returns {string} Markup for a wrapper without a transform of its own.
+ */
+export function pulseAbout(px, py, sx, sy, { dur = 1.6, delay = 0 } = {}) {
+    const timing = `dur="${round(dur)}s"${begin(delay)} ${EASE} repeatCount="indefinite" additive="sum"`;
+    const tx = round(px * (1 - sx));
+    const ty = round(py * (1 - sy));
+    return `<animateTransform attributeName="transform" type="translate" values="0 0;${tx} ${ty};0 0" ${timing}/>`
+        + `<animateTransform attributeName="transform" type="scale" values="1 1;${sx} ${sy};1 1" ${timing}/>`;
+}
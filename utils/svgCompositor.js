@@ -0,0 +1,169 @@
+// utils/svgCompositor.js
+// Parser-based vector compositing (DOMParser/XMLSerializer): every layer's
+// markup is inlined into one SVG inside <g id="layer-<id>">, instead of being
+// stacked as base64 <image>s, so the file stays editable in Illustrator or
+// Inkscape. Each id in a layer gets the layer's prefix ("eyes_") and every reference to it
+// follows: url(#…) in any attribute (style included) or <style> sheet, CSS #id
+// selectors, href / xlink:href="#…" (<use>, gradients, textPath) and SMIL
+// begin/end syncbase values such as "pulse.end+1s".
+// Browser-only (Node has no DOMParser); the CLI keeps the <image> composite.
+
+import { SIZE } from "./composeUtils.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+const XMLNS_NS = "http://www.w3.org/2000/xmlns/";
+
+// Root attributes that describe the layer's viewport rather than its content
+const VIEWPORT_ATTRS = new Set(["width", "height", "viewBox", "x", "y", "preserveAspectRatio", "version", "baseProfile"]);
+
+/**
+ * Parses SVG markup.
+ * @param {string} markup - A standalone SVG document.
+ * @returns {SVGSVGElement} The root <svg> element (of a fresh XML document).
+ * @throws {Error} When the markup is not well-formed or its root is not <svg>.
+ */
+export function parseSVG(markup) {
+    const doc = new DOMParser().parseFromString(markup, "image/svg+xml");
+    const error = doc.getElementsByTagName("parsererror")[0];
+    if (error) throw new Error(`SVG is not well-formed XML: ${error.textContent.trim().split("\n")[0]}`);
+    const root = doc.documentElement;
+    if (root.localName !== "svg" || root.namespaceURI !== SVG_NS) {
+        throw new Error(`Expected an <svg> root element, found <${root.nodeName}>`);
+    }
+    return root;
+}
+
+/**
+ * Prefixes every id under `root` (root included) and rewrites the references
+ * to them in place. References to ids the layer doesn't define are left alone.
+ * @param {Element} root - Parsed SVG root.
+ * @param {string} prefix - e.g. "eyes_".
+ * @returns {Map<string, string>} Old id -> new id.
+ */
+export function namespaceIds(root, prefix) {
+    const elements = [root, ...root.getElementsByTagName("*")];
+    const ids = new Map();
+    for (const el of elements) {
+        const id = el.getAttribute("id");
+        if (id && !ids.has(id)) ids.set(id, `${prefix}${id}`);
+    }
+    if (!ids.size) return ids;
+
+    const rename = (id) => ids.get(id);
+    for (const el of elements) {
+        for (const attr of [...el.attributes]) {
+            const value = attr.value;
+            let next = value;
+            if (attr.localName === "id" && !attr.namespaceURI) next = rename(value) ?? value;
+            else if (attr.localName === "href") next = value.startsWith("#") ? `#${rename(value.slice(1)) ?? value.slice(1)}` : value;
+            else if (attr.localName === "begin" || attr.localName === "end") next = rewriteTiming(value, rename);
+            else if (value.includes("url(")) next = rewriteUrls(value, rename);
+            if (next !== value) el.setAttributeNS(attr.namespaceURI, attr.name, next);
+        }
+        if (el.localName === "style") el.textContent = rewriteCss(el.textContent, rename);
+    }
+    return ids;
+}
+
+// url(#id), url('#id'), url("#id")
+function rewriteUrls(value, rename) {
+    return value.replace(/url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g, (match, _quote, id) => {
+        const renamed = rename(id);
+        return renamed ? `url(#${renamed})` : match;
+    });
+}
+
+// Style sheets: url(#id) and #id selectors, in one pass so nothing is renamed twice
+function rewriteCss(css, rename) {
+    return css.replace(/url\(\s*(['"]?)#([^'")\s]+)\1\s*\)|#(-?[A-Za-z_][\w-]*)/g, (match, _quote, urlId, selectorId) => {
+        if (urlId !== undefined) {
+            const renamed = rename(urlId);
+            return renamed ? `url(#${renamed})` : match;
+        }
+        const renamed = rename(selectorId);
+        return renamed ? `#${renamed}` : match;
+    });
+}
+
+// SMIL timing lists: "0s; spin.end + 1s; trigger.click". The id keeps its
+// original (possibly backslash-escaped) spelling; only the prefix is added.
+function rewriteTiming(value, rename) {
+    return value.split(";").map((part) => part.replace(/^(\s*)((?:\\.|[^.\s\\])+)\./, (match, space, rawId) => {
+        const id = rawId.replace(/\\(.)/g, "$1");
+        const renamed = rename(id);
+        if (!renamed) return match;
+        const prefix = renamed.slice(0, renamed.length - id.length).replace(/[.-]/g, "\\$&");
+        return `${space}${prefix}${rawId}.`;
+    })).join(";");
+}
+
+// viewBox of a layer root as [x, y, w, h]; without one, its width/height (default SIZE)
+function layerViewBox(root, size) {
+    const raw = root.getAttribute("viewBox");
+    if (raw) {
+        const box = raw.trim().split(/[\s,]+/).map(Number);
+        if (box.length === 4 && box.every(Number.isFinite) && box[2] > 0 && box[3] > 0) return box;
+    }
+    const length = (name) => {
+        const n = parseFloat(root.getAttribute(name));
+        return Number.isFinite(n) && n > 0 && !/%/.test(root.getAttribute(name)) ? n : size;
+    };
+    return [0, 0, length("width"), length("height")];
+}
+
+/**
+ * Stacks layers as inline vector groups in one size×size SVG. A layer whose
+ * viewBox isn't "0 0 size size" is wrapped in a nested <svg> with its own
+ * viewBox, so it scales exactly as it would as an <image>.
+ * @param {Array<{id: string, svg: string}>} layers - Bottom first.
+ * @param {Object} [options]
+ * @param {number} [options.size=420] - Width/height of the composite.
+ * @returns {string} Serialized composite.
+ * @throws {Error} When a layer is not a well-formed SVG (message names the layer).
+ */
+export function composeVectorSVG(layers, { size = SIZE } = {}) {
+    const doc = new DOMParser().parseFromString(`<svg xmlns="${SVG_NS}"/>`, "image/svg+xml");
+    const out = doc.documentElement;
+    out.setAttributeNS(XMLNS_NS, "xmlns:xlink", XLINK_NS);
+    out.setAttribute("width", String(size));
+    out.setAttribute("height", String(size));
+    out.setAttribute("viewBox", `0 0 ${size} ${size}`);
+
+    for (const layer of layers) {
+        let root;
+        try {
+            root = parseSVG(layer.svg);
+        } catch (err) {
+            throw new Error(`Layer ${layer.id}: ${err.message}`, { cause: err });
+        }
+        namespaceIds(root, `${layer.id}_`);
+
+        const group = doc.createElementNS(SVG_NS, "g");
+        group.setAttribute("id", `layer-${layer.id}`);
+
+        const box = layerViewBox(root, size);
+        const aspect = root.getAttribute("preserveAspectRatio");
+        const fitsCanvas = box.join(" ") === `0 0 ${size} ${size}` && !aspect;
+        let holder = group;
+        if (!fitsCanvas) {
+            holder = doc.createElementNS(SVG_NS, "svg");
+            holder.setAttribute("x", "0");
+            holder.setAttribute("y", "0");
+            holder.setAttribute("width", String(size));
+            holder.setAttribute("height", String(size));
+            holder.setAttribute("viewBox", box.join(" "));
+            if (aspect) holder.setAttribute("preserveAspectRatio", aspect);
+            group.appendChild(holder);
+        }
+        // Presentation attributes, style, class and the (namespaced) id of the layer root
+        for (const attr of root.attributes) {
+            if (attr.namespaceURI === XMLNS_NS || attr.name === "xmlns" || VIEWPORT_ATTRS.has(attr.name)) continue;
+            if (attr.name === "id" && holder === group) continue; // the group keeps layer-<id>
+            holder.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+        }
+        for (const child of [...root.childNodes]) holder.appendChild(doc.importNode(child, true));
+        out.appendChild(group);
+    }
+    return new XMLSerializer().serializeToString(out);
+}
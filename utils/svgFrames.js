@@ -0,0 +1,207 @@
+// utils/svgFrames.js
+// Still frames of an animated SVG, for GIF/APNG export: the SMIL in the
+// markup is evaluated at a given time and baked into plain attributes, then
+// the <animate>/<animateTransform>/<set> elements are dropped, so any rasterizer
+// draws exactly that instant.
+// Covers what the traits emit (utils/svgAnimation.js) and the usual SMIL
+// around it: values or from/to, keyTimes, calcMode linear, discrete and spline
+// (paced is treated as linear), additive="sum", offset begin values,
+// repeatCount/repeatDur and fill="freeze".
+// Animations target their parent element; syncbase and event begin values
+// start at 0. CSS animations are not evaluated.
+// Browser-only (DOMParser), like utils/svgCompositor.js.
+
+import { parseSVG } from "./svgCompositor.js";
+
+const ANIMATIONS = "animate, animateTransform, set";
+const round = (n) => Number(n.toFixed(3));
+
+/**
+ * Parses a SMIL clock value ("1.5s", "250ms", "2min", "0:01.5", "3").
+ * @param {string|null} value
+ * @returns {number|null} Seconds, or null when it is not a clock value.
+ */
+export function parseClock(value) {
+    const text = String(value ?? "").trim();
+    const clock = text.match(/^(-?)(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/);
+    if (clock) {
+        const seconds = Number(clock[2] || 0) * 3600 + Number(clock[3]) * 60 + Number(clock[4]);
+        return clock[1] ? -seconds : seconds;
+    }
+    const timed = text.match(/^([+-]?\d*\.?\d+)(h|min|s|ms)?$/);
+    if (!timed) return null;
+    const scale = { h: 3600, min: 60, s: 1, ms: 0.001 }[timed[2] || "s"];
+    return Number(timed[1]) * scale;
+}
+
+/**
+ * Reads every animation in an SVG once, for sampling at many times.
+ * @param {string} svg - SVG markup.
+ * @returns {{ count: number, duration: number, frame: function(number, Object=): string }}
+ *   `count` animations were found; `duration` is the longest single cycle in
+ *   seconds (0 without animations). `frame(time, { loop })` returns standalone
+ *   markup at `time` seconds. With `loop` (seconds), endlessly repeating
+ *   animations are retimed to a whole number of cycles in it and `time` wraps
+ *   at `loop`, so the last frame leads back into the first.
+ * @throws {Error} When the markup is not well-formed SVG.
+ */
+export function createFrameSampler(svg) {
+    const root = parseSVG(svg);
+    const serializer = new XMLSerializer();
+    const targets = new Map(); // element -> { attrs: Map<name, base value>, animations: [] }
+
+    for (const el of [...root.querySelectorAll(ANIMATIONS)]) {
+        const target = el.parentElement;
+        const animation = readAnimation(el);
+        el.remove();
+        if (!target || !animation) continue;
+        if (!targets.has(target)) targets.set(target, { attrs: new Map(), animations: [] });
+        const entry = targets.get(target);
+        if (!entry.attrs.has(animation.attribute)) entry.attrs.set(animation.attribute, target.getAttribute(animation.attribute));
+        entry.animations.push(animation);
+    }
+
+    const all = [...targets.values()].flatMap((t) => t.animations);
+    return {
+        count: all.length,
+        duration: all.reduce((max, a) => Math.max(max, a.dur), 0),
+        frame(time, { loop = 0 } = {}) {
+            const t = loop > 0 ? ((time % loop) + loop) % loop : time;
+            for (const [target, { attrs, animations }] of targets) {
+                for (const [name, base] of attrs) {
+                    let value = base;
+                    for (const a of animations) {
+                        if (a.attribute !== name) continue;
+                        const sampled = sample(a, t, loop);
+                        if (sampled === null) continue;
+                        value = a.additive && value ? `${value} ${sampled}` : sampled;
+                    }
+                    if (value === null) target.removeAttribute(name);
+                    else target.setAttribute(name, value);
+                }
+            }
+            return serializer.serializeToString(root);
+        },
+    };
+}
+
+// --------------------------
+// Reading
+// --------------------------
+
+function readAnimation(el) {
+    const attribute = el.getAttribute("attributeName");
+    const dur = parseClock(el.getAttribute("dur"));
+    if (!attribute || !(dur > 0)) return null;
+    const transform = el.localName === "animateTransform" ? (el.getAttribute("type") || "translate") : null;
+
+    const raw = el.hasAttribute("values")
+        ? el.getAttribute("values").split(";").map((v) => v.trim()).filter(Boolean)
+        : [el.getAttribute("from"), el.getAttribute("to")].filter((v) => v !== null);
+    if (!raw.length) return null;
+    const numeric = raw.map((v) => v.split(/[\s,]+/).filter(Boolean).map(Number));
+    const isNumeric = numeric.every((v) => v.length && v.every(Number.isFinite) && v.length === numeric[0].length);
+
+    const calcMode = el.getAttribute("calcMode") || "linear";
+    const keyTimes = el.hasAttribute("keyTimes")
+        ? el.getAttribute("keyTimes").split(";").map(Number)
+        : raw.map((_, i) => (raw.length > 1 ? i / (raw.length - 1) : 0));
+    const keySplines = calcMode === "spline" && el.hasAttribute("keySplines")
+        ? el.getAttribute("keySplines").split(";").map((s) => s.trim().split(/[\s,]+/).map(Number))
+        : null;
+
+    const repeatCount = el.getAttribute("repeatCount");
+    const repeatDur = el.getAttribute("repeatDur");
+    const endless = repeatCount === "indefinite" || repeatDur === "indefinite";
+    const active = endless ? Infinity
+        : repeatCount !== null ? dur * Number(repeatCount)
+        : repeatDur !== null ? (parseClock(repeatDur) ?? dur)
+        : dur;
+
+    return {
+        attribute,
+        transform,
+        raw,
+        values: isNumeric ? numeric : null,
+        keyTimes: keyTimes.length === raw.length ? keyTimes : raw.map((_, i) => i / Math.max(1, raw.length - 1)),
+        keySplines,
+        discrete: calcMode === "discrete" || !isNumeric || el.localName === "set",
+        dur,
+        begin: parseClock((el.getAttribute("begin") || "0s").split(";")[0]) ?? 0,
+        active: Number.isFinite(active) && active > 0 ? active : Infinity,
+        freeze: el.getAttribute("fill") === "freeze",
+        additive: el.getAttribute("additive") === "sum",
+    };
+}
+
+// --------------------------
+// Sampling
+// --------------------------
+
+// The animation's value at `t`, or null where it has no effect (not started,
+// or ended without fill="freeze")
+function sample(a, t, loop) {
+    let elapsed = t - a.begin;
+    let dur = a.dur;
+    if (a.active === Infinity && loop > 0) {
+        const cycles = Math.max(1, Math.round(loop / a.dur));
+        dur = loop / cycles;
+        elapsed = t - (a.begin / a.dur) * dur; // keeps its offset in the cycle
+        elapsed = ((elapsed % loop) + loop) % loop;
+    }
+    if (elapsed < 0) return null;
+    let progress;
+    if (elapsed >= a.active) {
+        if (!a.freeze) return null;
+        const end = a.active / dur;
+        progress = end % 1 === 0 ? 1 : end % 1;
+    } else {
+        progress = (elapsed / dur) % 1;
+    }
+    return format(a, interpolate(a, progress));
+}
+
+function interpolate(a, progress) {
+    const { keyTimes } = a;
+    const last = a.raw.length - 1;
+    if (last === 0) return 0;
+    if (a.discrete) {
+        let i = 0;
+        while (i < last && progress >= keyTimes[i + 1]) i++;
+        return i;
+    }
+    let i = 0;
+    while (i < last - 1 && progress > keyTimes[i + 1]) i++;
+    const span = keyTimes[i + 1] - keyTimes[i];
+    let local = span > 0 ? Math.min(1, Math.max(0, (progress - keyTimes[i]) / span)) : 1;
+    if (a.keySplines?.[i]) local = bezier(a.keySplines[i], local);
+    return i + local;
+}
+
+function format(a, position) {
+    let value;
+    if (a.discrete || !a.values) {
+        value = a.raw[Math.round(position)];
+    } else {
+        const i = Math.min(Math.floor(position), a.values.length - 1);
+        const from = a.values[i];
+        const to = a.values[Math.min(i + 1, a.values.length - 1)];
+        const f = position - i;
+        value = from.map((v, k) => round(v + (to[k] - v) * f)).join(" ");
+    }
+    return a.transform ? `${a.transform}(${value})` : value;
+}
+
+// y of a cubic-bezier(x1 y1 x2 y2) easing at x, by bisection
+function bezier([x1, y1, x2, y2], x) {
+    const at = (p1, p2, u) => 3 * p1 * u * (1 - u) ** 2 + 3 * p2 * u * u * (1 - u) + u ** 3;
+    let lo = 0;
+    let hi = 1;
+    let u = x;
+    for (let k = 0; k < 24; k++) {
+        if (at(x1, x2, u) < x) lo = u;
+        else hi = u;
+        u = (lo + hi) / 2;
+    }
+    return at(y1, y2, u);
+}
@@ -0,0 +1,187 @@
+// utils/svgReveal.js
+// Draw-on "reveal" of a vector composite: SMIL that builds the Phil up once,
+// layer by layer in z-order (one <g id="layer-<id>"> each, as
+// utils/svgCompositor.js writes them), starting `stagger` seconds apart and
+// taking `duration` seconds each. Within a layer, shapes follow document order:
+//   - stroked, unfilled shapes trace along stroke-dashoffset (pathLength="1");
+//   - filled paths trace a stroke of their own stroke (else fill) colour
+//     first, which then fades out as the path fades in;
+//   - runs of filled shapes under one parent (the Voronoi cells of phil and
+//     teeth) fade in one after another;
+//   - small circles (the bg stars) and placed <use>s (top's smileys) pop in;
+//   - anything else fades in.
+// Every animation runs from 0 to the end and holds the hidden value until its
+// slot, so the markup itself is the finished drawing: viewers without SMIL and
+// thumbnails show the whole Phil. The result is still one self-contained SVG.
+// Browser-only (DOMParser), like utils/svgCompositor.js.
+
+import { parseSVG } from "./svgCompositor.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const SHAPES = new Set(["path", "circle", "ellipse", "rect", "line", "polyline", "polygon", "use", "image", "text"]);
+const NOT_RENDERED = "defs, clipPath, mask, symbol, pattern, marker, linearGradient, radialGradient, filter";
+const CELL_RUN = 8;    // filled siblings from which a parent's shapes count as cells
+const STAR_RADIUS = 4; // circles up to this radius pop
+const TRACE_WIDTH = 1.2;
+
+const round = (n) => Number(n.toFixed(3));
+const key = (n) => Number(Math.min(1, Math.max(0, n)).toFixed(4));
+
+/**
+ * Adds the reveal animation to an SVG (a vector composite, or any SVG, which
+ * then counts as a single layer).
+ * @param {string} svg - SVG markup.
+ * @param {Object} [params]
+ * @param {number} [params.duration=1.6] - Seconds each layer takes to appear.
+ * @param {number} [params.stagger=0.6] - Seconds between the starts of consecutive layers.
+ * @returns {{ svg: string, seconds: number, layers: Array<{ id: string, start: number, shapes: number }> }}
+ *   The animated markup, its length in seconds, and when each layer starts.
+ * @throws {Error} When the markup is not well-formed SVG.
+ */
+export function revealSVG(svg, { duration = 1.6, stagger = 0.6 } = {}) {
+    const root = parseSVG(svg);
+    const groups = [...root.children].filter((el) => el.localName === "g" && el.id?.startsWith("layer-"));
+    const layers = groups.length ? groups : [root];
+    const seconds = (layers.length - 1) * stagger + duration;
+    const report = [];
+
+    layers.forEach((layer, i) => {
+        const start = i * stagger;
+        const shapes = [...layer.querySelectorAll("*")].filter((el) => SHAPES.has(el.localName) && !el.closest(NOT_RENDERED));
+        const cellParents = findCellParents(shapes);
+        // Each shape gets 40% of the layer's time (all of it when alone), spread over the rest
+        const piece = shapes.length > 1 ? duration * 0.4 : duration;
+        shapes.forEach((el, j) => {
+            const from = start + (shapes.length > 1 ? (duration - piece) * (j / (shapes.length - 1)) : 0);
+            reveal(el, classify(el, cellParents), from / seconds, (from + piece) / seconds, seconds);
+        });
+        report.push({ id: groups.length ? layer.id.slice("layer-".length) : "", start: round(start), shapes: shapes.length });
+    });
+    return { svg: new XMLSerializer().serializeToString(root), seconds: round(seconds), layers: report };
+}
+
+// --------------------------
+// Shapes
+// --------------------------
+
+function classify(el, cellParents) {
+    const name = el.localName;
+    if (name === "use" && pivotOf(el)) return "pop";
+    if (name === "circle" && Number(el.getAttribute("r")) <= STAR_RADIUS && pivotOf(el)) return "pop";
+    if (!["path", "circle", "ellipse", "line", "polyline", "polygon", "rect"].includes(name)) return "fade";
+    const fill = paint(el, "fill");
+    const stroke = paint(el, "stroke");
+    const dashed = paint(el, "stroke-dasharray");
+    if (fill === "none") return stroke && stroke !== "none" && (!dashed || dashed === "none") ? "trace" : "fade";
+    if (cellParents.has(el.parentNode)) return "cell";
+    return name === "path" || name === "polygon" ? "outline" : "fade";
+}
+
+// Parents holding a run of shapes with a fill of their own (Voronoi cells and
+// the like; spikes' stroked strands leave fill unset)
+function findCellParents(shapes) {
+    const counts = new Map();
+    for (const el of shapes) {
+        const fill = paint(el, "fill");
+        if (!fill || fill === "none") continue;
+        counts.set(el.parentNode, (counts.get(el.parentNode) || 0) + 1);
+    }
+    return new Set([...counts].filter(([, n]) => n >= CELL_RUN).map(([parent]) => parent));
+}
+
+// A presentation property as it applies to `el`: its style or attribute,
+// else its nearest ancestor's; null where nothing sets it
+function paint(el, name) {
+    for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+        const style = node.getAttribute("style")?.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`));
+        if (style) return style[1].trim();
+        if (node.hasAttribute(name)) return node.getAttribute(name).trim();
+    }
+    return null;
+}
+
+// The point a shape pops about, in its parent's coordinates
+function pivotOf(el) {
+    if (el.localName === "circle") {
+        const cx = Number(el.getAttribute("cx") || 0);
+        const cy = Number(el.getAttribute("cy") || 0);
+        return el.hasAttribute("transform") ? null : { x: cx, y: cy };
+    }
+    const move = el.getAttribute("transform")?.match(/^\s*translate\(\s*([-\d.e]+)[\s,]+([-\d.e]+)\s*\)/);
+    return move ? { x: Number(move[1]), y: Number(move[2]) } : null;
+}
+
+// --------------------------
+// Animation
+// --------------------------
+
+// `a`–`b` is the shape's slot as fractions of the whole reveal
+function reveal(el, kind, a, b, seconds) {
+    const doc = el.ownerDocument;
+    if (kind === "trace") {
+        // The dash is only set while animating, so the still markup stays solid
+        if (!el.hasAttribute("pathLength")) el.setAttribute("pathLength", "1");
+        const length = el.getAttribute("pathLength");
+        const dash = doc.createElementNS(SVG_NS, "set");
+        Object.entries({ attributeName: "stroke-dasharray", to: length, dur: `${round(seconds)}s`, fill: "freeze" })
+            .forEach(([name, value]) => dash.setAttribute(name, value));
+        el.appendChild(dash);
+        el.appendChild(animation(doc, "animate", "stroke-dashoffset", [length, length, 0, 0], [0, a, b, 1], seconds));
+        return;
+    }
+    if (kind === "outline") {
+        // A stroke draws the edge, then hands over to the path itself
+        const mid = a + (b - a) * 0.6;
+        const trace = doc.createElementNS(SVG_NS, el.localName);
+        for (const attr of ["d", "points", "transform"]) {
+            if (el.hasAttribute(attr)) trace.setAttribute(attr, el.getAttribute(attr));
+        }
+        const stroke = paint(el, "stroke");
+        const color = stroke && stroke !== "none" ? stroke : paint(el, "fill") || "#000";
+        Object.entries({
+            fill: "none", stroke: color, "stroke-width": TRACE_WIDTH, "stroke-linejoin": "round",
+            pathLength: 1, "stroke-dasharray": 1, "stroke-dashoffset": 0, opacity: 0,
+        }).forEach(([name, value]) => trace.setAttribute(name, String(value)));
+        trace.appendChild(animation(doc, "animate", "stroke-dashoffset", [1, 1, 0, 0], [0, a, mid, 1], seconds));
+        trace.appendChild(animation(doc, "animate", "opacity", [0, 0, 1, 1, 0, 0], [0, a, a, mid, b, 1], seconds));
+        el.after(trace);
+        wrap(el).appendChild(animation(doc, "animate", "opacity", [0, 0, 1, 1], [0, mid, b, 1], seconds));
+        return;
+    }
+    if (kind === "pop") {
+        const { x, y } = pivotOf(el);
+        const g = wrap(el);
+        const mid = a + (b - a) * 0.6;
+        const scales = [0, 0, 1.3, 1, 1];
+        const times = [0, a, mid, b, 1];
+        // translate(p·(1−s)) then scale(s) keeps the pivot still (as pulseAbout() in utils/svgAnimation.js)
+        g.appendChild(animation(doc, "animateTransform", "transform",
+            scales.map((s) => `${round(x * (1 - s))} ${round(y * (1 - s))}`), times, seconds, { type: "translate", additive: true }));
+        g.appendChild(animation(doc, "animateTransform", "transform",
+            scales.map((s) => `${s} ${s}`), times, seconds, { type: "scale", additive: true }));
+        return;
+    }
+    // cell, fade
+    wrap(el).appendChild(animation(doc, "animate", "opacity", [0, 0, 1, 1], [0, a, b, 1], seconds));
+}
+
+// Puts `el` in a fresh <g>, so the reveal doesn't fight the element's own
+// opacity, transform or animations
+function wrap(el) {
+    const g = el.ownerDocument.createElementNS(SVG_NS, "g");
+    el.before(g);
+    g.appendChild(el);
+    return g;
+}
+
+function animation(doc, tag, attribute, values, times, seconds, { type = null, additive = false } = {}) {
+    const el = doc.createElementNS(SVG_NS, tag);
+    el.setAttribute("attributeName", attribute);
+    if (type) el.setAttribute("type", type);
+    el.setAttribute("values", values.join(";"));
+    el.setAttribute("keyTimes", times.map(key).join(";"));
+    el.setAttribute("dur", `${round(seconds)}s`);
+    el.setAttribute("fill", "freeze");
+    if (additive) el.setAttribute("additive", "sum");
+    return el;
+}
@@ -1,5 +1,7 @@
 // utils/svgUtils.js
 
+import { isSeeded, seededRandom } from "./seedUtils.js";
+
 const SVG_NS = "http://www.w3.org/2000/svg";
 
 /**
@@ -8,7 +10,11 @@ const SVG_NS = "http://www.w3.org/2000/svg";
  */
 export function generateUniqueId() {
     const array = new Uint8Array(8);
-    window.crypto.getRandomValues(array);
+    if (isSeeded()) {
+        for (let i = 0; i < array.length; i++) array[i] = Math.floor(getSecureRandomNumber() * 256);
+    } else {
+        globalThis.crypto.getRandomValues(array);
+    }
     return Array.from(array)
         .map(b => b.toString(16).padStart(2, "0"))
         .join("");
@@ -78,12 +84,14 @@ export function createSmoothPolygon(points, fillColor, strokeColor, strokeWidth)
 
 /**
  * Generates a secure random number in the range [0, 1).
- * Uses the window.crypto API for better randomness.
+ * Uses the Web Crypto API (globalThis.crypto, so it also works in workers) for better randomness, or the active seed (see withSeed).
  * @returns {number} A random number between 0 (inclusive) and 1 (exclusive).
  */
 export function getSecureRandomNumber() {
+    const seeded = seededRandom();
+    if (seeded !== null) return seeded;
     const array = new Uint32Array(1);
-    window.crypto.getRandomValues(array);
+    globalThis.crypto.getRandomValues(array);
     return array[0] / (0xFFFFFFFF + 1);
 }
 
@@ -96,7 +104,7 @@ export function getSecureRandomNumber() {
 export function generateColorPool(poolSize) {
     const colors = [];
     for (let i = 0; i < poolSize; i++) {
-        const color = '#' + Math.floor(Math.random() * 0xFFFFFF)
+        const color = '#' + Math.floor(getSecureRandomNumber() * 0xFFFFFF)
             .toString(16)
             .padStart(6, '0');
         colors.push(color);
@@ -0,0 +1,113 @@
+// utils/svgValidation.js
+// Contract every trait layer must meet before it is composited:
+//   - well-formed XML with an <svg> root
+//   - viewBox "0 0 420 420" (width/height, when given, 420 or 100%)
+//   - no scripts or event-handler attributes
+//   - no external references (href / url() / @import to anything but #id or data:)
+//   - within the size budget (utils/sizeValidation.js)
+//   - not an error placeholder (an `error` attribute, or <text> saying "error")
+// Needs DOMParser, so it runs on the page (workers hand their SVG back first).
+
+import { SIZE } from "./composeUtils.js";
+import { parseSVG } from "./svgCompositor.js";
+import { DEFAULT_MAX_SIZE } from "./sizeValidation.js";
+
+/** A layer that broke the contract; `problems` lists every rule it failed. */
+export class LayerValidationError extends Error {
+    constructor(problems) {
+        super(problems.map((p) => p.message).join("; "));
+        this.name = "LayerValidationError";
+        this.code = "invalid-layer";
+        this.problems = problems;
+    }
+}
+
+const LOCAL_REF = /^\s*(#|data:)/i;
+
+/**
+ * Checks one trait result against the layer contract.
+ * @param {string} svg - The trait's SVG.
+ * @param {Object} [options]
+ * @param {Object} [options.attributes] - The trait's attributes (an `error` key marks a placeholder).
+ * @param {number} [options.size=420] - Expected viewBox width/height.
+ * @param {number} [options.maxBytes] - Size budget in bytes (UTF-8).
+ * @returns {Array<{code: string, message: string}>} Problems found; empty when valid.
+ *   Codes: malformed, viewbox, dimensions, script, external, size, placeholder.
+ */
+export function checkLayerSVG(svg, { attributes = {}, size = SIZE, maxBytes = DEFAULT_MAX_SIZE } = {}) {
+    const problems = [];
+    const add = (code, message) => problems.push({ code, message });
+
+    if (typeof svg !== "string" || !svg.trim()) {
+        add("malformed", "trait returned no SVG");
+        return problems;
+    }
+    const bytes = new TextEncoder().encode(svg).length;
+    if (bytes > maxBytes) add("size", `SVG is ${bytes} bytes, over the ${maxBytes}-byte budget`);
+    if (attributes?.error) add("placeholder", `trait reported an error: ${attributes.error}`);
+
+    let root;
+    try {
+        root = parseSVG(svg);
+    } catch (err) {
+        add("malformed", err.message);
+        return problems;
+    }
+
+    const viewBox = root.getAttribute("viewBox");
+    const box = viewBox ? viewBox.trim().split(/[\s,]+/).map(Number) : null;
+    if (!box) add("viewbox", `root <svg> has no viewBox (expected "0 0 ${size} ${size}")`);
+    else if (box.length !== 4 || box.join(" ") !== `0 0 ${size} ${size}`) {
+        add("viewbox", `viewBox is "${viewBox}", expected "0 0 ${size} ${size}"`);
+    }
+    for (const name of ["width", "height"]) {
+        if (!root.hasAttribute(name)) continue;
+        const value = root.getAttribute(name);
+        if (value.trim() !== "100%" && parseFloat(value) !== size) {
+            add("dimensions", `${name} is "${value}", expected ${size}`);
+        }
+    }
+
+    const elements = [root, ...root.getElementsByTagName("*")];
+    const external = new Set();
+    let script = null;
+    let placeholder = null;
+    for (const el of elements) {
+        if (el.localName === "script") script ??= "<script> element";
+        if (el.localName === "foreignObject") script ??= "<foreignObject> element";
+        for (const attr of el.attributes) {
+            const value = attr.value;
+            if (/^on/i.test(attr.localName)) script ??= `${attr.name} handler on <${el.localName}>`;
+            if (attr.localName === "href") {
+                if (/^\s*javascript:/i.test(value)) script ??= `javascript: link on <${el.localName}>`;
+                else if (!LOCAL_REF.test(value)) external.add(value);
+            }
+            for (const [, target] of value.matchAll(/url\(\s*['"]?([^'")]*)/g)) {
+                if (!LOCAL_REF.test(target)) external.add(target);
+            }
+        }
+        if (el.localName === "style") {
+            const css = el.textContent;
+            for (const [, target] of css.matchAll(/@import\s+(?:url\()?\s*['"]?([^'");\s]*)/g)) external.add(target);
+            for (const [, target] of css.matchAll(/url\(\s*['"]?([^'")]*)/g)) {
+                if (!LOCAL_REF.test(target)) external.add(target);
+            }
+        }
+        if (el.localName === "text" && /\berror\b/i.test(el.textContent)) placeholder ??= el.textContent.trim().slice(0, 120);
+    }
+    if (script) add("script", `scripting is not allowed (${script})`);
+    if (external.size) add("external", `references external resources: ${[...external].slice(0, 3).join(", ")}${external.size > 3 ? ", …" : ""}`);
+    if (placeholder && !attributes?.error) add("placeholder", `draws an error message: "${placeholder}"`);
+    return problems;
+}
+
+/**
+ * checkLayerSVG() that throws.
+ * @param {string} svg - The trait's SVG.
+ * @param {Object} [options] - As for checkLayerSVG().
+ * @throws {LayerValidationError} When any rule fails.
+ */
+export function assertValidLayerSVG(svg, options) {
+    const problems = checkLayerSVG(svg, options);
+    if (problems.length) throw new LayerValidationError(problems);
+}
@@ -0,0 +1,134 @@
+// utils/traitErrors.js
+// How a trait fails: it throws a TraitError and never returns an error SVG.
+//   outline-fetch       an outline JSON could not be loaded or parsed
+//                       (`transient` when a retry may succeed: network error, 408/429/5xx)
+//   geometry            the outline data or the geometry built from it is unusable
+//   dependency-missing  a library the trait needs (e.g. d3-delaunay) is not loaded
+//   internal            anything else (toTraitError() wraps stray errors with this code)
+// TraitErrors cross postMessage as plain objects (toJSON() / traitErrorFromJSON()).
+
+export const TRAIT_ERROR_CODES = {
+    outlineFetch: "outline-fetch",
+    geometry: "geometry",
+    dependencyMissing: "dependency-missing",
+    internal: "internal",
+};
+
+/** A trait failure with a machine-readable `code`. */
+export class TraitError extends Error {
+    /**
+     * @param {string} code - One of TRAIT_ERROR_CODES.
+     * @param {string} message - Human-readable reason.
+     * @param {Object} [info]
+     * @param {string|null} [info.trait] - Layer id.
+     * @param {boolean} [info.transient=false] - Whether retrying may help.
+     * @param {Object} [info.details] - Extra JSON-safe context (url, status, dependency…).
+     * @param {*} [info.cause] - Underlying error.
+     */
+    constructor(code, message, { trait = null, transient = false, details = {}, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = "TraitError";
+        this.code = code;
+        this.trait = trait;
+        this.transient = transient;
+        this.details = details;
+    }
+
+    toJSON() {
+        const { name, code, message, trait, transient, details } = this;
+        return { name, code, message, trait, transient, details };
+    }
+}
+
+// Statuses worth retrying: timeouts, rate limits and server errors
+const isTransientStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+/**
+ * Fetches and parses an outline JSON, failing with an `outline-fetch` TraitError.
+ * @param {string} url - Outline URL.
+ * @param {Object} [params]
+ * @param {string} [params.trait] - Layer id, for the error.
+ * @param {RequestInit} [params.init] - fetch() options (e.g. `{ cache: "no-store" }`).
+ * @returns {Promise<Object>} The parsed JSON.
+ * @throws {TraitError}
+ */
+export async function fetchOutlineJSON(url, { trait = null, init } = {}) {
+    let res;
+    try {
+        res = await fetch(url, init);
+    } catch (err) {
+        throw new TraitError(TRAIT_ERROR_CODES.outlineFetch, `Could not fetch ${url}: ${err?.message || err}`, {
+            trait, transient: true, details: { url }, cause: err,
+        });
+    }
+    if (!res.ok) {
+        throw new TraitError(TRAIT_ERROR_CODES.outlineFetch, `Failed to fetch JSON from ${url} (${res.status})`, {
+            trait, transient: isTransientStatus(res.status), details: { url, status: res.status },
+        });
+    }
+    try {
+        return await res.json();
+    } catch (err) {
+        throw new TraitError(TRAIT_ERROR_CODES.outlineFetch, `${url} is not valid JSON`, {
+            trait, details: { url, status: res.status }, cause: err,
+        });
+    }
+}
+
+/**
+ * @param {string} trait - Layer id.
+ * @param {string} message - What is wrong with the geometry.
+ * @param {Object} [details]
+ * @returns {TraitError}
+ */
+export function geometryError(trait, message, details = {}) {
+    return new TraitError(TRAIT_ERROR_CODES.geometry, message, { trait, details });
+}
+
+/**
+ * @param {string} trait - Layer id.
+ * @param {string} dependency - Global or package name, e.g. "d3-delaunay".
+ * @returns {TraitError}
+ */
+export function dependencyError(trait, dependency) {
+    return new TraitError(TRAIT_ERROR_CODES.dependencyMissing, `${trait} needs ${dependency}, which is not loaded`, {
+        trait, details: { dependency },
+    });
+}
+
+/**
+ * Whether `err` is (or was serialized from) a TraitError.
+ * @param {*} err
+ * @returns {boolean}
+ */
+export function isTraitError(err) {
+    return err instanceof TraitError || (!!err && err.name === "TraitError" && typeof err.code === "string");
+}
+
+/**
+ * `err` as a TraitError: TraitErrors pass through (tagged with `trait` if they
+ * lack one), anything else becomes an `internal` one.
+ * @param {*} err - What was thrown.
+ * @param {string} [trait] - Layer id.
+ * @returns {TraitError}
+ */
+export function toTraitError(err, trait = null) {
+    if (err instanceof TraitError) {
+        if (!err.trait) err.trait = trait;
+        return err;
+    }
+    if (isTraitError(err)) return traitErrorFromJSON({ ...err, trait: err.trait || trait });
+    return new TraitError(TRAIT_ERROR_CODES.internal, String(err?.message || err), { trait, cause: err });
+}
+
+/**
+ * Rebuilds a TraitError from toJSON() output (e.g. a worker's reply).
+ * @param {Object} data
+ * @returns {TraitError}
+ */
+export function traitErrorFromJSON(data) {
+    const { code, message, trait, transient, details } = data || {};
+    return new TraitError(code || TRAIT_ERROR_CODES.internal, message || "Trait failed", {
+        trait: trait ?? null, transient: !!transient, details: details || {},
+    });
+}
@@ -0,0 +1,64 @@
+// utils/traitRegistry.js
+// Loads traits/manifest.json, the single list of layers the app knows about.
+// Each entry: { id, name, module, z, checked, worker }. Module paths are relative to the manifest;
+// layers composite bottom → top by ascending z. `worker: true` marks traits that need no DOM
+// and can be generated in generation.worker.js.
+
+const MANIFEST_URL = new URL("../traits/manifest.json", import.meta.url);
+
+/**
+ * Fetches and parses the trait manifest.
+ * @param {string|URL} [url] - Manifest location (defaults to traits/manifest.json).
+ * @returns {Promise<Array<Object>>} Layers sorted by z (bottom first).
+ */
+export async function loadManifest(url = MANIFEST_URL) {
+    const res = await fetch(url, { cache: "no-store" });
+    if (!res.ok) throw new Error(`Failed to fetch trait manifest from ${url} (${res.status})`);
+    return parseManifest(await res.json(), url);
+}
+
+/**
+ * Validates manifest JSON and normalizes its entries.
+ * @param {Object|Array<Object>} json - `{ layers: [...] }` or a bare array of entries.
+ * @param {string|URL} [baseURL] - URL that relative module paths resolve against.
+ * @returns {Array<Object>} Layers `{ id, name, module, z, checked, worker }` sorted by z.
+ */
+export function parseManifest(json, baseURL = MANIFEST_URL) {
+    const entries = Array.isArray(json) ? json : json?.layers;
+    if (!Array.isArray(entries)) {
+        throw new Error('Trait manifest must contain a "layers" array.');
+    }
+
+    const seen = new Set();
+    const layers = entries.map((entry, index) => {
+        const id = String(entry?.id ?? "").trim().toLowerCase();
+        if (!id) throw new Error(`Trait manifest entry ${index} has no id.`);
+        if (seen.has(id)) throw new Error(`Trait manifest lists "${id}" twice.`);
+        if (typeof entry.module !== "string" || !entry.module) {
+            throw new Error(`Trait manifest entry "${id}" has no module path.`);
+        }
+        seen.add(id);
+        return {
+            id,
+            name: entry.name || id,
+            module: new URL(entry.module, baseURL).href,
+            z: Number.isFinite(entry.z) ? entry.z : index,
+            checked: entry.checked === true,
+            worker: entry.worker === true,
+        };
+    });
+
+    // Array.prototype.sort is stable, so equal z keeps manifest order
+    return layers.sort((a, b) => a.z - b.z);
+}
+
+/**
+ * Dynamically imports a layer's trait module.
+ * @param {Object} layer - A manifest layer.
+ * @param {Object} [options]
+ * @param {boolean} [options.bust=false] - Append a timestamp to bypass module caching (dev).
+ * @returns {Promise<Object>} The module namespace (expects generateTrait()).
+ */
+export function importTraitModule(layer, { bust = false } = {}) {
+    return import(bust ? `${layer.module}?v=${Date.now()}` : layer.module);
+}
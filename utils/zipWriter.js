@@ -0,0 +1,114 @@
+// utils/zipWriter.js
+// Minimal ZIP writer (store only, no compression) for batch exports.
+// SVG and PNG payloads barely shrink under deflate once optimized, so
+// storing keeps this dependency-free and fast in the browser.
+
+const encoder = new TextEncoder();
+let crcTable = null;
+
+function getCrcTable() {
+    if (crcTable) return crcTable;
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+    }
+    return crcTable;
+}
+
+/**
+ * CRC-32 (IEEE) of a byte array, as used by ZIP.
+ * @param {Uint8Array} bytes - Data to checksum.
+ * @returns {number} Unsigned 32-bit CRC.
+ */
+export function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields used in ZIP headers
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Creates an in-memory ZIP archive.
+ * @returns {{ add: function(string, (string|Uint8Array|ArrayBuffer)): void, toBlob: function(): Blob, readonly size: number }}
+ */
+export function createZip() {
+    const files = [];
+    const { time, day } = dosDateTime(new Date());
+
+    return {
+        /**
+         * Adds a file. Strings are stored as UTF-8.
+         * @param {string} name - Path inside the archive (forward slashes).
+         * @param {string|Uint8Array|ArrayBuffer} data - File contents.
+         */
+        add(name, data) {
+            const bytes = typeof data === "string" ? encoder.encode(data)
+                : data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+            files.push({ name: encoder.encode(name), bytes, crc: crc32(bytes) });
+        },
+
+        /**
+         * Builds the archive.
+         * @returns {Blob} An application/zip blob.
+         */
+        toBlob() {
+            const parts = [];
+            const central = [];
+            let offset = 0;
+
+            for (const file of files) {
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034b50, true);       // local file header signature
+                local.setUint16(4, 20, true);               // version needed
+                local.setUint16(6, 0x0800, true);           // flags: UTF-8 names
+                local.setUint16(8, 0, true);                // method: store
+                local.setUint16(10, time, true);
+                local.setUint16(12, day, true);
+                local.setUint32(14, file.crc, true);
+                local.setUint32(18, file.bytes.length, true);
+                local.setUint32(22, file.bytes.length, true);
+                local.setUint16(26, file.name.length, true);
+                local.setUint16(28, 0, true);               // extra length
+                parts.push(local.buffer, file.name, file.bytes);
+
+                const entry = new DataView(new ArrayBuffer(46));
+                entry.setUint32(0, 0x02014b50, true);       // central directory signature
+                entry.setUint16(4, 20, true);               // version made by
+                entry.setUint16(6, 20, true);               // version needed
+                entry.setUint16(8, 0x0800, true);
+                entry.setUint16(10, 0, true);
+                entry.setUint16(12, time, true);
+                entry.setUint16(14, day, true);
+                entry.setUint32(16, file.crc, true);
+                entry.setUint32(20, file.bytes.length, true);
+                entry.setUint32(24, file.bytes.length, true);
+                entry.setUint16(28, file.name.length, true);
+                entry.setUint32(42, offset, true);          // local header offset
+                central.push(entry.buffer, file.name);
+
+                offset += 30 + file.name.length + file.bytes.length;
+            }
+
+            const centralSize = central.reduce((n, part) => n + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);             // end of central directory
+            end.setUint16(8, files.length, true);
+            end.setUint16(10, files.length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob([...parts, ...central, end.buffer], { type: "application/zip" });
+        },
+
+        get size() { return files.length; },
+    };
+}